@@ -0,0 +1,124 @@
+import uploadFile from '@salesforce/apex/ComplaintFormController.uploadFile';
+import uploadFileChunk from '@salesforce/apex/ComplaintFormController.uploadFileChunk';
+import {
+    CHUNK_SIZE,
+    MAX_DIRECT_UPLOAD_SIZE,
+    createUploadEntry,
+    uploadAttachment,
+    formatFileSize
+} from 'c/attachmentUploader';
+
+jest.mock(
+    '@salesforce/apex/ComplaintFormController.uploadFile',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/ComplaintFormController.uploadFileChunk',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+
+function makeFile(size, name = 'clip.mp4', type = 'video/mp4') {
+    return new File([new Uint8Array(size)], name, { type: type });
+}
+
+const GRANT = '9f86d081884c7d659a2feaa0c55ad015';
+
+describe('c-attachment-uploader', () => {
+    afterEach(() => {
+        jest.clearAllMocks();
+    });
+
+    it('sends a file through uploadFile in one request', async () => {
+        uploadFile.mockResolvedValue(true);
+        const entry = createUploadEntry(makeFile(2048, 'pothole.jpg', 'image/jpeg'));
+
+        await uploadAttachment(GRANT, entry);
+
+        expect(uploadFile).toHaveBeenCalledTimes(1);
+        expect(uploadFile).toHaveBeenCalledWith(
+            expect.objectContaining({
+                uploadGrant: GRANT,
+                fileName: 'pothole.jpg',
+                contentType: 'image/jpeg',
+                redacted: false
+            })
+        );
+        expect(atob(uploadFile.mock.calls[0][0].base64Data)).toHaveLength(2048);
+    });
+
+    it('marks photos that went through the redaction tool', async () => {
+        uploadFile.mockResolvedValue(true);
+        const entry = createUploadEntry(makeFile(2048, 'pothole.jpg', 'image/jpeg'), true);
+
+        await uploadAttachment(GRANT, entry);
+
+        expect(uploadFile).toHaveBeenCalledWith(expect.objectContaining({ redacted: true }));
+    });
+
+    it('rejects when uploadFile reports the file was not saved', async () => {
+        uploadFile.mockResolvedValue(false);
+        const entry = createUploadEntry(makeFile(2048, 'pothole.jpg', 'image/jpeg'));
+
+        await expect(uploadAttachment(GRANT, entry)).rejects.toThrow('The server could not save this file');
+    });
+
+    it('sends larger files in parts and reports progress after each one', async () => {
+        uploadFileChunk.mockResolvedValue({ success: true });
+        const entry = createUploadEntry(makeFile(CHUNK_SIZE * 2 + 100));
+        const onProgress = jest.fn();
+
+        await uploadAttachment(GRANT, entry, onProgress);
+
+        expect(entry.partCount).toBe(3);
+        expect(uploadFile).not.toHaveBeenCalled();
+        expect(uploadFileChunk.mock.calls.map(([params]) => params.partNumber)).toEqual([1, 2, 3]);
+        expect(uploadFileChunk).toHaveBeenCalledWith(
+            expect.objectContaining({ uploadGrant: GRANT, uploadId: entry.key, fileName: 'clip.mp4', partCount: 3 })
+        );
+        expect(atob(uploadFileChunk.mock.calls[0][0].base64Data)).toHaveLength(CHUNK_SIZE);
+        expect(atob(uploadFileChunk.mock.calls[2][0].base64Data)).toHaveLength(100);
+        expect(onProgress.mock.calls.map(([update]) => update)).toEqual([
+            { nextPart: 2, progress: 33 },
+            { nextPart: 3, progress: 67 },
+            { nextPart: 4, progress: 100 }
+        ]);
+    });
+
+    it('resumes an interrupted upload from the next part', async () => {
+        uploadFileChunk.mockResolvedValue({ success: true });
+        const entry = { ...createUploadEntry(makeFile(CHUNK_SIZE * 2 + 100)), nextPart: 3 };
+
+        await uploadAttachment(GRANT, entry);
+
+        expect(uploadFileChunk).toHaveBeenCalledTimes(1);
+        expect(uploadFileChunk).toHaveBeenCalledWith(expect.objectContaining({ partNumber: 3 }));
+    });
+
+    it('stops at a part the server refuses and keeps the progress made so far', async () => {
+        uploadFileChunk
+            .mockResolvedValueOnce({ success: true })
+            .mockResolvedValueOnce({ success: false, errorMessage: 'Too many uploads' });
+        const entry = createUploadEntry(makeFile(CHUNK_SIZE * 2 + 100));
+        const onProgress = jest.fn();
+
+        await expect(uploadAttachment(GRANT, entry, onProgress)).rejects.toThrow('Too many uploads');
+        expect(uploadFileChunk).toHaveBeenCalledTimes(2);
+        expect(onProgress).toHaveBeenLastCalledWith({ nextPart: 2, progress: 33 });
+    });
+
+    it('leaves files over the direct upload size to the platform file upload', async () => {
+        const entry = createUploadEntry(makeFile(MAX_DIRECT_UPLOAD_SIZE + 1));
+
+        await expect(uploadAttachment(GRANT, entry)).rejects.toThrow('This file is too large to send with the form');
+        expect(uploadFile).not.toHaveBeenCalled();
+        expect(uploadFileChunk).not.toHaveBeenCalled();
+    });
+
+    it('formats file sizes for display', () => {
+        expect(formatFileSize(500)).toBe('1 KB');
+        expect(formatFileSize(300 * 1024)).toBe('300 KB');
+        expect(formatFileSize(3.5 * 1024 * 1024)).toBe('3.5 MB');
+    });
+});
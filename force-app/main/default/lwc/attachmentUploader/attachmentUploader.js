@@ -0,0 +1,123 @@
+// attachmentUploader.js - Complaint attachment uploads: small files in one Apex request, larger ones in
+// resumable chunks, and videos beyond that through the platform's file upload once the complaint is saved
+import uploadFile from '@salesforce/apex/ComplaintFormController.uploadFile';
+import uploadFileChunk from '@salesforce/apex/ComplaintFormController.uploadFileChunk';
+import UPLOAD_FAILED from '@salesforce/label/c.Attachment_Upload_Failed';
+import TOO_LARGE from '@salesforce/label/c.Attachment_Too_Large';
+import NOT_SAVED from '@salesforce/label/c.Attachment_Not_Saved';
+import { runSequentially } from 'c/sequentialTasks';
+
+// Raw bytes per request; a multiple of 3, so ChunkedUpload can join the parts' base64 text unchanged
+export const CHUNK_SIZE = 768 * 1024;
+// Largest file the page sends itself, so it can be held in the form and the offline outbox.
+// ChunkedUpload joins the parts in the heap of a queued Apex job, which sets this limit.
+export const MAX_DIRECT_UPLOAD_SIZE = 4 * CHUNK_SIZE;
+export const MAX_FILE_SIZE = 25 * 1024 * 1024;
+
+// Larger files are picked in lightning-file-upload, which stores them in one piece. It sends the upload
+// grant in this ContentVersion field, and ContentVersionTrigger attaches the file to the granted case.
+export const UPLOAD_GRANT_FIELD = 'Upload_Grant_fileupload__c';
+
+export function partCountFor(size) {
+    return Math.max(1, Math.ceil(size / CHUNK_SIZE));
+}
+
+// redacted marks a photo that went through the redaction tool and may be shown publicly.
+// nextPart is where an interrupted upload resumes; the key doubles as the upload id the server keeps the parts under.
+export function createUploadEntry(file, redacted = false) {
+    return {
+        key: `${Date.now().toString(36)}-${Math.random().toString(36).substring(2, 10)}`,
+        name: file.name,
+        contentType: file.type,
+        size: file.size,
+        file: file,
+        redacted: redacted,
+        partCount: partCountFor(file.size),
+        nextPart: 1,
+        progress: 0,
+        status: 'pending',
+        error: null
+    };
+}
+
+// Plain copy without the reactive proxy, safe for IndexedDB structured cloning
+export function toStoredEntry(entry) {
+    return {
+        key: entry.key,
+        name: entry.name,
+        contentType: entry.contentType,
+        size: entry.size,
+        file: entry.file,
+        redacted: entry.redacted === true,
+        partCount: entry.partCount,
+        nextPart: entry.nextPart,
+        progress: entry.progress,
+        status: entry.status,
+        error: entry.error
+    };
+}
+
+export function readAsBase64(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result.split(',')[1]);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+}
+
+export function uploadErrorMessage(error) {
+    return (error && error.body && error.body.message) || (error && error.message) || UPLOAD_FAILED;
+}
+
+// Sends a file picked with the form or update panel. uploadGrant comes back with the accepted complaint
+// or update and names the case on the server. Larger files go in parts from entry.nextPart on;
+// onProgress receives { nextPart, progress } after every stored part so the caller can resume later.
+export async function uploadAttachment(uploadGrant, entry, onProgress = () => {}) {
+    if (entry.size > MAX_DIRECT_UPLOAD_SIZE) {
+        throw new Error(TOO_LARGE);
+    }
+    const partCount = partCountFor(entry.size);
+    if (partCount === 1) {
+        const saved = await uploadFile({
+            uploadGrant: uploadGrant,
+            fileName: entry.name,
+            base64Data: await readAsBase64(entry.file),
+            contentType: entry.contentType,
+            redacted: entry.redacted === true
+        });
+        if (!saved) {
+            throw new Error(NOT_SAVED);
+        }
+        onProgress({ nextPart: 2, progress: 100 });
+        return;
+    }
+
+    const remaining = [];
+    for (let partNumber = entry.nextPart || 1; partNumber <= partCount; partNumber++) {
+        remaining.push(partNumber);
+    }
+    await runSequentially(remaining, async (partNumber) => {
+        const start = (partNumber - 1) * CHUNK_SIZE;
+        const result = await uploadFileChunk({
+            uploadGrant: uploadGrant,
+            uploadId: entry.key,
+            fileName: entry.name,
+            partNumber: partNumber,
+            partCount: partCount,
+            base64Data: await readAsBase64(entry.file.slice(start, start + CHUNK_SIZE)),
+            redacted: entry.redacted === true
+        });
+        if (!result || !result.success) {
+            throw new Error((result && result.errorMessage) || NOT_SAVED);
+        }
+        onProgress({ nextPart: partNumber + 1, progress: Math.round((partNumber / partCount) * 100) });
+    });
+}
+
+export function formatFileSize(bytes) {
+    if (bytes >= 1024 * 1024) {
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
+    return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+}
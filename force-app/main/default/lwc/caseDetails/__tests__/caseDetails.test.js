@@ -0,0 +1,72 @@
+import { createElement } from '@lwc/engine-dom';
+import CaseDetails from 'c/caseDetails';
+
+const CASE_DATA = {
+    id: '500000000000001',
+    trackingNumber: 'CC251019-K7M35',
+    status: 'Escalated',
+    severity: 'High',
+    issueType: 'Pothole',
+    description: 'Deep pothole near the bus stop',
+    workOrders: [{ id: 'a01000000000001', status: 'Assigned', technician: 'Ravi Shah', scheduledTime: '2025-10-20T04:30:00.000Z' }],
+    actionLogs: [],
+    photos: []
+};
+
+function createDetails(caseData) {
+    const element = createElement('c-case-details', { is: CaseDetails });
+    element.caseData = caseData;
+    document.body.appendChild(element);
+    return element;
+}
+
+describe('c-case-details', () => {
+    afterEach(() => {
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+    });
+
+    it('renders nothing without a complaint', () => {
+        const element = createDetails(null);
+
+        expect(element.shadowRoot.querySelector('.case-details')).toBeNull();
+    });
+
+    it('shows the complaint and its work orders and hides empty sections', () => {
+        const element = createDetails(CASE_DATA);
+        const details = element.shadowRoot.querySelector('.case-details');
+
+        expect(details.querySelector('h2').textContent).toContain('Complaint #CC251019-K7M35');
+        expect(details.querySelector('.slds-badge').className).toContain('slds-theme_error');
+        expect(details.querySelector('.priority-high').textContent).toBe('High');
+        expect(details.textContent).toContain('Ravi Shah');
+        expect(details.textContent).toMatch(/Oct 19, 2025, 9:30\sPM/);
+        expect(details.querySelector('c-case-location-map')).toBeNull();
+        expect(details.querySelector('.slds-timeline')).toBeNull();
+        // The stored values are passed on untouched
+        expect(element.caseData).toEqual(CASE_DATA);
+    });
+
+    it('highlights a changed work order but nothing when another case is shown', async () => {
+        const element = createDetails(CASE_DATA);
+
+        element.caseData = { ...CASE_DATA, workOrders: [{ ...CASE_DATA.workOrders[0], status: 'In Progress' }] };
+        await Promise.resolve();
+        expect(element.shadowRoot.querySelector('.slds-box.live-update')).not.toBeNull();
+        expect(element.shadowRoot.querySelector('.case-status').classList).not.toContain('live-update');
+
+        element.caseData = { ...CASE_DATA, id: '500000000000002', status: 'Closed' };
+        await Promise.resolve();
+        expect(element.shadowRoot.querySelector('.live-update')).toBeNull();
+    });
+
+    it('maps the work orders even when the complaint has no pin', () => {
+        const workOrders = [{ ...CASE_DATA.workOrders[0], status: 'En Route', technicianLatitude: 23.03, technicianLongitude: 72.56 }];
+        const element = createDetails({ ...CASE_DATA, address: 'CG Road', workOrders });
+
+        const map = element.shadowRoot.querySelector('c-case-location-map');
+        expect(map).not.toBeNull();
+        expect(map.workOrders[0]).toEqual(expect.objectContaining({ technicianLatitude: 23.03, statusLabel: 'En Route' }));
+    });
+});
@@ -0,0 +1,140 @@
+// caseDetails.js - Read-only view of one complaint's CaseData, shared by caseTracking and myComplaints
+import { LightningElement, api } from 'lwc';
+import { formatLabel, formatDateTime, severityLabel, statusLabel } from 'c/civicI18n';
+import { LABELS, actionTypeLabel } from 'c/caseTrackingLabels';
+
+// Added to whatever changed since the same case was last shown, for a brief highlight
+const CHANGED_CLASS = 'live-update';
+
+function withChange(baseClass, changed) {
+    return changed ? `${baseClass} ${CHANGED_CLASS}` : baseClass;
+}
+
+// Display names and locale-formatted dates next to the stored values, which drive the badge styles.
+// Given the previously shown version of the same case, new or changed entries are marked.
+export function localizeCase(caseData, previous = null) {
+    const sameCase = !!previous && previous.id === caseData.id;
+    const previousStatuses = new Map(((sameCase && previous.workOrders) || []).map((workOrder) => [workOrder.id, workOrder.status]));
+    const previousLogs = new Set(((sameCase && previous.actionLogs) || []).map((log) => log.id));
+    return {
+        ...caseData,
+        statusLabel: statusLabel(caseData.status),
+        statusChanged: sameCase && previous.status !== caseData.status,
+        severityLabel: severityLabel(caseData.severity),
+        issueTypeLabel: caseData.issueTypeLabel || caseData.issueType,
+        createdDate: formatDateTime(caseData.createdDate),
+        lastModified: formatDateTime(caseData.lastModified),
+        slaDate: formatDateTime(caseData.slaDate),
+        workOrders: (caseData.workOrders || []).map((workOrder) => ({
+            ...workOrder,
+            statusLabel: statusLabel(workOrder.status),
+            scheduledTime: formatDateTime(workOrder.scheduledTime),
+            completionTime: formatDateTime(workOrder.completionTime),
+            boxClass: withChange(
+                'slds-box slds-m-bottom_small',
+                sameCase && previousStatuses.get(workOrder.id) !== workOrder.status
+            )
+        })),
+        actionLogs: (caseData.actionLogs || []).map((log) => ({
+            ...log,
+            actionTypeLabel: actionTypeLabel(log.actionType),
+            createdDate: formatDateTime(log.createdDate),
+            itemClass: withChange('slds-timeline__item', sameCase && !previousLogs.has(log.id))
+        }))
+    };
+}
+
+export default class CaseDetails extends LightningElement {
+    labels = LABELS;
+    details = null;
+    _caseData = null;
+
+    // CaseData as returned by CaseTrackingController
+    @api
+    get caseData() {
+        return this._caseData;
+    }
+    set caseData(value) {
+        this.details = value ? localizeCase(value, this._caseData) : null;
+        this._caseData = value;
+    }
+
+    get statusRowClass() {
+        return withChange('case-status', !!this.details && this.details.statusChanged);
+    }
+
+    get statusClass() {
+        if (!this.details) return '';
+
+        switch (this.details.status) {
+            case 'New':
+                return 'slds-badge slds-badge_lightest';
+            case 'In Progress':
+                return 'slds-badge slds-theme_warning';
+            case 'Escalated':
+                return 'slds-badge slds-theme_error';
+            case 'Closed':
+                return 'slds-badge slds-theme_success';
+            default:
+                return 'slds-badge';
+        }
+    }
+
+    get severityClass() {
+        if (!this.details) return '';
+
+        switch (this.details.severity) {
+            case 'Critical':
+                return 'priority-critical';
+            case 'High':
+                return 'priority-high';
+            case 'Medium':
+                return 'priority-medium';
+            case 'Low':
+                return 'priority-low';
+            default:
+                return '';
+        }
+    }
+
+    get complaintHeading() {
+        return this.details ? formatLabel(LABELS.complaintHeading, this.details.trackingNumber) : '';
+    }
+
+    // The complaint itself, or any of its work sites or en-route technicians, can be put on the map
+    get hasMapLocation() {
+        if (!this.details) return false;
+        const located = (latitude) => latitude !== null && latitude !== undefined;
+        return !!this.details.geometry || located(this.details.latitude)
+            || this.details.workOrders.some((workOrder) => located(workOrder.latitude) || located(workOrder.technicianLatitude));
+    }
+
+    get hasLocation() {
+        return !!this.details && (!!this.details.address || this.hasMapLocation);
+    }
+
+    get hasWorkOrders() {
+        return this.details && this.details.workOrders.length > 0;
+    }
+
+    get hasActionLogs() {
+        return this.details && this.details.actionLogs.length > 0;
+    }
+
+    get hasPhotos() {
+        return this.details && this.details.photos && this.details.photos.length > 0;
+    }
+
+    get hasPhotoSection() {
+        return this.hasPhotos || !!this.unpublishedPhotoText;
+    }
+
+    // Photos nobody has redacted yet are kept off the public page
+    get unpublishedPhotoText() {
+        const count = (this.details && this.details.unpublishedPhotoCount) || 0;
+        if (!count) {
+            return '';
+        }
+        return count === 1 ? LABELS.unpublishedOne : formatLabel(LABELS.unpublishedMany, count);
+    }
+}
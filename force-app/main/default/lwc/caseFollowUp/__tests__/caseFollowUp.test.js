@@ -0,0 +1,212 @@
+import { createElement } from '@lwc/engine-dom';
+import CaseFollowUp from 'c/caseFollowUp';
+import addFollowUp from '@salesforce/apex/CaseFollowUpController.addFollowUp';
+import uploadFile from '@salesforce/apex/ComplaintFormController.uploadFile';
+
+jest.mock(
+    '@salesforce/apex/CaseFollowUpController.addFollowUp',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/ComplaintFormController.uploadFile',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+
+jest.mock('c/imageProcessor', () => ({
+    compressImage: jest.fn((file) => Promise.resolve(file)),
+    isCompressibleImage: jest.fn((file) => file.type.startsWith('image/'))
+}));
+
+const OPEN_CASE = {
+    id: '500000000000001',
+    trackingNumber: 'CC251019-K7M35',
+    status: 'In Progress',
+    isClosed: false
+};
+
+const GRANT = '9f86d081884c7d659a2feaa0c55ad015';
+
+function flushPromises() {
+    // eslint-disable-next-line @lwc/lwc/no-async-operation
+    return new Promise((resolve) => setTimeout(resolve, 0));
+}
+
+// Reading an attachment takes a few turns of the event loop
+async function settle() {
+    for (let i = 0; i < 5; i++) {
+        // eslint-disable-next-line no-await-in-loop
+        await flushPromises();
+    }
+}
+
+async function createPanel(caseData = OPEN_CASE) {
+    const element = createElement('c-case-follow-up', { is: CaseFollowUp });
+    element.caseData = caseData;
+    document.body.appendChild(element);
+    await flushPromises();
+    return element;
+}
+
+function clickButton(element, label) {
+    Array.from(element.shadowRoot.querySelectorAll('lightning-button'))
+        .find((button) => button.label === label)
+        .click();
+}
+
+function change(element, selector, value) {
+    const input = element.shadowRoot.querySelector(selector);
+    input.value = value;
+    input.dispatchEvent(new CustomEvent('change'));
+}
+
+function pickFiles(element, files) {
+    const input = element.shadowRoot.querySelector('.attachment-input');
+    input.files = files;
+    input.dispatchEvent(new CustomEvent('change'));
+}
+
+async function openPanel(element) {
+    clickButton(element, 'Add Update');
+    await flushPromises();
+}
+
+describe('c-case-follow-up', () => {
+    afterEach(() => {
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+        jest.clearAllMocks();
+    });
+
+    it('is not offered on a closed complaint', async () => {
+        const element = await createPanel({ ...OPEN_CASE, status: 'Closed', isClosed: true });
+
+        expect(element.shadowRoot.querySelector('.case-follow-up')).toBeNull();
+    });
+
+    it('needs the submission email and something to add', async () => {
+        const element = await createPanel();
+        await openPanel(element);
+
+        change(element, '.comment-input', 'The pothole has doubled in size');
+        clickButton(element, 'Send Update');
+        await flushPromises();
+        expect(element.shadowRoot.querySelector('.follow-up-error').textContent).toBe(
+            'Please enter the email address you filed the complaint with.'
+        );
+
+        change(element, '.comment-input', '');
+        change(element, '.email-input', 'asha@example.com');
+        clickButton(element, 'Send Update');
+        await flushPromises();
+        expect(element.shadowRoot.querySelector('.follow-up-error').textContent).toBe('Please write an update or add a photo.');
+        expect(addFollowUp).not.toHaveBeenCalled();
+    });
+
+    it('posts the comment and uploads the attachments to the case', async () => {
+        addFollowUp.mockResolvedValue({ success: true, caseId: OPEN_CASE.id, uploadGrant: GRANT });
+        uploadFile.mockResolvedValue(true);
+        const element = await createPanel();
+        const updated = jest.fn();
+        element.addEventListener('updated', updated);
+        await openPanel(element);
+
+        change(element, '.email-input', ' asha@example.com ');
+        change(element, '.comment-input', 'Crew left the job half-done');
+        pickFiles(element, [new File([new Uint8Array(16)], 'half-done.jpg', { type: 'image/jpeg' })]);
+        await flushPromises();
+        expect(element.shadowRoot.querySelectorAll('.attachment-list li')).toHaveLength(1);
+
+        clickButton(element, 'Send Update');
+        await settle();
+
+        expect(addFollowUp).toHaveBeenCalledWith({
+            trackingToken: 'CC251019-K7M35',
+            email: 'asha@example.com',
+            comment: 'Crew left the job half-done',
+            clientId: expect.stringMatching(/^[a-f0-9]{32}$/)
+        });
+        expect(uploadFile).toHaveBeenCalledWith(expect.objectContaining({
+            uploadGrant: GRANT,
+            fileName: 'half-done.jpg'
+        }));
+        expect(updated).toHaveBeenCalled();
+        expect(element.shadowRoot.querySelector('.follow-up-form')).toBeNull();
+        expect(element.shadowRoot.querySelector('.follow-up-sent').textContent).toContain('Your update has been added');
+    });
+
+    it('turns away files that are not photos or videos', async () => {
+        const element = await createPanel();
+        await openPanel(element);
+
+        pickFiles(element, [new File(['%PDF'], 'letter.pdf', { type: 'application/pdf' })]);
+        await flushPromises();
+
+        expect(element.shadowRoot.querySelector('.attachment-list')).toBeNull();
+        expect(element.shadowRoot.querySelector('.follow-up-error').textContent).toContain('letter.pdf cannot be attached');
+    });
+
+    it('says so when the email does not match the complaint', async () => {
+        addFollowUp.mockResolvedValue({ success: false, notMatched: true, errorMessage: 'No complaint' });
+        const element = await createPanel();
+        await openPanel(element);
+
+        change(element, '.email-input', 'someone@example.com');
+        change(element, '.comment-input', 'Still there');
+        clickButton(element, 'Send Update');
+        await flushPromises();
+
+        expect(element.shadowRoot.querySelector('.follow-up-error').textContent).toContain('does not match the complaint');
+        expect(element.shadowRoot.querySelector('.follow-up-form')).not.toBeNull();
+        expect(uploadFile).not.toHaveBeenCalled();
+    });
+
+    it('lists attachments that could not be uploaded', async () => {
+        addFollowUp.mockResolvedValue({ success: true, caseId: OPEN_CASE.id, uploadGrant: GRANT });
+        uploadFile.mockResolvedValue(false);
+        const element = await createPanel();
+        await openPanel(element);
+
+        change(element, '.email-input', 'asha@example.com');
+        pickFiles(element, [new File([new Uint8Array(16)], 'after.jpg', { type: 'image/jpeg' })]);
+        await flushPromises();
+        clickButton(element, 'Send Update');
+        await settle();
+
+        expect(element.shadowRoot.querySelector('.follow-up-sent').textContent).toContain(
+            'Some attachments could not be uploaded: after.jpg'
+        );
+    });
+
+    it('offers the platform upload for videos too large to send with the update', async () => {
+        addFollowUp.mockResolvedValue({ success: true, caseId: OPEN_CASE.id, uploadGrant: GRANT });
+        const element = await createPanel();
+        const updated = jest.fn();
+        element.addEventListener('updated', updated);
+        await openPanel(element);
+
+        change(element, '.email-input', 'asha@example.com');
+        change(element, '.comment-input', 'Video of the crew leaving');
+        pickFiles(element, [new File([new Uint8Array(5 * 1024 * 1024)], 'crew.mp4', { type: 'video/mp4' })]);
+        await flushPromises();
+
+        expect(element.shadowRoot.querySelector('.attachment-list')).toBeNull();
+        expect(element.shadowRoot.querySelector('.follow-up-error').textContent).toBe(
+            'crew.mp4 is too large to send with the update. You can add it once the update is sent.'
+        );
+
+        clickButton(element, 'Send Update');
+        await settle();
+
+        expect(uploadFile).not.toHaveBeenCalled();
+        const fileUpload = element.shadowRoot.querySelector('.large-file-upload');
+        expect(fileUpload.fileFieldName).toBe('Upload_Grant_fileupload__c');
+        expect(fileUpload.fileFieldValue).toBe(GRANT);
+
+        updated.mockClear();
+        fileUpload.dispatchEvent(new CustomEvent('uploadfinished', { detail: { files: [{ name: 'crew.mp4' }] } }));
+        expect(updated).toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,183 @@
+// caseFollowUp.js - "Add update" panel on the tracking page: a comment and more attachments for an open complaint
+import { LightningElement, api, track } from 'lwc';
+import addFollowUp from '@salesforce/apex/CaseFollowUpController.addFollowUp';
+import {
+    createUploadEntry,
+    uploadAttachment,
+    formatFileSize,
+    MAX_FILE_SIZE,
+    MAX_DIRECT_UPLOAD_SIZE,
+    UPLOAD_GRANT_FIELD
+} from 'c/attachmentUploader';
+import { compressImage, isCompressibleImage } from 'c/imageProcessor';
+import { DEFAULT_ACCEPTED_FILE_TYPES, isAcceptedFileType } from 'c/complaintFormSettings';
+import { formatLabel } from 'c/civicI18n';
+import { getClientId } from 'c/clientIdentity';
+import { runSequentially } from 'c/sequentialTasks';
+import { LABELS } from 'c/caseTrackingLabels';
+
+export default class CaseFollowUp extends LightningElement {
+    labels = LABELS;
+    acceptAttribute = DEFAULT_ACCEPTED_FILE_TYPES.join(',');
+    uploadGrantField = UPLOAD_GRANT_FIELD;
+    @track open = false;
+    @track email = '';
+    @track comment = '';
+    @track attachments = [];
+    @track error = null;
+    @track sending = false;
+    @track sent = false;
+    @track failedNames = [];
+    // Returned with the sent update; lets the citizen add videos and larger files for a while
+    uploadGrant = null;
+    _caseData = null;
+
+    // CaseData as returned by CaseTrackingController
+    @api
+    get caseData() {
+        return this._caseData;
+    }
+    set caseData(value) {
+        if (!value || !this._caseData || value.id !== this._caseData.id) {
+            this.open = false;
+            this.sent = false;
+            this.uploadGrant = null;
+            this.resetForm();
+        }
+        this._caseData = value;
+    }
+
+    resetForm() {
+        this.comment = '';
+        this.attachments = [];
+        this.error = null;
+        this.failedNames = [];
+    }
+
+    // Closed complaints are reopened instead
+    get canAddUpdate() {
+        return !!this._caseData && this._caseData.isClosed !== true;
+    }
+
+    get hasAttachments() {
+        return this.attachments.length > 0;
+    }
+
+    get attachmentsFailedText() {
+        return this.failedNames.length ? formatLabel(LABELS.followUpAttachmentsFailed, this.failedNames.join(', ')) : '';
+    }
+
+    handleOpen() {
+        this.open = true;
+        this.sent = false;
+        this.uploadGrant = null;
+        this.resetForm();
+    }
+
+    handleCancel() {
+        this.open = false;
+        this.resetForm();
+    }
+
+    handleEmailChange(event) {
+        this.email = event.target.value;
+        this.error = null;
+    }
+
+    handleCommentChange(event) {
+        this.comment = event.target.value;
+        this.error = null;
+    }
+
+    // Photos are shrunk like on the complaint form; whatever is still too big to send with the update
+    // is added through the platform upload once the update is sent
+    async handleAttachmentsChange(event) {
+        const files = Array.from(event.target.files || []);
+        const accepted = files.filter(
+            (file) => isAcceptedFileType(file, DEFAULT_ACCEPTED_FILE_TYPES) && file.size <= MAX_FILE_SIZE
+        );
+        const rejected = files.filter((file) => !accepted.includes(file)).map((file) => file.name);
+        const prepared = await runSequentially(accepted, (file) => (isCompressibleImage(file) ? compressImage(file) : file));
+        const entries = [];
+        const afterSend = [];
+        prepared.forEach((file, index) => {
+            if (file.size <= MAX_DIRECT_UPLOAD_SIZE) {
+                entries.push(createUploadEntry(file));
+            } else {
+                afterSend.push(accepted[index].name);
+            }
+        });
+        this.attachments = [...this.attachments, ...entries];
+        const messages = [];
+        if (rejected.length) {
+            messages.push(formatLabel(LABELS.followUpFileRejected, rejected.join(', '), formatFileSize(MAX_FILE_SIZE)));
+        }
+        if (afterSend.length) {
+            messages.push(formatLabel(LABELS.followUpFileAfterSend, afterSend.join(', ')));
+        }
+        this.error = messages.length ? messages.join(' ') : null;
+    }
+
+    handleRemoveAttachment(event) {
+        const key = event.currentTarget.dataset.key;
+        this.attachments = this.attachments.filter((entry) => entry.key !== key);
+    }
+
+    async handleSend() {
+        if (!this.email.trim()) {
+            this.error = LABELS.followUpEmailRequired;
+            return;
+        }
+        if (!this.comment.trim() && !this.hasAttachments) {
+            this.error = LABELS.followUpEmpty;
+            return;
+        }
+        this.sending = true;
+        this.error = null;
+        try {
+            const result = await addFollowUp({
+                trackingToken: this._caseData.trackingNumber,
+                email: this.email.trim(),
+                comment: this.comment.trim(),
+                clientId: getClientId()
+            });
+            if (!result.success) {
+                console.error('Follow-up rejected:', result.errorMessage);
+                this.error = result.notMatched ? LABELS.followUpNotMatched : LABELS.followUpFailed;
+                return;
+            }
+            const failedNames = await this.uploadAttachments(result.uploadGrant);
+            this.resetForm();
+            this.failedNames = failedNames;
+            this.uploadGrant = result.uploadGrant;
+            this.open = false;
+            this.sent = true;
+            // The page reloads the case so the comment shows up on the timeline
+            this.dispatchEvent(new CustomEvent('updated'));
+        } catch (error) {
+            console.error('Follow-up failed:', error);
+            this.error = LABELS.followUpFailed;
+        } finally {
+            this.sending = false;
+        }
+    }
+
+    // Same path as the complaint form's attachments; returns the names that could not be stored
+    async uploadAttachments(uploadGrant) {
+        const failedNames = await runSequentially(this.attachments, (entry) =>
+            uploadAttachment(uploadGrant, entry).then(
+                () => null,
+                (error) => {
+                    console.error('Follow-up attachment upload failed:', error);
+                    return entry.name;
+                }
+            )
+        );
+        return failedNames.filter(Boolean);
+    }
+
+    // The platform saved the files; the page reloads the case so they show up on the timeline
+    handleLargeFilesUploaded() {
+        this.dispatchEvent(new CustomEvent('updated'));
+    }
+}
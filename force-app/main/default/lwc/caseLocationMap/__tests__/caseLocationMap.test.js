@@ -0,0 +1,177 @@
+import { createElement } from 'lwc';
+import CaseLocationMap from 'c/caseLocationMap';
+import { getRecord } from 'lightning/uiRecordApi';
+import { loadLeaflet } from 'c/mapService';
+
+jest.mock(
+    '@salesforce/apex/MapConfigController.getMapSettings',
+    () => ({ default: jest.fn(() => Promise.resolve(null)) }),
+    { virtual: true }
+);
+
+jest.mock('c/mapService', () => {
+    const actual = jest.requireActual('c/mapService');
+    return { ...actual, loadLeaflet: jest.fn(() => Promise.resolve()) };
+});
+
+const WORK_ORDERS = [
+    {
+        id: 'a01000000000001',
+        name: 'WO-0001',
+        status: 'En Route',
+        technician: 'Ravi Shah',
+        latitude: 23.0226,
+        longitude: 72.5715,
+        technicianLatitude: 23.03,
+        technicianLongitude: 72.56,
+        technicianLocationTime: '2025-10-20T04:30:00.000Z'
+    },
+    { id: 'a01000000000002', name: 'WO-0002', status: 'Completed', latitude: 23.021, longitude: 72.57 },
+    { id: 'a01000000000003', name: 'WO-0003', status: 'Assigned' }
+];
+
+const LINE = JSON.stringify({ type: 'LineString', coordinates: [[72.558, 23.0395], [72.558, 23.03]] });
+
+function fakeLeaflet() {
+    const layer = () => {
+        const result = {
+            addTo: jest.fn(() => result),
+            bindPopup: jest.fn(() => result),
+            getBounds: jest.fn(() => 'bounds')
+        };
+        return result;
+    };
+    const bounds = { extend: jest.fn(() => bounds) };
+    const map = { fitBounds: jest.fn(), setView: jest.fn(), removeLayer: jest.fn(), remove: jest.fn() };
+    return {
+        map: jest.fn(() => map),
+        tileLayer: jest.fn(layer),
+        marker: jest.fn(layer),
+        polyline: jest.fn(layer),
+        polygon: jest.fn(layer),
+        circleMarker: jest.fn(layer),
+        layerGroup: jest.fn(layer),
+        latLngBounds: jest.fn(() => bounds),
+        mapInstance: map,
+        boundsInstance: bounds
+    };
+}
+
+// eslint-disable-next-line @lwc/lwc/no-async-operation
+const flushPromises = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+describe('c-case-location-map', () => {
+    beforeEach(() => {
+        window.L = fakeLeaflet();
+    });
+
+    afterEach(() => {
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+        delete window.L;
+        jest.clearAllMocks();
+    });
+
+    it('draws a stored line and shows its stretch length', async () => {
+        const element = createElement('c-case-location-map', { is: CaseLocationMap });
+        element.latitude = 23.03475;
+        element.longitude = 72.558;
+        element.geometry = LINE;
+        element.stretchLengthMeters = 1056;
+        document.body.appendChild(element);
+        await flushPromises();
+
+        expect(loadLeaflet).toHaveBeenCalled();
+        expect(element.shadowRoot.querySelector('.shape-summary').textContent).toBe('Line, 1.06 km');
+        expect(window.L.polyline).toHaveBeenCalledWith(
+            [[23.0395, 72.558], [23.03, 72.558]],
+            expect.objectContaining({ weight: 5 })
+        );
+        expect(window.L.mapInstance.fitBounds).toHaveBeenCalled();
+        expect(window.L.marker).not.toHaveBeenCalled();
+    });
+
+    it('falls back to a marker at the pinned point', async () => {
+        const element = createElement('c-case-location-map', { is: CaseLocationMap });
+        element.latitude = 23.0225;
+        element.longitude = 72.5714;
+        document.body.appendChild(element);
+        await flushPromises();
+
+        expect(window.L.marker).toHaveBeenCalledWith([23.0225, 72.5714]);
+        expect(element.shadowRoot.querySelector('.shape-summary')).toBeNull();
+    });
+
+    it('reads the location from the Case on a record page', async () => {
+        const element = createElement('c-case-location-map', { is: CaseLocationMap });
+        element.recordId = '500000000000001AAA';
+        document.body.appendChild(element);
+
+        expect(element.shadowRoot.querySelector('.no-location')).not.toBeNull();
+
+        getRecord.emit({
+            fields: {
+                Latitude__c: { value: 23.03475 },
+                Longitude__c: { value: 72.558 },
+                Location_Geometry__c: { value: LINE },
+                Stretch_Length_Meters__c: { value: 1056 }
+            }
+        });
+        await flushPromises();
+
+        expect(element.shadowRoot.querySelector('.no-location')).toBeNull();
+        expect(element.shadowRoot.querySelector('.shape-summary').textContent).toBe('Line, 1.06 km');
+        expect(window.L.polyline).toHaveBeenCalled();
+    });
+
+    it('adds the work sites and the en-route technician and fits them all in view', async () => {
+        const element = createElement('c-case-location-map', { is: CaseLocationMap });
+        element.latitude = 23.0225;
+        element.longitude = 72.5714;
+        element.workOrders = WORK_ORDERS;
+        document.body.appendChild(element);
+        await flushPromises();
+
+        const L = window.L;
+        expect(L.marker).toHaveBeenCalledWith([23.0225, 72.5714]);
+        expect(L.circleMarker).toHaveBeenCalledTimes(3);
+        expect(L.circleMarker).toHaveBeenCalledWith([23.0226, 72.5715], expect.objectContaining({ color: '#dd7a01' }));
+        expect(L.circleMarker).toHaveBeenCalledWith([23.021, 72.57], expect.objectContaining({ color: '#2e844a' }));
+        const popups = L.circleMarker.mock.results.map((result) => result.value.bindPopup.mock.calls[0][0]);
+        expect(popups[0]).toBe('<strong>WO-0001</strong><br>En Route');
+        expect(popups[1]).toMatch(/^<strong>Technician on the way<\/strong><br>Ravi Shah<br>Position reported Oct 19, 2025, 9:30\sPM$/);
+        expect(L.latLngBounds).toHaveBeenCalledWith([[23.0226, 72.5715], [23.03, 72.56], [23.021, 72.57]]);
+        expect(L.boundsInstance.extend).toHaveBeenCalledWith([23.0225, 72.5714]);
+        expect(L.mapInstance.fitBounds).toHaveBeenCalledWith(L.boundsInstance, expect.objectContaining({ maxZoom: 16 }));
+        expect(L.mapInstance.setView).not.toHaveBeenCalled();
+
+        const legend = element.shadowRoot.querySelector('.map-legend');
+        expect(legend.querySelectorAll('li')).toHaveLength(3);
+        expect(legend.textContent).toContain('Technician on the way');
+    });
+
+    it('shows a map of the work orders when the complaint has no location of its own', async () => {
+        const element = createElement('c-case-location-map', { is: CaseLocationMap });
+        element.workOrders = [WORK_ORDERS[1]];
+        document.body.appendChild(element);
+        await flushPromises();
+
+        expect(element.shadowRoot.querySelector('.no-location')).toBeNull();
+        expect(window.L.marker).not.toHaveBeenCalled();
+        expect(window.L.circleMarker).toHaveBeenCalledTimes(1);
+        const legend = element.shadowRoot.querySelector('.map-legend');
+        expect(legend.textContent).not.toContain('Complaint location');
+        expect(legend.textContent).not.toContain('Technician on the way');
+    });
+
+    it('escapes names shown in popups', async () => {
+        const element = createElement('c-case-location-map', { is: CaseLocationMap });
+        element.workOrders = [{ ...WORK_ORDERS[1], name: '<img src=x>' }];
+        document.body.appendChild(element);
+        await flushPromises();
+
+        const popup = window.L.circleMarker.mock.results[0].value.bindPopup.mock.calls[0][0];
+        expect(popup).toContain('&#60;img src=x&#62;');
+    });
+});
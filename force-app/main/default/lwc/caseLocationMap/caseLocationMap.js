@@ -0,0 +1,276 @@
+// caseLocationMap.js - Read-only map of a complaint's point or drawn line/area and its work orders, for the tracking page and Case record pages
+import { LightningElement, api, wire } from 'lwc';
+import { getRecord, getFieldValue } from 'lightning/uiRecordApi';
+import getMapSettings from '@salesforce/apex/MapConfigController.getMapSettings';
+import { loadLeaflet, resolveMapSettings, createTileLayer, escapeHtml } from 'c/mapService';
+import { parseGeometry, createGeometryLayer, describeGeometry } from 'c/locationGeometry';
+import { formatLabel, formatDateTime, statusLabel } from 'c/civicI18n';
+import { LABELS } from 'c/caseTrackingLabels';
+import LATITUDE_FIELD from '@salesforce/schema/Case.Latitude__c';
+import LONGITUDE_FIELD from '@salesforce/schema/Case.Longitude__c';
+import GEOMETRY_FIELD from '@salesforce/schema/Case.Location_Geometry__c';
+import STRETCH_LENGTH_FIELD from '@salesforce/schema/Case.Stretch_Length_Meters__c';
+
+const CASE_FIELDS = [LATITUDE_FIELD, LONGITUDE_FIELD, GEOMETRY_FIELD, STRETCH_LENGTH_FIELD];
+const POINT_ZOOM = 16;
+const FIT_PADDING = [20, 20];
+
+// Work site markers are coloured by how far the work order has got
+const WORK_ORDER_COLORS = {
+    Completed: '#2e844a',
+    Rejected: '#706e6b',
+    Cancelled: '#706e6b'
+};
+const OPEN_WORK_ORDER_COLOR = '#dd7a01';
+const TECHNICIAN_COLOR = '#9050e9';
+
+function hasCoordinates(latitude, longitude) {
+    return latitude !== null && latitude !== undefined && longitude !== null && longitude !== undefined;
+}
+
+export default class CaseLocationMap extends LightningElement {
+    // On a Case record page the location is read from the record; elsewhere it is passed in
+    @api recordId;
+    @api mapSettingName = 'Default';
+
+    @api
+    get latitude() {
+        return this.location.latitude;
+    }
+    set latitude(value) {
+        this.setLocation({ latitude: value });
+    }
+
+    @api
+    get longitude() {
+        return this.location.longitude;
+    }
+    set longitude(value) {
+        this.setLocation({ longitude: value });
+    }
+
+    // GeoJSON text (or object) of a drawn line or area
+    @api
+    get geometry() {
+        return this.location.geometry;
+    }
+    set geometry(value) {
+        this.setLocation({ geometry: value });
+    }
+
+    @api
+    get stretchLengthMeters() {
+        return this.location.stretchLengthMeters;
+    }
+    set stretchLengthMeters(value) {
+        this.setLocation({ stretchLengthMeters: value });
+    }
+
+    // WorkOrderData from CaseTrackingController; those with coordinates are drawn next to the complaint
+    @api
+    get workOrders() {
+        return this._workOrders;
+    }
+    set workOrders(value) {
+        this._workOrders = value || [];
+        this.refresh();
+    }
+
+    labels = LABELS;
+    location = { latitude: null, longitude: null, geometry: null, stretchLengthMeters: null };
+    _workOrders = [];
+    mapSettings = resolveMapSettings();
+    leafletLoaded = false;
+    map = null;
+    shapeLayer = null;
+    workOrderLayer = null;
+
+    @wire(getRecord, { recordId: '$recordId', fields: CASE_FIELDS })
+    wiredCase({ data, error }) {
+        if (data) {
+            this.setLocation({
+                latitude: getFieldValue(data, LATITUDE_FIELD),
+                longitude: getFieldValue(data, LONGITUDE_FIELD),
+                geometry: getFieldValue(data, GEOMETRY_FIELD),
+                stretchLengthMeters: getFieldValue(data, STRETCH_LENGTH_FIELD)
+            });
+        } else if (error) {
+            console.error('Case location could not be loaded:', error);
+        }
+    }
+
+    connectedCallback() {
+        this.mapSettingsPromise = getMapSettings({ settingName: this.mapSettingName })
+            .then((metadataSettings) => {
+                this.mapSettings = resolveMapSettings(null, metadataSettings);
+            })
+            .catch((error) => {
+                console.error('Map settings could not be loaded, using defaults:', error);
+            });
+
+        loadLeaflet(this)
+            .then(() => {
+                this.leafletLoaded = true;
+                this.initializeMap();
+            })
+            .catch((error) => {
+                console.error('Leaflet could not be loaded:', error);
+            });
+    }
+
+    renderedCallback() {
+        this.initializeMap();
+    }
+
+    disconnectedCallback() {
+        this.removeMap();
+    }
+
+    setLocation(changes) {
+        this.location = { ...this.location, ...changes };
+        this.refresh();
+    }
+
+    refresh() {
+        if (!this.hasLocation) {
+            // The container is about to be removed from the template
+            this.removeMap();
+        }
+        this.drawLocation();
+    }
+
+    get shape() {
+        return parseGeometry(this.location.geometry);
+    }
+
+    get hasCaseLocation() {
+        const { latitude, longitude } = this.location;
+        return !!this.shape || hasCoordinates(latitude, longitude);
+    }
+
+    get mappedWorkOrders() {
+        return this._workOrders.filter(
+            (workOrder) => hasCoordinates(workOrder.latitude, workOrder.longitude)
+                || hasCoordinates(workOrder.technicianLatitude, workOrder.technicianLongitude)
+        );
+    }
+
+    get hasLocation() {
+        return this.hasCaseLocation || this.mappedWorkOrders.length > 0;
+    }
+
+    get showLegend() {
+        return this.mappedWorkOrders.length > 0;
+    }
+
+    get hasTechnicianPositions() {
+        return this._workOrders.some((workOrder) => hasCoordinates(workOrder.technicianLatitude, workOrder.technicianLongitude));
+    }
+
+    get shapeText() {
+        const shape = this.shape;
+        if (!shape) {
+            return '';
+        }
+        const length = this.location.stretchLengthMeters;
+        return describeGeometry(shape, length === null || length === undefined ? undefined : Number(length));
+    }
+
+    async initializeMap() {
+        if (!this.leafletLoaded || this.map || this.isInitializingMap || !this.hasLocation) return;
+
+        const container = this.template.querySelector('.map-container');
+        if (!container) return;
+
+        this.isInitializingMap = true;
+        await this.mapSettingsPromise;
+        this.isInitializingMap = false;
+        if (!container.isConnected || this.map) return;
+
+        const L = window.L;
+        this.map = L.map(container);
+        createTileLayer(L, this.mapSettings).addTo(this.map);
+        this.drawLocation();
+    }
+
+    // Shows the drawn shape when there is one, otherwise the pinned point, then the work orders around it
+    drawLocation() {
+        if (!this.map) return;
+        const L = window.L;
+        if (this.shapeLayer) {
+            this.map.removeLayer(this.shapeLayer);
+            this.shapeLayer = null;
+        }
+        if (this.workOrderLayer) {
+            this.map.removeLayer(this.workOrderLayer);
+            this.workOrderLayer = null;
+        }
+
+        const shape = this.shape;
+        const { latitude, longitude } = this.location;
+        if (shape) {
+            this.shapeLayer = createGeometryLayer(L, shape).addTo(this.map);
+        } else if (this.hasCaseLocation) {
+            this.shapeLayer = L.marker([latitude, longitude]).addTo(this.map);
+        }
+
+        const points = this.drawWorkOrders(L);
+        if (points.length === 0) {
+            if (shape) {
+                this.map.fitBounds(this.shapeLayer.getBounds(), { padding: FIT_PADDING });
+            } else if (this.shapeLayer) {
+                this.map.setView([latitude, longitude], POINT_ZOOM);
+            }
+            return;
+        }
+
+        const bounds = L.latLngBounds(points);
+        if (shape) {
+            bounds.extend(this.shapeLayer.getBounds());
+        } else if (this.shapeLayer) {
+            bounds.extend([latitude, longitude]);
+        }
+        this.map.fitBounds(bounds, { padding: FIT_PADDING, maxZoom: POINT_ZOOM });
+    }
+
+    // Each work site in its status colour, and where an en-route technician last reported from.
+    // Returns the points drawn so the map can fit them all.
+    drawWorkOrders(L) {
+        const workOrders = this.mappedWorkOrders;
+        if (workOrders.length === 0) {
+            return [];
+        }
+        const points = [];
+        this.workOrderLayer = L.layerGroup().addTo(this.map);
+        workOrders.forEach((workOrder) => {
+            if (hasCoordinates(workOrder.latitude, workOrder.longitude)) {
+                const point = [workOrder.latitude, workOrder.longitude];
+                const color = WORK_ORDER_COLORS[workOrder.status] || OPEN_WORK_ORDER_COLOR;
+                L.circleMarker(point, { radius: 8, color, fillColor: color, fillOpacity: 0.7 })
+                    .bindPopup(`<strong>${escapeHtml(workOrder.name)}</strong><br>${escapeHtml(statusLabel(workOrder.status))}`)
+                    .addTo(this.workOrderLayer);
+                points.push(point);
+            }
+            if (hasCoordinates(workOrder.technicianLatitude, workOrder.technicianLongitude)) {
+                const point = [workOrder.technicianLatitude, workOrder.technicianLongitude];
+                const reported = workOrder.technicianLocationTime
+                    ? `<br>${escapeHtml(formatLabel(LABELS.mapLastReported, formatDateTime(workOrder.technicianLocationTime)))}`
+                    : '';
+                L.circleMarker(point, { radius: 7, color: '#ffffff', weight: 2, fillColor: TECHNICIAN_COLOR, fillOpacity: 1 })
+                    .bindPopup(`<strong>${escapeHtml(LABELS.mapTechnician)}</strong><br>${escapeHtml(workOrder.technician || workOrder.name)}${reported}`)
+                    .addTo(this.workOrderLayer);
+                points.push(point);
+            }
+        });
+        return points;
+    }
+
+    removeMap() {
+        if (this.map) {
+            this.map.remove();
+            this.map = null;
+            this.shapeLayer = null;
+            this.workOrderLayer = null;
+        }
+    }
+}
@@ -0,0 +1,287 @@
+import { createElement } from '@lwc/engine-dom';
+import CaseTracking, { CASE_UPDATE_CHANNEL, POLL_INTERVAL_MS } from 'c/caseTracking';
+import { subscribe, unsubscribe, isEmpEnabled } from 'lightning/empApi';
+import getCaseDetails from '@salesforce/apex/CaseTrackingController.getCaseDetails';
+import confirmFollow from '@salesforce/apex/DuplicateComplaintController.confirmFollow';
+import stopFollowing from '@salesforce/apex/DuplicateComplaintController.stopFollowing';
+
+jest.mock(
+    '@salesforce/apex/CaseTrackingController.getCaseDetails',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/DuplicateComplaintController.confirmFollow',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/DuplicateComplaintController.stopFollowing',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+
+const CASE_DATA = {
+    id: '500000000000001',
+    caseNumber: '00001001',
+    trackingNumber: 'CC251019-K7M35',
+    subject: 'Streetlight - Lamp out on CG Road',
+    status: 'New',
+    severity: 'Medium',
+    workOrders: [],
+    actionLogs: [],
+    photos: []
+};
+
+function flushPromises() {
+    // eslint-disable-next-line @lwc/lwc/no-async-operation
+    return new Promise((resolve) => setTimeout(resolve, 0));
+}
+
+function createTracker() {
+    const element = createElement('c-case-tracking', { is: CaseTracking });
+    document.body.appendChild(element);
+    return element;
+}
+
+// The complaint itself is rendered by c-case-details
+function detailsRoot(element) {
+    return element.shadowRoot.querySelector('c-case-details').shadowRoot;
+}
+
+function clickButton(element, label) {
+    Array.from(element.shadowRoot.querySelectorAll('lightning-button'))
+        .find((button) => button.label === label)
+        .click();
+}
+
+async function track(element, trackingNumber) {
+    const input = element.shadowRoot.querySelector('.tracking-input');
+    input.value = trackingNumber;
+    input.dispatchEvent(new CustomEvent('change'));
+    clickButton(element, 'Track Complaint');
+    await flushPromises();
+}
+
+describe('c-case-tracking', () => {
+    afterEach(() => {
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+        window.history.replaceState({}, '', '/');
+        jest.clearAllMocks();
+    });
+
+    it('looks up a valid tracking number', async () => {
+        getCaseDetails.mockResolvedValue({ success: true, caseData: CASE_DATA });
+        const element = createTracker();
+
+        await track(element, 'cc251019-k7m35');
+
+        expect(getCaseDetails).toHaveBeenCalledWith({ trackingToken: 'CC251019-K7M35' });
+        expect(element.shadowRoot.querySelector('.case-details')).not.toBeNull();
+    });
+
+    it('offers the likely number for a typo without calling the server', async () => {
+        getCaseDetails.mockResolvedValue({ success: true, caseData: CASE_DATA });
+        const element = createTracker();
+
+        await track(element, 'CC251019-7KM35');
+
+        expect(getCaseDetails).not.toHaveBeenCalled();
+        expect(element.shadowRoot.querySelector('.token-hint').textContent).toContain('Did you mean CC251019-K7M35?');
+
+        clickButton(element, 'Track CC251019-K7M35');
+        await flushPromises();
+
+        expect(getCaseDetails).toHaveBeenCalledWith({ trackingToken: 'CC251019-K7M35' });
+        expect(element.shadowRoot.querySelector('.case-details')).not.toBeNull();
+    });
+
+    it('explains the expected format for anything else', async () => {
+        const element = createTracker();
+
+        await track(element, 'my complaint');
+
+        expect(getCaseDetails).not.toHaveBeenCalled();
+        expect(element.shadowRoot.querySelector('.token-hint').textContent).toContain('Tracking numbers look like');
+        expect(element.shadowRoot.querySelector('.token-hint lightning-button')).toBeNull();
+    });
+
+    it('only shows redacted photos and says how many are held back', async () => {
+        getCaseDetails.mockResolvedValue({
+            success: true,
+            caseData: {
+                ...CASE_DATA,
+                photos: [{ id: '069000000000001', title: 'pothole.jpg', url: '/sfc/servlet.shepherd/document/download/069000000000001' }],
+                unpublishedPhotoCount: 2
+            }
+        });
+        const element = createTracker();
+
+        await track(element, 'CC251019-K7M35');
+
+        expect(detailsRoot(element).querySelectorAll('.photo-thumbnail')).toHaveLength(1);
+        expect(detailsRoot(element).querySelector('.unpublished-photos').textContent).toContain('2 photos are not shown');
+    });
+
+    it('maps the drawn stretch of road', async () => {
+        const geometry = JSON.stringify({ type: 'LineString', coordinates: [[72.558, 23.0395], [72.558, 23.03]] });
+        getCaseDetails.mockResolvedValue({
+            success: true,
+            caseData: { ...CASE_DATA, address: 'CG Road', latitude: 23.03475, longitude: 72.558, geometry, stretchLengthMeters: 1056 }
+        });
+        const element = createTracker();
+
+        await track(element, 'CC251019-K7M35');
+
+        const map = detailsRoot(element).querySelector('c-case-location-map');
+        expect(map.geometry).toBe(geometry);
+        expect(map.stretchLengthMeters).toBe(1056);
+    });
+
+    it('shows stored values by their display names and dates in the user locale', async () => {
+        getCaseDetails.mockResolvedValue({
+            success: true,
+            caseData: {
+                ...CASE_DATA,
+                issueType: 'Streetlight',
+                issueTypeLabel: 'स्ट्रीटलाइट',
+                createdDate: '2025-10-19T10:30:00.000Z',
+                actionLogs: [{ id: 'a00000000000001', actionType: 'Case Created', createdDate: '2025-10-19T10:30:00.000Z' }]
+            }
+        });
+        const element = createTracker();
+
+        await track(element, 'CC251019-K7M35');
+
+        const details = detailsRoot(element).querySelector('.case-details');
+        expect(details.textContent).toContain('स्ट्रीटलाइट');
+        expect(details.querySelector('.case-submitted').textContent).toMatch(/Oct 19, 2025, 3:30\sAM/);
+        expect(details.querySelector('.slds-timeline__item-title').textContent).toBe('Case Created');
+    });
+
+    it('reports an unknown tracking number', async () => {
+        getCaseDetails.mockResolvedValue({ success: false, errorMessage: 'No complaint found' });
+        const element = createTracker();
+
+        await track(element, 'CC251019-K7M35');
+
+        expect(element.shadowRoot.querySelector('.token-hint').textContent).toContain(
+            'No complaint found with tracking number: CC251019-K7M35'
+        );
+    });
+
+    it('refreshes the case live when it changes and highlights what is new', async () => {
+        isEmpEnabled.mockResolvedValueOnce(true);
+        getCaseDetails.mockResolvedValue({ success: true, caseData: CASE_DATA });
+        const element = createTracker();
+        await track(element, 'CC251019-K7M35');
+
+        expect(subscribe).toHaveBeenCalledWith(CASE_UPDATE_CHANNEL, -1, expect.any(Function));
+        const onMessage = subscribe.mock.calls[0][2];
+
+        // Someone else's complaint changed
+        onMessage({ data: { payload: { Case_Id__c: '500000000000009', Change_Type__c: 'Status' } } });
+        await flushPromises();
+        expect(getCaseDetails).toHaveBeenCalledTimes(1);
+
+        getCaseDetails.mockResolvedValue({
+            success: true,
+            caseData: {
+                ...CASE_DATA,
+                status: 'In Progress',
+                actionLogs: [{ id: 'a00000000000002', actionType: 'Status Changed', createdDate: '2025-10-19T11:00:00.000Z' }]
+            }
+        });
+        onMessage({ data: { payload: { Case_Id__c: CASE_DATA.id, Change_Type__c: 'Status' } } });
+        await flushPromises();
+
+        expect(getCaseDetails).toHaveBeenCalledTimes(2);
+        const details = detailsRoot(element);
+        expect(details.querySelector('.case-status').classList).toContain('live-update');
+        expect(details.querySelector('.slds-timeline__item').classList).toContain('live-update');
+
+        clickButton(element, 'Track Another Complaint');
+        expect(unsubscribe).toHaveBeenCalled();
+    });
+
+    it('reloads the case once the citizen rates or reopens it', async () => {
+        const closed = { ...CASE_DATA, status: 'Closed', isClosed: true, canReopen: true };
+        getCaseDetails.mockResolvedValue({ success: true, caseData: closed });
+        const element = createTracker();
+        await track(element, 'CC251019-K7M35');
+
+        const feedback = element.shadowRoot.querySelector('c-resolution-feedback');
+        expect(feedback.caseData).toEqual(closed);
+
+        getCaseDetails.mockResolvedValue({ success: true, caseData: { ...closed, status: 'New', isClosed: false } });
+        feedback.dispatchEvent(new CustomEvent('updated'));
+        await flushPromises();
+
+        expect(getCaseDetails).toHaveBeenCalledTimes(2);
+        expect(element.shadowRoot.querySelector('c-resolution-feedback').caseData.status).toBe('New');
+    });
+
+    it('starts follower emails from the link in the confirmation email', async () => {
+        window.history.replaceState({}, '', '/track?follow=0123456789abcdef0123456789abcdef');
+        confirmFollow.mockResolvedValue({ success: true, caseNumber: '00001042' });
+
+        const element = createTracker();
+        await flushPromises();
+
+        expect(confirmFollow).toHaveBeenCalledWith({ token: '0123456789abcdef0123456789abcdef' });
+        expect(stopFollowing).not.toHaveBeenCalled();
+        expect(element.shadowRoot.querySelector('.follow-notice').textContent).toContain(
+            'You will now be emailed when the status of complaint 00001042 changes.'
+        );
+    });
+
+    it('stops follower emails from the link in a status email, and says when a link no longer works', async () => {
+        window.history.replaceState({}, '', '/track?unfollow=0123456789abcdef0123456789abcdef');
+        stopFollowing.mockResolvedValueOnce({ success: true, caseNumber: '00001042' });
+        stopFollowing.mockResolvedValueOnce({ success: false });
+
+        const first = createTracker();
+        await flushPromises();
+        const second = createTracker();
+        await flushPromises();
+
+        expect(first.shadowRoot.querySelector('.follow-notice').textContent).toContain(
+            'You will no longer be emailed about complaint 00001042.'
+        );
+        expect(second.shadowRoot.querySelector('.follow-notice').textContent).toContain(
+            'This link has expired or has already been used.'
+        );
+    });
+
+    it('shows no follow notice without a follow link', async () => {
+        const element = createTracker();
+        await flushPromises();
+
+        expect(confirmFollow).not.toHaveBeenCalled();
+        expect(element.shadowRoot.querySelector('.follow-notice')).toBeNull();
+    });
+
+    it('checks for changes periodically when live updates are unavailable', async () => {
+        const setIntervalSpy = jest.spyOn(window, 'setInterval');
+        const clearIntervalSpy = jest.spyOn(window, 'clearInterval');
+        isEmpEnabled.mockResolvedValueOnce(false);
+        getCaseDetails.mockResolvedValue({ success: true, caseData: CASE_DATA });
+        const element = createTracker();
+        await track(element, 'CC251019-K7M35');
+
+        expect(subscribe).not.toHaveBeenCalled();
+        const pollCall = setIntervalSpy.mock.calls.find((call) => call[1] === POLL_INTERVAL_MS);
+        expect(pollCall).toBeDefined();
+
+        pollCall[0]();
+        await flushPromises();
+        expect(getCaseDetails).toHaveBeenCalledTimes(2);
+
+        clickButton(element, 'Track Another Complaint');
+        expect(clearIntervalSpy).toHaveBeenCalled();
+        setIntervalSpy.mockRestore();
+        clearIntervalSpy.mockRestore();
+    });
+});
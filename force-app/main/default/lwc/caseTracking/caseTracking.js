@@ -1,6 +1,21 @@
 import { LightningElement, track } from 'lwc';
 import { ShowToastEvent } from 'lightning/platformShowToastEvent';
+import { subscribe, unsubscribe, onError, isEmpEnabled } from 'lightning/empApi';
 import getCaseDetails from '@salesforce/apex/CaseTrackingController.getCaseDetails';
+import confirmFollow from '@salesforce/apex/DuplicateComplaintController.confirmFollow';
+import stopFollowing from '@salesforce/apex/DuplicateComplaintController.stopFollowing';
+import { validateToken, TOKEN_EXAMPLE } from 'c/trackingToken';
+import { formatLabel } from 'c/civicI18n';
+import { LABELS } from 'c/caseTrackingLabels';
+import { startInterval } from 'c/componentTimers';
+
+// Published by CaseUpdatePublisher with the Id of the case that changed
+export const CASE_UPDATE_CHANNEL = '/event/Case_Update__e';
+// Guests cannot use the streaming API, so their page checks for changes instead
+export const POLL_INTERVAL_MS = 30000;
+// Query parameters of the links in follower emails, as CaseFollowerNotifier writes them
+export const CONFIRM_FOLLOW_PARAM = 'follow';
+export const UNFOLLOW_PARAM = 'unfollow';
 
 export default class CaseTracking extends LightningElement {
     @track trackingNumber = '';
@@ -8,45 +23,189 @@ export default class CaseTracking extends LightningElement {
     @track loading = false;
     @track error = null;
     @track showDetails = false;
+    // "Did you mean" tracking number for a typo
+    @track suggestion = null;
+    // Outcome of a follow confirmation or unsubscribe link this page was opened with
+    @track followNotice = null;
+    labels = LABELS;
+    tokenPlaceholder = formatLabel(LABELS.tokenPlaceholder, TOKEN_EXAMPLE);
+    subscription = null;
+    pollTimer = null;
+    refreshing = false;
+
+    connectedCallback() {
+        // A dropped streaming connection falls back to checking periodically
+        onError((error) => {
+            console.error('Live case updates stopped:', error);
+            if (this.subscription) {
+                this.subscription = null;
+                this.startPolling();
+            }
+        });
+        this.handleFollowLink();
+    }
+
+    disconnectedCallback() {
+        this.stopLiveUpdates();
+    }
+
+    async handleFollowLink() {
+        const params = new URL(window.location.href).searchParams;
+        const confirmToken = params.get(CONFIRM_FOLLOW_PARAM);
+        const unfollowToken = params.get(UNFOLLOW_PARAM);
+        if (!confirmToken && !unfollowToken) {
+            return;
+        }
+        try {
+            const result = confirmToken
+                ? await confirmFollow({ token: confirmToken })
+                : await stopFollowing({ token: unfollowToken });
+            this.followNotice = result.success
+                ? formatLabel(confirmToken ? LABELS.followConfirmed : LABELS.followStopped, result.caseNumber)
+                : LABELS.followLinkInvalid;
+        } catch (error) {
+            console.error('Follow link failed:', error);
+            this.followNotice = LABELS.followLinkFailed;
+        }
+    }
 
     handleTrackingNumberChange(event) {
         this.trackingNumber = event.target.value.toUpperCase();
+        this.suggestion = null;
+    }
+
+    handleUseSuggestion() {
+        this.trackingNumber = this.suggestion;
+        this.handleTrack();
     }
 
     async handleTrack() {
         if (!this.trackingNumber.trim()) {
-            this.showToast('Error', 'Please enter a tracking number', 'error');
+            this.showToast(LABELS.error, LABELS.enterTrackingNumber, 'error');
             return;
         }
 
-        this.loading = true;
-        this.error = null;
+        // Format and check character are verified before asking the server
+        const validation = validateToken(this.trackingNumber);
+        this.stopLiveUpdates();
         this.caseData = null;
         this.showDetails = false;
+        this.suggestion = validation.suggestion;
+        if (!validation.valid) {
+            this.error = validation.message;
+            return;
+        }
+        this.trackingNumber = validation.token;
+
+        this.loading = true;
+        this.error = null;
 
         try {
-            const result = await getCaseDetails({ trackingToken: this.trackingNumber.trim() });
+            const result = await getCaseDetails({ trackingToken: this.trackingNumber });
             
             if (result.success) {
                 this.caseData = result.caseData;
                 this.showDetails = true;
+                this.startLiveUpdates();
             } else {
-                this.error = result.errorMessage || 'Case not found';
-                this.showToast('Not Found', this.error, 'error');
+                this.error = formatLabel(LABELS.notFound, this.trackingNumber);
+                this.suggestion = result.suggestion || null;
+                this.showToast(LABELS.notFoundTitle, this.error, 'error');
             }
         } catch (error) {
-            this.error = 'Unable to retrieve case information';
-            this.showToast('Error', this.error, 'error');
+            console.error('Case lookup failed:', error);
+            this.error = LABELS.lookupFailed;
+            this.showToast(LABELS.error, this.error, 'error');
         } finally {
             this.loading = false;
         }
     }
 
+    async startLiveUpdates() {
+        this.stopLiveUpdates();
+        const caseId = this.caseData.id;
+        try {
+            if (await isEmpEnabled()) {
+                const subscription = await subscribe(CASE_UPDATE_CHANNEL, -1, (message) => this.handleCaseUpdate(message));
+                // Another complaint may have been opened while subscribing
+                if (this.caseData && this.caseData.id === caseId && !this.subscription && !this.pollTimer) {
+                    this.subscription = subscription;
+                } else {
+                    unsubscribe(subscription);
+                }
+                return;
+            }
+        } catch (error) {
+            console.error('Live case updates unavailable, checking periodically instead:', error);
+        }
+        if (this.caseData && this.caseData.id === caseId) {
+            this.startPolling();
+        }
+    }
+
+    startPolling() {
+        this.stopPolling();
+        this.pollTimer = startInterval(() => {
+            if (document.visibilityState !== 'hidden') {
+                this.refreshCase();
+            }
+        }, POLL_INTERVAL_MS);
+    }
+
+    stopPolling() {
+        if (this.pollTimer) {
+            window.clearInterval(this.pollTimer);
+            this.pollTimer = null;
+        }
+    }
+
+    stopLiveUpdates() {
+        this.stopPolling();
+        if (this.subscription) {
+            unsubscribe(this.subscription);
+            this.subscription = null;
+        }
+    }
+
+    // Every case update is broadcast; only the one on screen matters here
+    handleCaseUpdate(message) {
+        const payload = (message && message.data && message.data.payload) || {};
+        if (this.caseData && payload.Case_Id__c === this.caseData.id) {
+            this.refreshCase();
+        }
+    }
+
+    // c-case-details highlights whatever differs from the case it showed before
+    async refreshCase() {
+        if (this.refreshing || !this.caseData) {
+            return;
+        }
+        const caseId = this.caseData.id;
+        this.refreshing = true;
+        try {
+            const result = await getCaseDetails({ trackingToken: this.caseData.trackingNumber });
+            if (result.success && this.caseData && this.caseData.id === caseId) {
+                this.caseData = result.caseData;
+            }
+        } catch (error) {
+            console.error('Case refresh failed:', error);
+        } finally {
+            this.refreshing = false;
+        }
+    }
+
+    // Rated, reopened or added to; the live update may arrive later or, for guests, not until the next poll
+    handleCitizenUpdate() {
+        this.refreshCase();
+    }
+
     handleNewSearch() {
+        this.stopLiveUpdates();
         this.trackingNumber = '';
         this.caseData = null;
         this.showDetails = false;
         this.error = null;
+        this.suggestion = null;
     }
 
     showToast(title, message, variant) {
@@ -58,49 +217,7 @@ export default class CaseTracking extends LightningElement {
         this.dispatchEvent(evt);
     }
 
-    get statusClass() {
-        if (!this.caseData) return '';
-        
-        switch (this.caseData.status) {
-            case 'New':
-                return 'slds-badge slds-badge_lightest';
-            case 'In Progress':
-                return 'slds-badge slds-theme_warning';
-            case 'Escalated':
-                return 'slds-badge slds-theme_error';
-            case 'Closed':
-                return 'slds-badge slds-theme_success';
-            default:
-                return 'slds-badge';
-        }
-    }
-
-    get severityClass() {
-        if (!this.caseData) return '';
-        
-        switch (this.caseData.severity) {
-            case 'Critical':
-                return 'priority-critical';
-            case 'High':
-                return 'priority-high';
-            case 'Medium':
-                return 'priority-medium';
-            case 'Low':
-                return 'priority-low';
-            default:
-                return '';
-        }
-    }
-
-    get hasWorkOrders() {
-        return this.caseData && this.caseData.workOrders && this.caseData.workOrders.length > 0;
-    }
-
-    get hasActionLogs() {
-        return this.caseData && this.caseData.actionLogs && this.caseData.actionLogs.length > 0;
-    }
-
-    get hasPhotos() {
-        return this.caseData && this.caseData.photos && this.caseData.photos.length > 0;
+    get suggestionLabel() {
+        return formatLabel(LABELS.trackSuggestion, this.suggestion);
     }
 }
\ No newline at end of file
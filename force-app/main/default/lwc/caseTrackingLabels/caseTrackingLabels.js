@@ -0,0 +1,214 @@
+// caseTrackingLabels.js - Custom labels for caseTracking and display names of the Action_Log__c action types
+import TITLE from '@salesforce/label/c.Tracking_Title';
+import SUBTITLE from '@salesforce/label/c.Tracking_Subtitle';
+import NUMBER from '@salesforce/label/c.Tracking_Number';
+import NUMBER_PLACEHOLDER from '@salesforce/label/c.Tracking_Number_Placeholder';
+import TRACK_COMPLAINT from '@salesforce/label/c.Tracking_Track_Complaint';
+import TRACK_SUGGESTION from '@salesforce/label/c.Tracking_Track_Suggestion';
+import SEARCHING from '@salesforce/label/c.Tracking_Searching';
+import SEARCHING_COMPLAINT from '@salesforce/label/c.Tracking_Searching_Complaint';
+import COMPLAINT_HEADING from '@salesforce/label/c.Tracking_Complaint_Heading';
+import STATUS from '@salesforce/label/c.Tracking_Status';
+import ISSUE_TYPE from '@salesforce/label/c.Tracking_Issue_Type';
+import PRIORITY from '@salesforce/label/c.Tracking_Priority';
+import SUBMITTED from '@salesforce/label/c.Tracking_Submitted';
+import LAST_UPDATED from '@salesforce/label/c.Tracking_Last_Updated';
+import EXPECTED_RESOLUTION from '@salesforce/label/c.Tracking_Expected_Resolution';
+import DESCRIPTION from '@salesforce/label/c.Tracking_Description';
+import LOCATION from '@salesforce/label/c.Tracking_Location';
+import WORK_PROGRESS from '@salesforce/label/c.Tracking_Work_Progress';
+import TECHNICIAN from '@salesforce/label/c.Tracking_Technician';
+import SCHEDULED from '@salesforce/label/c.Tracking_Scheduled';
+import COMPLETED from '@salesforce/label/c.Tracking_Completed';
+import NOTES from '@salesforce/label/c.Tracking_Notes';
+import PHOTOS from '@salesforce/label/c.Tracking_Photos';
+import UNPUBLISHED_ONE from '@salesforce/label/c.Tracking_Unpublished_One';
+import UNPUBLISHED_MANY from '@salesforce/label/c.Tracking_Unpublished_Many';
+import ACTIVITY_TIMELINE from '@salesforce/label/c.Tracking_Activity_Timeline';
+import TRACK_ANOTHER from '@salesforce/label/c.Tracking_Track_Another';
+import ERROR from '@salesforce/label/c.Tracking_Error';
+import ENTER_NUMBER from '@salesforce/label/c.Tracking_Enter_Number';
+import NOT_FOUND_TITLE from '@salesforce/label/c.Tracking_Not_Found_Title';
+import NOT_FOUND from '@salesforce/label/c.Tracking_Not_Found';
+import LOOKUP_FAILED from '@salesforce/label/c.Tracking_Lookup_Failed';
+import LIVE_UPDATES from '@salesforce/label/c.Tracking_Live_Updates';
+import FEEDBACK_HEADING from '@salesforce/label/c.Tracking_Feedback_Heading';
+import FEEDBACK_INTRO from '@salesforce/label/c.Tracking_Feedback_Intro';
+import RATING from '@salesforce/label/c.Tracking_Rating';
+import RATING_1 from '@salesforce/label/c.Tracking_Rating_1';
+import RATING_2 from '@salesforce/label/c.Tracking_Rating_2';
+import RATING_3 from '@salesforce/label/c.Tracking_Rating_3';
+import RATING_4 from '@salesforce/label/c.Tracking_Rating_4';
+import RATING_5 from '@salesforce/label/c.Tracking_Rating_5';
+import FEEDBACK_COMMENT from '@salesforce/label/c.Tracking_Feedback_Comment';
+import FEEDBACK_PHOTOS from '@salesforce/label/c.Tracking_Feedback_Photos';
+import FEEDBACK_PHOTOS_HELP from '@salesforce/label/c.Tracking_Feedback_Photos_Help';
+import SUBMIT_FEEDBACK from '@salesforce/label/c.Tracking_Submit_Feedback';
+import RATING_REQUIRED from '@salesforce/label/c.Tracking_Rating_Required';
+import FEEDBACK_THANKS from '@salesforce/label/c.Tracking_Feedback_Thanks';
+import FEEDBACK_FAILED from '@salesforce/label/c.Tracking_Feedback_Failed';
+import FEEDBACK_PHOTOS_FAILED from '@salesforce/label/c.Tracking_Feedback_Photos_Failed';
+import REOPEN_HEADING from '@salesforce/label/c.Tracking_Reopen_Heading';
+import REOPEN_INTRO from '@salesforce/label/c.Tracking_Reopen_Intro';
+import REOPEN_REASON from '@salesforce/label/c.Tracking_Reopen_Reason';
+import REOPEN_REASON_REQUIRED from '@salesforce/label/c.Tracking_Reopen_Reason_Required';
+import REOPEN from '@salesforce/label/c.Tracking_Reopen';
+import REOPENED from '@salesforce/label/c.Tracking_Reopened';
+import REOPEN_FAILED from '@salesforce/label/c.Tracking_Reopen_Failed';
+import REOPEN_EXPIRED from '@salesforce/label/c.Tracking_Reopen_Expired';
+import RESOLUTION_NO_EMAIL from '@salesforce/label/c.Tracking_Resolution_No_Email';
+import ADD_UPDATE from '@salesforce/label/c.Tracking_Add_Update';
+import FOLLOW_UP_HEADING from '@salesforce/label/c.Tracking_Follow_Up_Heading';
+import FOLLOW_UP_INTRO from '@salesforce/label/c.Tracking_Follow_Up_Intro';
+import FOLLOW_UP_EMAIL from '@salesforce/label/c.Tracking_Follow_Up_Email';
+import FOLLOW_UP_COMMENT from '@salesforce/label/c.Tracking_Follow_Up_Comment';
+import FOLLOW_UP_ATTACHMENTS from '@salesforce/label/c.Tracking_Follow_Up_Attachments';
+import SEND_UPDATE from '@salesforce/label/c.Tracking_Send_Update';
+import REMOVE_ATTACHMENT from '@salesforce/label/c.Tracking_Remove_Attachment';
+import CANCEL from '@salesforce/label/c.Tracking_Cancel';
+import FOLLOW_UP_EMAIL_REQUIRED from '@salesforce/label/c.Tracking_Follow_Up_Email_Required';
+import FOLLOW_UP_EMPTY from '@salesforce/label/c.Tracking_Follow_Up_Empty';
+import FOLLOW_UP_NOT_MATCHED from '@salesforce/label/c.Tracking_Follow_Up_Not_Matched';
+import FOLLOW_UP_FAILED from '@salesforce/label/c.Tracking_Follow_Up_Failed';
+import FOLLOW_UP_SENT from '@salesforce/label/c.Tracking_Follow_Up_Sent';
+import FOLLOW_UP_ATTACHMENTS_FAILED from '@salesforce/label/c.Tracking_Follow_Up_Attachments_Failed';
+import FOLLOW_UP_FILE_REJECTED from '@salesforce/label/c.Tracking_Follow_Up_File_Rejected';
+import FOLLOW_UP_FILE_AFTER_SEND from '@salesforce/label/c.Tracking_Follow_Up_File_After_Send';
+import ADD_LARGE_FILES from '@salesforce/label/c.Tracking_Add_Large_Files';
+import MAP_NO_LOCATION from '@salesforce/label/c.Tracking_Map_No_Location';
+import MAP_COMPLAINT from '@salesforce/label/c.Tracking_Map_Complaint';
+import MAP_WORK_ORDER from '@salesforce/label/c.Tracking_Map_Work_Order';
+import MAP_TECHNICIAN from '@salesforce/label/c.Tracking_Map_Technician';
+import MAP_LAST_REPORTED from '@salesforce/label/c.Tracking_Map_Last_Reported';
+import FOLLOW_CONFIRMED from '@salesforce/label/c.Tracking_Follow_Confirmed';
+import FOLLOW_STOPPED from '@salesforce/label/c.Tracking_Follow_Stopped';
+import FOLLOW_LINK_FAILED from '@salesforce/label/c.Tracking_Follow_Link_Failed';
+import FOLLOW_LINK_INVALID from '@salesforce/label/c.Tracking_Follow_Link_Invalid';
+import ACTION_CASE_CREATED from '@salesforce/label/c.Tracking_Action_Case_Created';
+import ACTION_CASE_UPDATED from '@salesforce/label/c.Tracking_Action_Case_Updated';
+import ACTION_WORK_ORDER_CREATED from '@salesforce/label/c.Tracking_Action_Work_Order_Created';
+import ACTION_WORK_ORDER_ASSIGNED from '@salesforce/label/c.Tracking_Action_Work_Order_Assigned';
+import ACTION_WORK_ORDER_STARTED from '@salesforce/label/c.Tracking_Action_Work_Order_Started';
+import ACTION_WORK_ORDER_COMPLETED from '@salesforce/label/c.Tracking_Action_Work_Order_Completed';
+import ACTION_STATUS_CHANGED from '@salesforce/label/c.Tracking_Action_Status_Changed';
+import ACTION_COMMENT_ADDED from '@salesforce/label/c.Tracking_Action_Comment_Added';
+import ACTION_PHOTO_UPLOADED from '@salesforce/label/c.Tracking_Action_Photo_Uploaded';
+import ACTION_LOCATION_UPDATED from '@salesforce/label/c.Tracking_Action_Location_Updated';
+import ACTION_DUPLICATE_DETECTED from '@salesforce/label/c.Tracking_Action_Duplicate_Detected';
+import ACTION_AI_CLASSIFICATION from '@salesforce/label/c.Tracking_Action_AI_Classification';
+import ACTION_ESCALATED from '@salesforce/label/c.Tracking_Action_Escalated';
+import ACTION_CASE_CLAIMED from '@salesforce/label/c.Tracking_Action_Case_Claimed';
+import ACTION_FEEDBACK_RECEIVED from '@salesforce/label/c.Tracking_Action_Feedback_Received';
+import ACTION_CASE_REOPENED from '@salesforce/label/c.Tracking_Action_Case_Reopened';
+
+export const LABELS = {
+    title: TITLE,
+    subtitle: SUBTITLE,
+    trackingNumber: NUMBER,
+    tokenPlaceholder: NUMBER_PLACEHOLDER,
+    trackComplaint: TRACK_COMPLAINT,
+    trackSuggestion: TRACK_SUGGESTION,
+    searching: SEARCHING,
+    searchingComplaint: SEARCHING_COMPLAINT,
+    complaintHeading: COMPLAINT_HEADING,
+    status: STATUS,
+    issueType: ISSUE_TYPE,
+    priority: PRIORITY,
+    submitted: SUBMITTED,
+    lastUpdated: LAST_UPDATED,
+    expectedResolution: EXPECTED_RESOLUTION,
+    description: DESCRIPTION,
+    location: LOCATION,
+    workProgress: WORK_PROGRESS,
+    technician: TECHNICIAN,
+    scheduled: SCHEDULED,
+    completed: COMPLETED,
+    notes: NOTES,
+    photos: PHOTOS,
+    unpublishedOne: UNPUBLISHED_ONE,
+    unpublishedMany: UNPUBLISHED_MANY,
+    activityTimeline: ACTIVITY_TIMELINE,
+    trackAnother: TRACK_ANOTHER,
+    error: ERROR,
+    enterTrackingNumber: ENTER_NUMBER,
+    notFoundTitle: NOT_FOUND_TITLE,
+    notFound: NOT_FOUND,
+    lookupFailed: LOOKUP_FAILED,
+    liveUpdates: LIVE_UPDATES,
+    feedbackHeading: FEEDBACK_HEADING,
+    feedbackIntro: FEEDBACK_INTRO,
+    rating: RATING,
+    rating1: RATING_1,
+    rating2: RATING_2,
+    rating3: RATING_3,
+    rating4: RATING_4,
+    rating5: RATING_5,
+    feedbackComment: FEEDBACK_COMMENT,
+    feedbackPhotos: FEEDBACK_PHOTOS,
+    feedbackPhotosHelp: FEEDBACK_PHOTOS_HELP,
+    submitFeedback: SUBMIT_FEEDBACK,
+    ratingRequired: RATING_REQUIRED,
+    feedbackThanks: FEEDBACK_THANKS,
+    feedbackFailed: FEEDBACK_FAILED,
+    feedbackPhotosFailed: FEEDBACK_PHOTOS_FAILED,
+    reopenHeading: REOPEN_HEADING,
+    reopenIntro: REOPEN_INTRO,
+    reopenReason: REOPEN_REASON,
+    reopenReasonRequired: REOPEN_REASON_REQUIRED,
+    reopen: REOPEN,
+    reopened: REOPENED,
+    reopenFailed: REOPEN_FAILED,
+    reopenExpired: REOPEN_EXPIRED,
+    resolutionNoEmail: RESOLUTION_NO_EMAIL,
+    addUpdate: ADD_UPDATE,
+    followUpHeading: FOLLOW_UP_HEADING,
+    followUpIntro: FOLLOW_UP_INTRO,
+    followUpEmail: FOLLOW_UP_EMAIL,
+    followUpComment: FOLLOW_UP_COMMENT,
+    followUpAttachments: FOLLOW_UP_ATTACHMENTS,
+    sendUpdate: SEND_UPDATE,
+    removeAttachment: REMOVE_ATTACHMENT,
+    cancel: CANCEL,
+    followUpEmailRequired: FOLLOW_UP_EMAIL_REQUIRED,
+    followUpEmpty: FOLLOW_UP_EMPTY,
+    followUpNotMatched: FOLLOW_UP_NOT_MATCHED,
+    followUpFailed: FOLLOW_UP_FAILED,
+    followUpSent: FOLLOW_UP_SENT,
+    followUpAttachmentsFailed: FOLLOW_UP_ATTACHMENTS_FAILED,
+    followUpFileRejected: FOLLOW_UP_FILE_REJECTED,
+    followUpFileAfterSend: FOLLOW_UP_FILE_AFTER_SEND,
+    addLargeFiles: ADD_LARGE_FILES,
+    mapNoLocation: MAP_NO_LOCATION,
+    mapComplaint: MAP_COMPLAINT,
+    mapWorkOrder: MAP_WORK_ORDER,
+    mapTechnician: MAP_TECHNICIAN,
+    mapLastReported: MAP_LAST_REPORTED,
+    followConfirmed: FOLLOW_CONFIRMED,
+    followStopped: FOLLOW_STOPPED,
+    followLinkFailed: FOLLOW_LINK_FAILED,
+    followLinkInvalid: FOLLOW_LINK_INVALID
+};
+
+// Action_Type__c picklist values as stored
+const ACTION_TYPE_LABELS = {
+    'Case Created': ACTION_CASE_CREATED,
+    'Case Updated': ACTION_CASE_UPDATED,
+    'Work Order Created': ACTION_WORK_ORDER_CREATED,
+    'Work Order Assigned': ACTION_WORK_ORDER_ASSIGNED,
+    'Work Order Started': ACTION_WORK_ORDER_STARTED,
+    'Work Order Completed': ACTION_WORK_ORDER_COMPLETED,
+    'Status Changed': ACTION_STATUS_CHANGED,
+    'Comment Added': ACTION_COMMENT_ADDED,
+    'Photo Uploaded': ACTION_PHOTO_UPLOADED,
+    'Location Updated': ACTION_LOCATION_UPDATED,
+    'Duplicate Detected': ACTION_DUPLICATE_DETECTED,
+    'AI Classification': ACTION_AI_CLASSIFICATION,
+    Escalated: ACTION_ESCALATED,
+    'Case Claimed': ACTION_CASE_CLAIMED,
+    'Feedback Received': ACTION_FEEDBACK_RECEIVED,
+    'Case Reopened': ACTION_CASE_REOPENED
+};
+
+export function actionTypeLabel(value) {
+    return ACTION_TYPE_LABELS[value] || value || '';
+}
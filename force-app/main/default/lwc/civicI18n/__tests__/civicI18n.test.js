@@ -0,0 +1,89 @@
+import fs from 'fs';
+import path from 'path';
+import {
+    LANGUAGES,
+    formatLabel,
+    matchLanguage,
+    currentLanguage,
+    languageUrl,
+    displayLocale,
+    formatDate,
+    formatDateTime,
+    severityLabel,
+    statusLabel
+} from 'c/civicI18n';
+
+const METADATA = path.join(__dirname, '../../..');
+
+function entries(file, tag, nameTag, valueTag) {
+    const xml = fs.readFileSync(path.join(METADATA, file), 'utf8');
+    const found = {};
+    for (const match of xml.matchAll(new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`, 'g'))) {
+        const name = new RegExp(`<${nameTag}>(.*?)</${nameTag}>`).exec(match[1])[1];
+        found[name] = new RegExp(`<${valueTag}>([\\s\\S]*?)</${valueTag}>`).exec(match[1])[1];
+    }
+    return found;
+}
+
+function placeholders(text) {
+    return (text.match(/\{\d+\}/g) || []).sort();
+}
+
+describe('c-civic-i18n', () => {
+    it('fills numbered placeholders in any order', () => {
+        expect(formatLabel('Step {0} of {1}: {2}', 2, 5, 'Location')).toBe('Step 2 of 5: Location');
+        expect(formatLabel('{1} को {0}', 'CC251019-K7M35', 'Oct 19')).toBe('Oct 19 को CC251019-K7M35');
+        expect(formatLabel('{0} m away', null)).toBe(' m away');
+        expect(formatLabel(undefined)).toBe('');
+    });
+
+    it('matches browser and Salesforce language codes to the site languages', () => {
+        expect(LANGUAGES.map((language) => language.value)).toEqual(['en_US', 'hi', 'gu']);
+        expect(matchLanguage('hi-IN')).toBe('hi');
+        expect(matchLanguage('GU')).toBe('gu');
+        expect(matchLanguage('en-GB')).toBe('en_US');
+        expect(matchLanguage('fr')).toBeNull();
+        expect(matchLanguage(null)).toBeNull();
+        expect(currentLanguage('fr')).toBe('en_US');
+        expect(currentLanguage('hi')).toBe('hi');
+    });
+
+    it('adds the language to a link without losing its other parameters', () => {
+        expect(languageUrl('https://civic.example.com/s/track?token=CC1#details', 'gu')).toBe(
+            'https://civic.example.com/s/track?token=CC1&language=gu#details'
+        );
+        expect(languageUrl('https://civic.example.com/s/?language=hi', 'en_US')).toBe(
+            'https://civic.example.com/s/?language=en_US'
+        );
+    });
+
+    it('formats dates in the page language with the region of the user locale', () => {
+        expect(displayLocale('hi', 'en-IN')).toBe('hi-IN');
+        expect(displayLocale('gu', 'en')).toBe('gu');
+        expect(displayLocale('en-US', 'en-US')).toBe('en-US');
+
+        // The Jest user is in America/Los_Angeles
+        expect(formatDateTime('2025-10-19T10:30:00.000Z')).toMatch(/^Oct 19, 2025, 3:30\sAM$/);
+        expect(formatDate('2025-10-19T03:30:00.000Z')).toBe('Oct 18, 2025');
+        expect(formatDateTime('soon')).toBe('soon');
+        expect(formatDateTime(null)).toBe('');
+    });
+
+    it('shows stored picklist values by their display names', () => {
+        expect(severityLabel('Critical')).toBe('Critical');
+        expect(statusLabel('In Progress')).toBe('In Progress');
+        expect(statusLabel('Waiting on Vendor')).toBe('Waiting on Vendor');
+        expect(statusLabel(undefined)).toBe('');
+    });
+
+    it('has a Hindi and Gujarati translation for every custom label', () => {
+        const labels = entries('labels/CustomLabels.labels-meta.xml', 'labels', 'fullName', 'value');
+        ['hi', 'gu'].forEach((language) => {
+            const translations = entries(`translations/${language}.translation-meta.xml`, 'customLabels', 'name', 'label');
+            Object.keys(labels).forEach((name) => {
+                expect({ language, name, translated: !!translations[name] }).toEqual({ language, name, translated: true });
+                expect(placeholders(translations[name])).toEqual(placeholders(labels[name]));
+            });
+        });
+    });
+});
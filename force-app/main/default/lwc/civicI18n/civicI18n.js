@@ -0,0 +1,151 @@
+// civicI18n.js - Site language choice, label formatting, locale-aware dates and display names for stored picklist values
+import LANG from '@salesforce/i18n/lang';
+import LOCALE from '@salesforce/i18n/locale';
+import TIME_ZONE from '@salesforce/i18n/timeZone';
+import SEVERITY_LOW from '@salesforce/label/c.Civic_Severity_Low';
+import SEVERITY_MEDIUM from '@salesforce/label/c.Civic_Severity_Medium';
+import SEVERITY_HIGH from '@salesforce/label/c.Civic_Severity_High';
+import SEVERITY_CRITICAL from '@salesforce/label/c.Civic_Severity_Critical';
+import STATUS_NEW from '@salesforce/label/c.Civic_Status_New';
+import STATUS_WORKING from '@salesforce/label/c.Civic_Status_Working';
+import STATUS_ASSIGNED from '@salesforce/label/c.Civic_Status_Assigned';
+import STATUS_ACCEPTED from '@salesforce/label/c.Civic_Status_Accepted';
+import STATUS_EN_ROUTE from '@salesforce/label/c.Civic_Status_En_Route';
+import STATUS_IN_PROGRESS from '@salesforce/label/c.Civic_Status_In_Progress';
+import STATUS_ON_HOLD from '@salesforce/label/c.Civic_Status_On_Hold';
+import STATUS_ESCALATED from '@salesforce/label/c.Civic_Status_Escalated';
+import STATUS_COMPLETED from '@salesforce/label/c.Civic_Status_Completed';
+import STATUS_REJECTED from '@salesforce/label/c.Civic_Status_Rejected';
+import STATUS_CANCELLED from '@salesforce/label/c.Civic_Status_Cancelled';
+import STATUS_CLOSED from '@salesforce/label/c.Civic_Status_Closed';
+
+// Languages the site is translated into; each name is written in its own language
+export const LANGUAGES = [
+    { label: 'English', value: 'en_US' },
+    { label: 'हिन्दी', value: 'hi' },
+    { label: 'ગુજરાતી', value: 'gu' }
+];
+export const DEFAULT_LANGUAGE = 'en_US';
+
+// Experience Cloud sites render in the language named by this URL parameter
+export const LANGUAGE_PARAM = 'language';
+const STORAGE_KEY = 'civicLanguage';
+
+// Display names for the language-neutral values stored on Case and Work_Order__c
+const SEVERITY_LABELS = {
+    Low: SEVERITY_LOW,
+    Medium: SEVERITY_MEDIUM,
+    High: SEVERITY_HIGH,
+    Critical: SEVERITY_CRITICAL
+};
+
+const STATUS_LABELS = {
+    New: STATUS_NEW,
+    Working: STATUS_WORKING,
+    Assigned: STATUS_ASSIGNED,
+    Accepted: STATUS_ACCEPTED,
+    'En Route': STATUS_EN_ROUTE,
+    'In Progress': STATUS_IN_PROGRESS,
+    'On Hold': STATUS_ON_HOLD,
+    Escalated: STATUS_ESCALATED,
+    Completed: STATUS_COMPLETED,
+    Rejected: STATUS_REJECTED,
+    Cancelled: STATUS_CANCELLED,
+    Closed: STATUS_CLOSED
+};
+
+// Fills {0}, {1}... the way Apex String.format does; labels keep the word order of their language
+export function formatLabel(label, ...values) {
+    return (label || '').replace(/\{(\d+)\}/g, (placeholder, index) => {
+        const value = values[Number(index)];
+        return value === undefined || value === null ? '' : String(value);
+    });
+}
+
+// Site language for a code such as "hi", "hi-IN" or "en_GB"; null when the site is not translated into it
+export function matchLanguage(code) {
+    if (!code) {
+        return null;
+    }
+    const normalized = String(code).replace('-', '_').toLowerCase();
+    const primary = normalized.split('_')[0];
+    const exact = LANGUAGES.find((language) => language.value.toLowerCase() === normalized);
+    const sameLanguage = LANGUAGES.find((language) => language.value.split('_')[0].toLowerCase() === primary);
+    return (exact || sameLanguage || { value: null }).value;
+}
+
+export function currentLanguage(lang = LANG) {
+    return matchLanguage(lang) || DEFAULT_LANGUAGE;
+}
+
+export function preferredLanguage() {
+    try {
+        return matchLanguage(window.localStorage.getItem(STORAGE_KEY));
+    } catch {
+        return null;
+    }
+}
+
+export function rememberLanguage(language) {
+    try {
+        window.localStorage.setItem(STORAGE_KEY, language);
+    } catch (error) {
+        console.error('Language choice could not be saved:', error);
+    }
+}
+
+export function languageUrl(href, language) {
+    const url = new URL(href);
+    url.searchParams.set(LANGUAGE_PARAM, language);
+    return url.toString();
+}
+
+// Reloads the page in another language; replace keeps the current page out of the history
+export function goToLanguage(language, { replace = false } = {}) {
+    const target = languageUrl(window.location.href, language);
+    if (replace) {
+        window.location.replace(target);
+    } else {
+        window.location.assign(target);
+    }
+}
+
+// BCP 47 tag combining the page language with the region of the user's locale, e.g. hi + en-IN -> hi-IN
+export function displayLocale(lang = LANG, locale = LOCALE) {
+    const language = currentLanguage(lang).split('_')[0];
+    const region = (locale || '').split(/[-_]/)[1];
+    return region ? `${language}-${region}` : language;
+}
+
+function formatWith(value, options) {
+    if (value === undefined || value === null || value === '') {
+        return '';
+    }
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+        return String(value);
+    }
+    try {
+        return new Intl.DateTimeFormat(displayLocale(), { ...options, timeZone: TIME_ZONE }).format(date);
+    } catch {
+        return date.toLocaleString();
+    }
+}
+
+// Dates arrive from Apex as ISO timestamps and are shown in the user's locale and time zone
+export function formatDateTime(value) {
+    return formatWith(value, { dateStyle: 'medium', timeStyle: 'short' });
+}
+
+export function formatDate(value) {
+    return formatWith(value, { dateStyle: 'medium' });
+}
+
+export function severityLabel(value) {
+    return SEVERITY_LABELS[value] || value || '';
+}
+
+// Case and work order statuses; unknown values are shown as stored
+export function statusLabel(value) {
+    return STATUS_LABELS[value] || value || '';
+}
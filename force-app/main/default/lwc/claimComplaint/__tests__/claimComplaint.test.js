@@ -0,0 +1,127 @@
+import { createElement } from '@lwc/engine-dom';
+import ClaimComplaint from 'c/claimComplaint';
+import getCurrentCitizen from '@salesforce/apex/CitizenProfileController.getCurrentCitizen';
+import requestClaimCode from '@salesforce/apex/CitizenProfileController.requestClaimCode';
+import claimComplaint from '@salesforce/apex/CitizenProfileController.claimComplaint';
+
+jest.mock(
+    '@salesforce/apex/CitizenProfileController.getCurrentCitizen',
+    () => ({ default: jest.fn(() => Promise.resolve(null)) }),
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/CitizenProfileController.requestClaimCode',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/CitizenProfileController.claimComplaint',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+
+const CITIZEN = { contactId: '003000000000001AAA', name: 'Asha Patel', email: 'asha@example.com', phone: null };
+
+function flushPromises() {
+    // eslint-disable-next-line @lwc/lwc/no-async-operation
+    return new Promise((resolve) => setTimeout(resolve, 0));
+}
+
+async function createClaim() {
+    const element = createElement('c-claim-complaint', { is: ClaimComplaint });
+    document.body.appendChild(element);
+    await flushPromises();
+    return element;
+}
+
+async function claim(element, trackingNumber) {
+    const input = element.shadowRoot.querySelector('.tracking-input');
+    input.value = trackingNumber;
+    input.dispatchEvent(new CustomEvent('change'));
+    Array.from(element.shadowRoot.querySelectorAll('lightning-button'))
+        .find((button) => button.label === 'Claim Complaint')
+        .click();
+    await flushPromises();
+}
+
+async function confirmCode(element, code) {
+    const input = element.shadowRoot.querySelector('.code-input');
+    input.value = code;
+    input.dispatchEvent(new CustomEvent('change'));
+    Array.from(element.shadowRoot.querySelectorAll('lightning-button'))
+        .find((button) => button.label === 'Confirm')
+        .click();
+    await flushPromises();
+}
+
+describe('c-claim-complaint', () => {
+    afterEach(() => {
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+        jest.clearAllMocks();
+    });
+
+    it('asks guests to log in', async () => {
+        const element = await createClaim();
+
+        expect(element.shadowRoot.querySelector('.login-required')).not.toBeNull();
+        expect(element.shadowRoot.querySelector('.tracking-input')).toBeNull();
+    });
+
+    it('claims a complaint with the code emailed for its tracking number', async () => {
+        getCurrentCitizen.mockResolvedValueOnce(CITIZEN);
+        requestClaimCode.mockResolvedValue({ success: true, codeSent: true, trackingNumber: 'CC251019-K7M35' });
+        claimComplaint.mockResolvedValue({ success: true, trackingNumber: 'CC251019-K7M35' });
+        const element = await createClaim();
+
+        await claim(element, 'cc251019-k7m35');
+
+        expect(requestClaimCode).toHaveBeenCalledWith({ trackingNumber: 'CC251019-K7M35' });
+        expect(claimComplaint).not.toHaveBeenCalled();
+        expect(element.shadowRoot.querySelector('.claim-code').textContent).toContain('asha@example.com');
+
+        await confirmCode(element, ' 042517 ');
+
+        expect(claimComplaint).toHaveBeenCalledWith({ trackingNumber: 'CC251019-K7M35', code: '042517' });
+        expect(element.shadowRoot.querySelector('.claim-success').textContent).toContain('CC251019-K7M35');
+        expect(element.shadowRoot.querySelector('.code-input')).toBeNull();
+    });
+
+    it('shows a wrong code and keeps the code input open', async () => {
+        getCurrentCitizen.mockResolvedValueOnce(CITIZEN);
+        requestClaimCode.mockResolvedValue({ success: true, codeSent: true, trackingNumber: 'CC251019-K7M35' });
+        claimComplaint.mockResolvedValue({
+            success: false,
+            errorMessage: 'That code is not right. Please check the email we sent you.'
+        });
+        const element = await createClaim();
+
+        await claim(element, 'CC251019-K7M35');
+        await confirmCode(element, '');
+        expect(claimComplaint).not.toHaveBeenCalled();
+
+        await confirmCode(element, '000000');
+        expect(element.shadowRoot.querySelector('.claim-error').textContent).toContain('That code is not right');
+        expect(element.shadowRoot.querySelector('.code-input')).not.toBeNull();
+        expect(element.shadowRoot.querySelector('.claim-success')).toBeNull();
+    });
+
+    it('checks the tracking number before asking the server and shows refusals', async () => {
+        getCurrentCitizen.mockResolvedValueOnce(CITIZEN);
+        requestClaimCode.mockResolvedValue({
+            success: false,
+            errorMessage: 'No anonymous complaint with this tracking number was filed with your account email address.'
+        });
+        const element = await createClaim();
+
+        await claim(element, 'CC251019');
+        expect(requestClaimCode).not.toHaveBeenCalled();
+        expect(element.shadowRoot.querySelector('.claim-error').textContent).toContain('Tracking numbers look like');
+
+        await claim(element, 'CC251019-K7M35');
+        expect(element.shadowRoot.querySelector('.claim-error').textContent).toContain('No anonymous complaint');
+        expect(element.shadowRoot.querySelector('.code-input')).toBeNull();
+        expect(element.shadowRoot.querySelector('.claim-success')).toBeNull();
+    });
+});
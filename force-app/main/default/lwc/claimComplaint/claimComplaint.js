@@ -0,0 +1,126 @@
+// claimComplaint.js - Lets a logged-in citizen add an anonymous complaint filed with their email to their account,
+// confirmed with a code sent to that email
+import { LightningElement, track } from 'lwc';
+import getCurrentCitizen from '@salesforce/apex/CitizenProfileController.getCurrentCitizen';
+import requestClaimCode from '@salesforce/apex/CitizenProfileController.requestClaimCode';
+import claimComplaint from '@salesforce/apex/CitizenProfileController.claimComplaint';
+import { validateToken, TOKEN_EXAMPLE } from 'c/trackingToken';
+import { formatLabel } from 'c/civicI18n';
+import { LABELS } from 'c/myComplaintsLabels';
+
+export default class ClaimComplaint extends LightningElement {
+    @track citizen = null;
+    @track citizenLoaded = false;
+    @track trackingNumber = '';
+    @track loading = false;
+    @track error = null;
+    @track suggestion = null;
+    @track claimedTrackingNumber = null;
+    // Tracking number the emailed code was sent for; the code input shows while it is set
+    @track codeSentFor = null;
+    @track code = '';
+    labels = LABELS;
+    tokenPlaceholder = formatLabel(LABELS.claimPlaceholder, TOKEN_EXAMPLE);
+
+    connectedCallback() {
+        getCurrentCitizen()
+            .then((profile) => {
+                this.citizen = profile || null;
+            })
+            .catch((error) => {
+                console.error('Signed-in citizen could not be loaded:', error);
+            })
+            .finally(() => {
+                this.citizenLoaded = true;
+            });
+    }
+
+    get isGuest() {
+        return this.citizenLoaded && !this.citizen;
+    }
+
+    get suggestionLabel() {
+        return formatLabel(LABELS.claimSuggestion, this.suggestion);
+    }
+
+    get claimedText() {
+        return formatLabel(LABELS.claimLinked, this.claimedTrackingNumber);
+    }
+
+    get codeSentText() {
+        return formatLabel(LABELS.claimCodeSent, this.citizen.email, this.codeSentFor);
+    }
+
+    handleTrackingNumberChange(event) {
+        this.trackingNumber = event.target.value.toUpperCase();
+        this.suggestion = null;
+        this.codeSentFor = null;
+    }
+
+    handleCodeChange(event) {
+        this.code = event.target.value;
+    }
+
+    handleUseSuggestion() {
+        this.trackingNumber = this.suggestion;
+        this.handleClaim();
+    }
+
+    // Asks the server to email a code; the complaint is linked once the code comes back in handleConfirmCode
+    async handleClaim() {
+        // Format and check character are verified before asking the server
+        const validation = validateToken(this.trackingNumber);
+        this.claimedTrackingNumber = null;
+        this.codeSentFor = null;
+        this.suggestion = validation.suggestion;
+        if (!validation.valid) {
+            this.error = validation.message;
+            return;
+        }
+        this.trackingNumber = validation.token;
+        this.error = null;
+        this.loading = true;
+
+        try {
+            const result = await requestClaimCode({ trackingNumber: this.trackingNumber });
+            if (result.success) {
+                this.codeSentFor = result.trackingNumber;
+                this.code = '';
+            } else {
+                this.error = result.errorMessage || LABELS.claimFailed;
+                this.suggestion = result.suggestion || null;
+            }
+        } catch (error) {
+            console.error('Claim code could not be sent:', error);
+            this.error = LABELS.claimUnavailable;
+        } finally {
+            this.loading = false;
+        }
+    }
+
+    async handleConfirmCode() {
+        if (!this.code.trim()) {
+            this.error = LABELS.claimCodeRequired;
+            return;
+        }
+        this.error = null;
+        this.loading = true;
+
+        try {
+            const result = await claimComplaint({ trackingNumber: this.codeSentFor, code: this.code.trim() });
+            if (result.success) {
+                this.claimedTrackingNumber = result.trackingNumber;
+                this.codeSentFor = null;
+                this.trackingNumber = '';
+                this.code = '';
+            } else {
+                this.error = result.errorMessage || LABELS.claimFailed;
+            }
+        } catch (error) {
+            console.error('Claiming complaint failed:', error);
+            this.error = LABELS.claimUnavailable;
+        } finally {
+            this.loading = false;
+        }
+    }
+}
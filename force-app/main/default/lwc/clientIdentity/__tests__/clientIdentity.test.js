@@ -0,0 +1,40 @@
+import { getClientId, newSubmissionKey } from 'c/clientIdentity';
+
+describe('c-client-identity', () => {
+    afterEach(() => {
+        window.localStorage.clear();
+        jest.restoreAllMocks();
+    });
+
+    it('creates a random id once and keeps it in localStorage', () => {
+        const clientId = getClientId();
+
+        expect(clientId).toMatch(/^[a-f0-9]{32}$/);
+        expect(getClientId()).toBe(clientId);
+        expect(window.localStorage.getItem('civicComplaint.clientId')).toBe(clientId);
+    });
+
+    it('replaces a stored value that is not an id', () => {
+        window.localStorage.setItem('civicComplaint.clientId', 'everyone');
+
+        expect(getClientId()).toMatch(/^[a-f0-9]{32}$/);
+    });
+
+    it('keeps one id for the page when localStorage is blocked', () => {
+        jest.spyOn(Storage.prototype, 'getItem').mockImplementation(() => {
+            throw new Error('Access denied');
+        });
+
+        const clientId = getClientId();
+        expect(clientId).toMatch(/^[a-f0-9]{32}$/);
+        expect(getClientId()).toBe(clientId);
+    });
+
+    it('makes a new submission key every time', () => {
+        const key = newSubmissionKey();
+
+        expect(key).toMatch(/^[a-f0-9]{32}$/);
+        expect(newSubmissionKey()).not.toBe(key);
+        expect(window.localStorage.getItem('civicComplaint.clientId')).toBeNull();
+    });
+});
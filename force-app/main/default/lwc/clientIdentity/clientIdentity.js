@@ -0,0 +1,40 @@
+// clientIdentity.js - Random per-browser id that lets SubmissionGuard tell guests apart when there is no session
+const CLIENT_ID_KEY = 'civicComplaint.clientId';
+const CLIENT_ID_PATTERN = /^[a-f0-9]{32}$/;
+
+// Kept for the page's lifetime when local storage is blocked
+let memoryClientId = null;
+
+function randomHex(bytes) {
+    const values = new Uint8Array(bytes);
+    if (typeof window !== 'undefined' && window.crypto && window.crypto.getRandomValues) {
+        window.crypto.getRandomValues(values);
+    } else {
+        for (let i = 0; i < bytes; i++) {
+            values[i] = Math.floor(Math.random() * 256);
+        }
+    }
+    return Array.from(values, (value) => value.toString(16).padStart(2, '0')).join('');
+}
+
+export function getClientId() {
+    try {
+        let clientId = window.localStorage.getItem(CLIENT_ID_KEY);
+        if (!clientId || !CLIENT_ID_PATTERN.test(clientId)) {
+            clientId = randomHex(16);
+            window.localStorage.setItem(CLIENT_ID_KEY, clientId);
+        }
+        return clientId;
+    } catch {
+        if (!memoryClientId) {
+            memoryClientId = randomHex(16);
+        }
+        return memoryClientId;
+    }
+}
+
+// A fresh key for one complaint. It is sent with every attempt to file that complaint, so
+// the server can hand back the case it already saved instead of filing it twice.
+export function newSubmissionKey() {
+    return randomHex(16);
+}
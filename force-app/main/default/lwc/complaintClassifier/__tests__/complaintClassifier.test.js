@@ -0,0 +1,39 @@
+import { classify, differsFromSelection } from 'c/complaintClassifier';
+
+const RULES = [
+    { issueType: 'Streetlight', subtype: 'Light out', severity: 'Medium', keywords: ['street light', 'lamp post'], weight: 1 },
+    { issueType: 'Streetlight', subtype: 'Exposed wiring', severity: 'Critical', keywords: ['live wire', 'sparking'], weight: 3 },
+    { issueType: 'Water Issue', subtype: 'Leak', severity: 'Medium', keywords: ['leak', 'leaking'], weight: 1 },
+    { issueType: null, subtype: null, severity: 'High', keywords: ['school', 'hospital'], weight: 1 }
+];
+
+describe('c-complaint-classifier', () => {
+    it('suggests the best type, its strongest subtype and the highest severity', () => {
+        expect(classify(RULES, 'Live wire hanging from the street light over the SCHOOL gate!')).toEqual({
+            issueType: 'Streetlight',
+            subtype: 'Exposed wiring',
+            severity: 'Critical',
+            matchedKeywords: ['street light', 'live wire', 'school']
+        });
+    });
+
+    it('matches whole words and phrases only', () => {
+        expect(classify(RULES, 'The schoolyard fence is bleaking')).toBeNull();
+        expect(classify(RULES, '')).toBeNull();
+        expect(classify([], 'leaking pipe')).toBeNull();
+        expect(classify(RULES, 'Near the hospital')).toEqual({
+            issueType: null,
+            subtype: null,
+            severity: 'High',
+            matchedKeywords: ['hospital']
+        });
+    });
+
+    it('only offers a suggestion that would change the selection', () => {
+        const suggestion = classify(RULES, 'Pipe leaking near the school');
+
+        expect(differsFromSelection(suggestion, { issueType: 'Water Issue', subtype: 'Leak', severity: 'High' })).toBe(false);
+        expect(differsFromSelection(suggestion, { issueType: 'Other', subtype: '', severity: 'Medium' })).toBe(true);
+        expect(differsFromSelection(null, { issueType: 'Other' })).toBe(false);
+    });
+});
@@ -0,0 +1,87 @@
+// complaintClassifier.js - Keyword rules from ComplaintClassifier.getClassificationRules, applied as the citizen types
+
+const SEVERITY_ORDER = ['Low', 'Medium', 'High', 'Critical'];
+
+// Same normalisation as ComplaintClassifier.normalize: lower case, punctuation collapsed to single spaces
+function normalize(text) {
+    return (text || '')
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}]+/gu, ' ')
+        .trim();
+}
+
+function severityRank(severity) {
+    return SEVERITY_ORDER.indexOf(severity);
+}
+
+// Keywords and phrases that occur in the text as whole words, ignoring case and punctuation
+export function matchKeywords(keywords, text) {
+    const padded = ` ${normalize(text)} `;
+    return (keywords || []).filter((keyword) => {
+        const phrase = normalize(keyword);
+        return phrase && padded.includes(` ${phrase} `);
+    });
+}
+
+// Mirrors ComplaintClassifier.classify; returns { issueType, subtype, severity, matchedKeywords } or null
+export function classify(rules, text) {
+    if (!normalize(text) || !Array.isArray(rules)) {
+        return null;
+    }
+
+    const suggestion = { issueType: null, subtype: null, severity: null, matchedKeywords: [] };
+    const typeScores = new Map();
+    const bestSubtypes = new Map();
+
+    rules.forEach((rule) => {
+        const matched = matchKeywords(rule.keywords, text);
+        if (matched.length === 0) {
+            return;
+        }
+        const score = (rule.weight || 1) * matched.length;
+        matched.forEach((keyword) => {
+            if (!suggestion.matchedKeywords.includes(keyword)) {
+                suggestion.matchedKeywords.push(keyword);
+            }
+        });
+
+        if (severityRank(rule.severity) > severityRank(suggestion.severity)) {
+            suggestion.severity = rule.severity;
+        }
+        if (!rule.issueType) {
+            return;
+        }
+        typeScores.set(rule.issueType, (typeScores.get(rule.issueType) || 0) + score);
+        const best = bestSubtypes.get(rule.issueType);
+        if (rule.subtype && (!best || score > best.score)) {
+            bestSubtypes.set(rule.issueType, { subtype: rule.subtype, score });
+        }
+    });
+
+    // Ties go to the type whose first rule comes first
+    let bestScore = 0;
+    rules.forEach((rule) => {
+        const typeScore = typeScores.get(rule.issueType);
+        if (typeScore && typeScore > bestScore) {
+            bestScore = typeScore;
+            suggestion.issueType = rule.issueType;
+        }
+    });
+    if (suggestion.issueType && bestSubtypes.has(suggestion.issueType)) {
+        suggestion.subtype = bestSubtypes.get(suggestion.issueType).subtype;
+    }
+
+    return suggestion.issueType || suggestion.severity ? suggestion : null;
+}
+
+// True when accepting the suggestion would change any of the chosen values
+export function differsFromSelection(suggestion, formData) {
+    if (!suggestion) {
+        return false;
+    }
+    return (
+        (!!suggestion.issueType && suggestion.issueType !== formData.issueType) ||
+        (!!suggestion.subtype && suggestion.subtype !== formData.subtype) ||
+        (!!suggestion.severity && suggestion.severity !== formData.severity)
+    );
+}
@@ -0,0 +1,1629 @@
+import { createElement } from '@lwc/engine-dom';
+import ComplaintForm from 'c/complaintForm';
+import createComplaintCase from '@salesforce/apex/ComplaintFormController.createComplaintCase';
+import uploadFile from '@salesforce/apex/ComplaintFormController.uploadFile';
+import uploadFileChunk from '@salesforce/apex/ComplaintFormController.uploadFileChunk';
+import findNearbyCases from '@salesforce/apex/DuplicateComplaintController.findNearbyCases';
+import supportCase from '@salesforce/apex/DuplicateComplaintController.supportCase';
+import getIssueTaxonomy from '@salesforce/apex/IssueTaxonomyController.getIssueTaxonomy';
+import getClassificationRules from '@salesforce/apex/ComplaintClassifier.getClassificationRules';
+import getHazardTriggers from '@salesforce/apex/HazardTriggerController.getHazardTriggers';
+import getCurrentCitizen from '@salesforce/apex/CitizenProfileController.getCurrentCitizen';
+import isContactOptional from '@salesforce/apex/ComplaintFormController.isContactOptional';
+import {
+    saveDraft,
+    loadDraft,
+    queueSubmission,
+    getQueuedSubmissions,
+    updateQueuedSubmission,
+    removeQueuedSubmission,
+    isConnectivityError
+} from 'c/complaintOutbox';
+import { readExif } from 'c/imageProcessor';
+import { loadWardBoundaries } from 'c/wardLocator';
+import { createRecognizer, createScriptedRecognizer } from 'c/speechDictation';
+
+jest.mock(
+    '@salesforce/apex/ComplaintFormController.createComplaintCase',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/ComplaintFormController.uploadFile',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/ComplaintFormController.uploadFileChunk',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/MapConfigController.getMapSettings',
+    () => ({ default: jest.fn(() => Promise.resolve(null)) }),
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/DuplicateComplaintController.findNearbyCases',
+    () => ({ default: jest.fn(() => Promise.resolve([])) }),
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/DuplicateComplaintController.supportCase',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/IssueTaxonomyController.getIssueTaxonomy',
+    () => ({ default: jest.fn(() => Promise.resolve([])) }),
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/ComplaintClassifier.getClassificationRules',
+    () => ({ default: jest.fn(() => Promise.resolve([])) }),
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/HazardTriggerController.getHazardTriggers',
+    () => ({ default: jest.fn(() => Promise.resolve([])) }),
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/CitizenProfileController.getCurrentCitizen',
+    () => ({ default: jest.fn(() => Promise.resolve(null)) }),
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/ComplaintFormController.isContactOptional',
+    () => ({ default: jest.fn(() => Promise.resolve(false)) }),
+    { virtual: true }
+);
+jest.mock('c/complaintOutbox', () => ({
+    saveDraft: jest.fn(() => true),
+    loadDraft: jest.fn(() => null),
+    clearDraft: jest.fn(() => Promise.resolve()),
+    saveDraftFiles: jest.fn(() => Promise.resolve()),
+    loadDraftFiles: jest.fn(() => Promise.resolve([])),
+    queueSubmission: jest.fn(),
+    getQueuedSubmissions: jest.fn(() => Promise.resolve([])),
+    updateQueuedSubmission: jest.fn(() => Promise.resolve()),
+    removeQueuedSubmission: jest.fn(() => Promise.resolve()),
+    isConnectivityError: jest.fn(() => true)
+}));
+
+jest.mock('c/imageProcessor', () => ({
+    readExif: jest.fn(() => Promise.resolve({ orientation: null, latitude: null, longitude: null })),
+    compressImage: jest.fn((file) => Promise.resolve(file)),
+    isCompressibleImage: jest.fn(() => true),
+    // Keeps the redaction editor waiting; its own tests cover drawing
+    decodeImage: jest.fn(() => new Promise(() => {}))
+}));
+
+// jsdom has no speech recognition; tests hand the form scripted recognizers
+jest.mock('c/speechDictation', () => {
+    const actual = jest.requireActual('c/speechDictation');
+    return { ...actual, createRecognizer: jest.fn(() => actual.createUnsupportedRecognizer()) };
+});
+
+jest.mock('c/wardLocator', () => ({
+    ...jest.requireActual('c/wardLocator'),
+    loadWardBoundaries: jest.fn(() => Promise.resolve(null))
+}));
+
+const VALID_FORM = {
+    issueType: 'Pothole',
+    address: 'CG Road, Navrangpura, Ahmedabad',
+    description: 'Large pothole outside the municipal school gate',
+    contactName: 'Asha Patel',
+    contactEmail: 'asha@example.com',
+    privacyConsent: true
+};
+
+function flushPromises() {
+    // eslint-disable-next-line @lwc/lwc/no-async-operation
+    return new Promise((resolve) => setTimeout(resolve, 0));
+}
+
+// FileReader and chained Apex calls need several macrotask turns to settle
+async function settle() {
+    for (let i = 0; i < 5; i++) {
+        // eslint-disable-next-line no-await-in-loop
+        await flushPromises();
+    }
+}
+
+function createForm() {
+    const element = createElement('c-complaint-form', { is: ComplaintForm });
+    document.body.appendChild(element);
+    return element;
+}
+
+function changeField(element, selector, value) {
+    const input = element.shadowRoot.querySelector(selector);
+    if (typeof value === 'boolean') {
+        input.checked = value;
+    } else {
+        input.value = value;
+    }
+    input.dispatchEvent(new CustomEvent('change'));
+}
+
+// Fills whichever of the values' fields the current wizard step shows
+function fillStep(element, values = VALID_FORM) {
+    Object.keys(values).forEach((field) => {
+        const input = element.shadowRoot.querySelector(`[data-field="${field}"]`);
+        const current = input && (typeof values[field] === 'boolean' ? input.checked : input.value);
+        if (input && current !== values[field]) {
+            changeField(element, `[data-field="${field}"]`, values[field]);
+        }
+    });
+}
+
+function currentStepTitle(element) {
+    return element.shadowRoot.querySelector('.step-title').textContent;
+}
+
+function attachFiles(element, files) {
+    const input = element.shadowRoot.querySelector('input[type="file"]');
+    Object.defineProperty(input, 'files', { configurable: true, value: files });
+    input.dispatchEvent(new CustomEvent('change'));
+}
+
+// Just enough of Leaflet for the location picker to run in jsdom
+function fakeLeaflet(onMapClick = () => {}) {
+    const layer = () => {
+        const result = { addTo: jest.fn(() => result), bindPopup: jest.fn(() => result), clearLayers: jest.fn() };
+        return result;
+    };
+    const map = {
+        setView: jest.fn(() => map),
+        fitBounds: jest.fn(),
+        removeLayer: jest.fn(),
+        remove: jest.fn(),
+        on: jest.fn((event, handler) => onMapClick(handler))
+    };
+    return {
+        map: jest.fn(() => map),
+        mapInstance: map,
+        tileLayer: jest.fn(layer),
+        marker: jest.fn(layer),
+        layerGroup: jest.fn(layer),
+        circleMarker: jest.fn(layer),
+        polyline: jest.fn(layer),
+        polygon: jest.fn(layer),
+        latLngBounds: jest.fn((latLngs) => latLngs)
+    };
+}
+
+function clickButton(element, label) {
+    const button = Array.from(element.shadowRoot.querySelectorAll('lightning-button')).find(
+        (btn) => btn.label === label
+    );
+    button.click();
+}
+
+async function fillStepAndContinue(element, values) {
+    fillStep(element, values);
+    clickButton(element, 'Next');
+    await flushPromises();
+}
+
+// Walks every step from the current one up to the review screen
+async function completeWizard(element, values) {
+    while (!currentStepTitle(element).includes('Review')) {
+        // eslint-disable-next-line no-await-in-loop
+        await fillStepAndContinue(element, values);
+    }
+}
+
+describe('c-complaint-form', () => {
+    afterEach(() => {
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+        jest.clearAllMocks();
+    });
+
+    it('restores a saved draft on load', async () => {
+        loadDraft.mockReturnValueOnce({ formData: { description: 'Streetlight out since Monday' }, step: 'details' });
+
+        const element = createForm();
+        await flushPromises();
+
+        const description = element.shadowRoot.querySelector('[data-field="description"]');
+        expect(description.value).toBe('Streetlight out since Monday');
+        expect(element.shadowRoot.querySelector('.draft-notice')).not.toBeNull();
+    });
+
+    it('reverse geocodes the device location with the configured geocoder', async () => {
+        const originalGeolocation = navigator.geolocation;
+        Object.defineProperty(navigator, 'geolocation', {
+            configurable: true,
+            value: {
+                getCurrentPosition: (success) => success({ coords: { latitude: 23.0063, longitude: 72.601 } })
+            }
+        });
+
+        loadDraft.mockReturnValueOnce({ formData: {}, step: 'location' });
+        const element = createElement('c-complaint-form', { is: ComplaintForm });
+        element.geocoderType = 'mock';
+        document.body.appendChild(element);
+        await flushPromises();
+
+        const address = element.shadowRoot.querySelector('[data-field="address"]');
+        expect(address.value).toBe('Kankaria Lake, Maninagar, Ahmedabad');
+
+        Object.defineProperty(navigator, 'geolocation', { configurable: true, value: originalGeolocation });
+    });
+
+    it('queues the complaint when the server cannot be reached', async () => {
+        createComplaintCase.mockRejectedValue({ status: 0 });
+        queueSubmission.mockResolvedValue({ id: 'outbox-1' });
+
+        const element = createForm();
+        await flushPromises();
+        await completeWizard(element);
+        clickButton(element, 'Submit Complaint');
+        await flushPromises();
+
+        expect(queueSubmission).toHaveBeenCalledWith(expect.objectContaining(VALID_FORM), []);
+        expect(element.shadowRoot.textContent).toContain('Your Complaint Is Saved and Waiting to Be Sent');
+    });
+
+    it('submits queued complaints when the browser comes back online', async () => {
+        getQueuedSubmissions.mockResolvedValue([
+            { id: 'outbox-1', formData: VALID_FORM, files: [], queuedAt: '2025-08-26T10:00:00.000Z', attempts: 0 }
+        ]);
+        createComplaintCase.mockResolvedValue({ success: true, caseId: '500000000000001', trackingNumber: 'CC250826-0001' });
+
+        createForm();
+        await flushPromises();
+        window.dispatchEvent(new CustomEvent('online'));
+        await flushPromises();
+
+        expect(createComplaintCase).toHaveBeenCalledWith({ complaintData: JSON.stringify(VALID_FORM) });
+        expect(removeQueuedSubmission).toHaveBeenCalledWith('outbox-1');
+    });
+
+    it('lists which attachments were saved and offers a retry for the rest', async () => {
+        createComplaintCase.mockResolvedValue({
+            success: true,
+            caseId: '500000000000001',
+            trackingNumber: 'CC250826-0002',
+            uploadGrant: '9f86d081884c7d659a2feaa0c55ad015'
+        });
+        uploadFile.mockImplementation(({ fileName }) => Promise.resolve(fileName === 'pothole.jpg'));
+
+        const element = createForm();
+        await flushPromises();
+        await fillStepAndContinue(element);
+        await fillStepAndContinue(element);
+        attachFiles(element, [
+            new File(['a'], 'pothole.jpg', { type: 'image/jpeg' }),
+            new File(['b'], 'street.jpg', { type: 'image/jpeg' })
+        ]);
+        await flushPromises();
+        await completeWizard(element);
+        clickButton(element, 'Submit Complaint');
+        await settle();
+
+        const results = element.shadowRoot.querySelectorAll('.attachment-results');
+        expect(results).toHaveLength(2);
+        expect(results[0].textContent).toContain('pothole.jpg');
+        expect(results[1].textContent).toContain('street.jpg');
+        expect(results[1].textContent).toContain('The server could not save this file');
+        expect(uploadFile).toHaveBeenCalledWith(expect.objectContaining({ uploadGrant: '9f86d081884c7d659a2feaa0c55ad015' }));
+
+        uploadFile.mockClear();
+        uploadFile.mockResolvedValue(true);
+        clickButton(element, 'Retry');
+        await settle();
+
+        expect(uploadFile).toHaveBeenCalledWith(
+            expect.objectContaining({ uploadGrant: '9f86d081884c7d659a2feaa0c55ad015', fileName: 'street.jpg' })
+        );
+        expect(element.shadowRoot.querySelectorAll('.attachment-results')).toHaveLength(1);
+    });
+
+    it('sends larger files in parts with progress and resumes a retry from the part that failed', async () => {
+        createComplaintCase.mockResolvedValue({
+            success: true,
+            caseId: '500000000000001',
+            trackingNumber: 'CC250826-0006',
+            uploadGrant: '9f86d081884c7d659a2feaa0c55ad015'
+        });
+        let releaseSecondPart;
+        uploadFileChunk.mockImplementation(({ partNumber }) => {
+            if (partNumber === 2) {
+                return new Promise((resolve) => {
+                    releaseSecondPart = resolve;
+                });
+            }
+            return Promise.resolve(
+                partNumber === 3 ? { success: false, errorMessage: 'The server could not save this file' } : { success: true }
+            );
+        });
+
+        const element = createForm();
+        await flushPromises();
+        await fillStepAndContinue(element);
+        await fillStepAndContinue(element);
+        attachFiles(element, [new File([new Uint8Array(2 * 1024 * 1024)], 'clip.mp4', { type: 'video/mp4' })]);
+        await settle();
+        await completeWizard(element);
+        clickButton(element, 'Submit Complaint');
+        await settle();
+
+        const progressBar = element.shadowRoot.querySelector('lightning-progress-bar');
+        expect(progressBar.value).toBe(33);
+
+        releaseSecondPart({ success: true });
+        await settle();
+
+        expect(uploadFile).not.toHaveBeenCalled();
+        expect(uploadFileChunk.mock.calls.map(([params]) => params.partNumber)).toEqual([1, 2, 3]);
+        expect(element.shadowRoot.querySelector('.attachment-results').textContent).toContain(
+            'The server could not save this file'
+        );
+
+        uploadFileChunk.mockClear();
+        uploadFileChunk.mockResolvedValue({ success: true, complete: true });
+        clickButton(element, 'Retry');
+        await settle();
+
+        expect(uploadFileChunk).toHaveBeenCalledTimes(1);
+        expect(uploadFileChunk).toHaveBeenCalledWith(
+            expect.objectContaining({ partNumber: 3, partCount: 3, fileName: 'clip.mp4' })
+        );
+        const results = element.shadowRoot.querySelectorAll('.attachment-results');
+        expect(results).toHaveLength(1);
+        expect(results[0].textContent).toContain('Attachments saved with your complaint');
+    });
+
+    it('leaves files too large for the form to the platform upload on the thank-you screen', async () => {
+        createComplaintCase.mockResolvedValue({
+            success: true,
+            caseId: '500000000000001',
+            trackingNumber: 'CC250826-0007',
+            uploadGrant: '9f86d081884c7d659a2feaa0c55ad015'
+        });
+        uploadFile.mockResolvedValue(true);
+        const toasts = [];
+
+        const element = createForm();
+        element.addEventListener('lightning__showtoast', (event) => toasts.push(event.detail.message));
+        await flushPromises();
+        await fillStepAndContinue(element);
+        await fillStepAndContinue(element);
+        attachFiles(element, [
+            new File([new Uint8Array(5 * 1024 * 1024)], 'clip.mp4', { type: 'video/mp4' }),
+            new File(['a'], 'pothole.jpg', { type: 'image/jpeg' })
+        ]);
+        await settle();
+
+        expect(toasts).toContain(
+            'clip.mp4 is too large to send with the form. You can add it on the next screen after you submit.'
+        );
+        expect(element.shadowRoot.textContent).not.toContain('clip.mp4');
+
+        await completeWizard(element);
+        clickButton(element, 'Submit Complaint');
+        await settle();
+
+        expect(uploadFile).toHaveBeenCalledTimes(1);
+        const fileUpload = element.shadowRoot.querySelector('.large-file-upload lightning-file-upload');
+        expect(fileUpload.fileFieldName).toBe('Upload_Grant_fileupload__c');
+        expect(fileUpload.fileFieldValue).toBe('9f86d081884c7d659a2feaa0c55ad015');
+
+        fileUpload.dispatchEvent(new CustomEvent('uploadfinished', {
+            detail: { files: [{ name: 'clip.mp4', documentId: '069000000000001' }] }
+        }));
+        await flushPromises();
+
+        const saved = element.shadowRoot.querySelector('.attachment-results');
+        expect(saved.textContent).toContain('pothole.jpg');
+        expect(saved.textContent).toContain('clip.mp4');
+    });
+
+    it('uploads the redacted copy of a photo instead of the original', async () => {
+        createComplaintCase.mockResolvedValue({ success: true, caseId: '500000000000001', trackingNumber: 'CC250826-0006' });
+        uploadFile.mockResolvedValue(true);
+        const redacted = new File(['redacted'], 'faces.jpg', { type: 'image/jpeg' });
+
+        const element = createForm();
+        await flushPromises();
+        await fillStepAndContinue(element);
+        await fillStepAndContinue(element);
+        attachFiles(element, [new File(['original'], 'faces.jpg', { type: 'image/jpeg' })]);
+        await flushPromises();
+
+        clickButton(element, 'Redact');
+        await flushPromises();
+        const editor = element.shadowRoot.querySelector('c-photo-redactor');
+        expect(editor.file.size).toBe(8);
+        editor.dispatchEvent(new CustomEvent('redact', { detail: { file: redacted, regionCount: 2 } }));
+        await flushPromises();
+
+        expect(element.shadowRoot.querySelector('c-photo-redactor')).toBeNull();
+        expect(element.shadowRoot.querySelector('.redacted-badge')).not.toBeNull();
+        expect(Array.from(element.shadowRoot.querySelectorAll('lightning-button')).some((b) => b.label === 'Redact')).toBe(false);
+
+        await completeWizard(element);
+        clickButton(element, 'Submit Complaint');
+        await settle();
+
+        expect(uploadFile).toHaveBeenCalledTimes(1);
+        expect(uploadFile).toHaveBeenCalledWith(expect.objectContaining({ fileName: 'faces.jpg', redacted: true }));
+        expect(atob(uploadFile.mock.calls[0][0].base64Data)).toBe('redacted');
+    });
+
+    it('offers the GPS position from a photo as the complaint location', async () => {
+        readExif.mockResolvedValueOnce({ orientation: 1, latitude: 23.0339, longitude: 72.5772 });
+        loadDraft.mockReturnValueOnce({ formData: {}, step: 'details' });
+
+        const element = createElement('c-complaint-form', { is: ComplaintForm });
+        element.geocoderType = 'mock';
+        document.body.appendChild(element);
+        await flushPromises();
+        attachFiles(element, [new File(['a'], 'riverfront.jpg', { type: 'image/jpeg' })]);
+        await settle();
+
+        const suggestion = element.shadowRoot.querySelector('.photo-location');
+        expect(suggestion.textContent).toContain('Sabarmati Riverfront, Ahmedabad');
+
+        clickButton(element, 'Use Photo Location');
+        await flushPromises();
+        expect(element.shadowRoot.querySelector('.photo-location')).toBeNull();
+
+        clickButton(element, 'Back');
+        await flushPromises();
+        const address = element.shadowRoot.querySelector('[data-field="address"]');
+        expect(address.value).toBe('Sabarmati Riverfront, Ahmedabad');
+    });
+
+    describe('duplicate detection', () => {
+        const NEARBY = {
+            caseNumber: '00001042',
+            status: 'In Progress',
+            latitude: 23.0226,
+            longitude: 72.5715,
+            distanceMeters: 40,
+            supporterCount: 3,
+            createdDate: 'Aug 25, 2025'
+        };
+
+        beforeEach(() => {
+            getQueuedSubmissions.mockResolvedValue([]);
+        });
+
+        async function submitWithLocation() {
+            loadDraft.mockReturnValueOnce({
+                formData: { ...VALID_FORM, issueType: 'Water Issue', latitude: 23.0225, longitude: 72.5714 },
+                step: 'review'
+            });
+            const element = createForm();
+            await flushPromises();
+            clickButton(element, 'Submit Complaint');
+            await settle();
+            return element;
+        }
+
+        it('shows similar open cases instead of submitting straight away', async () => {
+            findNearbyCases.mockResolvedValue([NEARBY]);
+
+            const element = await submitWithLocation();
+
+            expect(findNearbyCases).toHaveBeenCalledWith({
+                issueType: 'Water Issue',
+                latitude: 23.0225,
+                longitude: 72.5714,
+                radiusMeters: 200
+            });
+            expect(createComplaintCase).not.toHaveBeenCalled();
+            const nearbyItems = element.shadowRoot.querySelectorAll('.nearby-case');
+            expect(nearbyItems).toHaveLength(1);
+            expect(nearbyItems[0].textContent).toContain('40 m away');
+        });
+
+        it('follows an existing case by email without revealing its tracking number', async () => {
+            findNearbyCases.mockResolvedValue([NEARBY]);
+            supportCase.mockResolvedValue({ success: true, supporterCount: 4, following: true });
+
+            const element = await submitWithLocation();
+            expect(element.shadowRoot.querySelector('.follow-email').value).toBe('asha@example.com');
+            clickButton(element, 'Follow This Complaint');
+            await settle();
+
+            expect(supportCase).toHaveBeenCalledWith({
+                caseNumber: NEARBY.caseNumber,
+                follow: true,
+                email: 'asha@example.com',
+                clientId: expect.stringMatching(/^[a-f0-9]{32}$/)
+            });
+            expect(createComplaintCase).not.toHaveBeenCalled();
+            expect(element.shadowRoot.querySelector('.tracking-number')).toBeNull();
+            expect(element.shadowRoot.querySelector('.following-text').textContent)
+                .toContain('We will email asha@example.com when the status of complaint 00001042 changes.');
+        });
+
+        it('asks the citizen to open the emailed link before updates start', async () => {
+            findNearbyCases.mockResolvedValue([NEARBY]);
+            supportCase.mockResolvedValue({ success: true, supporterCount: 4, following: false, confirmationSent: true });
+
+            const element = await submitWithLocation();
+            clickButton(element, 'Follow This Complaint');
+            await settle();
+
+            expect(element.shadowRoot.querySelector('.following-text').textContent).toContain(
+                'We have sent a link to asha@example.com. Open it to start getting emails when the status of complaint 00001042 changes.'
+            );
+        });
+
+        it('asks for an email address before following', async () => {
+            findNearbyCases.mockResolvedValue([NEARBY]);
+
+            const element = await submitWithLocation();
+            changeField(element, '.follow-email', 'not-an-email');
+            clickButton(element, 'Follow This Complaint');
+            await settle();
+
+            expect(supportCase).not.toHaveBeenCalled();
+            expect(element.shadowRoot.querySelector('.follow-error').textContent)
+                .toBe('Please enter a valid email address to follow this complaint.');
+        });
+
+        it('says so when the citizen had already supported the case', async () => {
+            findNearbyCases.mockResolvedValue([NEARBY]);
+            supportCase.mockResolvedValue({ success: true, supporterCount: 3, alreadySupported: true, following: false });
+
+            const element = await submitWithLocation();
+            clickButton(element, '+1 Same Issue');
+            await settle();
+
+            expect(supportCase).toHaveBeenCalledWith(expect.objectContaining({ follow: false, email: null }));
+            expect(element.shadowRoot.textContent).toContain('You had already added your support to complaint 00001042');
+        });
+
+        it('files a new complaint when the citizen says the issue is different', async () => {
+            findNearbyCases.mockResolvedValue([NEARBY]);
+            createComplaintCase.mockResolvedValue({ success: true, caseId: '500000000000010', trackingNumber: 'CC250826-0003' });
+
+            const element = await submitWithLocation();
+            clickButton(element, 'My Issue Is Different - Submit New Complaint');
+            await settle();
+
+            expect(findNearbyCases).toHaveBeenCalledTimes(1);
+            expect(createComplaintCase).toHaveBeenCalled();
+        });
+    });
+
+    describe('issue taxonomy', () => {
+        const WATER_TAXONOMY = [
+            {
+                value: 'Water Issue',
+                label: 'Water Issue',
+                defaultSeverity: 'Medium',
+                subtypes: [
+                    { value: 'Leak', label: 'Leak', defaultSeverity: null },
+                    { value: 'Contaminated water', label: 'Contaminated water', defaultSeverity: 'Critical' }
+                ],
+                fields: [
+                    {
+                        key: 'pipeDiameterMm',
+                        label: 'Pipe diameter (mm)',
+                        dataType: 'Number',
+                        required: true,
+                        minValue: 10,
+                        maxValue: 3000,
+                        options: []
+                    }
+                ]
+            }
+        ];
+
+        beforeEach(() => {
+            getIssueTaxonomy.mockResolvedValue(WATER_TAXONOMY);
+            getQueuedSubmissions.mockResolvedValue([]);
+        });
+
+        afterEach(() => {
+            getIssueTaxonomy.mockResolvedValue([]);
+        });
+
+        it('renders the subtypes and questions of the chosen type', async () => {
+            const element = createForm();
+            await flushPromises();
+
+            const issueType = element.shadowRoot.querySelector('[data-field="issueType"]');
+            expect(issueType.options).toEqual([{ label: 'Water Issue', value: 'Water Issue' }]);
+            expect(element.shadowRoot.querySelector('[data-field="subtype"]')).toBeNull();
+
+            changeField(element, '[data-field="issueType"]', 'Water Issue');
+            await flushPromises();
+
+            const subtype = element.shadowRoot.querySelector('[data-field="subtype"]');
+            expect(subtype.options.map((option) => option.value)).toEqual(['Leak', 'Contaminated water']);
+            const pipeDiameter = element.shadowRoot.querySelector('[data-detail="pipeDiameterMm"]');
+            expect(pipeDiameter.label).toBe('Pipe diameter (mm)');
+            expect(pipeDiameter.required).toBe(true);
+        });
+
+        it('applies the subtype default severity and submits the typed answers', async () => {
+            createComplaintCase.mockResolvedValue({ success: true, caseId: '500000000000011', trackingNumber: 'CC250826-0004' });
+            const element = createForm();
+            await flushPromises();
+            changeField(element, '[data-field="issueType"]', 'Water Issue');
+            await flushPromises();
+            changeField(element, '[data-field="subtype"]', 'Contaminated water');
+            changeField(element, '[data-detail="pipeDiameterMm"]', '150');
+            await flushPromises();
+
+            expect(element.shadowRoot.querySelector('[data-field="severity"]').value).toBe('Critical');
+
+            await completeWizard(element, { ...VALID_FORM, issueType: 'Water Issue' });
+            clickButton(element, 'Submit Complaint');
+            await settle();
+
+            const submitted = JSON.parse(createComplaintCase.mock.calls[0][0].complaintData);
+            expect(submitted.subtype).toBe('Contaminated water');
+            expect(submitted.severity).toBe('Critical');
+            expect(submitted.details).toEqual({ pipeDiameterMm: 150 });
+        });
+
+        it('keeps the citizen on the category step until required questions are answered', async () => {
+            const element = createForm();
+            await flushPromises();
+            changeField(element, '[data-field="issueType"]', 'Water Issue');
+            await flushPromises();
+            const pipeDiameter = element.shadowRoot.querySelector('[data-detail="pipeDiameterMm"]');
+            const setCustomValidity = jest.spyOn(pipeDiameter, 'setCustomValidity');
+
+            clickButton(element, 'Next');
+            await flushPromises();
+
+            expect(currentStepTitle(element)).toContain('Category');
+            expect(setCustomValidity).toHaveBeenCalledWith('Pipe diameter (mm) is required.');
+        });
+    });
+
+    describe('wizard', () => {
+        beforeEach(() => {
+            getQueuedSubmissions.mockResolvedValue([]);
+        });
+
+        it('shows inline errors on the current step instead of moving on', async () => {
+            loadDraft.mockReturnValueOnce({ formData: { ...VALID_FORM, contactPhone: '12345' }, step: 'contact' });
+            const element = createForm();
+            await flushPromises();
+            const phone = element.shadowRoot.querySelector('[data-field="contactPhone"]');
+            const email = element.shadowRoot.querySelector('[data-field="contactEmail"]');
+            const phoneValidity = jest.spyOn(phone, 'setCustomValidity');
+            const emailValidity = jest.spyOn(email, 'setCustomValidity');
+
+            clickButton(element, 'Next');
+            await flushPromises();
+
+            expect(currentStepTitle(element)).toContain('Contact');
+            expect(phoneValidity).toHaveBeenCalledWith(expect.stringContaining('10-digit mobile number'));
+            expect(emailValidity).toHaveBeenCalledWith('');
+
+            changeField(element, '[data-field="contactPhone"]', '98250 12345');
+            expect(phoneValidity).toHaveBeenLastCalledWith('');
+        });
+
+        it('requires a minimum description length', async () => {
+            loadDraft.mockReturnValueOnce({ formData: { ...VALID_FORM, description: 'Pothole' }, step: 'details' });
+            const element = createForm();
+            await flushPromises();
+            const description = element.shadowRoot.querySelector('[data-field="description"]');
+            const validity = jest.spyOn(description, 'setCustomValidity');
+
+            clickButton(element, 'Next');
+            await flushPromises();
+
+            expect(currentStepTitle(element)).toContain('Details & Photos');
+            expect(validity).toHaveBeenCalledWith(expect.stringContaining('at least 20 characters'));
+        });
+
+        it('saves the current step with the draft so Back/Next survives a refresh', async () => {
+            const element = createForm();
+            await flushPromises();
+            await fillStepAndContinue(element);
+
+            expect(currentStepTitle(element)).toBe('Step 2 of 5: Location');
+            expect(saveDraft).toHaveBeenLastCalledWith(expect.objectContaining({ issueType: 'Pothole' }), 'location');
+
+            clickButton(element, 'Back');
+            await flushPromises();
+            expect(saveDraft).toHaveBeenLastCalledWith(expect.anything(), 'category');
+        });
+
+        it('summarises the complaint for review and jumps back to edit a step', async () => {
+            loadDraft.mockReturnValueOnce({ formData: VALID_FORM, step: 'review' });
+            const element = createForm();
+            await flushPromises();
+
+            const sections = element.shadowRoot.querySelectorAll('.review-section');
+            expect(sections).toHaveLength(4);
+            expect(sections[3].textContent).toContain('asha@example.com');
+
+            element.shadowRoot.querySelector('lightning-button[data-step="contact"]').click();
+            await flushPromises();
+
+            expect(currentStepTitle(element)).toContain('Contact');
+            expect(element.shadowRoot.querySelector('[data-field="contactName"]').value).toBe('Asha Patel');
+        });
+
+        it('returns to the first invalid step when submitting from review', async () => {
+            loadDraft.mockReturnValueOnce({ formData: { ...VALID_FORM, contactEmail: 'asha@' }, step: 'review' });
+            const element = createForm();
+            await flushPromises();
+
+            clickButton(element, 'Submit Complaint');
+            await settle();
+
+            expect(createComplaintCase).not.toHaveBeenCalled();
+            expect(currentStepTitle(element)).toContain('Contact');
+        });
+    });
+
+    describe('anonymous reporting', () => {
+        beforeEach(() => {
+            getQueuedSubmissions.mockResolvedValue([]);
+        });
+
+        it('hides and clears contact details when reporting anonymously', async () => {
+            loadDraft.mockReturnValueOnce({ formData: VALID_FORM, step: 'contact' });
+            const element = createForm();
+            await flushPromises();
+
+            changeField(element, '[data-field="isAnonymous"]', true);
+            await flushPromises();
+
+            expect(element.shadowRoot.querySelector('[data-field="contactName"]')).toBeNull();
+            expect(element.shadowRoot.querySelector('.anonymous-notice')).not.toBeNull();
+            expect(saveDraft).toHaveBeenLastCalledWith(
+                expect.objectContaining({ isAnonymous: true, contactName: '', contactEmail: '' }),
+                'contact'
+            );
+        });
+
+        it('submits without contact details and reminds the citizen to keep the tracking number', async () => {
+            createComplaintCase.mockResolvedValue({ success: true, caseId: '500000000000012', trackingNumber: 'CC250826-0005' });
+            loadDraft.mockReturnValueOnce({
+                formData: { ...VALID_FORM, contactName: '', contactEmail: '', isAnonymous: true },
+                step: 'contact'
+            });
+            const element = createForm();
+            await flushPromises();
+            await completeWizard(element, {});
+            clickButton(element, 'Submit Complaint');
+            await settle();
+
+            const submitted = JSON.parse(createComplaintCase.mock.calls[0][0].complaintData);
+            expect(submitted.isAnonymous).toBe(true);
+            expect(submitted.privacyConsent).toBe(true);
+            expect(submitted.contactEmail).toBe('');
+            expect(element.shadowRoot.querySelector('.anonymous-reminder')).not.toBeNull();
+        });
+
+        it('requires the privacy consent before leaving the contact step', async () => {
+            loadDraft.mockReturnValueOnce({ formData: { ...VALID_FORM, privacyConsent: false }, step: 'contact' });
+            const element = createForm();
+            await flushPromises();
+            const consent = element.shadowRoot.querySelector('[data-field="privacyConsent"]');
+            const validity = jest.spyOn(consent, 'setCustomValidity');
+
+            clickButton(element, 'Next');
+            await flushPromises();
+
+            expect(currentStepTitle(element)).toContain('Contact');
+            expect(validity).toHaveBeenCalledWith('Please accept the privacy notice to submit your complaint.');
+        });
+    });
+
+    describe('signed-in citizens', () => {
+        const CITIZEN = { contactId: '003000000000001AAA', name: 'Asha Patel', email: 'asha@example.com', phone: '9876543210' };
+
+        beforeEach(() => {
+            getQueuedSubmissions.mockResolvedValue([]);
+            findNearbyCases.mockResolvedValue([]);
+        });
+
+        it('prefills the contact step from the account and links the complaint to it', async () => {
+            getCurrentCitizen.mockResolvedValueOnce(CITIZEN);
+            loadDraft.mockReturnValueOnce({
+                formData: { ...VALID_FORM, contactName: '', contactEmail: '', contactPhone: '' },
+                step: 'contact'
+            });
+            const element = createForm();
+            await flushPromises();
+
+            const name = element.shadowRoot.querySelector('[data-field="contactName"]');
+            expect(name.value).toBe('Asha Patel');
+            expect(name.readOnly).toBe(true);
+            expect(element.shadowRoot.querySelector('[data-field="contactEmail"]').value).toBe('asha@example.com');
+            expect(element.shadowRoot.querySelector('[data-field="contactPhone"]').value).toBe('9876543210');
+            expect(element.shadowRoot.querySelector('.signed-in-notice').textContent).toContain('Asha Patel');
+        });
+
+        it('keeps guests on the usual contact fields', async () => {
+            loadDraft.mockReturnValueOnce({ formData: VALID_FORM, step: 'contact' });
+            const element = createForm();
+            await flushPromises();
+
+            expect(element.shadowRoot.querySelector('.signed-in-notice')).toBeNull();
+            expect(element.shadowRoot.querySelector('[data-field="contactName"]').readOnly).toBeFalsy();
+        });
+
+        it('offers anonymous reporters an email to claim the complaint later, kept out of the draft', async () => {
+            loadDraft.mockReturnValueOnce({ formData: VALID_FORM, step: 'contact' });
+            const element = createForm();
+            await flushPromises();
+
+            changeField(element, '[data-field="isAnonymous"]', true);
+            await flushPromises();
+            changeField(element, '[data-field="claimEmail"]', 'asha@example.com');
+            await flushPromises();
+
+            expect(saveDraft).toHaveBeenLastCalledWith(expect.objectContaining({ claimEmail: '' }), 'contact');
+            clickButton(element, 'Next');
+            await flushPromises();
+
+            expect(currentStepTitle(element)).toContain('Review');
+            expect(element.shadowRoot.textContent).toContain('asha@example.com');
+        });
+    });
+
+    describe('voice dictation', () => {
+        beforeEach(() => {
+            getQueuedSubmissions.mockResolvedValue([]);
+            findNearbyCases.mockResolvedValue([]);
+        });
+
+        function descriptionOf(element) {
+            return element.shadowRoot.querySelector('[data-field="description"]').value;
+        }
+
+        it('streams the transcript into the description after what was typed', async () => {
+            const recognizer = createScriptedRecognizer([
+                { transcript: 'the drain', isFinal: false },
+                'the drain near the temple is blocked',
+                'and overflows when it rains'
+            ]);
+            createRecognizer.mockReturnValueOnce(recognizer);
+            loadDraft.mockReturnValueOnce({ formData: { description: 'Sewage on the road.' }, step: 'details' });
+            const element = createForm();
+            await flushPromises();
+
+            const language = element.shadowRoot.querySelector('.dictation-language');
+            language.dispatchEvent(new CustomEvent('change', { detail: { value: 'gu-IN' } }));
+            clickButton(element, 'Dictate');
+            await flushPromises();
+
+            expect(recognizer.starts).toEqual(['gu-IN']);
+            expect(descriptionOf(element)).toBe(
+                'Sewage on the road. the drain near the temple is blocked and overflows when it rains'
+            );
+            expect(element.shadowRoot.querySelector('.dictation-status')).toBeNull();
+            expect(saveDraft).toHaveBeenLastCalledWith(
+                expect.objectContaining({ description: expect.stringContaining('overflows when it rains') }),
+                'details'
+            );
+        });
+
+        it('keeps typed corrections made while dictating', async () => {
+            let session;
+            createRecognizer.mockReturnValueOnce({
+                type: 'scripted',
+                supported: true,
+                start: (options) => {
+                    session = options;
+                },
+                stop: () => session.onEnd()
+            });
+            loadDraft.mockReturnValueOnce({ formData: {}, step: 'details' });
+            const element = createForm();
+            await flushPromises();
+
+            clickButton(element, 'Dictate');
+            await flushPromises();
+            expect(element.shadowRoot.querySelector('.dictation-status')).not.toBeNull();
+
+            session.onResult('pot hole on sg highway', true);
+            await flushPromises();
+            changeField(element, '[data-field="description"]', 'Pothole on SG Highway');
+            session.onResult('near the flyover', true);
+            await flushPromises();
+            expect(descriptionOf(element)).toBe('Pothole on SG Highway near the flyover');
+
+            clickButton(element, 'Stop Dictation');
+            await flushPromises();
+            expect(element.shadowRoot.querySelector('.dictation-status')).toBeNull();
+        });
+
+        it('explains a blocked microphone and leaves typing available', async () => {
+            createRecognizer.mockReturnValueOnce(createScriptedRecognizer([{ error: 'not-allowed' }]));
+            loadDraft.mockReturnValueOnce({ formData: {}, step: 'details' });
+            const element = createForm();
+            await flushPromises();
+
+            clickButton(element, 'Dictate');
+            await flushPromises();
+
+            expect(element.shadowRoot.querySelector('.dictation-error').textContent).toContain('Microphone access was blocked');
+            expect(element.shadowRoot.querySelector('[data-field="description"]')).not.toBeNull();
+        });
+
+        it('hides the microphone where speech recognition is unsupported', async () => {
+            loadDraft.mockReturnValueOnce({ formData: {}, step: 'details' });
+            const element = createForm();
+            await flushPromises();
+
+            expect(element.shadowRoot.querySelector('.dictation-controls')).toBeNull();
+            expect(element.shadowRoot.querySelector('[data-field="description"]')).not.toBeNull();
+        });
+    });
+
+    describe('address search', () => {
+        beforeEach(() => {
+            getQueuedSubmissions.mockResolvedValue([]);
+        });
+
+        async function openPicker() {
+            loadDraft.mockReturnValueOnce({ formData: {}, step: 'location' });
+            const element = createElement('c-complaint-form', { is: ComplaintForm });
+            element.geocoderType = 'mock';
+            document.body.appendChild(element);
+            await flushPromises();
+            clickButton(element, '📍 Select Location on Map');
+            await flushPromises();
+            return element;
+        }
+
+        async function typeSearch(element, query) {
+            changeField(element, '[data-id="addressSearch"]', query);
+            // Wait out the search debounce
+            await new Promise((resolve) => {
+                // eslint-disable-next-line @lwc/lwc/no-async-operation
+                setTimeout(resolve, 350);
+            });
+            await flushPromises();
+        }
+
+        it('suggests places as the citizen types and uses the chosen one', async () => {
+            const element = await openPicker();
+
+            await typeSearch(element, 'kank');
+
+            const results = element.shadowRoot.querySelectorAll('.search-result');
+            expect(results).toHaveLength(1);
+            expect(results[0].textContent).toContain('Kankaria Lake');
+
+            results[0].click();
+            await flushPromises();
+
+            expect(element.shadowRoot.querySelector('.search-results')).toBeNull();
+            expect(saveDraft).toHaveBeenLastCalledWith(
+                expect.objectContaining({
+                    address: 'Kankaria Lake, Maninagar, Ahmedabad',
+                    latitude: 23.0063,
+                    longitude: 72.601
+                }),
+                'location'
+            );
+        });
+
+        it('waits for a few characters and says when nothing matches', async () => {
+            const element = await openPicker();
+
+            await typeSearch(element, 'ka');
+            expect(element.shadowRoot.querySelector('.search-results')).toBeNull();
+            expect(element.shadowRoot.querySelector('.no-search-results')).toBeNull();
+
+            await typeSearch(element, 'satellite');
+            expect(element.shadowRoot.querySelector('.no-search-results')).not.toBeNull();
+        });
+
+        it('only searches the public Nominatim server when the citizen presses Enter', async () => {
+            global.fetch = jest.fn(() =>
+                Promise.resolve({
+                    json: () => Promise.resolve([{ display_name: 'Relief Road, Ahmedabad', lat: '23.026', lon: '72.586', type: 'street' }])
+                })
+            );
+            loadDraft.mockReturnValueOnce({ formData: {}, step: 'location' });
+            const element = createElement('c-complaint-form', { is: ComplaintForm });
+            element.geocoderType = 'nominatim';
+            document.body.appendChild(element);
+            await flushPromises();
+            clickButton(element, '📍 Select Location on Map');
+            await flushPromises();
+
+            await typeSearch(element, 'relief road');
+            expect(global.fetch).not.toHaveBeenCalled();
+            expect(element.shadowRoot.querySelector('.search-on-enter').textContent).toBe('Press Enter to search.');
+
+            element.shadowRoot.querySelector('.address-search').dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter' }));
+            await flushPromises();
+            await flushPromises();
+
+            expect(global.fetch).toHaveBeenCalledWith(expect.stringContaining('/search?q=relief%20road'));
+            expect(element.shadowRoot.querySelectorAll('.search-result')).toHaveLength(1);
+            delete global.fetch;
+        });
+    });
+
+    describe('ward assignment', () => {
+        const MANINAGAR = {
+            type: 'FeatureCollection',
+            features: [
+                {
+                    type: 'Feature',
+                    properties: { ward: 'Maninagar', wardNumber: 2, zone: 'South', department: 'South Zone Office' },
+                    geometry: {
+                        type: 'Polygon',
+                        coordinates: [
+                            [
+                                [72.59, 22.99],
+                                [72.62, 22.99],
+                                [72.62, 23.01],
+                                [72.59, 23.01],
+                                [72.59, 22.99]
+                            ]
+                        ]
+                    }
+                }
+            ]
+        };
+
+        beforeEach(() => {
+            getQueuedSubmissions.mockResolvedValue([]);
+            loadWardBoundaries.mockResolvedValue(MANINAGAR);
+        });
+
+        afterEach(() => {
+            loadWardBoundaries.mockResolvedValue(null);
+        });
+
+        it('shows the ward and department for a location picked on the map', async () => {
+            loadDraft.mockReturnValueOnce({ formData: {}, step: 'location' });
+            const element = createElement('c-complaint-form', { is: ComplaintForm });
+            element.geocoderType = 'mock';
+            document.body.appendChild(element);
+            await flushPromises();
+            clickButton(element, '📍 Select Location on Map');
+            await flushPromises();
+
+            changeField(element, '[data-id="addressSearch"]', 'kankaria');
+            await new Promise((resolve) => {
+                // eslint-disable-next-line @lwc/lwc/no-async-operation
+                setTimeout(resolve, 350);
+            });
+            await flushPromises();
+            element.shadowRoot.querySelector('.search-result').click();
+            await flushPromises();
+
+            expect(element.shadowRoot.querySelector('.ward-assignment').textContent).toContain(
+                'Maninagar ward - handled by South Zone Office'
+            );
+            expect(saveDraft).toHaveBeenLastCalledWith(
+                expect.objectContaining({ ward: 'Maninagar', department: 'South Zone Office', outsideWards: false }),
+                'location'
+            );
+        });
+
+        it('keeps the citizen on the location step when the pin is outside every ward', async () => {
+            loadDraft.mockReturnValueOnce({
+                formData: { ...VALID_FORM, latitude: 23.2, longitude: 72.4 },
+                step: 'location'
+            });
+            const element = createForm();
+            await flushPromises();
+
+            expect(element.shadowRoot.querySelector('.outside-wards')).not.toBeNull();
+            expect(element.shadowRoot.querySelector('.ward-assignment')).toBeNull();
+
+            const address = element.shadowRoot.querySelector('[data-field="address"]');
+            const setCustomValidity = jest.spyOn(address, 'setCustomValidity');
+            clickButton(element, 'Next');
+            await flushPromises();
+
+            expect(currentStepTitle(element)).toContain('Location');
+            expect(setCustomValidity).toHaveBeenCalledWith(expect.stringContaining("outside the city's ward boundaries"));
+        });
+    });
+
+    describe('classification suggestion', () => {
+        const RULES = [
+            { issueType: 'Streetlight', subtype: 'Exposed wiring', severity: 'Critical', keywords: ['live wire'], weight: 3 },
+            { issueType: null, subtype: null, severity: 'High', keywords: ['school'], weight: 1 }
+        ];
+
+        beforeEach(() => {
+            getQueuedSubmissions.mockResolvedValue([]);
+            getClassificationRules.mockResolvedValue(RULES);
+            getIssueTaxonomy.mockResolvedValue([
+                {
+                    value: 'Streetlight',
+                    label: 'Streetlight',
+                    defaultSeverity: 'Medium',
+                    subtypes: [{ value: 'Exposed wiring', label: 'Exposed wiring', defaultSeverity: 'Critical' }],
+                    fields: []
+                },
+                { value: 'Other', label: 'Other', defaultSeverity: 'Medium', subtypes: [], fields: [] }
+            ]);
+            loadDraft.mockReturnValueOnce({
+                formData: { issueType: 'Other', severity: 'Medium', details: {} },
+                step: 'details'
+            });
+        });
+
+        afterEach(() => {
+            getClassificationRules.mockResolvedValue([]);
+            getIssueTaxonomy.mockResolvedValue([]);
+        });
+
+        it('suggests a type and severity from the description and applies it in one click', async () => {
+            const element = createForm();
+            await flushPromises();
+            expect(element.shadowRoot.querySelector('.classification-suggestion')).toBeNull();
+
+            changeField(element, '[data-field="description"]', 'Live wire hanging over the school gate');
+            await flushPromises();
+
+            const suggestion = element.shadowRoot.querySelector('.classification-suggestion');
+            expect(suggestion.textContent).toContain('Streetlight › Exposed wiring, Critical priority');
+
+            clickButton(element, 'Use Suggestion');
+            await flushPromises();
+
+            expect(element.shadowRoot.querySelector('.classification-suggestion')).toBeNull();
+            expect(saveDraft).toHaveBeenLastCalledWith(
+                expect.objectContaining({ issueType: 'Streetlight', subtype: 'Exposed wiring', severity: 'Critical' }),
+                'details'
+            );
+        });
+
+        it('keeps the citizen choice when the suggestion is dismissed', async () => {
+            const element = createForm();
+            await flushPromises();
+
+            changeField(element, '[data-field="description"]', 'Live wire hanging over the school gate');
+            await flushPromises();
+            clickButton(element, 'Keep My Choice');
+            await flushPromises();
+
+            expect(element.shadowRoot.querySelector('.classification-suggestion')).toBeNull();
+            expect(saveDraft).toHaveBeenLastCalledWith(expect.objectContaining({ issueType: 'Other' }), 'details');
+        });
+    });
+
+    describe('emergency hazards', () => {
+        const LIVE_WIRE = {
+            name: 'Exposed electrical wiring',
+            issueType: 'Streetlight',
+            subtype: 'Exposed wiring',
+            keywords: ['live wire'],
+            safetyMessage: 'Stay at least 5 metres away from the wires.',
+            emergencyContacts: ['Emergency: 112', 'Fire brigade: 101'],
+            responseHours: 1
+        };
+
+        beforeEach(() => {
+            getQueuedSubmissions.mockResolvedValue([]);
+            getHazardTriggers.mockResolvedValue([LIVE_WIRE]);
+        });
+
+        afterEach(() => {
+            getHazardTriggers.mockResolvedValue([]);
+        });
+
+        it('shows the safety banner with emergency numbers once a hazard is described', async () => {
+            loadDraft.mockReturnValueOnce({ formData: { issueType: 'Other', details: {} }, step: 'details' });
+            const element = createForm();
+            await flushPromises();
+            expect(element.shadowRoot.querySelector('.safety-banner')).toBeNull();
+
+            changeField(element, '[data-field="description"]', 'A live wire is hanging over the school gate');
+            await flushPromises();
+
+            const banner = element.shadowRoot.querySelector('.safety-banner');
+            expect(banner.textContent).toContain('Possible emergency: Exposed electrical wiring');
+            expect(banner.textContent).toContain('Stay at least 5 metres away');
+            const links = Array.from(banner.querySelectorAll('.emergency-contact a')).map((link) => link.getAttribute('href'));
+            expect(links).toEqual(['tel:112', 'tel:101']);
+        });
+
+        it('submits emergencies without duplicate review and confirms the escalation', async () => {
+            findNearbyCases.mockResolvedValue([{ caseNumber: '00001042', latitude: 23.0225, longitude: 72.5714 }]);
+            createComplaintCase.mockResolvedValue({
+                success: true,
+                caseId: '500000000000011',
+                trackingNumber: 'CC250826-0004',
+                escalated: true
+            });
+            loadDraft.mockReturnValueOnce({
+                formData: {
+                    ...VALID_FORM,
+                    issueType: 'Streetlight',
+                    subtype: 'Exposed wiring',
+                    latitude: 23.0225,
+                    longitude: 72.5714
+                },
+                step: 'review'
+            });
+            const element = createForm();
+            await flushPromises();
+
+            clickButton(element, 'Submit Complaint');
+            await settle();
+
+            expect(createComplaintCase).toHaveBeenCalled();
+            expect(element.shadowRoot.querySelector('.nearby-case')).toBeNull();
+            expect(element.shadowRoot.querySelector('.emergency-confirmation')).not.toBeNull();
+        });
+    });
+
+    describe('line and area drawing', () => {
+        let mapClick;
+
+        function clickMap(lat, lng) {
+            mapClick({ latlng: { lat, lng } });
+        }
+
+        beforeEach(() => {
+            getQueuedSubmissions.mockResolvedValue([]);
+            findNearbyCases.mockResolvedValue([]);
+            window.L = fakeLeaflet((handler) => {
+                mapClick = handler;
+            });
+        });
+
+        afterEach(() => {
+            delete window.L;
+        });
+
+        async function openPicker(formData = VALID_FORM) {
+            loadDraft.mockReturnValueOnce({ formData, step: 'location' });
+            const element = createForm();
+            await flushPromises();
+            clickButton(element, '📍 Select Location on Map');
+            await flushPromises();
+            return element;
+        }
+
+        function chooseDrawMode(element, mode) {
+            const modes = element.shadowRoot.querySelector('.draw-mode');
+            modes.dispatchEvent(new CustomEvent('change', { detail: { value: mode } }));
+        }
+
+        it('traces a road stretch, pins its midpoint and submits the GeoJSON', async () => {
+            createComplaintCase.mockResolvedValue({ success: true, caseId: '500000000000012', trackingNumber: 'CC251019-K7M35' });
+            const element = await openPicker();
+
+            chooseDrawMode(element, 'line');
+            await flushPromises();
+            clickMap(23.0395, 72.558);
+            clickMap(23.03, 72.558);
+            await flushPromises();
+
+            expect(element.shadowRoot.querySelector('.drawn-shape').textContent).toBe('Line, 1.06 km');
+            expect(window.L.polyline).toHaveBeenCalledWith([[23.0395, 72.558], [23.03, 72.558]], expect.any(Object));
+            const draft = saveDraft.mock.calls[saveDraft.mock.calls.length - 1][0];
+            expect(draft.geometry).toEqual({ type: 'LineString', coordinates: [[72.558, 23.0395], [72.558, 23.03]] });
+            expect(draft.latitude).toBeCloseTo(23.03475, 6);
+
+            clickButton(element, 'Confirm Location');
+            await flushPromises();
+            expect(element.shadowRoot.querySelector('.location-shape').textContent).toContain('Line, 1.06 km');
+
+            await completeWizard(element);
+            clickButton(element, 'Submit Complaint');
+            await settle();
+
+            const submitted = JSON.parse(createComplaintCase.mock.calls[0][0].complaintData);
+            expect(submitted.geometry.type).toBe('LineString');
+        });
+
+        it('outlines an area and undoes points back to an unfinished shape', async () => {
+            const element = await openPicker();
+
+            chooseDrawMode(element, 'area');
+            await flushPromises();
+            clickMap(23.03, 72.55);
+            clickMap(23.03, 72.57);
+            clickMap(23.05, 72.57);
+            await flushPromises();
+
+            expect(window.L.polygon).toHaveBeenCalled();
+            expect(element.shadowRoot.querySelector('.drawn-shape').textContent).toBe('Area (3 points)');
+
+            clickButton(element, 'Undo Point');
+            await flushPromises();
+
+            expect(element.shadowRoot.querySelector('.drawn-shape')).toBeNull();
+            expect(saveDraft).toHaveBeenLastCalledWith(
+                expect.objectContaining({ geometry: null, latitude: 23.03, longitude: 72.55 }),
+                'location'
+            );
+        });
+
+        it('reopens a saved shape in its drawing mode', async () => {
+            const geometry = { type: 'LineString', coordinates: [[72.558, 23.0395], [72.558, 23.03]] };
+            const element = await openPicker({ ...VALID_FORM, latitude: 23.03475, longitude: 72.558, geometry });
+
+            expect(element.shadowRoot.querySelector('.draw-mode').value).toBe('line');
+            expect(element.shadowRoot.querySelector('.drawn-shape').textContent).toBe('Line, 1.06 km');
+        });
+    });
+
+    describe('page configuration', () => {
+        beforeEach(() => {
+            getQueuedSubmissions.mockResolvedValue([]);
+            findNearbyCases.mockResolvedValue([]);
+        });
+
+        function createConfiguredForm(properties, draft = null) {
+            if (draft) {
+                loadDraft.mockReturnValueOnce(draft);
+            }
+            const element = createElement('c-complaint-form', { is: ComplaintForm });
+            Object.assign(element, properties);
+            document.body.appendChild(element);
+            return element;
+        }
+
+        it('offers only the categories and priorities configured for the page', async () => {
+            const element = createConfiguredForm({
+                allowedIssueTypes: 'Parks & Recreation, Other',
+                allowedSeverities: 'Low, Medium, High'
+            });
+            await flushPromises();
+
+            const issueType = element.shadowRoot.querySelector('[data-field="issueType"]');
+            const severity = element.shadowRoot.querySelector('[data-field="severity"]');
+            expect(issueType.options.map((option) => option.value)).toEqual(['Parks & Recreation', 'Other']);
+            expect(severity.options.map((option) => option.value)).toEqual(['Low', 'Medium', 'High']);
+            expect(issueType.disabled).toBe(false);
+        });
+
+        it('locks a preset issue type, even over a draft from another page', async () => {
+            const element = createConfiguredForm(
+                { presetIssueType: 'parks & recreation', lockIssueType: true },
+                { formData: { issueType: 'Pothole' }, step: 'category' }
+            );
+            await flushPromises();
+
+            const issueType = element.shadowRoot.querySelector('[data-field="issueType"]');
+            expect(issueType.value).toBe('Parks & Recreation');
+            expect(issueType.disabled).toBe(true);
+            expect(issueType.options.map((option) => option.value)).toEqual(['Parks & Recreation']);
+        });
+
+        it('opens the map at the configured center and zoom', async () => {
+            window.L = fakeLeaflet();
+            const element = createConfiguredForm(
+                { mapCenterLatitude: '23.0587', mapCenterLongitude: '72.5442', mapZoom: 15 },
+                { formData: {}, step: 'location' }
+            );
+            await flushPromises();
+            clickButton(element, '📍 Select Location on Map');
+            await flushPromises();
+
+            expect(window.L.mapInstance.setView).toHaveBeenCalledWith([23.0587, 72.5442], 15);
+            delete window.L;
+        });
+
+        it('rejects attachments of other types or above the page size limit', async () => {
+            const element = createConfiguredForm(
+                { acceptedFileTypes: 'image/*', maxFileSizeMb: 1 },
+                { formData: { ...VALID_FORM }, step: 'details' }
+            );
+            const toasts = [];
+            element.addEventListener('lightning__showtoast', (event) => toasts.push(event.detail.message));
+            await flushPromises();
+
+            const input = element.shadowRoot.querySelector('input[type="file"]');
+            expect(input.getAttribute('accept')).toBe('image/*');
+            expect(element.shadowRoot.textContent).toContain('Maximum file size: 1.0 MB per file.');
+
+            attachFiles(element, [
+                new File(['%PDF'], 'notice.pdf', { type: 'application/pdf' }),
+                new File([new Uint8Array(2 * 1024 * 1024)], 'large.jpg', { type: 'image/jpeg' }),
+                new File(['a'], 'bench.jpg', { type: 'image/jpeg' })
+            ]);
+            await settle();
+
+            expect(toasts).toEqual(['notice.pdf is not a file type accepted here', 'File size must be less than 1.0 MB']);
+            expect(element.shadowRoot.textContent).toContain('bench.jpg');
+            expect(element.shadowRoot.textContent).not.toContain('large.jpg');
+        });
+
+        it('lets citizens skip their name and email when the portal makes contact details optional', async () => {
+            createComplaintCase.mockResolvedValue({ success: true, caseId: '500000000000013', trackingNumber: 'CC251019-K7M35' });
+            isContactOptional.mockResolvedValueOnce(true);
+            const element = createConfiguredForm(
+                {},
+                { formData: { ...VALID_FORM, contactName: '', contactEmail: '' }, step: 'contact' }
+            );
+            await flushPromises();
+
+            expect(element.shadowRoot.querySelector('[data-field="contactEmail"]').required).toBe(false);
+            clickButton(element, 'Next');
+            await flushPromises();
+            expect(currentStepTitle(element)).toContain('Review');
+
+            clickButton(element, 'Submit Complaint');
+            await settle();
+
+            // The server reads the same setting, so the page does not claim it
+            const submitted = JSON.parse(createComplaintCase.mock.calls[0][0].complaintData);
+            expect(submitted.contactOptional).toBeUndefined();
+            expect(submitted.contactEmail).toBe('');
+        });
+    });
+
+    describe('spam protection', () => {
+        const CHALLENGE = {
+            success: false,
+            challengeRequired: true,
+            challengeId: 'a0B000000000001AAA',
+            challengeQuestion: 'What is 3 plus 4?',
+            errorMessage: 'Please answer the question below so we know this complaint was sent by a person.'
+        };
+
+        beforeEach(() => {
+            getQueuedSubmissions.mockResolvedValue([]);
+            findNearbyCases.mockResolvedValue([]);
+            isConnectivityError.mockReturnValue(false);
+        });
+
+        afterEach(() => {
+            isConnectivityError.mockReturnValue(true);
+        });
+
+        function lastSubmission() {
+            const calls = createComplaintCase.mock.calls;
+            return JSON.parse(calls[calls.length - 1][0].complaintData);
+        }
+
+        it('sends the hidden website field and how long the form took to fill in', async () => {
+            createComplaintCase.mockResolvedValue({ success: true, caseId: '500000000000001', trackingNumber: 'CC250826-0009' });
+            loadDraft.mockReturnValueOnce({ formData: { ...VALID_FORM, startedAt: Date.now() - 42000 }, step: 'review' });
+            const element = createForm();
+            await flushPromises();
+
+            const trap = element.shadowRoot.querySelector('.form-trap input');
+            expect(trap.getAttribute('tabindex')).toBe('-1');
+            changeField(element, '.form-trap input', 'http://spam.example.com');
+            clickButton(element, 'Submit Complaint');
+            await settle();
+
+            const submitted = lastSubmission();
+            expect(submitted.website).toBe('http://spam.example.com');
+            expect(submitted.fillSeconds).toBeGreaterThanOrEqual(42);
+            expect(submitted.fillSeconds).toBeLessThan(50);
+            expect(submitted.clientId).toMatch(/^[a-f0-9]{32}$/);
+            expect(submitted.startedAt).toBeUndefined();
+        });
+
+        it('asks the challenge question and resubmits with the answer', async () => {
+            createComplaintCase
+                .mockResolvedValueOnce(CHALLENGE)
+                .mockResolvedValueOnce({ success: true, caseId: '500000000000001', trackingNumber: 'CC250826-0010' });
+            loadDraft.mockReturnValueOnce({ formData: VALID_FORM, step: 'review' });
+            const element = createForm();
+            await flushPromises();
+
+            clickButton(element, 'Submit Complaint');
+            await settle();
+
+            const panel = element.shadowRoot.querySelector('.submission-challenge');
+            expect(panel.textContent).toContain(CHALLENGE.errorMessage);
+            expect(element.shadowRoot.querySelector('.challenge-answer').label).toBe('What is 3 plus 4?');
+            expect(lastSubmission().challengeId).toBeUndefined();
+
+            changeField(element, '.challenge-answer', '7');
+            clickButton(element, 'Verify and Submit');
+            await settle();
+
+            expect(lastSubmission()).toEqual(
+                expect.objectContaining({ challengeId: CHALLENGE.challengeId, challengeAnswer: '7' })
+            );
+            expect(element.shadowRoot.querySelector('.submission-challenge')).toBeNull();
+            expect(element.shadowRoot.textContent).toContain('CC250826-0010');
+        });
+
+        it('keeps a challenged queued complaint in the outbox until the question is answered', async () => {
+            const entry = { id: 'outbox-1', formData: VALID_FORM, files: [], queuedAt: '2025-08-26T10:00:00.000Z', attempts: 0 };
+            getQueuedSubmissions.mockResolvedValue([entry]);
+            createComplaintCase
+                .mockResolvedValueOnce(CHALLENGE)
+                .mockResolvedValueOnce({ success: true, caseId: '500000000000001', trackingNumber: 'CC250826-0011' });
+            const element = createForm();
+            await settle();
+
+            expect(removeQueuedSubmission).not.toHaveBeenCalled();
+            expect(element.shadowRoot.querySelector('.challenge-answer').label).toBe('What is 3 plus 4?');
+
+            changeField(element, '.challenge-answer', '7');
+            clickButton(element, 'Verify and Submit');
+            await settle();
+
+            expect(updateQueuedSubmission).toHaveBeenLastCalledWith(
+                expect.objectContaining({
+                    formData: expect.objectContaining({ challengeId: CHALLENGE.challengeId, challengeAnswer: '7' })
+                })
+            );
+            expect(lastSubmission().challengeAnswer).toBe('7');
+            expect(removeQueuedSubmission).toHaveBeenCalledWith('outbox-1');
+        });
+
+        it('sends the same submission key when a failed submission is tried again', async () => {
+            createComplaintCase
+                .mockRejectedValueOnce(new Error('Request timed out'))
+                .mockResolvedValueOnce({ success: true, caseId: '500000000000001', trackingNumber: 'CC250826-0012' });
+            loadDraft.mockReturnValueOnce({ formData: VALID_FORM, step: 'review' });
+            const element = createForm();
+            await flushPromises();
+
+            clickButton(element, 'Submit Complaint');
+            await settle();
+            const firstKey = lastSubmission().submissionKey;
+            clickButton(element, 'Submit Complaint');
+            await settle();
+
+            expect(firstKey).toMatch(/^[a-f0-9]{32}$/);
+            expect(lastSubmission().submissionKey).toBe(firstKey);
+            expect(element.shadowRoot.textContent).toContain('CC250826-0012');
+        });
+
+        it('drops a queued complaint the server turns down and gives it back to the citizen', async () => {
+            const rejection = { success: false, errorMessage: 'The pinned location is outside the city wards.' };
+            isConnectivityError.mockReturnValueOnce(true);
+            createComplaintCase.mockRejectedValueOnce({ status: 0 }).mockResolvedValueOnce(rejection);
+            queueSubmission.mockResolvedValue({ id: 'outbox-1' });
+            loadDraft.mockReturnValueOnce({ formData: VALID_FORM, step: 'review' });
+            const toasts = [];
+            const element = createForm();
+            element.addEventListener('lightning__showtoast', (event) => toasts.push(event.detail.message));
+            await flushPromises();
+
+            clickButton(element, 'Submit Complaint');
+            await settle();
+            expect(element.shadowRoot.textContent).toContain('Your Complaint Is Saved and Waiting to Be Sent');
+
+            getQueuedSubmissions.mockResolvedValue([
+                { id: 'outbox-1', formData: lastSubmission(), files: [], queuedAt: '2025-08-26T10:00:00.000Z', attempts: 0 }
+            ]);
+            window.dispatchEvent(new CustomEvent('online'));
+            await settle();
+
+            expect(removeQueuedSubmission).toHaveBeenCalledWith('outbox-1');
+            expect(toasts).toContain(
+                'Your saved complaint could not be submitted and has been removed from the queue: ' + rejection.errorMessage
+            );
+            expect(element.shadowRoot.textContent).not.toContain('Your Complaint Is Saved and Waiting to Be Sent');
+            expect(element.shadowRoot.textContent).toContain(VALID_FORM.description);
+        });
+
+        it('keeps retrying a queued complaint after an unexpected failure, but not forever', async () => {
+            const entry = { id: 'outbox-1', formData: VALID_FORM, files: [], queuedAt: '2025-08-26T10:00:00.000Z', attempts: 0 };
+            getQueuedSubmissions.mockResolvedValue([entry]);
+            createComplaintCase.mockRejectedValue(new Error('Internal server error'));
+            createForm();
+            await settle();
+
+            expect(removeQueuedSubmission).not.toHaveBeenCalled();
+            expect(updateQueuedSubmission).toHaveBeenLastCalledWith(
+                expect.objectContaining({ attempts: 1, lastError: 'Internal server error' })
+            );
+
+            entry.attempts = 4;
+            window.dispatchEvent(new CustomEvent('online'));
+            await settle();
+
+            expect(removeQueuedSubmission).toHaveBeenCalledWith('outbox-1');
+        });
+    });
+});
@@ -2,9 +2,143 @@
 import { LightningElement, track, api } from 'lwc';
 import { ShowToastEvent } from 'lightning/platformShowToastEvent';
 import createComplaintCase from '@salesforce/apex/ComplaintFormController.createComplaintCase';
-import uploadFile from '@salesforce/apex/ComplaintFormController.uploadFile';
+import getMapSettings from '@salesforce/apex/MapConfigController.getMapSettings';
+import getIssueTaxonomy from '@salesforce/apex/IssueTaxonomyController.getIssueTaxonomy';
+import getClassificationRules from '@salesforce/apex/ComplaintClassifier.getClassificationRules';
+import getHazardTriggers from '@salesforce/apex/HazardTriggerController.getHazardTriggers';
+import getCurrentCitizen from '@salesforce/apex/CitizenProfileController.getCurrentCitizen';
+import isContactOptional from '@salesforce/apex/ComplaintFormController.isContactOptional';
+import findNearbyCases from '@salesforce/apex/DuplicateComplaintController.findNearbyCases';
+import supportCase from '@salesforce/apex/DuplicateComplaintController.supportCase';
+import { loadLeaflet, resolveMapSettings, createTileLayer, createGeocoder, escapeHtml } from 'c/mapService';
+
+import {
+    createUploadEntry,
+    toStoredEntry,
+    uploadAttachment,
+    uploadErrorMessage,
+    formatFileSize,
+    partCountFor,
+    MAX_DIRECT_UPLOAD_SIZE,
+    UPLOAD_GRANT_FIELD
+} from 'c/attachmentUploader';
+import { runSequentially, STOP } from 'c/sequentialTasks';
+import { startTimeout } from 'c/componentTimers';
+import { readExif, compressImage, isCompressibleImage } from 'c/imageProcessor';
+import { isRedactableImage } from 'c/photoRedaction';
+import { getClientId, newSubmissionKey } from 'c/clientIdentity';
+import { loadWardBoundaries, findWard } from 'c/wardLocator';
+import { classify, differsFromSelection } from 'c/complaintClassifier';
+import { findHazard, contactRows } from 'c/hazardTriggers';
+import {
+    DRAW_MODES,
+    MAX_VERTICES,
+    buildGeometry,
+    drawModeFor,
+    geometryVertices,
+    geometryCentroid,
+    describeGeometry,
+    createGeometryLayer
+} from 'c/locationGeometry';
+import {
+    FALLBACK_TAXONOMY,
+    normalizeTaxonomy,
+    findIssueType,
+    issueTypeLabel,
+    subtypeLabel,
+    issueTypeOptions,
+    subtypeOptions,
+    defaultSeverity,
+    cleanDetails,
+    detailFieldRows
+} from 'c/issueTaxonomy';
+import {
+    STEPS,
+    MAX_DESCRIPTION_LENGTH,
+    stepIndex,
+    stepForField,
+    validateComplaint,
+    firstInvalidStep,
+    isValidEmail
+} from 'c/complaintWizard';
+import {
+    DICTATION_LANGUAGES,
+    DEFAULT_DICTATION_LANGUAGE,
+    createRecognizer,
+    appendTranscript
+} from 'c/speechDictation';
+import {
+    resolveFormSettings,
+    restrictTaxonomy,
+    presetIssueTypeValue,
+    isAcceptedFileType
+} from 'c/complaintFormSettings';
+import {
+    saveDraft,
+    loadDraft,
+    clearDraft,
+    saveDraftFiles,
+    loadDraftFiles,
+    queueSubmission,
+    getQueuedSubmissions,
+    updateQueuedSubmission,
+    removeQueuedSubmission,
+    isConnectivityError
+} from 'c/complaintOutbox';
+import {
+    formatLabel,
+    currentLanguage,
+    formatDate,
+    formatDateTime,
+    severityLabel,
+    statusLabel
+} from 'c/civicI18n';
+import { LABELS } from 'c/complaintFormLabels';
+
+const SEARCH_MIN_LENGTH = 3;
+const SEARCH_DEBOUNCE_MS = 300;
+// Unexpected failures that are not connectivity problems are retried a few times, then dropped
+const MAX_OUTBOX_ATTEMPTS = 5;
+const KIND_LABELS = { ward: LABELS.ward, street: LABELS.kindStreet, landmark: LABELS.kindLandmark };
+const DRAW_MODE_LABELS = { point: LABELS.drawPoint, line: LABELS.drawLine, area: LABELS.drawArea };
+
+// Dictation starts in the page language when the recognizer offers it
+function defaultDictationLanguage() {
+    const language = currentLanguage().split('_')[0];
+    const match = DICTATION_LANGUAGES.find((option) => option.value.split('-')[0] === language);
+    return match ? match.value : DEFAULT_DICTATION_LANGUAGE;
+}
+
+function suggestionKey(suggestion) {
+    return suggestion ? [suggestion.issueType, suggestion.subtype, suggestion.severity].join('|') : null;
+}
 
 export default class ComplaintForm extends LightningElement {
+    // Map providers; these override the Map_Provider_Setting__mdt record named by mapSettingName
+    @api mapSettingName = 'Default';
+    @api tileUrlTemplate;
+    @api tileAttribution;
+    @api geocoderType;
+    @api geocoderUrl;
+
+    // Speech recognizer for the description: browser (default) or none to hide the microphone
+    @api dictationType;
+
+    // Open cases of the same type within this distance are offered before filing a new one
+    @api duplicateRadiusMeters = 200;
+
+    // Page-specific setup from Experience Builder, parsed by c/complaintFormSettings;
+    // lists are comma separated, e.g. allowedIssueTypes = "Parks & Recreation, Other"
+    @api presetIssueType;
+    @api lockIssueType = false;
+    @api allowedIssueTypes;
+    @api allowedSeverities;
+    @api mapCenterLatitude;
+    @api mapCenterLongitude;
+    @api mapZoom;
+    @api acceptedFileTypes;
+    @api maxFileSizeMb;
+
     @track formData = {
         issueType: '',
         subtype: '',
@@ -15,53 +149,291 @@ export default class ComplaintForm extends LightningElement {
         contactPhone: '',
         address: '',
         latitude: null,
-        longitude: null
+        longitude: null,
+        details: {},
+        isAnonymous: false,
+        claimEmail: '',
+        privacyConsent: false,
+        ward: null,
+        department: null,
+        outsideWards: false,
+        geometry: null,
+        startedAt: null
     };
 
+    // Wizard state; the current step is saved with the draft so it survives a refresh
+    @track currentStep = STEPS[0].name;
+    steps = STEPS;
+    reportErrorsOnRender = false;
+
     @track isSubmitting = false;
+    // Spam protection: the hidden website field is only filled in by scripts, and the server
+    // may ask a question before accepting a complaint (entryId is set for a queued complaint)
+    trapValue = '';
+    @track challenge = null;
+    @track challengeAnswer = '';
     @track showThankYou = false;
     @track trackingNumber = '';
+    // Lets the thank-you screen retry failed attachments for an hour after submitting
+    uploadGrant = null;
     @track uploadedFiles = [];
+    // Saved through lightning-file-upload on the thank-you screen
+    @track largeFiles = [];
+    uploadGrantField = UPLOAD_GRANT_FIELD;
     @track showLocationPicker = false;
+    @track isProcessingFiles = false;
+    labels = LABELS;
+    // Key of the photo open in the redaction editor
+    @track redactingKey = null;
+
+    // Voice dictation; dictationBase is the description without the phrase still being spoken
+    @track isDictating = false;
+    @track dictationError = null;
+    @track dictationLanguage = defaultDictationLanguage();
+    dictationLanguages = DICTATION_LANGUAGES;
+    dictationBase = '';
+    recognizer = null;
+    maxDescriptionLength = MAX_DESCRIPTION_LENGTH;
+    @track photoLocation = null;
+
+    // Duplicate detection
+    @track nearbyCases = [];
+    @track showDuplicates = false;
+    @track supportedCase = null;
+    // Where status updates go when the citizen follows a nearby complaint
+    followEmail = '';
+    followError = null;
+    @track isCheckingDuplicates = false;
+    duplicatesReviewed = false;
+
+    // Offline support
+    @track pendingSubmissions = [];
+    @track isQueued = false;
+    @track draftRestored = false;
+    queuedEntryId = null;
+    // Kept until the form is cleared, so a retry of a complaint the server already saved is not filed twice
+    submissionKey = null;
+    isFlushingOutbox = false;
+
+    // Address search in the location picker
+    @track searchQuery = '';
+    @track searchResults = [];
+    @track isSearching = false;
+    @track hasSearched = false;
+    searchSequence = 0;
+
+    // Ward polygons from the wardBoundaries static resource; null until loaded
+    wardBoundaries = null;
+
+    // Map state
+    mapLoaded = false;
+    mapSettings = resolveMapSettings();
+    geocoder = null;
+    map = null;
+    isInitializingMap = false;
+
+    // Line/area drawing in the location picker; vertices are [lat, lon] as Leaflet reports them
+    @track drawMode = 'point';
+    @track drawVertices = [];
+    drawModes = DRAW_MODES.map((mode) => ({ ...mode, label: DRAW_MODE_LABELS[mode.value] || mode.label }));
+    drawLayer = null;
 
-    // Picklist options
-    issueTypeOptions = [
-        { label: 'Pothole', value: 'Pothole' },
-        { label: 'Water Issue', value: 'Water Issue' },
-        { label: 'Waste Management', value: 'Waste Management' },
-        { label: 'Streetlight', value: 'Streetlight' },
-        { label: 'Traffic Signal', value: 'Traffic Signal' },
-        { label: 'Drainage', value: 'Drainage' },
-        { label: 'Parks & Recreation', value: 'Parks & Recreation' },
-        { label: 'Noise Complaint', value: 'Noise Complaint' },
-        { label: 'Other', value: 'Other' }
-    ];
-
-    severityOptions = [
-        { label: 'Low', value: 'Low' },
-        { label: 'Medium', value: 'Medium' },
-        { label: 'High', value: 'High' },
-        { label: 'Critical', value: 'Critical' }
-    ];
+    // Issue types, subtypes and type-specific questions come from IssueTaxonomyController
+    @track taxonomy = FALLBACK_TAXONOMY;
+    severityTouched = false;
+
+    // Keyword rules from ComplaintClassifier; a dismissed suggestion stays hidden until it changes
+    @track classificationRules = [];
+    @track dismissedSuggestion = null;
+
+    // Emergency hazards show a safety banner; the server files matching cases as Escalated
+    @track hazardTriggers = [];
+    @track submittedAsEmergency = false;
+
+    // Logged-in community user's Contact details; null for guests
+    @track citizen = null;
+
+    // Set for the whole portal in Portal_Setting__mdt; the server checks the same setting
+    contactOptional = false;
 
     connectedCallback() {
-        this.getCurrentLocation();
+        this.recognizer = createRecognizer(this.dictationType);
+        this.loadTaxonomy();
+        this.loadClassificationRules();
+        this.loadHazardTriggers();
+        this.loadCurrentCitizen();
+        this.loadContactSetting();
         this.loadMapScript();
+        this.loadWardBoundaries();
+        this.restoreDraft();
+        if (!this.formData.startedAt) {
+            this.formData.startedAt = Date.now();
+        }
+        this.applyIssueTypePreset();
+        if (!this.settings.severities.includes(this.formData.severity)) {
+            this.formData.severity = this.settings.severities[0];
+        }
+        if (!this.formData.latitude) {
+            this.getCurrentLocation();
+        }
+
+        this._handleOnline = this.flushOutbox.bind(this);
+        window.addEventListener('online', this._handleOnline);
+        this.refreshPendingSubmissions().then(() => {
+            if (navigator.onLine) {
+                this.flushOutbox();
+            }
+        });
     }
 
-    loadMapScript() {
-        // Load Leaflet CSS and JS
-        const leafletCSS = document.createElement('link');
-        leafletCSS.rel = 'stylesheet';
-        leafletCSS.href = 'https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.7.1/leaflet.css';
-        document.head.appendChild(leafletCSS);
-
-        const leafletJS = document.createElement('script');
-        leafletJS.src = 'https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.7.1/leaflet.js';
-        leafletJS.onload = () => {
-            this.mapLoaded = true;
+    disconnectedCallback() {
+        window.removeEventListener('online', this._handleOnline);
+        window.clearTimeout(this.searchTimer);
+        this.stopDictation();
+    }
+
+    restoreDraft() {
+        const draft = loadDraft();
+        if (draft && draft.formData) {
+            this.formData = { ...this.formData, ...draft.formData };
+            this.draftRestored = true;
+        }
+        if (draft && STEPS.some((step) => step.name === draft.step)) {
+            this.currentStep = draft.step;
+        }
+        loadDraftFiles()
+            .then((files) => {
+                if (files.length > 0) {
+                    this.uploadedFiles = files;
+                    this.draftRestored = true;
+                }
+            })
+            .catch((error) => {
+                console.error('Draft attachments could not be restored:', error);
+            });
+    }
+
+    loadTaxonomy() {
+        getIssueTaxonomy()
+            .then((types) => {
+                this.taxonomy = normalizeTaxonomy(types);
+                this.applyIssueTypePreset();
+            })
+            .catch((error) => {
+                console.error('Issue types could not be loaded, using built-in list:', error);
+                this.taxonomy = FALLBACK_TAXONOMY;
+            });
+    }
+
+    // Pages with a preset start on that issue type; a locked preset also replaces a draft's type
+    applyIssueTypePreset() {
+        const preset = presetIssueTypeValue(this.taxonomy, this.settings);
+        const current = this.formData.issueType;
+        if (!preset || current === preset || (current && !this.settings.lockIssueType)) {
+            return;
+        }
+        this.formData.issueType = preset;
+        this.formData.subtype = '';
+        this.formData.details = {};
+        this.applyDefaultSeverity();
+    }
+
+    loadClassificationRules() {
+        getClassificationRules()
+            .then((rules) => {
+                this.classificationRules = rules || [];
+            })
+            .catch((error) => {
+                console.error('Classification rules could not be loaded:', error);
+            });
+    }
+
+    loadHazardTriggers() {
+        getHazardTriggers()
+            .then((triggers) => {
+                this.hazardTriggers = triggers || [];
+            })
+            .catch((error) => {
+                console.error('Hazard triggers could not be loaded:', error);
+            });
+    }
+
+    loadContactSetting() {
+        isContactOptional()
+            .then((optional) => {
+                this.contactOptional = optional === true;
+            })
+            .catch((error) => {
+                console.error('Contact setting could not be loaded:', error);
+            });
+    }
+
+    loadCurrentCitizen() {
+        getCurrentCitizen()
+            .then((profile) => {
+                this.citizen = profile || null;
+                this.prefillContact();
+            })
+            .catch((error) => {
+                console.error('Signed-in citizen could not be loaded:', error);
+            });
+    }
+
+    // Signed-in citizens report as themselves; the server links the case to their own Contact
+    prefillContact() {
+        if (!this.citizen || this.formData.isAnonymous) {
+            return;
+        }
+        this.formData = {
+            ...this.formData,
+            contactName: this.citizen.name || '',
+            contactEmail: this.citizen.email || '',
+            contactPhone: this.formData.contactPhone || this.citizen.phone || ''
         };
-        document.head.appendChild(leafletJS);
+    }
+
+    // The claim email is only sent with the complaint, never kept in the local draft
+    persistDraft() {
+        saveDraft({ ...this.formData, claimEmail: '' }, this.currentStep);
+    }
+
+    persistDraftFiles() {
+        saveDraftFiles(this.uploadedFiles.map(toStoredEntry)).catch((error) => {
+            console.error('Draft attachments could not be saved:', error);
+        });
+    }
+
+    handleDiscardDraft() {
+        this.resetForm();
+    }
+
+    loadMapScript() {
+        this.mapSettingsPromise = getMapSettings({ settingName: this.mapSettingName })
+            .catch((error) => {
+                console.error('Map settings could not be loaded, using defaults:', error);
+                return null;
+            })
+            .then((metadataSettings) => {
+                this.mapSettings = resolveMapSettings(
+                    {
+                        tileUrlTemplate: this.tileUrlTemplate,
+                        tileAttribution: this.tileAttribution,
+                        geocoderType: this.geocoderType,
+                        geocoderUrl: this.geocoderUrl
+                    },
+                    metadataSettings
+                );
+                this.geocoder = createGeocoder(this.mapSettings);
+            });
+
+        loadLeaflet(this)
+            .then(() => {
+                this.mapLoaded = true;
+                this.initializeMap();
+            })
+            .catch((error) => {
+                console.error('Leaflet could not be loaded:', error);
+            });
     }
 
     getCurrentLocation() {
@@ -70,6 +442,7 @@ export default class ComplaintForm extends LightningElement {
                 (position) => {
                     this.formData.latitude = position.coords.latitude;
                     this.formData.longitude = position.coords.longitude;
+                    this.assignWard();
                     this.reverseGeocode(position.coords.latitude, position.coords.longitude);
                 },
                 (error) => {
@@ -79,200 +452,1484 @@ export default class ComplaintForm extends LightningElement {
         }
     }
 
-    async reverseGeocode(lat, lon) {
+    async lookupAddress(lat, lon) {
         try {
-            const response = await fetch(
-                `https://nominatim.openstreetmap.org/reverse?lat=${lat}&lon=${lon}&format=json`
-            );
-            const data = await response.json();
-            if (data.display_name) {
-                this.formData.address = data.display_name;
-            }
+            await this.mapSettingsPromise;
+            const result = await this.geocoder.reverse(lat, lon);
+            return result && result.address ? result.address : null;
         } catch (error) {
             console.error('Reverse geocoding failed:', error);
+            return null;
+        }
+    }
+
+    async reverseGeocode(lat, lon) {
+        const address = await this.lookupAddress(lat, lon);
+        if (address) {
+            this.formData.address = address;
+            this.persistDraft();
         }
     }
 
     handleInputChange(event) {
         const field = event.target.dataset.field;
-        this.formData[field] = event.target.value;
+        this.formData[field] = event.target.type === 'checkbox' ? event.target.checked : event.target.value;
+        if (field === 'description' && this.isDictating) {
+            // Typed corrections are kept; further dictation continues after them
+            this.dictationBase = this.formData.description;
+        }
+        if (field === 'isAnonymous' && this.formData.isAnonymous) {
+            // Nothing identifying is kept, not even in the local draft
+            this.formData.contactName = '';
+            this.formData.contactEmail = '';
+            this.formData.contactPhone = '';
+        } else if (field === 'isAnonymous') {
+            this.formData.claimEmail = '';
+            this.prefillContact();
+        }
+        if (field === 'issueType') {
+            // Subtypes and questions belong to the previous type
+            this.formData.subtype = '';
+            this.formData.details = {};
+            this.applyDefaultSeverity();
+            this.duplicatesReviewed = false;
+            this.refreshNearbyCases();
+        } else if (field === 'subtype') {
+            this.applyDefaultSeverity();
+        } else if (field === 'severity') {
+            this.severityTouched = true;
+        }
+        this.persistDraft();
+        this.clearFixedError(event.target, field);
     }
 
-    handleFileUpload(event) {
-        const files = Array.from(event.target.files);
-        files.forEach(file => {
-            if (file.size <= 25 * 1024 * 1024) { // 25MB limit
-                const reader = new FileReader();
-                reader.onload = () => {
-                    this.uploadedFiles.push({
-                        name: file.name,
-                        base64: reader.result.split(',')[1],
-                        contentType: file.type
-                    });
-                };
-                reader.readAsDataURL(file);
-            } else {
-                this.showToast('Error', 'File size must be less than 25MB', 'error');
+    handleDetailChange(event) {
+        const key = event.target.dataset.detail;
+        const value = event.target.type === 'checkbox' ? event.target.checked : event.target.value;
+        this.formData.details = { ...this.formData.details, [key]: value };
+        this.persistDraft();
+        this.clearFixedError(event.target, `details.${key}`);
+    }
+
+    // ---- Voice dictation ----
+
+    handleDictationLanguageChange(event) {
+        this.dictationLanguage = event.detail.value;
+    }
+
+    handleToggleDictation() {
+        if (this.isDictating) {
+            this.stopDictation();
+            return;
+        }
+        this.dictationError = null;
+        this.dictationBase = this.formData.description || '';
+        this.isDictating = true;
+        this.recognizer.start({
+            language: this.dictationLanguage,
+            onResult: (transcript, isFinal) => this.applyTranscript(transcript, isFinal),
+            onError: (message) => {
+                this.dictationError = message;
+            },
+            onEnd: () => {
+                this.isDictating = false;
+                this.persistDraft();
+            }
+        });
+    }
+
+    // Interim phrases are shown as they are heard and replaced by the recognizer's final wording
+    applyTranscript(transcript, isFinal) {
+        const description = appendTranscript(this.dictationBase, transcript, MAX_DESCRIPTION_LENGTH);
+        if (isFinal) {
+            this.dictationBase = description;
+        }
+        this.formData.description = description;
+        const input = this.template.querySelector('[data-field="description"]');
+        if (isFinal && input) {
+            this.clearFixedError(input, 'description');
+        }
+    }
+
+    stopDictation() {
+        if (this.isDictating && this.recognizer) {
+            this.recognizer.stop();
+        }
+    }
+
+    // ---- Wizard navigation and inline validation ----
+
+    handleNext() {
+        if (!this.reportStepErrors()) {
+            return;
+        }
+        this.goToStep(STEPS[stepIndex(this.currentStep) + 1].name);
+    }
+
+    handleBack() {
+        this.goToStep(STEPS[Math.max(stepIndex(this.currentStep) - 1, 0)].name);
+    }
+
+    handleEditStep(event) {
+        this.goToStep(event.target.dataset.step);
+    }
+
+    goToStep(stepName) {
+        this.stopDictation();
+        this.currentStep = stepName;
+        this.persistDraft();
+    }
+
+    fieldNameFor(input) {
+        return input.dataset.field || `details.${input.dataset.detail}`;
+    }
+
+    // Shows each invalid field's message on the inputs of the current step; true when they are all valid
+    reportStepErrors() {
+        const errors = validateComplaint(this.formData, this.selectedIssueType, this.validationOptions);
+        let isValid = true;
+        this.template.querySelectorAll('[data-field], [data-detail]').forEach((input) => {
+            const fieldName = this.fieldNameFor(input);
+            if (stepForField(fieldName) !== this.currentStep) {
+                return;
+            }
+            const message = errors[fieldName] || '';
+            input.setCustomValidity(message);
+            input.reportValidity();
+            if (message) {
+                isValid = false;
             }
         });
+        return isValid;
+    }
+
+    // Removes an inline error as soon as the citizen corrects the field
+    clearFixedError(input, fieldName) {
+        if (typeof input.setCustomValidity !== 'function') {
+            return;
+        }
+        const errors = validateComplaint(this.formData, this.selectedIssueType, this.validationOptions);
+        if (!errors[fieldName]) {
+            input.setCustomValidity('');
+            input.reportValidity();
+        }
+    }
+
+    // Follows the type/subtype default until the citizen picks a severity themselves
+    applyDefaultSeverity() {
+        const severity = defaultSeverity(this.selectedIssueType, this.formData.subtype);
+        if (severity && !this.severityTouched && this.settings.severities.includes(severity)) {
+            this.formData.severity = severity;
+        }
+    }
+
+    handleAcceptSuggestion() {
+        const { issueType, subtype, severity } = this.classificationSuggestion;
+        if (issueType && issueType !== this.formData.issueType) {
+            // Same reset as choosing the type on the category step
+            this.formData.issueType = issueType;
+            this.formData.subtype = '';
+            this.formData.details = {};
+            this.duplicatesReviewed = false;
+            this.refreshNearbyCases();
+        }
+        if (subtype) {
+            this.formData.subtype = subtype;
+        }
+        if (severity) {
+            this.formData.severity = severity;
+            this.severityTouched = true;
+        } else {
+            this.applyDefaultSeverity();
+        }
+        this.persistDraft();
+        this.showToast(LABELS.suggestionAppliedTitle, LABELS.suggestionApplied, 'success');
+    }
+
+    handleDismissSuggestion() {
+        this.dismissedSuggestion = suggestionKey(this.classificationSuggestion);
+    }
+
+    async handleFileUpload(event) {
+        const files = Array.from(event.target.files);
+        this.isProcessingFiles = true;
+
+        try {
+            // One at a time, so the attachments keep the order they were picked in
+            await runSequentially(files, (file) => this.addFile(file));
+        } finally {
+            this.isProcessingFiles = false;
+            this.persistDraftFiles();
+        }
+    }
+
+    async addFile(file) {
+        if (!isAcceptedFileType(file, this.settings.acceptedFileTypes)) {
+            this.showToast(LABELS.error, formatLabel(LABELS.fileTypeNotAccepted, file.name), 'error');
+            return;
+        }
+        // EXIF has to be read from the original; re-encoding strips it
+        const exif = await readExif(file);
+        const prepared = isCompressibleImage(file) ? await compressImage(file, {}, exif.orientation) : file;
+
+        if (prepared.size <= Math.min(this.settings.maxFileSize, MAX_DIRECT_UPLOAD_SIZE)) {
+            this.uploadedFiles.push(createUploadEntry(prepared));
+            if (exif.latitude !== null && !this.photoLocation) {
+                this.suggestPhotoLocation(exif.latitude, exif.longitude, file.name);
+            }
+        } else if (prepared.size <= this.settings.maxFileSize) {
+            // Too big to hold in the form and send through Apex; the thank-you screen offers the platform upload
+            this.showToast(LABELS.addLargeFiles, formatLabel(LABELS.fileAfterSubmit, file.name), 'warning');
+        } else {
+            this.showToast(LABELS.error, formatLabel(LABELS.fileTooLarge, this.maxFileSizeText), 'error');
+        }
+    }
+
+    // Offers the GPS position stored in a photo when it differs from the chosen location
+    async suggestPhotoLocation(latitude, longitude, fileName) {
+        const sameAsCurrent =
+            this.formData.latitude !== null &&
+            Math.abs(this.formData.latitude - latitude) < 0.0001 &&
+            Math.abs(this.formData.longitude - longitude) < 0.0001;
+        if (sameAsCurrent) {
+            return;
+        }
+
+        this.photoLocation = { latitude, longitude, fileName, address: null };
+        const address = await this.lookupAddress(latitude, longitude);
+        if (this.photoLocation && this.photoLocation.fileName === fileName) {
+            this.photoLocation = { ...this.photoLocation, address };
+        }
+    }
+
+    handleUsePhotoLocation() {
+        const { latitude, longitude, address } = this.photoLocation;
+        this.formData.latitude = latitude;
+        this.formData.longitude = longitude;
+        this.formData.geometry = null;
+        if (address) {
+            this.formData.address = address;
+        }
+        this.assignWard();
+        this.persistDraft();
+        this.photoLocation = null;
+        this.showToast(LABELS.locationUpdatedTitle, LABELS.locationFromPhoto, 'success');
+    }
+
+    handleDismissPhotoLocation() {
+        this.photoLocation = null;
     }
 
     removeFile(event) {
         const index = event.target.dataset.index;
         this.uploadedFiles.splice(index, 1);
+        this.persistDraftFiles();
+    }
+
+    handleRedactPhoto(event) {
+        this.redactingKey = event.target.dataset.key;
+    }
+
+    handleCancelRedaction() {
+        this.redactingKey = null;
+    }
+
+    // The redacted copy replaces the original, so the original is never uploaded
+    handlePhotoRedacted(event) {
+        const index = this.uploadedFiles.findIndex((entry) => entry.key === this.redactingKey);
+        this.redactingKey = null;
+        if (index === -1) {
+            return;
+        }
+        const name = this.uploadedFiles[index].name;
+        this.uploadedFiles.splice(index, 1, createUploadEntry(event.detail.file, true));
+        this.persistDraftFiles();
+        this.showToast(LABELS.photoRedactedTitle, formatLabel(LABELS.photoRedactedBody, name), 'success');
     }
 
-    showLocationPicker() {
+    openLocationPicker() {
+        this.drawMode = drawModeFor(this.formData.geometry);
+        this.drawVertices = geometryVertices(this.formData.geometry);
         this.showLocationPicker = true;
-        setTimeout(() => {
+    }
+
+    renderedCallback() {
+        if (this.showLocationPicker && !this.map) {
             this.initializeMap();
-        }, 100);
+        }
+        if (this.reportErrorsOnRender) {
+            this.reportErrorsOnRender = false;
+            this.reportStepErrors();
+        }
     }
 
-    initializeMap() {
-        if (!this.mapLoaded || !window.L) return;
+    async initializeMap() {
+        if (!this.mapLoaded || !window.L || this.map || this.isInitializingMap) return;
 
         const mapContainer = this.template.querySelector('.map-container');
         if (!mapContainer) return;
 
-        const map = window.L.map(mapContainer).setView([
-            this.formData.latitude || 23.0225, 
-            this.formData.longitude || 72.5714
-        ], 13);
+        this.isInitializingMap = true;
+        await this.mapSettingsPromise;
+        this.isInitializingMap = false;
+        if (!mapContainer.isConnected) return;
+
+        const L = window.L;
+        const { mapCenter, mapZoom } = this.settings;
+        const center = [
+            this.formData.latitude || mapCenter.latitude,
+            this.formData.longitude || mapCenter.longitude
+        ];
 
-        window.L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
-            attribution: '© OpenStreetMap contributors'
-        }).addTo(map);
+        const map = L.map(mapContainer).setView(center, mapZoom);
+        createTileLayer(L, this.mapSettings).addTo(map);
 
-        let marker = window.L.marker([
-            this.formData.latitude || 23.0225,
-            this.formData.longitude || 72.5714
-        ]).addTo(map);
+        this.marker = L.marker(center).addTo(map);
 
         map.on('click', (e) => {
-            if (marker) {
-                map.removeLayer(marker);
+            if (this.drawMode === 'point') {
+                this.setPickedLocation(e.latlng.lat, e.latlng.lng, null);
+            } else {
+                this.addDrawVertex(e.latlng.lat, e.latlng.lng);
             }
-            marker = window.L.marker([e.latlng.lat, e.latlng.lng]).addTo(map);
-            this.formData.latitude = e.latlng.lat;
-            this.formData.longitude = e.latlng.lng;
-            this.reverseGeocode(e.latlng.lat, e.latlng.lng);
         });
+
+        this.nearbyLayer = L.layerGroup().addTo(map);
+        this.drawLayer = L.layerGroup().addTo(map);
+        this.map = map;
+        this.renderDrawing();
+        if (this.formData.geometry) {
+            map.fitBounds(L.latLngBounds(this.drawVertices), { padding: [20, 20] });
+        }
+        this.refreshNearbyCases();
     }
 
-    closeLocationPicker() {
-        this.showLocationPicker = false;
+    // Moves the pin to a clicked or searched location; without an address it is reverse geocoded
+    setPickedLocation(latitude, longitude, address) {
+        this.formData.latitude = latitude;
+        this.formData.longitude = longitude;
+        if (address) {
+            this.formData.address = address;
+        }
+        this.assignWard();
+        this.persistDraft();
+        if (!address) {
+            this.reverseGeocode(latitude, longitude);
+        }
+
+        if (this.map) {
+            this.map.removeLayer(this.marker);
+            this.marker = window.L.marker([latitude, longitude]).addTo(this.map);
+        }
+        this.duplicatesReviewed = false;
+        this.refreshNearbyCases();
     }
 
-    async handleSubmit() {
-        if (!this.validateForm()) {
+    // ---- Line and area drawing ----
+
+    handleDrawModeChange(event) {
+        this.drawMode = event.detail.value;
+        this.drawVertices = [];
+        this.applyDrawing();
+    }
+
+    addDrawVertex(latitude, longitude) {
+        if (this.drawVertices.length >= MAX_VERTICES) {
+            this.showToast(LABELS.error, formatLabel(LABELS.tooManyPoints, MAX_VERTICES), 'error');
             return;
         }
+        this.drawVertices = [...this.drawVertices, [latitude, longitude]];
+        this.applyDrawing();
+    }
 
-        this.isSubmitting = true;
+    handleUndoVertex() {
+        this.drawVertices = this.drawVertices.slice(0, -1);
+        this.applyDrawing();
+    }
 
-        try {
-            // Create case first
-            const result = await createComplaintCase({
-                complaintData: JSON.stringify(this.formData)
+    handleClearDrawing() {
+        this.drawVertices = [];
+        this.applyDrawing();
+    }
+
+    // The complaint is pinned at the shape's centroid, or at the first point of an unfinished shape
+    applyDrawing() {
+        const geometry = buildGeometry(this.drawMode, this.drawVertices);
+        this.formData = { ...this.formData, geometry };
+        this.renderDrawing();
+
+        const centroid = geometryCentroid(geometry);
+        if (centroid) {
+            this.setPickedLocation(centroid.latitude, centroid.longitude, null);
+        } else if (this.drawVertices.length > 0) {
+            this.setPickedLocation(this.drawVertices[0][0], this.drawVertices[0][1], null);
+        } else {
+            this.persistDraft();
+        }
+    }
+
+    renderDrawing() {
+        if (!this.map || !this.drawLayer) return;
+        const L = window.L;
+        this.drawLayer.clearLayers();
+        if (this.formData.geometry) {
+            createGeometryLayer(L, this.formData.geometry).addTo(this.drawLayer);
+        } else if (this.drawVertices.length > 1) {
+            // An area with two points so far
+            L.polyline(this.drawVertices, { color: '#0176d3', dashArray: '6 6' }).addTo(this.drawLayer);
+        }
+        this.drawVertices.forEach((vertex) => {
+            L.circleMarker(vertex, { radius: 5, color: '#0176d3', fillOpacity: 1 }).addTo(this.drawLayer);
+        });
+    }
+
+    // ---- Ward assignment ----
+
+    loadWardBoundaries() {
+        loadWardBoundaries()
+            .then((boundaries) => {
+                this.wardBoundaries = boundaries;
+                this.assignWard();
+            })
+            .catch((error) => {
+                // The server still assigns the ward when the boundaries cannot be loaded here
+                console.error('Ward boundaries could not be loaded:', error);
             });
+    }
 
-            if (result.success) {
-                this.trackingNumber = result.trackingNumber;
-                const caseId = result.caseId;
+    // Looks up the ward for the pinned location; it is only outside the city once boundaries are known
+    assignWard() {
+        const { latitude, longitude } = this.formData;
+        const hasLocation = latitude !== null && latitude !== undefined;
+        const match = hasLocation ? findWard(this.wardBoundaries, latitude, longitude) : null;
+        this.formData = {
+            ...this.formData,
+            ward: match ? match.ward : null,
+            department: match ? match.department : null,
+            outsideWards: hasLocation && !!this.wardBoundaries && !match
+        };
+    }
 
-                // Upload files if any
-                if (this.uploadedFiles.length > 0) {
-                    await this.uploadFiles(caseId);
-                }
+    // ---- Address search ----
 
-                this.showThankYou = true;
-                this.showToast('Success', 'Your complaint has been submitted successfully!', 'success');
-            } else {
-                throw new Error(result.errorMessage || 'Failed to submit complaint');
+    handleSearchChange(event) {
+        this.searchQuery = event.target.value || '';
+        window.clearTimeout(this.searchTimer);
+        if (this.searchQuery.trim().length < SEARCH_MIN_LENGTH) {
+            this.searchSequence++;
+            this.searchResults = [];
+            this.isSearching = false;
+            this.hasSearched = false;
+            return;
+        }
+        this.searchTimer = startTimeout(() => this.searchAddress(this.searchQuery.trim(), false), SEARCH_DEBOUNCE_MS);
+    }
+
+    // requested is true when the citizen pressed Enter; otherwise this is a suggestion while typing,
+    // which geocoders that forbid autocomplete traffic skip
+    async searchAddress(query, requested) {
+        const sequence = ++this.searchSequence;
+        await this.mapSettingsPromise;
+        if (sequence !== this.searchSequence || (!requested && !this.geocoder.autocomplete)) {
+            return;
+        }
+        this.isSearching = true;
+        try {
+            const results = await this.geocoder.search(query);
+            if (sequence !== this.searchSequence) {
+                return;
             }
+            this.searchResults = results.map((result, index) => ({
+                ...result,
+                key: `${index}-${result.latitude},${result.longitude}`,
+                index: index,
+                kindLabel: KIND_LABELS[result.kind] || null
+            }));
         } catch (error) {
-            console.error('Submission error:', error);
-            this.showToast('Error', 'Failed to submit complaint. Please try again.', 'error');
+            console.error('Address search failed:', error);
+            if (sequence === this.searchSequence) {
+                this.searchResults = [];
+            }
         } finally {
-            this.isSubmitting = false;
+            if (sequence === this.searchSequence) {
+                this.isSearching = false;
+                this.hasSearched = true;
+            }
         }
     }
 
-    async uploadFiles(caseId) {
-        for (const file of this.uploadedFiles) {
-            try {
-                await uploadFile({
-                    parentId: caseId,
-                    fileName: file.name,
-                    base64Data: file.base64,
-                    contentType: file.contentType
-                });
-            } catch (error) {
-                console.error('File upload error:', error);
-            }
+    handleSearchKeyDown(event) {
+        if (event.key === 'Enter' && this.searchResults.length > 0) {
+            this.selectSearchResult(this.searchResults[0]);
+        } else if (event.key === 'Enter' && this.searchQuery.trim().length >= SEARCH_MIN_LENGTH) {
+            window.clearTimeout(this.searchTimer);
+            this.searchAddress(this.searchQuery.trim(), true);
+        } else if (event.key === 'Escape') {
+            this.searchResults = [];
         }
     }
 
-    validateForm() {
-        const requiredFields = ['issueType', 'description', 'contactName', 'contactEmail'];
-        let isValid = true;
-
-        requiredFields.forEach(field => {
-            if (!this.formData[field]) {
-                isValid = false;
-                this.showToast('Error', `Please fill in ${field.replace(/([A-Z])/g, ' $1').toLowerCase()}`, 'error');
-            }
-        });
+    handleSelectSearchResult(event) {
+        this.selectSearchResult(this.searchResults[Number(event.currentTarget.dataset.index)]);
+    }
 
-        // Email validation
-        const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-        if (this.formData.contactEmail && !emailRegex.test(this.formData.contactEmail)) {
-            isValid = false;
-            this.showToast('Error', 'Please enter a valid email address', 'error');
+    selectSearchResult(result) {
+        this.searchSequence++;
+        this.searchQuery = result.label;
+        this.searchResults = [];
+        this.hasSearched = false;
+        // While drawing, a search only moves the map to where the shape should go
+        if (this.drawMode === 'point') {
+            this.setPickedLocation(result.latitude, result.longitude, result.address);
+        }
+        if (this.map) {
+            this.map.setView([result.latitude, result.longitude], 17);
         }
-
-        return isValid;
     }
 
-    resetForm() {
-        this.formData = {
-            issueType: '',
-            subtype: '',
-            severity: 'Medium',
-            description: '',
-            contactName: '',
-            contactEmail: '',
-            contactPhone: '',
-            address: '',
-            latitude: null,
-            longitude: null
-        };
-        this.uploadedFiles = [];
-        this.showThankYou = false;
-        this.trackingNumber = '';
-        this.getCurrentLocation();
+    renderNearbyMarkers() {
+        if (!this.map || !this.nearbyLayer) return;
+        const L = window.L;
+        this.nearbyLayer.clearLayers();
+        this.nearbyCases.forEach((nearby) => {
+            L.circleMarker([nearby.latitude, nearby.longitude], {
+                radius: 8,
+                color: '#c23934',
+                fillColor: '#ea001e',
+                fillOpacity: 0.6
+            })
+                .bindPopup(
+                    `<strong>${escapeHtml(nearby.caseNumber)}</strong><br>` +
+                        `${escapeHtml(nearby.statusLabel)} - ${escapeHtml(nearby.distanceLabel)}`
+                )
+                .addTo(this.nearbyLayer);
+        });
     }
 
-    showToast(title, message, variant) {
-        const evt = new ShowToastEvent({
-            title: title,
-            message: message,
-            variant: variant,
-        });
-        this.dispatchEvent(evt);
+    closeLocationPicker() {
+        if (this.map) {
+            this.map.remove();
+            this.map = null;
+            this.drawLayer = null;
+        }
+        window.clearTimeout(this.searchTimer);
+        this.searchSequence++;
+        this.searchQuery = '';
+        this.searchResults = [];
+        this.hasSearched = false;
+        this.showLocationPicker = false;
+    }
+
+    // ---- Duplicate detection ----
+
+    async refreshNearbyCases() {
+        const { issueType, latitude, longitude } = this.formData;
+        if (!issueType || latitude === null || longitude === null || !navigator.onLine) {
+            this.nearbyCases = [];
+            this.renderNearbyMarkers();
+            return;
+        }
+
+        this.isCheckingDuplicates = true;
+        try {
+            const results = await findNearbyCases({
+                issueType: issueType,
+                latitude: latitude,
+                longitude: longitude,
+                radiusMeters: this.duplicateRadiusMeters
+            });
+            this.nearbyCases = (results || []).map((nearby) => {
+                const distanceLabel = nearby.distanceMeters < 1000
+                    ? formatLabel(LABELS.metersAway, nearby.distanceMeters)
+                    : formatLabel(LABELS.kilometersAway, (nearby.distanceMeters / 1000).toFixed(1));
+                const supportLabel = nearby.supporterCount === 1
+                    ? LABELS.oneSupporter
+                    : formatLabel(LABELS.manySupporters, nearby.supporterCount);
+                return {
+                    ...nearby,
+                    distanceLabel,
+                    supportLabel,
+                    statusLabel: statusLabel(nearby.status),
+                    summary: formatLabel(
+                        LABELS.nearbySummary,
+                        nearby.caseNumber,
+                        statusLabel(nearby.status),
+                        distanceLabel,
+                        formatDate(nearby.createdDate),
+                        supportLabel
+                    )
+                };
+            });
+        } catch (error) {
+            console.error('Nearby case lookup failed:', error);
+            this.nearbyCases = [];
+        } finally {
+            this.isCheckingDuplicates = false;
+        }
+        this.renderNearbyMarkers();
+    }
+
+    // Returns true when the citizen should look at similar open cases before submitting
+    async needsDuplicateReview() {
+        if (this.duplicatesReviewed || !navigator.onLine) {
+            return false;
+        }
+        await this.refreshNearbyCases();
+        this.duplicatesReviewed = true;
+        if (this.nearbyCases.length > 0) {
+            this.followEmail = this.followEmail || this.formData.contactEmail || this.formData.claimEmail || '';
+            this.showDuplicates = true;
+            return true;
+        }
+        return false;
+    }
+
+    handleFollowEmailChange(event) {
+        this.followEmail = event.target.value;
+        this.followError = null;
+    }
+
+    async handleSupportCase(event) {
+        const caseNumber = event.target.dataset.caseNumber;
+        const follow = event.target.dataset.follow === 'true';
+        const email = (this.followEmail || '').trim();
+        if (follow && !isValidEmail(email)) {
+            this.followError = LABELS.followEmailRequired;
+            return;
+        }
+        this.followError = null;
+
+        this.isSubmitting = true;
+        try {
+            const result = await supportCase({
+                caseNumber: caseNumber,
+                follow: follow,
+                email: follow ? email : null,
+                clientId: getClientId()
+            });
+            if (!result.success) {
+                this.showToast(LABELS.error, result.errorMessage || LABELS.supportFailed, 'error');
+                return;
+            }
+            clearDraft();
+            this.showDuplicates = false;
+            this.supportedCase = {
+                caseNumber: caseNumber,
+                supporterCount: result.supporterCount,
+                alreadySupported: result.alreadySupported === true,
+                followed: result.following === true || result.confirmationSent === true,
+                confirmationSent: result.confirmationSent === true,
+                email: email
+            };
+            this.showThankYou = true;
+        } catch (error) {
+            console.error('Support case error:', error);
+            this.showToast(LABELS.error, LABELS.supportFailed, 'error');
+        } finally {
+            this.isSubmitting = false;
+        }
+    }
+
+    handleFileAsNew() {
+        this.showDuplicates = false;
+        this.handleSubmit();
+    }
+
+    handleBackFromDuplicates() {
+        this.showDuplicates = false;
+        this.duplicatesReviewed = false;
+    }
+
+    async handleSubmit() {
+        if (!this.validateForm()) {
+            return;
+        }
+
+        // Emergencies go straight through rather than waiting on duplicate review
+        if (!this.activeHazard && (await this.needsDuplicateReview())) {
+            return;
+        }
+
+        this.isSubmitting = true;
+        if (!this.submissionKey) {
+            this.submissionKey = newSubmissionKey();
+        }
+        const { startedAt, ...fields } = this.formData;
+        const formData = {
+            ...fields,
+            details: cleanDetails(this.selectedIssueType, this.formData.details),
+            website: this.trapValue,
+            fillSeconds: startedAt ? Math.round((Date.now() - startedAt) / 1000) : null,
+            clientId: getClientId(),
+            submissionKey: this.submissionKey
+        };
+        if (this.challenge && !this.challenge.entryId) {
+            formData.challengeId = this.challenge.id;
+            formData.challengeAnswer = this.challengeAnswer;
+        }
+        const files = this.uploadedFiles;
+
+        try {
+            if (!navigator.onLine) {
+                await this.queueForLater(formData, files);
+                return;
+            }
+
+            const submission = await this.submitComplaint(formData, files);
+            this.uploadGrant = submission.uploadGrant;
+            this.trackingNumber = submission.trackingNumber;
+            this.submittedAsEmergency = submission.escalated;
+            this.challenge = null;
+            clearDraft();
+            this.showThankYou = true;
+            this.showToast(LABELS.success, LABELS.submitted, 'success');
+        } catch (error) {
+            console.error('Submission error:', error);
+            if (isConnectivityError(error)) {
+                await this.queueForLater(formData, files);
+            } else if (error.challenge) {
+                this.askChallenge(error);
+            } else if (error.isServerError) {
+                this.showToast(LABELS.error, error.message, 'error');
+            } else {
+                this.showToast(LABELS.error, LABELS.submitFailed, 'error');
+            }
+        } finally {
+            this.isSubmitting = false;
+        }
+    }
+
+    // Creates the case and uploads its attachments. File failures are recorded on
+    // each entry rather than failing the submission, so they can be retried afterwards.
+    async submitComplaint(formData, files) {
+        const result = await createComplaintCase({
+            complaintData: JSON.stringify(formData)
+        });
+
+        if (!result.success) {
+            const serverError = new Error(result.errorMessage || LABELS.submitFailed);
+            serverError.isServerError = true;
+            if (result.challengeRequired) {
+                serverError.challenge = { id: result.challengeId, question: result.challengeQuestion };
+            }
+            throw serverError;
+        }
+
+        if (files.length > 0) {
+            await this.uploadFiles(result.uploadGrant, files);
+        }
+        return { trackingNumber: result.trackingNumber, uploadGrant: result.uploadGrant, escalated: result.escalated === true };
+    }
+
+    async queueForLater(formData, files) {
+        try {
+            const entry = await queueSubmission(formData, files.map(toStoredEntry));
+            this.queuedEntryId = entry.id;
+            this.isQueued = true;
+            clearDraft();
+            await this.refreshPendingSubmissions();
+            this.showToast(LABELS.savedOfflineTitle, LABELS.savedOffline, 'warning');
+        } catch (error) {
+            console.error('Could not queue complaint:', error);
+            this.showToast(LABELS.error, LABELS.queueFailed, 'error');
+        }
+    }
+
+    async refreshPendingSubmissions() {
+        try {
+            const entries = await getQueuedSubmissions();
+            this.pendingSubmissions = entries.map((entry) => ({
+                id: entry.id,
+                label: formatLabel(
+                    LABELS.queuedItem,
+                    issueTypeLabel(this.taxonomy, entry.formData.issueType) || LABELS.complaint,
+                    formatDateTime(entry.queuedAt)
+                ),
+                lastError: entry.lastError,
+                lastErrorText: entry.lastError ? formatLabel(LABELS.lastAttempt, entry.lastError) : ''
+            }));
+        } catch (error) {
+            console.error('Outbox could not be read:', error);
+            this.pendingSubmissions = [];
+        }
+    }
+
+    // Retries every queued submission in order; stops at the first connectivity failure.
+    // A complaint the server turned down is dropped rather than retried forever.
+    async flushOutbox() {
+        if (this.isFlushingOutbox || !navigator.onLine) {
+            return;
+        }
+        this.isFlushingOutbox = true;
+
+        try {
+            const entries = await getQueuedSubmissions();
+            await runSequentially(entries, (entry) => this.sendQueuedSubmission(entry));
+        } catch (error) {
+            console.error('Outbox could not be processed:', error);
+        } finally {
+            this.isFlushingOutbox = false;
+            await this.refreshPendingSubmissions();
+        }
+    }
+
+    // Resolves to STOP when the rest of the outbox has to wait
+    async sendQueuedSubmission(entry) {
+        entry.attempts += 1;
+        try {
+            const submission = await this.submitComplaint(entry.formData, entry.files);
+            await removeQueuedSubmission(entry.id);
+            this.handleQueuedSubmissionSent(entry, submission);
+        } catch (error) {
+            entry.lastError = (error.body && error.body.message) || error.message;
+            await updateQueuedSubmission(entry);
+            if (isConnectivityError(error)) {
+                return STOP;
+            }
+            if (error.challenge) {
+                // One question at a time; the rest of the outbox waits for the answer
+                this.askChallenge(error, entry);
+                return STOP;
+            }
+            if (error.isServerError || entry.attempts >= MAX_OUTBOX_ATTEMPTS) {
+                await removeQueuedSubmission(entry.id);
+                this.handleQueuedSubmissionRejected(entry, error);
+            }
+        }
+        return null;
+    }
+
+    handleQueuedSubmissionSent(entry, submission) {
+        if (entry.id === this.queuedEntryId) {
+            this.queuedEntryId = null;
+            this.isQueued = false;
+            this.uploadGrant = submission.uploadGrant;
+            this.trackingNumber = submission.trackingNumber;
+            this.uploadedFiles = entry.files;
+            this.showThankYou = true;
+        }
+        this.showToast(LABELS.queuedSentTitle, formatLabel(LABELS.queuedSent, submission.trackingNumber), 'success');
+    }
+
+    // The complaint on screen goes back into the form so the citizen can correct it and submit again
+    handleQueuedSubmissionRejected(entry, error) {
+        if (entry.id === this.queuedEntryId) {
+            const restored = { ...this.formData };
+            Object.keys(restored).forEach((field) => {
+                if (field in entry.formData) {
+                    restored[field] = entry.formData[field];
+                }
+            });
+            this.formData = restored;
+            this.uploadedFiles = entry.files;
+            this.queuedEntryId = null;
+            this.isQueued = false;
+            this.submissionKey = null;
+        }
+        const reason = error.isServerError ? error.message : LABELS.submitFailed;
+        this.showToast(LABELS.queuedRejectedTitle, formatLabel(LABELS.queuedRejected, reason), 'error');
+    }
+
+    handleRetryQueued() {
+        this.flushOutbox();
+    }
+
+    askChallenge(error, entry) {
+        this.challenge = {
+            ...error.challenge,
+            message: error.message,
+            entryId: entry ? entry.id : null
+        };
+        this.challengeAnswer = '';
+    }
+
+    handleTrapChange(event) {
+        this.trapValue = event.target.value;
+    }
+
+    handleChallengeAnswerChange(event) {
+        this.challengeAnswer = event.target.value;
+    }
+
+    // The answer goes with the next attempt; a queued complaint carries it in its saved payload
+    async handleVerifyChallenge() {
+        if (!this.challengeAnswer.trim()) {
+            this.showToast(LABELS.error, LABELS.answerFirst, 'error');
+            return;
+        }
+        if (!this.challenge.entryId) {
+            await this.handleSubmit();
+            return;
+        }
+
+        const { id, entryId } = this.challenge;
+        this.challenge = null;
+        try {
+            const entries = await getQueuedSubmissions();
+            const entry = entries.find((queued) => queued.id === entryId);
+            if (entry) {
+                entry.formData = { ...entry.formData, challengeId: id, challengeAnswer: this.challengeAnswer };
+                await updateQueuedSubmission(entry);
+            }
+        } catch (error) {
+            console.error('Queued complaint could not be updated:', error);
+        }
+        await this.flushOutbox();
+    }
+
+    async handleDiscardQueued(event) {
+        const entryId = event.target.dataset.id;
+        try {
+            await removeQueuedSubmission(entryId);
+        } catch (error) {
+            console.error('Queued complaint could not be discarded:', error);
+        }
+        if (this.challenge && this.challenge.entryId === entryId) {
+            this.challenge = null;
+        }
+        if (entryId === this.queuedEntryId) {
+            this.resetForm();
+        }
+        await this.refreshPendingSubmissions();
+    }
+
+    async uploadFiles(uploadGrant, files) {
+        await runSequentially(
+            files.filter((entry) => entry.status !== 'done'),
+            (entry) => this.uploadEntry(uploadGrant, entry)
+        );
+    }
+
+    // A retry carries on from the first part the server has not stored
+    async uploadEntry(uploadGrant, entry) {
+        entry.status = 'uploading';
+        entry.error = null;
+        try {
+            await uploadAttachment(uploadGrant, entry, ({ nextPart, progress }) => {
+                entry.nextPart = nextPart;
+                entry.progress = progress;
+            });
+            entry.status = 'done';
+        } catch (error) {
+            console.error('File upload error:', error);
+            entry.status = 'failed';
+            entry.error = uploadErrorMessage(error);
+        }
+    }
+
+    async handleRetryUpload(event) {
+        const entry = this.uploadedFiles.find((file) => file.key === event.target.dataset.key);
+        if (!entry || !this.uploadGrant) {
+            return;
+        }
+        await this.uploadEntry(this.uploadGrant, entry);
+        if (entry.status === 'done') {
+            this.showToast(LABELS.success, formatLabel(LABELS.attachmentUploaded, entry.name), 'success');
+        } else {
+            this.showToast(LABELS.error, formatLabel(LABELS.attachmentFailed, entry.name, entry.error), 'error');
+        }
+    }
+
+    handleLargeFilesUploaded(event) {
+        const files = event.detail.files.map((file) => ({ key: file.documentId, name: file.name, sizeLabel: '' }));
+        this.largeFiles = [...this.largeFiles, ...files];
+        files.forEach((file) => {
+            this.showToast(LABELS.success, formatLabel(LABELS.attachmentUploaded, file.name), 'success');
+        });
+    }
+
+    // Sends the citizen back to the first step with a problem and highlights its fields
+    validateForm() {
+        const invalidStep = firstInvalidStep(
+            validateComplaint(this.formData, this.selectedIssueType, this.validationOptions)
+        );
+        if (!invalidStep) {
+            return true;
+        }
+        this.currentStep = invalidStep;
+        this.reportErrorsOnRender = true;
+        this.persistDraft();
+        this.showToast(LABELS.error, LABELS.fixHighlighted, 'error');
+        return false;
+    }
+
+    resetForm() {
+        this.stopDictation();
+        this.formData = {
+            issueType: '',
+            subtype: '',
+            severity: 'Medium',
+            description: '',
+            contactName: '',
+            contactEmail: '',
+            contactPhone: '',
+            address: '',
+            latitude: null,
+            longitude: null,
+            details: {},
+            isAnonymous: false,
+            claimEmail: '',
+            privacyConsent: false,
+            ward: null,
+            department: null,
+            outsideWards: false,
+            geometry: null,
+            startedAt: Date.now()
+        };
+        this.trapValue = '';
+        this.challenge = null;
+        this.challengeAnswer = '';
+        this.severityTouched = false;
+        this.currentStep = STEPS[0].name;
+        this.uploadedFiles = [];
+        this.largeFiles = [];
+        this.redactingKey = null;
+        this.showThankYou = false;
+        this.isQueued = false;
+        this.queuedEntryId = null;
+        this.submissionKey = null;
+        this.draftRestored = false;
+        this.uploadGrant = null;
+        this.photoLocation = null;
+        this.nearbyCases = [];
+        this.showDuplicates = false;
+        this.supportedCase = null;
+        this.followError = null;
+        this.duplicatesReviewed = false;
+        this.dismissedSuggestion = null;
+        this.submittedAsEmergency = false;
+        this.trackingNumber = '';
+        clearDraft();
+        this.prefillContact();
+        this.getCurrentLocation();
+    }
+
+    showToast(title, message, variant) {
+        const evt = new ShowToastEvent({
+            title: title,
+            message: message,
+            variant: variant,
+        });
+        this.dispatchEvent(evt);
+    }
+
+    get settings() {
+        return resolveFormSettings({
+            presetIssueType: this.presetIssueType,
+            lockIssueType: this.lockIssueType,
+            allowedIssueTypes: this.allowedIssueTypes,
+            allowedSeverities: this.allowedSeverities,
+            mapCenterLatitude: this.mapCenterLatitude,
+            mapCenterLongitude: this.mapCenterLongitude,
+            mapZoom: this.mapZoom,
+            acceptedFileTypes: this.acceptedFileTypes,
+            maxFileSizeMb: this.maxFileSizeMb,
+            contactOptional: this.contactOptional
+        });
+    }
+
+    // Issue types this page offers
+    get offeredTaxonomy() {
+        return restrictTaxonomy(this.taxonomy, this.settings);
+    }
+
+    get validationOptions() {
+        const settings = this.settings;
+        const restricted = settings.lockIssueType || settings.allowedIssueTypes.length > 0;
+        return {
+            offeredIssueTypes: restricted ? this.offeredTaxonomy.map((type) => type.value) : null,
+            contactRequired: settings.contactRequired
+        };
+    }
+
+    get issueTypeOptions() {
+        return issueTypeOptions(this.offeredTaxonomy);
+    }
+
+    get issueTypeLocked() {
+        return this.settings.lockIssueType && this.formData.issueType === presetIssueTypeValue(this.taxonomy, this.settings);
+    }
+
+    get severityOptions() {
+        return this.settings.severities.map((severity) => ({ label: severityLabel(severity), value: severity }));
+    }
+
+    get isSignedIn() {
+        return !!this.citizen;
+    }
+
+    get contactRequired() {
+        return this.settings.contactRequired;
+    }
+
+    get contactNameLabel() {
+        return this.contactRequired ? LABELS.yourNameRequired : LABELS.yourName;
+    }
+
+    get contactEmailLabel() {
+        return this.contactRequired ? LABELS.emailAddressRequired : LABELS.emailAddress;
+    }
+
+    get acceptAttribute() {
+        return this.settings.acceptedFileTypes.join(',');
+    }
+
+    get maxFileSizeText() {
+        return formatFileSize(this.settings.maxFileSize);
+    }
+
+    get selectedIssueType() {
+        return findIssueType(this.taxonomy, this.formData.issueType);
+    }
+
+    // Issue_Type__c keeps the language-neutral value; this is its name in the page language
+    get issueTypeText() {
+        return issueTypeLabel(this.taxonomy, this.formData.issueType);
+    }
+
+    get subtypeOptions() {
+        return subtypeOptions(this.selectedIssueType);
+    }
+
+    get hasSubtypes() {
+        return this.subtypeOptions.length > 0;
+    }
+
+    get detailFields() {
+        return detailFieldRows(this.selectedIssueType, this.formData.details);
+    }
+
+    get hasDetailFields() {
+        return this.detailFields.length > 0;
+    }
+
+    get submittedAnonymously() {
+        return this.showSubmissionThankYou && this.formData.isAnonymous;
+    }
+
+    get wardText() {
+        return this.formData.ward ? formatLabel(LABELS.wardHandledBy, this.formData.ward, this.formData.department) : '';
+    }
+
+    get activeHazard() {
+        const { issueType, subtype, description } = this.formData;
+        return findHazard(this.hazardTriggers, issueType, subtype, description);
+    }
+
+    get emergencyContacts() {
+        return contactRows(this.activeHazard);
+    }
+
+    get classificationSuggestion() {
+        const suggestion = this.offeredSuggestion(classify(this.classificationRules, this.formData.description));
+        if (!differsFromSelection(suggestion, this.formData) || suggestionKey(suggestion) === this.dismissedSuggestion) {
+            return null;
+        }
+        return suggestion;
+    }
+
+    // Drops the parts of a suggestion this page cannot offer, e.g. a Streetlight type on the Parks page
+    offeredSuggestion(suggestion) {
+        if (!suggestion) {
+            return null;
+        }
+        const typeOffered = this.offeredTaxonomy.some((type) => type.value === suggestion.issueType);
+        const offered = {
+            ...suggestion,
+            issueType: typeOffered ? suggestion.issueType : null,
+            subtype: typeOffered ? suggestion.subtype : null,
+            severity: this.settings.severities.includes(suggestion.severity) ? suggestion.severity : null
+        };
+        return offered.issueType || offered.severity ? offered : null;
+    }
+
+    get suggestionText() {
+        const { issueType, subtype, severity } = this.classificationSuggestion;
+        const category = [
+            issueType ? issueTypeLabel(this.taxonomy, issueType) : '',
+            subtype ? subtypeLabel(findIssueType(this.taxonomy, issueType), subtype) : ''
+        ].filter((part) => part).join(' › ');
+        if (!category) {
+            return formatLabel(LABELS.priorityOnly, severityLabel(severity));
+        }
+        return severity ? formatLabel(LABELS.categoryWithPriority, category, severityLabel(severity)) : category;
+    }
+
+    get isCategoryStep() {
+        return this.currentStep === 'category';
+    }
+
+    get isLocationStep() {
+        return this.currentStep === 'location';
+    }
+
+    get isDetailsStep() {
+        return this.currentStep === 'details';
+    }
+
+    get isContactStep() {
+        return this.currentStep === 'contact';
+    }
+
+    get isReviewStep() {
+        return this.currentStep === 'review';
+    }
+
+    get isFirstStep() {
+        return stepIndex(this.currentStep) === 0;
+    }
+
+    get stepTitle() {
+        const index = stepIndex(this.currentStep);
+        return formatLabel(LABELS.stepTitle, index + 1, STEPS.length, STEPS[index].label);
+    }
+
+    get reviewSections() {
+        const data = this.formData;
+        const detailItems = this.detailFields
+            .filter((field) => field.value !== null && field.value !== '' && field.value !== false)
+            .map((field) => ({ label: field.label, value: field.isCheckbox ? LABELS.yes : field.value }));
+        const sections = [
+            {
+                step: 'category',
+                items: [
+                    { label: LABELS.issueType, value: this.issueTypeText },
+                    { label: LABELS.subtype, value: subtypeLabel(this.selectedIssueType, data.subtype) },
+                    { label: LABELS.priorityLevel, value: severityLabel(data.severity) },
+                    ...detailItems
+                ]
+            },
+            {
+                step: 'location',
+                items: [
+                    { label: LABELS.addressLabel, value: data.address },
+                    { label: LABELS.ward, value: data.ward ? `${data.ward} (${data.department})` : '' },
+                    { label: LABELS.shape, value: describeGeometry(data.geometry) },
+                    {
+                        label: LABELS.mapPosition,
+                        value: data.latitude !== null && data.latitude !== undefined
+                            ? `${Number(data.latitude).toFixed(5)}, ${Number(data.longitude).toFixed(5)}`
+                            : ''
+                    }
+                ]
+            },
+            {
+                step: 'details',
+                items: [
+                    { label: LABELS.description, value: data.description },
+                    {
+                        label: LABELS.photos,
+                        value: this.uploadedFiles
+                            .map((file) => (file.redacted ? formatLabel(LABELS.photoRedacted, file.name) : file.name))
+                            .join(', ')
+                    }
+                ]
+            },
+            {
+                step: 'contact',
+                items: data.isAnonymous
+                    ? [
+                        { label: LABELS.reporting, value: LABELS.reportingAnonymously },
+                        { label: LABELS.claimLaterWith, value: data.claimEmail }
+                    ]
+                    : [
+                        { label: LABELS.yourName, value: data.contactName },
+                        { label: LABELS.emailAddress, value: data.contactEmail },
+                        { label: LABELS.phoneNumber, value: data.contactPhone }
+                    ]
+            }
+        ];
+        return sections.map((section) => ({
+            ...section,
+            label: STEPS[stepIndex(section.step)].label,
+            items: section.items.map((item) => ({ ...item, value: item.value || '—' }))
+        }));
+    }
+
+    get hasPendingSubmissions() {
+        return this.pendingSubmissions.length > 0;
+    }
+
+    get pendingCountText() {
+        const count = this.pendingSubmissions.length;
+        return count === 1 ? LABELS.pendingOne : formatLabel(LABELS.pendingMany, count);
+    }
+
+    get supportText() {
+        if (!this.supportedCase) {
+            return '';
+        }
+        const { caseNumber, supporterCount, alreadySupported } = this.supportedCase;
+        return formatLabel(alreadySupported ? LABELS.alreadySupported : LABELS.supportBody, caseNumber, supporterCount);
+    }
+
+    // Updates only start once the citizen opens the link emailed to them
+    get followingText() {
+        if (!this.supportedCase) {
+            return '';
+        }
+        const { email, caseNumber, confirmationSent } = this.supportedCase;
+        return formatLabel(confirmationSent ? LABELS.followConfirmSent : LABELS.followingBody, email, caseNumber);
+    }
+
+    get duplicatesIntro() {
+        return formatLabel(LABELS.duplicatesIntro, this.issueTypeText);
+    }
+
+    get showForm() {
+        return !this.showThankYou && !this.isQueued && !this.showDuplicates;
+    }
+
+    get showSubmissionThankYou() {
+        return this.showThankYou && !this.supportedCase;
+    }
+
+    get showSupportThankYou() {
+        return this.showThankYou && !!this.supportedCase;
+    }
+
+    get hasSearchResults() {
+        return this.searchResults.length > 0;
+    }
+
+    // Results only come on Enter when the geocoder does not allow search as you type
+    get showSearchOnEnter() {
+        return !!this.geocoder && this.geocoder.autocomplete === false && this.geocoder.type !== 'none'
+            && this.searchResults.length === 0 && !this.hasSearched;
+    }
+
+    get showNoSearchResults() {
+        return this.hasSearched && !this.isSearching && this.searchResults.length === 0;
+    }
+
+    get hasNearbyCases() {
+        return this.nearbyCases.length > 0;
+    }
+
+    get isSubmitDisabled() {
+        return this.isSubmitting || this.isProcessingFiles;
+    }
+
+    get photoLocationText() {
+        if (!this.photoLocation) return '';
+        return this.photoLocation.address ||
+            `${this.photoLocation.latitude.toFixed(5)}, ${this.photoLocation.longitude.toFixed(5)}`;
     }
 
     get hasFiles() {
         return this.uploadedFiles.length > 0;
     }
 
+    get fileRows() {
+        return this.uploadedFiles.map((entry, index) => ({
+            key: entry.key,
+            index: index,
+            name: entry.name,
+            sizeLabel: formatFileSize(entry.size),
+            progress: entry.progress,
+            error: entry.error,
+            isUploading: entry.status === 'uploading',
+            // A file sent in one request has no progress to show until it is done
+            showProgress: entry.status === 'uploading' && partCountFor(entry.size) > 1,
+            isDone: entry.status === 'done',
+            isFailed: entry.status === 'failed',
+            isRedacted: entry.redacted === true,
+            canRedact: !entry.redacted && entry.status === 'pending' && isRedactableImage(entry.file)
+        }));
+    }
+
+    get dictationSupported() {
+        return !!this.recognizer && this.recognizer.supported;
+    }
+
+    get dictationLabel() {
+        return this.isDictating ? LABELS.stopDictation : LABELS.dictate;
+    }
+
+    get dictationIcon() {
+        return this.isDictating ? 'utility:stop' : 'utility:unmuted';
+    }
+
+    get redactingEntry() {
+        return this.uploadedFiles.find((entry) => entry.key === this.redactingKey) || null;
+    }
+
+    get savedAttachments() {
+        return [...this.fileRows.filter((row) => row.isDone), ...this.largeFiles];
+    }
+
+    get failedAttachments() {
+        return this.fileRows.filter((row) => !row.isDone);
+    }
+
+    get uploadingAttachments() {
+        return this.fileRows.filter((row) => row.isUploading);
+    }
+
+    get hasSavedAttachments() {
+        return this.savedAttachments.length > 0;
+    }
+
+    get hasFailedAttachments() {
+        return this.failedAttachments.length > 0;
+    }
+
+    get shapeText() {
+        return describeGeometry(this.formData.geometry);
+    }
+
+    get isDrawingShape() {
+        return this.drawMode !== 'point';
+    }
+
+    get cannotUndoVertex() {
+        return this.drawVertices.length === 0;
+    }
+
+    get drawHint() {
+        if (this.drawMode === 'line') {
+            return LABELS.drawHintLine;
+        }
+        if (this.drawMode === 'area') {
+            return LABELS.drawHintArea;
+        }
+        return LABELS.drawHintPoint;
+    }
+
     get locationText() {
         if (this.formData.address) {
             return this.formData.address.length > 100 ? 
                 this.formData.address.substring(0, 100) + '...' : 
                 this.formData.address;
         }
-        return 'Click to select location on map';
+        return LABELS.clickToSelect;
+    }
+
+    get currentLocationText() {
+        return formatLabel(LABELS.currentLocation, this.locationText);
+    }
+
+    get markedAsText() {
+        return formatLabel(LABELS.markedAs, this.shapeText);
+    }
+
+    get possibleEmergencyText() {
+        return this.activeHazard ? formatLabel(LABELS.possibleEmergency, this.activeHazard.name) : '';
+    }
+
+    get soundsLikeText() {
+        return formatLabel(LABELS.soundsLike, this.suggestionText);
+    }
+
+    get photoTakenAtText() {
+        return this.photoLocation ? formatLabel(LABELS.photoTakenAt, this.photoLocation.fileName, this.photoLocationText) : '';
+    }
+
+    get uploadHelpText() {
+        return formatLabel(LABELS.uploadHelp, this.maxFileSizeText);
+    }
+
+    get signedInText() {
+        return this.citizen ? formatLabel(LABELS.signedInAs, this.citizen.name) : '';
     }
-}
\ No newline at end of file
+}
@@ -0,0 +1,376 @@
+// complaintFormLabels.js - Custom labels for complaintForm and the complaintWizard steps and messages
+import TITLE from '@salesforce/label/c.Complaint_Title';
+import SUBTITLE from '@salesforce/label/c.Complaint_Subtitle';
+import PENDING_ONE from '@salesforce/label/c.Complaint_Pending_One';
+import PENDING_MANY from '@salesforce/label/c.Complaint_Pending_Many';
+import QUEUED_ITEM from '@salesforce/label/c.Complaint_Queued_Item';
+import LAST_ATTEMPT from '@salesforce/label/c.Complaint_Last_Attempt';
+import GENERIC from '@salesforce/label/c.Complaint_Generic';
+import DISCARD from '@salesforce/label/c.Complaint_Discard';
+import RETRY_NOW from '@salesforce/label/c.Complaint_Retry_Now';
+import VERIFY_AND_SUBMIT from '@salesforce/label/c.Complaint_Verify_And_Submit';
+import ANSWER_FIRST from '@salesforce/label/c.Complaint_Answer_First';
+import PENDING_ICON from '@salesforce/label/c.Complaint_Pending_Icon';
+import QUEUED_TITLE from '@salesforce/label/c.Complaint_Queued_Title';
+import QUEUED_BODY from '@salesforce/label/c.Complaint_Queued_Body';
+import SUPPORTED_ICON from '@salesforce/label/c.Complaint_Supported_Icon';
+import SUPPORT_TITLE from '@salesforce/label/c.Complaint_Support_Title';
+import SUPPORT_BODY from '@salesforce/label/c.Complaint_Support_Body';
+import SUBMIT_ANOTHER from '@salesforce/label/c.Complaint_Submit_Another';
+import SUCCESS from '@salesforce/label/c.Complaint_Success';
+import THANK_YOU_TITLE from '@salesforce/label/c.Complaint_Thank_You_Title';
+import YOUR_TRACKING_NUMBER from '@salesforce/label/c.Complaint_Your_Tracking_Number';
+import THANK_YOU_BODY from '@salesforce/label/c.Complaint_Thank_You_Body';
+import EMERGENCY_CONFIRMATION from '@salesforce/label/c.Complaint_Emergency_Confirmation';
+import ANONYMOUS_REMINDER from '@salesforce/label/c.Complaint_Anonymous_Reminder';
+import SAVED_ATTACHMENTS from '@salesforce/label/c.Complaint_Saved_Attachments';
+import FAILED_ATTACHMENTS from '@salesforce/label/c.Complaint_Failed_Attachments';
+import RETRY from '@salesforce/label/c.Complaint_Retry';
+import DUPLICATES_TITLE from '@salesforce/label/c.Complaint_Duplicates_Title';
+import DUPLICATES_INTRO from '@salesforce/label/c.Complaint_Duplicates_Intro';
+import NEARBY_SUMMARY from '@salesforce/label/c.Complaint_Nearby_Summary';
+import METERS_AWAY from '@salesforce/label/c.Complaint_Meters_Away';
+import KILOMETERS_AWAY from '@salesforce/label/c.Complaint_Kilometers_Away';
+import ONE_SUPPORTER from '@salesforce/label/c.Complaint_One_Supporter';
+import MANY_SUPPORTERS from '@salesforce/label/c.Complaint_Many_Supporters';
+import SAME_ISSUE from '@salesforce/label/c.Complaint_Same_Issue';
+import FOLLOW from '@salesforce/label/c.Complaint_Follow';
+import BACK from '@salesforce/label/c.Complaint_Back';
+import FILE_AS_NEW from '@salesforce/label/c.Complaint_File_As_New';
+import DRAFT_RESTORED from '@salesforce/label/c.Complaint_Draft_Restored';
+import START_OVER from '@salesforce/label/c.Complaint_Start_Over';
+import POSSIBLE_EMERGENCY from '@salesforce/label/c.Complaint_Possible_Emergency';
+import EMERGENCY_ADVICE from '@salesforce/label/c.Complaint_Emergency_Advice';
+import STEP_TITLE from '@salesforce/label/c.Complaint_Step_Title';
+import STEP_CATEGORY from '@salesforce/label/c.Complaint_Step_Category';
+import STEP_LOCATION from '@salesforce/label/c.Complaint_Step_Location';
+import STEP_DETAILS from '@salesforce/label/c.Complaint_Step_Details';
+import STEP_CONTACT from '@salesforce/label/c.Complaint_Step_Contact';
+import STEP_REVIEW from '@salesforce/label/c.Complaint_Step_Review';
+import ISSUE_TYPE_REQUIRED from '@salesforce/label/c.Complaint_Issue_Type_Required';
+import SELECT_ISSUE_TYPE from '@salesforce/label/c.Complaint_Select_Issue_Type';
+import PRIORITY_LEVEL from '@salesforce/label/c.Complaint_Priority_Level';
+import ISSUE_SUBTYPE from '@salesforce/label/c.Complaint_Issue_Subtype';
+import SELECT_SUBTYPE from '@salesforce/label/c.Complaint_Select_Subtype';
+import ADDRESS from '@salesforce/label/c.Complaint_Address';
+import ADDRESS_PLACEHOLDER from '@salesforce/label/c.Complaint_Address_Placeholder';
+import SELECT_ON_MAP from '@salesforce/label/c.Complaint_Select_On_Map';
+import CURRENT_LOCATION from '@salesforce/label/c.Complaint_Current_Location';
+import MARKED_AS from '@salesforce/label/c.Complaint_Marked_As';
+import WARD_HANDLED_BY from '@salesforce/label/c.Complaint_Ward_Handled_By';
+import OUTSIDE_WARDS_NOTICE from '@salesforce/label/c.Complaint_Outside_Wards_Notice';
+import CLICK_TO_SELECT from '@salesforce/label/c.Complaint_Click_To_Select';
+import DESCRIPTION_REQUIRED from '@salesforce/label/c.Complaint_Description_Required';
+import DESCRIPTION_PLACEHOLDER from '@salesforce/label/c.Complaint_Description_Placeholder';
+import DICTATION_LANGUAGE from '@salesforce/label/c.Complaint_Dictation_Language';
+import DICTATE from '@salesforce/label/c.Complaint_Dictate';
+import STOP_DICTATION from '@salesforce/label/c.Complaint_Stop_Dictation';
+import LISTENING from '@salesforce/label/c.Complaint_Listening';
+import SOUNDS_LIKE from '@salesforce/label/c.Complaint_Sounds_Like';
+import PRIORITY_ONLY from '@salesforce/label/c.Complaint_Priority_Only';
+import CATEGORY_WITH_PRIORITY from '@salesforce/label/c.Complaint_Category_With_Priority';
+import USE_SUGGESTION from '@salesforce/label/c.Complaint_Use_Suggestion';
+import KEEP_MY_CHOICE from '@salesforce/label/c.Complaint_Keep_My_Choice';
+import PHOTOS_OPTIONAL from '@salesforce/label/c.Complaint_Photos_Optional';
+import REDACTION_HINT from '@salesforce/label/c.Complaint_Redaction_Hint';
+import OPTIMIZING_PHOTOS from '@salesforce/label/c.Complaint_Optimizing_Photos';
+import PHOTO_TAKEN_AT from '@salesforce/label/c.Complaint_Photo_Taken_At';
+import USE_PHOTO_LOCATION from '@salesforce/label/c.Complaint_Use_Photo_Location';
+import KEEP_CURRENT_LOCATION from '@salesforce/label/c.Complaint_Keep_Current_Location';
+import UPLOADED_FILES from '@salesforce/label/c.Complaint_Uploaded_Files';
+import REDACTED from '@salesforce/label/c.Complaint_Redacted';
+import REDACT from '@salesforce/label/c.Complaint_Redact';
+import REMOVE from '@salesforce/label/c.Complaint_Remove';
+import UPLOAD_HELP from '@salesforce/label/c.Complaint_Upload_Help';
+import REPORT_ANONYMOUSLY from '@salesforce/label/c.Complaint_Report_Anonymously';
+import ANONYMOUS_NOTICE from '@salesforce/label/c.Complaint_Anonymous_Notice';
+import CLAIM_EMAIL from '@salesforce/label/c.Complaint_Claim_Email';
+import CLAIM_EMAIL_HELP from '@salesforce/label/c.Complaint_Claim_Email_Help';
+import SIGNED_IN_AS from '@salesforce/label/c.Complaint_Signed_In_As';
+import YOUR_NAME from '@salesforce/label/c.Complaint_Your_Name';
+import YOUR_NAME_REQUIRED from '@salesforce/label/c.Complaint_Your_Name_Required';
+import EMAIL_ADDRESS from '@salesforce/label/c.Complaint_Email_Address';
+import EMAIL_ADDRESS_REQUIRED from '@salesforce/label/c.Complaint_Email_Address_Required';
+import PHONE_NUMBER from '@salesforce/label/c.Complaint_Phone_Number';
+import PRIVACY_CONSENT from '@salesforce/label/c.Complaint_Privacy_Consent';
+import REVIEW_INTRO from '@salesforce/label/c.Complaint_Review_Intro';
+import EDIT from '@salesforce/label/c.Complaint_Edit';
+import NEXT from '@salesforce/label/c.Complaint_Next';
+import SUBMIT from '@salesforce/label/c.Complaint_Submit';
+import SUBMITTING from '@salesforce/label/c.Complaint_Submitting';
+import SUBMITTING_COMPLAINT from '@salesforce/label/c.Complaint_Submitting_Complaint';
+import ISSUE_TYPE from '@salesforce/label/c.Complaint_Issue_Type';
+import SUBTYPE from '@salesforce/label/c.Complaint_Subtype';
+import WARD from '@salesforce/label/c.Complaint_Ward';
+import SHAPE from '@salesforce/label/c.Complaint_Shape';
+import MAP_POSITION from '@salesforce/label/c.Complaint_Map_Position';
+import DESCRIPTION from '@salesforce/label/c.Complaint_Description';
+import PHOTOS from '@salesforce/label/c.Complaint_Photos';
+import PHOTO_REDACTED from '@salesforce/label/c.Complaint_Photo_Redacted';
+import REPORTING from '@salesforce/label/c.Complaint_Reporting';
+import REPORTING_ANONYMOUSLY from '@salesforce/label/c.Complaint_Reporting_Anonymously';
+import CLAIM_LATER_WITH from '@salesforce/label/c.Complaint_Claim_Later_With';
+import YES from '@salesforce/label/c.Complaint_Yes';
+import SELECT_LOCATION from '@salesforce/label/c.Complaint_Select_Location';
+import CLOSE from '@salesforce/label/c.Complaint_Close';
+import SEARCH_LABEL from '@salesforce/label/c.Complaint_Search_Label';
+import SEARCH_PLACEHOLDER from '@salesforce/label/c.Complaint_Search_Placeholder';
+import NO_SEARCH_RESULTS from '@salesforce/label/c.Complaint_No_Search_Results';
+import SEARCH_ON_ENTER from '@salesforce/label/c.Complaint_Search_On_Enter';
+import KIND_STREET from '@salesforce/label/c.Complaint_Kind_Street';
+import KIND_LANDMARK from '@salesforce/label/c.Complaint_Kind_Landmark';
+import MARK_ISSUE_AS from '@salesforce/label/c.Complaint_Mark_Issue_As';
+import DRAW_POINT from '@salesforce/label/c.Complaint_Draw_Point';
+import DRAW_LINE from '@salesforce/label/c.Complaint_Draw_Line';
+import DRAW_AREA from '@salesforce/label/c.Complaint_Draw_Area';
+import DRAW_HINT_POINT from '@salesforce/label/c.Complaint_Draw_Hint_Point';
+import DRAW_HINT_LINE from '@salesforce/label/c.Complaint_Draw_Hint_Line';
+import DRAW_HINT_AREA from '@salesforce/label/c.Complaint_Draw_Hint_Area';
+import UNDO_POINT from '@salesforce/label/c.Complaint_Undo_Point';
+import CLEAR from '@salesforce/label/c.Complaint_Clear';
+import NEARBY_LEGEND from '@salesforce/label/c.Complaint_Nearby_Legend';
+import CONFIRM_LOCATION from '@salesforce/label/c.Complaint_Confirm_Location';
+import ERROR from '@salesforce/label/c.Complaint_Error';
+import SUGGESTION_APPLIED_TITLE from '@salesforce/label/c.Complaint_Suggestion_Applied_Title';
+import SUGGESTION_APPLIED from '@salesforce/label/c.Complaint_Suggestion_Applied';
+import FILE_TYPE_NOT_ACCEPTED from '@salesforce/label/c.Complaint_File_Type_Not_Accepted';
+import FILE_TOO_LARGE from '@salesforce/label/c.Complaint_File_Too_Large';
+import FILE_AFTER_SUBMIT from '@salesforce/label/c.Complaint_File_After_Submit';
+import ADD_LARGE_FILES from '@salesforce/label/c.Complaint_Add_Large_Files';
+import LOCATION_UPDATED_TITLE from '@salesforce/label/c.Complaint_Location_Updated_Title';
+import LOCATION_FROM_PHOTO from '@salesforce/label/c.Complaint_Location_From_Photo';
+import PHOTO_REDACTED_TITLE from '@salesforce/label/c.Complaint_Photo_Redacted_Title';
+import PHOTO_REDACTED_BODY from '@salesforce/label/c.Complaint_Photo_Redacted_Body';
+import TOO_MANY_POINTS from '@salesforce/label/c.Complaint_Too_Many_Points';
+import SUPPORT_FAILED from '@salesforce/label/c.Complaint_Support_Failed';
+import SUBMITTED from '@salesforce/label/c.Complaint_Submitted';
+import SUBMIT_FAILED from '@salesforce/label/c.Complaint_Submit_Failed';
+import SAVED_OFFLINE_TITLE from '@salesforce/label/c.Complaint_Saved_Offline_Title';
+import SAVED_OFFLINE from '@salesforce/label/c.Complaint_Saved_Offline';
+import QUEUE_FAILED from '@salesforce/label/c.Complaint_Queue_Failed';
+import QUEUED_SENT_TITLE from '@salesforce/label/c.Complaint_Queued_Sent_Title';
+import QUEUED_SENT from '@salesforce/label/c.Complaint_Queued_Sent';
+import QUEUED_REJECTED_TITLE from '@salesforce/label/c.Complaint_Queued_Rejected_Title';
+import QUEUED_REJECTED from '@salesforce/label/c.Complaint_Queued_Rejected';
+import CANCEL from '@salesforce/label/c.Complaint_Cancel';
+import REDACTOR_TITLE from '@salesforce/label/c.Complaint_Redactor_Title';
+import REDACTOR_INTRO from '@salesforce/label/c.Complaint_Redactor_Intro';
+import REDACTOR_HIDE_WITH from '@salesforce/label/c.Complaint_Redactor_Hide_With';
+import REDACTOR_BLUR from '@salesforce/label/c.Complaint_Redactor_Blur';
+import REDACTOR_BLACK_OUT from '@salesforce/label/c.Complaint_Redactor_Black_Out';
+import REDACTOR_UNDO from '@salesforce/label/c.Complaint_Redactor_Undo';
+import REDACTOR_APPLY from '@salesforce/label/c.Complaint_Redactor_Apply';
+import REDACTOR_NOTHING_TO_HIDE from '@salesforce/label/c.Complaint_Redactor_Nothing_To_Hide';
+import REDACTOR_ONE_AREA from '@salesforce/label/c.Complaint_Redactor_One_Area';
+import REDACTOR_AREAS from '@salesforce/label/c.Complaint_Redactor_Areas';
+import REDACTOR_OPEN_FAILED from '@salesforce/label/c.Complaint_Redactor_Open_Failed';
+import REDACTOR_FAILED from '@salesforce/label/c.Complaint_Redactor_Failed';
+import UPLOADING from '@salesforce/label/c.Complaint_Uploading';
+import ATTACHMENT_UPLOADED from '@salesforce/label/c.Complaint_Attachment_Uploaded';
+import ATTACHMENT_FAILED from '@salesforce/label/c.Complaint_Attachment_Failed';
+import FIX_HIGHLIGHTED from '@salesforce/label/c.Complaint_Fix_Highlighted';
+import CHOOSE_ISSUE_TYPE from '@salesforce/label/c.Complaint_Choose_Issue_Type';
+import CHOOSE_OFFERED_ISSUE_TYPE from '@salesforce/label/c.Complaint_Choose_Offered_Issue_Type';
+import ENTER_ADDRESS from '@salesforce/label/c.Complaint_Enter_Address';
+import OUTSIDE_WARDS from '@salesforce/label/c.Complaint_Outside_Wards';
+import DESCRIBE_ISSUE from '@salesforce/label/c.Complaint_Describe_Issue';
+import MORE_DETAIL from '@salesforce/label/c.Complaint_More_Detail';
+import VALID_EMAIL from '@salesforce/label/c.Complaint_Valid_Email';
+import ENTER_NAME from '@salesforce/label/c.Complaint_Enter_Name';
+import ENTER_EMAIL from '@salesforce/label/c.Complaint_Enter_Email';
+import VALID_PHONE from '@salesforce/label/c.Complaint_Valid_Phone';
+import ACCEPT_PRIVACY from '@salesforce/label/c.Complaint_Accept_Privacy';
+import FOLLOW_EMAIL from '@salesforce/label/c.Complaint_Follow_Email';
+import FOLLOW_EMAIL_REQUIRED from '@salesforce/label/c.Complaint_Follow_Email_Required';
+import FOLLOW_CONFIRM_SENT from '@salesforce/label/c.Complaint_Follow_Confirm_Sent';
+import FOLLOWING_BODY from '@salesforce/label/c.Complaint_Following_Body';
+import ALREADY_SUPPORTED from '@salesforce/label/c.Complaint_Already_Supported';
+
+export const LABELS = {
+    title: TITLE,
+    subtitle: SUBTITLE,
+    pendingOne: PENDING_ONE,
+    pendingMany: PENDING_MANY,
+    queuedItem: QUEUED_ITEM,
+    lastAttempt: LAST_ATTEMPT,
+    complaint: GENERIC,
+    discard: DISCARD,
+    retryNow: RETRY_NOW,
+    verifyAndSubmit: VERIFY_AND_SUBMIT,
+    answerFirst: ANSWER_FIRST,
+    pending: PENDING_ICON,
+    queuedTitle: QUEUED_TITLE,
+    queuedBody: QUEUED_BODY,
+    supported: SUPPORTED_ICON,
+    supportTitle: SUPPORT_TITLE,
+    supportBody: SUPPORT_BODY,
+    submitAnother: SUBMIT_ANOTHER,
+    success: SUCCESS,
+    thankYouTitle: THANK_YOU_TITLE,
+    yourTrackingNumber: YOUR_TRACKING_NUMBER,
+    thankYouBody: THANK_YOU_BODY,
+    emergencyConfirmation: EMERGENCY_CONFIRMATION,
+    anonymousReminder: ANONYMOUS_REMINDER,
+    savedAttachments: SAVED_ATTACHMENTS,
+    failedAttachments: FAILED_ATTACHMENTS,
+    retry: RETRY,
+    duplicatesTitle: DUPLICATES_TITLE,
+    duplicatesIntro: DUPLICATES_INTRO,
+    nearbySummary: NEARBY_SUMMARY,
+    metersAway: METERS_AWAY,
+    kilometersAway: KILOMETERS_AWAY,
+    oneSupporter: ONE_SUPPORTER,
+    manySupporters: MANY_SUPPORTERS,
+    sameIssue: SAME_ISSUE,
+    followComplaint: FOLLOW,
+    back: BACK,
+    fileAsNew: FILE_AS_NEW,
+    draftRestored: DRAFT_RESTORED,
+    startOver: START_OVER,
+    possibleEmergency: POSSIBLE_EMERGENCY,
+    emergencyAdvice: EMERGENCY_ADVICE,
+    stepTitle: STEP_TITLE,
+    stepCategory: STEP_CATEGORY,
+    stepLocation: STEP_LOCATION,
+    stepDetails: STEP_DETAILS,
+    stepContact: STEP_CONTACT,
+    stepReview: STEP_REVIEW,
+    issueTypeRequired: ISSUE_TYPE_REQUIRED,
+    selectIssueType: SELECT_ISSUE_TYPE,
+    priorityLevel: PRIORITY_LEVEL,
+    issueSubtype: ISSUE_SUBTYPE,
+    selectSubtype: SELECT_SUBTYPE,
+    addressLabel: ADDRESS,
+    addressPlaceholder: ADDRESS_PLACEHOLDER,
+    selectOnMap: SELECT_ON_MAP,
+    currentLocation: CURRENT_LOCATION,
+    markedAs: MARKED_AS,
+    wardHandledBy: WARD_HANDLED_BY,
+    outsideWardsNotice: OUTSIDE_WARDS_NOTICE,
+    clickToSelect: CLICK_TO_SELECT,
+    descriptionRequired: DESCRIPTION_REQUIRED,
+    descriptionPlaceholder: DESCRIPTION_PLACEHOLDER,
+    dictationLanguage: DICTATION_LANGUAGE,
+    dictate: DICTATE,
+    stopDictation: STOP_DICTATION,
+    listening: LISTENING,
+    soundsLike: SOUNDS_LIKE,
+    priorityOnly: PRIORITY_ONLY,
+    categoryWithPriority: CATEGORY_WITH_PRIORITY,
+    useSuggestion: USE_SUGGESTION,
+    keepMyChoice: KEEP_MY_CHOICE,
+    photosOptional: PHOTOS_OPTIONAL,
+    redactionHint: REDACTION_HINT,
+    optimizingPhotos: OPTIMIZING_PHOTOS,
+    photoTakenAt: PHOTO_TAKEN_AT,
+    usePhotoLocation: USE_PHOTO_LOCATION,
+    keepCurrentLocation: KEEP_CURRENT_LOCATION,
+    uploadedFiles: UPLOADED_FILES,
+    redactedBadge: REDACTED,
+    redact: REDACT,
+    remove: REMOVE,
+    uploadHelp: UPLOAD_HELP,
+    reportAnonymously: REPORT_ANONYMOUSLY,
+    anonymousNotice: ANONYMOUS_NOTICE,
+    claimEmailLabel: CLAIM_EMAIL,
+    claimEmailHelp: CLAIM_EMAIL_HELP,
+    signedInAs: SIGNED_IN_AS,
+    yourName: YOUR_NAME,
+    yourNameRequired: YOUR_NAME_REQUIRED,
+    emailAddress: EMAIL_ADDRESS,
+    emailAddressRequired: EMAIL_ADDRESS_REQUIRED,
+    phoneNumber: PHONE_NUMBER,
+    privacyConsent: PRIVACY_CONSENT,
+    reviewIntro: REVIEW_INTRO,
+    edit: EDIT,
+    next: NEXT,
+    submitComplaint: SUBMIT,
+    submitting: SUBMITTING,
+    submittingComplaint: SUBMITTING_COMPLAINT,
+    issueType: ISSUE_TYPE,
+    subtype: SUBTYPE,
+    ward: WARD,
+    shape: SHAPE,
+    mapPosition: MAP_POSITION,
+    description: DESCRIPTION,
+    photos: PHOTOS,
+    photoRedacted: PHOTO_REDACTED,
+    reporting: REPORTING,
+    reportingAnonymously: REPORTING_ANONYMOUSLY,
+    claimLaterWith: CLAIM_LATER_WITH,
+    yes: YES,
+    selectLocation: SELECT_LOCATION,
+    close: CLOSE,
+    searchLabel: SEARCH_LABEL,
+    searchPlaceholder: SEARCH_PLACEHOLDER,
+    noSearchResults: NO_SEARCH_RESULTS,
+    searchOnEnter: SEARCH_ON_ENTER,
+    kindStreet: KIND_STREET,
+    kindLandmark: KIND_LANDMARK,
+    markIssueAs: MARK_ISSUE_AS,
+    drawPoint: DRAW_POINT,
+    drawLine: DRAW_LINE,
+    drawArea: DRAW_AREA,
+    drawHintPoint: DRAW_HINT_POINT,
+    drawHintLine: DRAW_HINT_LINE,
+    drawHintArea: DRAW_HINT_AREA,
+    undoPoint: UNDO_POINT,
+    clear: CLEAR,
+    nearbyLegend: NEARBY_LEGEND,
+    confirmLocation: CONFIRM_LOCATION,
+    error: ERROR,
+    suggestionAppliedTitle: SUGGESTION_APPLIED_TITLE,
+    suggestionApplied: SUGGESTION_APPLIED,
+    fileTypeNotAccepted: FILE_TYPE_NOT_ACCEPTED,
+    fileTooLarge: FILE_TOO_LARGE,
+    fileAfterSubmit: FILE_AFTER_SUBMIT,
+    addLargeFiles: ADD_LARGE_FILES,
+    locationUpdatedTitle: LOCATION_UPDATED_TITLE,
+    locationFromPhoto: LOCATION_FROM_PHOTO,
+    photoRedactedTitle: PHOTO_REDACTED_TITLE,
+    photoRedactedBody: PHOTO_REDACTED_BODY,
+    tooManyPoints: TOO_MANY_POINTS,
+    supportFailed: SUPPORT_FAILED,
+    submitted: SUBMITTED,
+    submitFailed: SUBMIT_FAILED,
+    savedOfflineTitle: SAVED_OFFLINE_TITLE,
+    savedOffline: SAVED_OFFLINE,
+    queueFailed: QUEUE_FAILED,
+    queuedSentTitle: QUEUED_SENT_TITLE,
+    queuedSent: QUEUED_SENT,
+    queuedRejectedTitle: QUEUED_REJECTED_TITLE,
+    queuedRejected: QUEUED_REJECTED,
+    cancel: CANCEL,
+    redactorTitle: REDACTOR_TITLE,
+    redactorIntro: REDACTOR_INTRO,
+    redactorHideWith: REDACTOR_HIDE_WITH,
+    redactorBlur: REDACTOR_BLUR,
+    redactorBlackOut: REDACTOR_BLACK_OUT,
+    redactorUndo: REDACTOR_UNDO,
+    redactorApply: REDACTOR_APPLY,
+    redactorNothingToHide: REDACTOR_NOTHING_TO_HIDE,
+    redactorOneArea: REDACTOR_ONE_AREA,
+    redactorAreas: REDACTOR_AREAS,
+    redactorOpenFailed: REDACTOR_OPEN_FAILED,
+    redactorFailed: REDACTOR_FAILED,
+    uploading: UPLOADING,
+    attachmentUploaded: ATTACHMENT_UPLOADED,
+    attachmentFailed: ATTACHMENT_FAILED,
+    fixHighlighted: FIX_HIGHLIGHTED,
+    chooseIssueType: CHOOSE_ISSUE_TYPE,
+    chooseOfferedIssueType: CHOOSE_OFFERED_ISSUE_TYPE,
+    enterAddress: ENTER_ADDRESS,
+    outsideWards: OUTSIDE_WARDS,
+    describeIssue: DESCRIBE_ISSUE,
+    moreDetail: MORE_DETAIL,
+    validEmail: VALID_EMAIL,
+    enterName: ENTER_NAME,
+    enterEmail: ENTER_EMAIL,
+    validPhone: VALID_PHONE,
+    acceptPrivacy: ACCEPT_PRIVACY,
+    followEmail: FOLLOW_EMAIL,
+    followEmailRequired: FOLLOW_EMAIL_REQUIRED,
+    followConfirmSent: FOLLOW_CONFIRM_SENT,
+    followingBody: FOLLOWING_BODY,
+    alreadySupported: ALREADY_SUPPORTED
+};
@@ -0,0 +1,79 @@
+import {
+    SEVERITIES,
+    DEFAULT_MAP_CENTER,
+    DEFAULT_ACCEPTED_FILE_TYPES,
+    parseList,
+    resolveFormSettings,
+    restrictTaxonomy,
+    presetIssueTypeValue,
+    isAcceptedFileType
+} from 'c/complaintFormSettings';
+import { MAX_FILE_SIZE } from 'c/attachmentUploader';
+import { FALLBACK_TAXONOMY } from 'c/issueTaxonomy';
+
+describe('c-complaint-form-settings', () => {
+    it('uses the defaults when nothing is configured', () => {
+        const settings = resolveFormSettings({});
+
+        expect(settings).toEqual({
+            presetIssueType: null,
+            lockIssueType: false,
+            allowedIssueTypes: [],
+            severities: SEVERITIES,
+            mapCenter: DEFAULT_MAP_CENTER,
+            mapZoom: 13,
+            acceptedFileTypes: DEFAULT_ACCEPTED_FILE_TYPES,
+            maxFileSize: MAX_FILE_SIZE,
+            contactRequired: true
+        });
+    });
+
+    it('parses the design attributes and ignores values that make no sense', () => {
+        const settings = resolveFormSettings({
+            allowedSeverities: 'low; HIGH, Urgent',
+            mapCenterLatitude: '23.0587',
+            mapCenterLongitude: '72.5442',
+            mapZoom: 15,
+            acceptedFileTypes: 'image/*, .PDF',
+            maxFileSizeMb: 5,
+            contactOptional: true,
+            lockIssueType: true
+        });
+
+        expect(parseList('Parks & Recreation,\nDrainage ,')).toEqual(['Parks & Recreation', 'Drainage']);
+        expect(settings.severities).toEqual(['Low', 'High']);
+        expect(settings.mapCenter).toEqual({ latitude: 23.0587, longitude: 72.5442 });
+        expect(settings.mapZoom).toBe(15);
+        expect(settings.acceptedFileTypes).toEqual(['image/*', '.pdf']);
+        expect(settings.maxFileSize).toBe(5 * 1024 * 1024);
+        expect(settings.contactRequired).toBe(false);
+        // Nothing to lock without a preset
+        expect(settings.lockIssueType).toBe(false);
+
+        const broken = resolveFormSettings({ mapCenterLatitude: 'north', mapZoom: 40, maxFileSizeMb: 500 });
+        expect(broken.mapCenter).toBe(DEFAULT_MAP_CENTER);
+        expect(broken.mapZoom).toBe(13);
+        expect(broken.maxFileSize).toBe(MAX_FILE_SIZE);
+    });
+
+    it('offers only the allowed or locked issue types', () => {
+        const parks = resolveFormSettings({ allowedIssueTypes: 'parks & recreation, Other' });
+        const locked = resolveFormSettings({ presetIssueType: 'Drainage', lockIssueType: true, allowedIssueTypes: 'Other' });
+        const typo = resolveFormSettings({ allowedIssueTypes: 'Parkz' });
+
+        expect(restrictTaxonomy(FALLBACK_TAXONOMY, parks).map((type) => type.value)).toEqual(['Parks & Recreation', 'Other']);
+        expect(restrictTaxonomy(FALLBACK_TAXONOMY, locked).map((type) => type.value)).toEqual(['Drainage']);
+        expect(restrictTaxonomy(FALLBACK_TAXONOMY, typo)).toBe(FALLBACK_TAXONOMY);
+        expect(presetIssueTypeValue(FALLBACK_TAXONOMY, resolveFormSettings({ presetIssueType: 'drainage' }))).toBe('Drainage');
+        expect(presetIssueTypeValue(FALLBACK_TAXONOMY, parks)).toBeNull();
+    });
+
+    it('matches files like the accept attribute does', () => {
+        const types = ['image/*', 'application/pdf', '.heic'];
+
+        expect(isAcceptedFileType({ name: 'tree.jpg', type: 'image/jpeg' }, types)).toBe(true);
+        expect(isAcceptedFileType({ name: 'notice.pdf', type: 'application/pdf' }, types)).toBe(true);
+        expect(isAcceptedFileType({ name: 'IMG_0042.HEIC', type: '' }, types)).toBe(true);
+        expect(isAcceptedFileType({ name: 'clip.mp4', type: 'video/mp4' }, types)).toBe(false);
+    });
+});
@@ -0,0 +1,104 @@
+// complaintFormSettings.js - Experience Builder design attributes of complaintForm, parsed with safe defaults
+import { MAX_FILE_SIZE } from 'c/attachmentUploader';
+
+export const SEVERITIES = ['Low', 'Medium', 'High', 'Critical'];
+export const DEFAULT_MAP_CENTER = { latitude: 23.0225, longitude: 72.5714 };
+export const DEFAULT_MAP_ZOOM = 13;
+export const DEFAULT_ACCEPTED_FILE_TYPES = ['image/*', 'video/*'];
+
+const MAX_MAP_ZOOM = 19;
+const BYTES_PER_MB = 1024 * 1024;
+
+// "Parks & Recreation, Drainage" or one entry per line
+export function parseList(value) {
+    return String(value || '')
+        .split(/[,;\n]/)
+        .map((item) => item.trim())
+        .filter(Boolean);
+}
+
+function sameText(a, b) {
+    return String(a || '').toLowerCase() === String(b || '').toLowerCase();
+}
+
+function toNumber(value) {
+    if (value === null || value === undefined || String(value).trim() === '') {
+        return null;
+    }
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+}
+
+function mapCenter(latitude, longitude) {
+    const lat = toNumber(latitude);
+    const lon = toNumber(longitude);
+    if (lat === null || lon === null || Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+        return DEFAULT_MAP_CENTER;
+    }
+    return { latitude: lat, longitude: lon };
+}
+
+// Misconfigured values fall back to the defaults instead of breaking the form
+export function resolveFormSettings(properties = {}) {
+    const zoom = toNumber(properties.mapZoom);
+    const sizeMb = toNumber(properties.maxFileSizeMb);
+    const severities = SEVERITIES.filter((severity) =>
+        parseList(properties.allowedSeverities).some((allowed) => sameText(allowed, severity))
+    );
+    const fileTypes = parseList(properties.acceptedFileTypes).map((type) => type.toLowerCase());
+    const presetIssueType = (properties.presetIssueType || '').trim() || null;
+
+    return {
+        presetIssueType,
+        lockIssueType: !!presetIssueType && properties.lockIssueType === true,
+        allowedIssueTypes: parseList(properties.allowedIssueTypes),
+        severities: severities.length ? severities : SEVERITIES,
+        mapCenter: mapCenter(properties.mapCenterLatitude, properties.mapCenterLongitude),
+        mapZoom: zoom !== null && zoom >= 1 && zoom <= MAX_MAP_ZOOM ? Math.round(zoom) : DEFAULT_MAP_ZOOM,
+        acceptedFileTypes: fileTypes.length ? fileTypes : DEFAULT_ACCEPTED_FILE_TYPES,
+        // Larger files go through the platform upload, up to MAX_FILE_SIZE; a page can only lower the limit
+        maxFileSize: sizeMb !== null && sizeMb > 0 ? Math.min(sizeMb * BYTES_PER_MB, MAX_FILE_SIZE) : MAX_FILE_SIZE,
+        contactRequired: properties.contactOptional !== true
+    };
+}
+
+// Only the allowed types (and a locked preset) are offered; an allowed list matching nothing is ignored
+export function restrictTaxonomy(taxonomy, settings) {
+    let allowed = settings.allowedIssueTypes;
+    if (settings.lockIssueType) {
+        allowed = [settings.presetIssueType];
+    }
+    if (!allowed.length) {
+        return taxonomy;
+    }
+    const restricted = taxonomy.filter((type) =>
+        allowed.some((name) => sameText(name, type.value) || sameText(name, type.label))
+    );
+    return restricted.length ? restricted : taxonomy;
+}
+
+// Taxonomy value of the configured preset, or null when the page has none or it is not offered
+export function presetIssueTypeValue(taxonomy, settings) {
+    if (!settings.presetIssueType) {
+        return null;
+    }
+    const type = taxonomy.find(
+        (candidate) => sameText(candidate.value, settings.presetIssueType) || sameText(candidate.label, settings.presetIssueType)
+    );
+    return type ? type.value : null;
+}
+
+// Same matching rules as the file input's accept attribute: MIME type, type/* wildcard or .extension
+export function isAcceptedFileType(file, acceptedTypes) {
+    const mimeType = (file.type || '').toLowerCase();
+    const name = (file.name || '').toLowerCase();
+    return acceptedTypes.some((accepted) => {
+        if (accepted.startsWith('.')) {
+            return name.endsWith(accepted);
+        }
+        if (accepted.endsWith('/*')) {
+            return mimeType.startsWith(accepted.slice(0, -1));
+        }
+        return mimeType === accepted;
+    });
+}
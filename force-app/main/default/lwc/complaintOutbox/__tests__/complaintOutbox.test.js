@@ -0,0 +1,66 @@
+import {
+    saveDraft,
+    loadDraft,
+    clearDraft,
+    queueSubmission,
+    isConnectivityError
+} from 'c/complaintOutbox';
+
+describe('c-complaint-outbox', () => {
+    afterEach(() => {
+        window.localStorage.clear();
+        jest.restoreAllMocks();
+    });
+
+    it('round-trips the draft form data through localStorage', () => {
+        const formData = { issueType: 'Pothole', description: 'Deep pothole near the bus stop' };
+
+        expect(saveDraft(formData)).toBe(true);
+
+        const draft = loadDraft();
+        expect(draft.formData).toEqual(formData);
+        expect(draft.savedAt).toBeTruthy();
+    });
+
+    it('remembers which wizard step the draft was on', () => {
+        saveDraft({ issueType: 'Pothole' }, 'contact');
+
+        expect(loadDraft().step).toBe('contact');
+    });
+
+    it('returns null when there is no draft or it is unreadable', () => {
+        expect(loadDraft()).toBeNull();
+
+        window.localStorage.setItem('civicComplaint.draft', '{not json');
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        expect(loadDraft()).toBeNull();
+    });
+
+    it('clears the saved draft', async () => {
+        saveDraft({ issueType: 'Drainage' });
+
+        await clearDraft();
+
+        expect(loadDraft()).toBeNull();
+    });
+
+    it('rejects queueing when IndexedDB is unavailable', async () => {
+        await expect(queueSubmission({ issueType: 'Other' }, [])).rejects.toThrow(
+            'Offline storage is not available in this browser'
+        );
+    });
+
+    it('classifies connectivity failures as retryable', () => {
+        expect(isConnectivityError({ status: 0 })).toBe(true);
+        expect(isConnectivityError(new Error('Failed to fetch'))).toBe(true);
+        expect(isConnectivityError({ body: { message: 'Disconnected or Canceled' } })).toBe(true);
+        expect(isConnectivityError({ body: { message: 'Insufficient access rights' } })).toBe(false);
+        expect(isConnectivityError(null)).toBe(false);
+    });
+
+    it('treats any failure as retryable while the browser is offline', () => {
+        jest.spyOn(window.navigator, 'onLine', 'get').mockReturnValue(false);
+
+        expect(isConnectivityError({ body: { message: 'Insufficient access rights' } })).toBe(true);
+    });
+});
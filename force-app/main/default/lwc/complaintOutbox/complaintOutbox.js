@@ -0,0 +1,140 @@
+// complaintOutbox.js - Local draft autosave and offline submission queue for complaintForm
+const DRAFT_KEY = 'civicComplaint.draft';
+const DB_NAME = 'civicComplaints';
+const DB_VERSION = 1;
+const OUTBOX_STORE = 'outbox';
+const DRAFT_FILES_STORE = 'draftFiles';
+const DRAFT_FILES_KEY = 'current';
+
+// ---- Draft (form fields) ----
+
+export function saveDraft(formData, step = null) {
+    try {
+        window.localStorage.setItem(DRAFT_KEY, JSON.stringify({
+            formData: formData,
+            step: step,
+            savedAt: new Date().toISOString()
+        }));
+        return true;
+    } catch (error) {
+        console.error('Draft autosave failed:', error);
+        return false;
+    }
+}
+
+export function loadDraft() {
+    try {
+        const raw = window.localStorage.getItem(DRAFT_KEY);
+        return raw ? JSON.parse(raw) : null;
+    } catch (error) {
+        console.error('Draft could not be restored:', error);
+        return null;
+    }
+}
+
+export function clearDraft() {
+    try {
+        window.localStorage.removeItem(DRAFT_KEY);
+    } catch (error) {
+        console.error('Draft could not be cleared:', error);
+    }
+    return saveDraftFiles([]).catch(() => false);
+}
+
+// ---- IndexedDB helpers (attachments are too large for localStorage) ----
+
+function openDatabase() {
+    return new Promise((resolve, reject) => {
+        if (typeof window === 'undefined' || !window.indexedDB) {
+            reject(new Error('Offline storage is not available in this browser'));
+            return;
+        }
+        const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(OUTBOX_STORE)) {
+                db.createObjectStore(OUTBOX_STORE, { keyPath: 'id' });
+            }
+            if (!db.objectStoreNames.contains(DRAFT_FILES_STORE)) {
+                db.createObjectStore(DRAFT_FILES_STORE);
+            }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+async function runTransaction(storeName, mode, operation) {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeName, mode);
+        const request = operation(transaction.objectStore(storeName));
+        transaction.oncomplete = () => {
+            db.close();
+            resolve(request ? request.result : undefined);
+        };
+        transaction.onerror = () => {
+            db.close();
+            reject(transaction.error);
+        };
+    });
+}
+
+// ---- Draft (attachments) ----
+
+export function saveDraftFiles(files) {
+    return runTransaction(DRAFT_FILES_STORE, 'readwrite', (store) =>
+        store.put(files || [], DRAFT_FILES_KEY)
+    );
+}
+
+export async function loadDraftFiles() {
+    const files = await runTransaction(DRAFT_FILES_STORE, 'readonly', (store) =>
+        store.get(DRAFT_FILES_KEY)
+    );
+    return files || [];
+}
+
+// ---- Outbox ----
+
+export async function queueSubmission(formData, files) {
+    const entry = {
+        id: `outbox-${Date.now()}-${Math.floor(Math.random() * 100000)}`,
+        formData: formData,
+        files: files || [],
+        queuedAt: new Date().toISOString(),
+        attempts: 0,
+        lastError: null
+    };
+    await runTransaction(OUTBOX_STORE, 'readwrite', (store) => store.put(entry));
+    return entry;
+}
+
+export async function getQueuedSubmissions() {
+    const entries = await runTransaction(OUTBOX_STORE, 'readonly', (store) => store.getAll());
+    return (entries || []).sort((a, b) => a.queuedAt.localeCompare(b.queuedAt));
+}
+
+export function updateQueuedSubmission(entry) {
+    return runTransaction(OUTBOX_STORE, 'readwrite', (store) => store.put(entry));
+}
+
+export function removeQueuedSubmission(id) {
+    return runTransaction(OUTBOX_STORE, 'readwrite', (store) => store.delete(id));
+}
+
+// A thrown Apex call (as opposed to a result with success = false) while the
+// browser reports no connectivity is treated as retryable.
+export function isConnectivityError(error) {
+    if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+        return true;
+    }
+    if (!error) {
+        return false;
+    }
+    if (error.status === 0) {
+        return true;
+    }
+    const message = (error.body && error.body.message) || error.message || '';
+    return /network|offline|failed to fetch|disconnected/i.test(message);
+}
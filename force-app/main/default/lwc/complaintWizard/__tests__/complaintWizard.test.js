@@ -0,0 +1,108 @@
+import {
+    MIN_DESCRIPTION_LENGTH,
+    OUTSIDE_WARDS_MESSAGE,
+    isValidPhone,
+    validateComplaint,
+    firstInvalidStep,
+    stepForField
+} from 'c/complaintWizard';
+
+const VALID = {
+    issueType: 'Pothole',
+    subtype: '',
+    severity: 'Medium',
+    description: 'Large pothole outside the municipal school gate',
+    contactName: 'Asha Patel',
+    contactEmail: 'asha@example.com',
+    contactPhone: '',
+    address: 'CG Road, Navrangpura',
+    latitude: null,
+    longitude: null,
+    details: {},
+    isAnonymous: false,
+    privacyConsent: true
+};
+
+describe('c-complaint-wizard', () => {
+    it('accepts Indian mobile and landline formats', () => {
+        expect(isValidPhone('98250 12345')).toBe(true);
+        expect(isValidPhone('+91-98250-12345')).toBe(true);
+        expect(isValidPhone('09825012345')).toBe(true);
+        expect(isValidPhone('079 2658 1234')).toBe(true);
+        expect(isValidPhone('12345')).toBe(false);
+        expect(isValidPhone('5825012345')).toBe(false);
+        expect(isValidPhone('98250abcde')).toBe(false);
+    });
+
+    it('finds nothing wrong with a complete complaint', () => {
+        expect(validateComplaint(VALID, null)).toEqual({});
+        expect(validateComplaint({ ...VALID, address: '', latitude: 23.02, longitude: 72.57 }, null)).toEqual({});
+    });
+
+    it('reports each invalid field with its own message', () => {
+        const errors = validateComplaint(
+            {
+                ...VALID,
+                description: 'Pothole',
+                contactEmail: 'asha@',
+                contactPhone: '12345',
+                address: ''
+            },
+            null
+        );
+
+        expect(Object.keys(errors).sort()).toEqual(['address', 'contactEmail', 'contactPhone', 'description']);
+        expect(errors.description).toContain(`at least ${MIN_DESCRIPTION_LENGTH} characters`);
+    });
+
+    it('rejects a pinned location outside every ward', () => {
+        const outside = { ...VALID, latitude: 23.3, longitude: 72.2, outsideWards: true };
+
+        expect(validateComplaint(outside, null)).toEqual({ address: OUTSIDE_WARDS_MESSAGE });
+        expect(stepForField('address')).toBe('location');
+    });
+
+    it('skips contact details for anonymous reports but still requires consent', () => {
+        const anonymous = { ...VALID, isAnonymous: true, contactName: '', contactEmail: '', privacyConsent: false };
+
+        expect(validateComplaint(anonymous, null)).toEqual({
+            privacyConsent: 'Please accept the privacy notice to submit your complaint.'
+        });
+        expect(validateComplaint({ ...anonymous, privacyConsent: true }, null)).toEqual({});
+        expect(validateComplaint({ ...anonymous, privacyConsent: true, claimEmail: 'asha@' }, null)).toEqual({
+            claimEmail: 'Enter a valid email address, e.g. name@example.com.'
+        });
+        expect(stepForField('claimEmail')).toBe('contact');
+    });
+
+    it('applies the page options for offered issue types and optional contact details', () => {
+        const parksOnly = { offeredIssueTypes: ['Parks & Recreation'] };
+        const noContact = { ...VALID, contactName: '', contactEmail: '' };
+
+        expect(validateComplaint(VALID, null, parksOnly)).toEqual({
+            issueType: 'Choose one of the issue types offered on this page.'
+        });
+        expect(validateComplaint({ ...VALID, issueType: 'Parks & Recreation' }, null, parksOnly)).toEqual({});
+        expect(validateComplaint(noContact, null, { contactRequired: false })).toEqual({});
+        expect(validateComplaint({ ...noContact, contactEmail: 'asha@' }, null, { contactRequired: false })).toEqual({
+            contactEmail: 'Enter a valid email address, e.g. name@example.com.'
+        });
+    });
+
+    it('validates type-specific answers against the chosen issue type', () => {
+        const streetlight = {
+            fields: [{ key: 'poleNumber', label: 'Pole number', dataType: 'Text', required: true, options: [] }]
+        };
+
+        const errors = validateComplaint({ ...VALID, issueType: 'Streetlight' }, streetlight);
+
+        expect(errors).toEqual({ 'details.poleNumber': 'Pole number is required.' });
+        expect(stepForField('details.poleNumber')).toBe('category');
+    });
+
+    it('points at the earliest step with an error', () => {
+        expect(firstInvalidStep({ contactName: 'x', description: 'y' })).toBe('details');
+        expect(firstInvalidStep({ contactPhone: 'x', issueType: 'y' })).toBe('category');
+        expect(firstInvalidStep({})).toBeNull();
+    });
+});
@@ -0,0 +1,126 @@
+// complaintWizard.js - Step definitions and field validation rules for the complaintForm wizard
+import { validateDetail } from 'c/issueTaxonomy';
+import { formatLabel } from 'c/civicI18n';
+import { LABELS } from 'c/complaintFormLabels';
+
+export const STEPS = [
+    { name: 'category', label: LABELS.stepCategory },
+    { name: 'location', label: LABELS.stepLocation },
+    { name: 'details', label: LABELS.stepDetails },
+    { name: 'contact', label: LABELS.stepContact },
+    { name: 'review', label: LABELS.stepReview }
+];
+
+export const MIN_DESCRIPTION_LENGTH = 20;
+export const MAX_DESCRIPTION_LENGTH = 2000;
+
+// English wording matches WardLookupService.OUTSIDE_WARDS_MESSAGE
+export const OUTSIDE_WARDS_MESSAGE = LABELS.outsideWards;
+
+// Which step each core field is entered on; type-specific answers ("details.<key>") live on category
+const FIELD_STEPS = {
+    issueType: 'category',
+    subtype: 'category',
+    severity: 'category',
+    address: 'location',
+    description: 'details',
+    contactName: 'contact',
+    contactEmail: 'contact',
+    contactPhone: 'contact',
+    isAnonymous: 'contact',
+    claimEmail: 'contact',
+    privacyConsent: 'contact'
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+// Indian mobile (optionally +91 / 0 prefixed) or an STD-coded landline such as 079 2658 1234
+const MOBILE_PATTERN = /^(\+91|0)?[6-9]\d{9}$/;
+const LANDLINE_PATTERN = /^0\d{10}$/;
+
+export function isValidEmail(value) {
+    return EMAIL_PATTERN.test(value);
+}
+
+export function isValidPhone(value) {
+    const digits = value.replace(/[\s\-()]/g, '');
+    return MOBILE_PATTERN.test(digits) || LANDLINE_PATTERN.test(digits);
+}
+
+function isBlank(value) {
+    return value === undefined || value === null || String(value).trim() === '';
+}
+
+export function stepIndex(stepName) {
+    const index = STEPS.findIndex((step) => step.name === stepName);
+    return index === -1 ? 0 : index;
+}
+
+export function stepForField(fieldName) {
+    return fieldName.startsWith('details.') ? 'category' : FIELD_STEPS[fieldName];
+}
+
+// Returns { fieldName: message } for every invalid field; detail answers are keyed "details.<key>".
+// options: offeredIssueTypes (values the page offers) and contactRequired (default true)
+export function validateComplaint(formData, issueType, options = {}) {
+    const errors = {};
+    const { offeredIssueTypes = null, contactRequired = true } = options;
+
+    if (isBlank(formData.issueType)) {
+        errors.issueType = LABELS.chooseIssueType;
+    } else if (offeredIssueTypes && !offeredIssueTypes.includes(formData.issueType)) {
+        errors.issueType = LABELS.chooseOfferedIssueType;
+    }
+    if (issueType) {
+        issueType.fields.forEach((field) => {
+            const message = validateDetail(field, (formData.details || {})[field.key]);
+            if (message) {
+                errors[`details.${field.key}`] = message;
+            }
+        });
+    }
+
+    if (isBlank(formData.address) && (formData.latitude === null || formData.latitude === undefined)) {
+        errors.address = LABELS.enterAddress;
+    } else if (formData.outsideWards) {
+        errors.address = OUTSIDE_WARDS_MESSAGE;
+    }
+
+    const description = (formData.description || '').trim();
+    if (!description) {
+        errors.description = LABELS.describeIssue;
+    } else if (description.length < MIN_DESCRIPTION_LENGTH) {
+        errors.description = formatLabel(LABELS.moreDetail, MIN_DESCRIPTION_LENGTH, description.length);
+    }
+
+    // Anonymous reports carry no contact details at all, only an optional email to claim them later
+    if (formData.isAnonymous) {
+        if (!isBlank(formData.claimEmail) && !isValidEmail(formData.claimEmail.trim())) {
+            errors.claimEmail = LABELS.validEmail;
+        }
+    } else {
+        if (contactRequired && isBlank(formData.contactName)) {
+            errors.contactName = LABELS.enterName;
+        }
+        if (isBlank(formData.contactEmail)) {
+            if (contactRequired) {
+                errors.contactEmail = LABELS.enterEmail;
+            }
+        } else if (!isValidEmail(formData.contactEmail.trim())) {
+            errors.contactEmail = LABELS.validEmail;
+        }
+        if (!isBlank(formData.contactPhone) && !isValidPhone(formData.contactPhone)) {
+            errors.contactPhone = LABELS.validPhone;
+        }
+    }
+    if (formData.privacyConsent !== true) {
+        errors.privacyConsent = LABELS.acceptPrivacy;
+    }
+
+    return errors;
+}
+
+// Earliest step holding one of the errors, or null when there are none
+export function firstInvalidStep(errors) {
+    const steps = Object.keys(errors).map((fieldName) => stepIndex(stepForField(fieldName)));
+    return steps.length ? STEPS[Math.min(...steps)].name : null;
+}
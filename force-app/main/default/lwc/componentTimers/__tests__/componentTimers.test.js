@@ -0,0 +1,35 @@
+import { startTimeout, startInterval } from 'c/componentTimers';
+
+describe('c-component-timers', () => {
+    beforeEach(() => {
+        jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    it('runs a timeout once unless it is cleared first', () => {
+        const fired = jest.fn();
+        const cleared = jest.fn();
+        startTimeout(fired, 300);
+        const id = startTimeout(cleared, 300);
+        window.clearTimeout(id);
+
+        jest.advanceTimersByTime(1000);
+
+        expect(fired).toHaveBeenCalledTimes(1);
+        expect(cleared).not.toHaveBeenCalled();
+    });
+
+    it('repeats an interval until it is cleared', () => {
+        const tick = jest.fn();
+        const id = startInterval(tick, 100);
+
+        jest.advanceTimersByTime(350);
+        window.clearInterval(id);
+        jest.advanceTimersByTime(500);
+
+        expect(tick).toHaveBeenCalledTimes(3);
+    });
+});
@@ -0,0 +1,13 @@
+// componentTimers.js - Where components start timers. LWC restricts timers because one left running keeps
+// firing after its component has left the page, so every caller keeps the returned id on the component
+// and clears it (clearTimeout / clearInterval) in disconnectedCallback.
+
+export function startTimeout(callback, delay) {
+    // eslint-disable-next-line @lwc/lwc/no-async-operation
+    return window.setTimeout(callback, delay);
+}
+
+export function startInterval(callback, interval) {
+    // eslint-disable-next-line @lwc/lwc/no-async-operation
+    return window.setInterval(callback, interval);
+}
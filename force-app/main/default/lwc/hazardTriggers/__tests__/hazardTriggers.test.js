@@ -0,0 +1,46 @@
+import { findHazard, contactRows } from 'c/hazardTriggers';
+
+const TRIGGERS = [
+    {
+        name: 'Exposed electrical wiring',
+        issueType: 'Streetlight',
+        subtype: 'Exposed wiring',
+        keywords: ['live wire', 'sparking'],
+        safetyMessage: 'Stay back.',
+        emergencyContacts: ['Emergency: 112', 'Fire brigade: 101'],
+        responseHours: 1
+    },
+    {
+        name: 'Gas leak',
+        issueType: null,
+        subtype: null,
+        keywords: ['smell of gas'],
+        safetyMessage: 'Move away.',
+        emergencyContacts: ['112'],
+        responseHours: 1
+    }
+];
+
+describe('c-hazard-triggers', () => {
+    it('fires on the issue type and subtype', () => {
+        expect(findHazard(TRIGGERS, 'Streetlight', 'Exposed wiring', '').name).toBe('Exposed electrical wiring');
+        expect(findHazard(TRIGGERS, 'Streetlight', 'Light out', 'Lamp has been off for a week')).toBeNull();
+    });
+
+    it('fires on keywords whatever the chosen type', () => {
+        expect(findHazard(TRIGGERS, 'Other', '', 'Strong SMELL of gas near the hall').name).toBe('Gas leak');
+        expect(findHazard(TRIGGERS, 'Streetlight', 'Light out', 'Pole is sparking').name).toBe(
+            'Exposed electrical wiring'
+        );
+        expect(findHazard([], 'Other', '', 'smell of gas')).toBeNull();
+    });
+
+    it('turns the emergency contacts into tel: links', () => {
+        expect(contactRows(TRIGGERS[0])).toEqual([
+            { key: '0-112', label: 'Emergency', number: '112', href: 'tel:112' },
+            { key: '1-101', label: 'Fire brigade', number: '101', href: 'tel:101' }
+        ]);
+        expect(contactRows(TRIGGERS[1])[0]).toEqual({ key: '0-112', label: '', number: '112', href: 'tel:112' });
+        expect(contactRows(null)).toEqual([]);
+    });
+});
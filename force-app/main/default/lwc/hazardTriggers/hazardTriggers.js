@@ -0,0 +1,29 @@
+// hazardTriggers.js - Emergency hazard matching from HazardTriggerController.getHazardTriggers
+import { matchKeywords } from 'c/complaintClassifier';
+
+// Mirrors HazardTrigger.matches: the issue type (and subtype, when set) or any keyword in the description
+function matches(hazard, issueType, subtype, description) {
+    const typeMatches =
+        !!hazard.issueType && hazard.issueType === issueType && (!hazard.subtype || hazard.subtype === subtype);
+    return typeMatches || matchKeywords(hazard.keywords, description).length > 0;
+}
+
+export function findHazard(triggers, issueType, subtype, description) {
+    return (triggers || []).find((hazard) => matches(hazard, issueType, subtype, description)) || null;
+}
+
+// "Fire brigade: 101" becomes a tappable tel: link; lines without a number are shown as-is
+export function contactRows(hazard) {
+    return ((hazard && hazard.emergencyContacts) || []).map((line, index) => {
+        const separator = line.lastIndexOf(':');
+        const label = separator === -1 ? '' : line.substring(0, separator).trim();
+        const number = (separator === -1 ? line : line.substring(separator + 1)).trim();
+        const dialable = number.replace(/[^\d+]/g, '');
+        return {
+            key: `${index}-${number}`,
+            label,
+            number,
+            href: dialable ? `tel:${dialable}` : null
+        };
+    });
+}
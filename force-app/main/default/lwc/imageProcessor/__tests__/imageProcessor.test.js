@@ -0,0 +1,98 @@
+import { parseExif, readExif, scaledDimensions, isCompressibleImage, compressImage } from 'c/imageProcessor';
+
+// Builds a minimal JPEG holding an EXIF block with orientation and GPS tags
+function buildExifJpeg({ orientation = 6, latitude = [23, 0, 22.68], latRef = 'N', longitude = [72, 36, 3.6], lonRef = 'E', littleEndian = true }) {
+    const tiff = new DataView(new ArrayBuffer(200));
+    const u16 = (offset, value) => tiff.setUint16(offset, value, littleEndian);
+    const u32 = (offset, value) => tiff.setUint32(offset, value, littleEndian);
+
+    tiff.setUint16(0, littleEndian ? 0x4949 : 0x4d4d);
+    u16(2, 42);
+    u32(4, 8); // IFD0 offset
+
+    // IFD0: orientation + GPS pointer
+    u16(8, 2);
+    u16(10, 0x0112); u16(12, 3); u32(14, 1); u16(18, orientation);
+    u16(22, 0x8825); u16(24, 4); u32(26, 1); u32(30, 38);
+    u32(34, 0);
+
+    // GPS IFD at 38: LatRef, Lat, LonRef, Lon
+    u16(38, 4);
+    u16(40, 1); u16(42, 2); u32(44, 2); tiff.setUint8(48, latRef.charCodeAt(0));
+    u16(52, 2); u16(54, 5); u32(56, 3); u32(60, 100);
+    u16(64, 3); u16(66, 2); u32(68, 2); tiff.setUint8(72, lonRef.charCodeAt(0));
+    u16(76, 4); u16(78, 5); u32(80, 3); u32(84, 124);
+    u32(88, 0);
+
+    const writeRationals = (offset, values) => {
+        values.forEach((value, i) => {
+            u32(offset + i * 8, Math.round(value * 100));
+            u32(offset + i * 8 + 4, 100);
+        });
+    };
+    writeRationals(100, latitude);
+    writeRationals(124, longitude);
+
+    const bytes = new Uint8Array(2 + 10 + 200 + 2);
+    const view = new DataView(bytes.buffer);
+    view.setUint16(0, 0xffd8);
+    view.setUint16(2, 0xffe1);
+    view.setUint16(4, 2 + 6 + 200);
+    view.setUint32(6, 0x45786966); // "Exif"
+    view.setUint16(10, 0);
+    bytes.set(new Uint8Array(tiff.buffer), 12);
+    view.setUint16(212, 0xffda);
+    return bytes.buffer;
+}
+
+describe('c-image-processor', () => {
+    it('reads orientation and GPS coordinates from little-endian EXIF', () => {
+        const exif = parseExif(buildExifJpeg({}));
+
+        expect(exif.orientation).toBe(6);
+        expect(exif.latitude).toBeCloseTo(23.0063, 4);
+        expect(exif.longitude).toBeCloseTo(72.601, 4);
+    });
+
+    it('applies the S and W hemisphere references on big-endian EXIF', () => {
+        const exif = parseExif(buildExifJpeg({ latRef: 'S', lonRef: 'W', littleEndian: false, orientation: 1 }));
+
+        expect(exif.orientation).toBe(1);
+        expect(exif.latitude).toBeCloseTo(-23.0063, 4);
+        expect(exif.longitude).toBeCloseTo(-72.601, 4);
+    });
+
+    it('ignores files without EXIF data', async () => {
+        expect(parseExif(new Uint8Array([0x89, 0x50, 0x4e, 0x47]).buffer)).toEqual({
+            orientation: null,
+            latitude: null,
+            longitude: null
+        });
+
+        const png = new File([new Uint8Array(10)], 'map.png', { type: 'image/png' });
+        await expect(readExif(png)).resolves.toEqual({ orientation: null, latitude: null, longitude: null });
+    });
+
+    it('reads EXIF from a JPEG file', async () => {
+        const photo = new File([buildExifJpeg({})], 'pothole.jpg', { type: 'image/jpeg' });
+
+        const exif = await readExif(photo);
+
+        expect(exif.latitude).toBeCloseTo(23.0063, 4);
+    });
+
+    it('scales the longest side down to the maximum dimension', () => {
+        expect(scaledDimensions(4032, 3024, 1920)).toEqual({ width: 1920, height: 1440 });
+        expect(scaledDimensions(3024, 4032, 1920)).toEqual({ width: 1440, height: 1920 });
+        expect(scaledDimensions(800, 600, 1920)).toEqual({ width: 800, height: 600 });
+    });
+
+    it('only compresses still images and leaves other files untouched', async () => {
+        const video = new File([new Uint8Array(10)], 'clip.mp4', { type: 'video/mp4' });
+
+        expect(isCompressibleImage(new File([], 'a.jpg', { type: 'image/jpeg' }))).toBe(true);
+        expect(isCompressibleImage(new File([], 'a.gif', { type: 'image/gif' }))).toBe(false);
+        expect(isCompressibleImage(video)).toBe(false);
+        await expect(compressImage(video)).resolves.toBe(video);
+    });
+});
@@ -0,0 +1,224 @@
+// imageProcessor.js - In-browser photo decoding, downscaling and EXIF (orientation + GPS) extraction
+const EXIF_SCAN_BYTES = 128 * 1024;
+const COMPRESSIBLE_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/heic', 'image/heif'];
+
+export const DEFAULT_COMPRESSION = {
+    maxDimension: 1920,
+    quality: 0.8,
+    outputType: 'image/jpeg'
+};
+
+// ---- EXIF ----
+
+const TAG_ORIENTATION = 0x0112;
+const TAG_GPS_IFD = 0x8825;
+const TAG_GPS_LAT_REF = 0x0001;
+const TAG_GPS_LAT = 0x0002;
+const TAG_GPS_LON_REF = 0x0003;
+const TAG_GPS_LON = 0x0004;
+
+function readIfd(view, tiffStart, ifdOffset, littleEndian) {
+    const tags = {};
+    const entryCount = view.getUint16(tiffStart + ifdOffset, littleEndian);
+    for (let i = 0; i < entryCount; i++) {
+        const entry = tiffStart + ifdOffset + 2 + i * 12;
+        tags[view.getUint16(entry, littleEndian)] = {
+            type: view.getUint16(entry + 2, littleEndian),
+            count: view.getUint32(entry + 4, littleEndian),
+            valueOffset: entry + 8
+        };
+    }
+    return tags;
+}
+
+function readAscii(view, tag) {
+    return tag ? String.fromCharCode(view.getUint8(tag.valueOffset)) : null;
+}
+
+// GPS coordinates are three RATIONALs (degrees, minutes, seconds) stored at an offset
+function readCoordinate(view, tiffStart, tag, littleEndian) {
+    if (!tag || tag.count !== 3) {
+        return null;
+    }
+    const offset = tiffStart + view.getUint32(tag.valueOffset, littleEndian);
+    const parts = [0, 1, 2].map((i) => {
+        const numerator = view.getUint32(offset + i * 8, littleEndian);
+        const denominator = view.getUint32(offset + i * 8 + 4, littleEndian);
+        return denominator ? numerator / denominator : 0;
+    });
+    return parts[0] + parts[1] / 60 + parts[2] / 3600;
+}
+
+// Returns { orientation, latitude, longitude } (any may be null) from a JPEG's bytes
+export function parseExif(buffer) {
+    const result = { orientation: null, latitude: null, longitude: null };
+    const view = new DataView(buffer);
+    if (view.byteLength < 4 || view.getUint16(0) !== 0xffd8) {
+        return result;
+    }
+
+    let offset = 2;
+    while (offset + 4 <= view.byteLength) {
+        const marker = view.getUint16(offset);
+        const length = view.getUint16(offset + 2);
+        if (marker === 0xffe1 && view.getUint32(offset + 4) === 0x45786966) {
+            // "Exif\0\0" followed by the TIFF header
+            const tiffStart = offset + 10;
+            const littleEndian = view.getUint16(tiffStart) === 0x4949;
+            const ifd0 = readIfd(view, tiffStart, view.getUint32(tiffStart + 4, littleEndian), littleEndian);
+
+            if (ifd0[TAG_ORIENTATION]) {
+                result.orientation = view.getUint16(ifd0[TAG_ORIENTATION].valueOffset, littleEndian);
+            }
+            if (ifd0[TAG_GPS_IFD]) {
+                const gpsOffset = view.getUint32(ifd0[TAG_GPS_IFD].valueOffset, littleEndian);
+                const gps = readIfd(view, tiffStart, gpsOffset, littleEndian);
+                const latitude = readCoordinate(view, tiffStart, gps[TAG_GPS_LAT], littleEndian);
+                const longitude = readCoordinate(view, tiffStart, gps[TAG_GPS_LON], littleEndian);
+                if (latitude !== null && longitude !== null && (latitude !== 0 || longitude !== 0)) {
+                    result.latitude = readAscii(view, gps[TAG_GPS_LAT_REF]) === 'S' ? -latitude : latitude;
+                    result.longitude = readAscii(view, gps[TAG_GPS_LON_REF]) === 'W' ? -longitude : longitude;
+                }
+            }
+            return result;
+        }
+        if ((marker & 0xff00) !== 0xff00 || marker === 0xffda) {
+            // Not a marker, or start of scan: no EXIF block before the image data
+            return result;
+        }
+        offset += 2 + length;
+    }
+    return result;
+}
+
+function readAsArrayBuffer(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsArrayBuffer(blob);
+    });
+}
+
+export async function readExif(file) {
+    if (!file || file.type !== 'image/jpeg') {
+        return { orientation: null, latitude: null, longitude: null };
+    }
+    try {
+        return parseExif(await readAsArrayBuffer(file.slice(0, EXIF_SCAN_BYTES)));
+    } catch (error) {
+        console.error('EXIF could not be read:', error);
+        return { orientation: null, latitude: null, longitude: null };
+    }
+}
+
+// ---- Compression ----
+
+export function isCompressibleImage(file) {
+    return !!file && COMPRESSIBLE_TYPES.includes(file.type);
+}
+
+export function scaledDimensions(width, height, maxDimension) {
+    const scale = Math.min(1, maxDimension / Math.max(width, height));
+    return { width: Math.round(width * scale), height: Math.round(height * scale) };
+}
+
+// Orientations 5-8 are rotated by 90 degrees, so width and height swap
+function orientedSize(width, height, orientation) {
+    return orientation >= 5 && orientation <= 8 ? { width: height, height: width } : { width, height };
+}
+
+function applyOrientation(context, orientation, width, height) {
+    switch (orientation) {
+        case 2: context.transform(-1, 0, 0, 1, width, 0); break;
+        case 3: context.transform(-1, 0, 0, -1, width, height); break;
+        case 4: context.transform(1, 0, 0, -1, 0, height); break;
+        case 5: context.transform(0, 1, 1, 0, 0, 0); break;
+        case 6: context.transform(0, 1, -1, 0, height, 0); break;
+        case 7: context.transform(0, -1, -1, 0, height, width); break;
+        case 8: context.transform(0, -1, 1, 0, 0, width); break;
+        default: break;
+    }
+}
+
+// createImageBitmap can bake EXIF orientation into the pixels; older browsers fall back to <img>
+export async function decodeImage(file) {
+    if (typeof window.createImageBitmap === 'function') {
+        try {
+            return { source: await window.createImageBitmap(file, { imageOrientation: 'from-image' }), oriented: true };
+        } catch (error) {
+            console.warn('createImageBitmap failed, falling back to <img>:', error);
+        }
+    }
+    const url = URL.createObjectURL(file);
+    try {
+        const image = await new Promise((resolve, reject) => {
+            const img = new Image();
+            img.onload = () => resolve(img);
+            img.onerror = () => reject(new Error('Image could not be decoded'));
+            img.src = url;
+        });
+        // Browsers that honour image-orientation have already rotated the <img>
+        const autoOriented = window.CSS && window.CSS.supports && window.CSS.supports('image-orientation', 'from-image');
+        return { source: image, oriented: autoOriented };
+    } finally {
+        URL.revokeObjectURL(url);
+    }
+}
+
+export function canvasToBlob(canvas, type, quality) {
+    return new Promise((resolve, reject) => {
+        canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error('Image could not be encoded'))), type, quality);
+    });
+}
+
+export function renameForType(fileName, type) {
+    const extension = type === 'image/jpeg' ? '.jpg' : `.${type.split('/')[1]}`;
+    const dot = fileName.lastIndexOf('.');
+    return (dot > 0 ? fileName.substring(0, dot) : fileName) + extension;
+}
+
+// Downscales and re-encodes a photo, keeping its upright orientation.
+// Returns the original file when it is not an image we can process or would not shrink.
+export async function compressImage(file, options = {}, orientation = null) {
+    if (!isCompressibleImage(file)) {
+        return file;
+    }
+    const settings = { ...DEFAULT_COMPRESSION, ...options };
+
+    try {
+        const { source, oriented } = await decodeImage(file);
+        const manualOrientation = oriented ? null : orientation;
+        const upright = orientedSize(source.width, source.height, manualOrientation);
+        const target = scaledDimensions(upright.width, upright.height, settings.maxDimension);
+
+        const canvas = document.createElement('canvas');
+        canvas.width = target.width;
+        canvas.height = target.height;
+        const context = canvas.getContext('2d');
+
+        if (manualOrientation) {
+            // Draw in the unrotated frame, letting the transform turn it upright
+            const drawSize = orientedSize(target.width, target.height, manualOrientation);
+            applyOrientation(context, manualOrientation, drawSize.width, drawSize.height);
+            context.drawImage(source, 0, 0, drawSize.width, drawSize.height);
+        } else {
+            context.drawImage(source, 0, 0, target.width, target.height);
+        }
+        if (source.close) {
+            source.close();
+        }
+
+        const blob = await canvasToBlob(canvas, settings.outputType, settings.quality);
+        if (blob.size >= file.size) {
+            return file;
+        }
+        return new File([blob], renameForType(file.name, settings.outputType), {
+            type: settings.outputType,
+            lastModified: file.lastModified
+        });
+    } catch (error) {
+        console.error('Image compression failed, uploading original:', error);
+        return file;
+    }
+}
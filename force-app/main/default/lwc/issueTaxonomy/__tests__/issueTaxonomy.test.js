@@ -0,0 +1,119 @@
+import {
+    FALLBACK_TAXONOMY,
+    normalizeTaxonomy,
+    findIssueType,
+    issueTypeLabel,
+    subtypeLabel,
+    defaultSeverity,
+    validateDetails,
+    cleanDetails,
+    detailFieldRows
+} from 'c/issueTaxonomy';
+
+const TAXONOMY = normalizeTaxonomy([
+    {
+        value: 'Water Issue',
+        label: 'Water Issue',
+        defaultSeverity: 'Medium',
+        subtypes: [
+            { value: 'Leak', label: 'रिसाव', defaultSeverity: null },
+            { value: 'Contaminated water', label: 'Contaminated water', defaultSeverity: 'Critical' }
+        ],
+        fields: [
+            { key: 'pipeDiameterMm', label: 'Pipe diameter (mm)', dataType: 'Number', required: false, minValue: 10, maxValue: 3000 },
+            { key: 'supplyAffected', label: 'Water supply to homes is affected', dataType: 'Checkbox', required: false }
+        ]
+    },
+    {
+        value: 'Pothole',
+        label: 'Pothole',
+        defaultSeverity: 'Medium',
+        fields: [
+            { key: 'approximateSize', label: 'Approximate size', dataType: 'Picklist', options: ['Small', 'Large'] },
+            { key: 'roadName', label: 'Road name', dataType: 'Text', required: true }
+        ]
+    }
+]);
+
+describe('c-issue-taxonomy', () => {
+    it('falls back to the built-in types when the server returns nothing', () => {
+        expect(normalizeTaxonomy([])).toBe(FALLBACK_TAXONOMY);
+        expect(normalizeTaxonomy(undefined)).toBe(FALLBACK_TAXONOMY);
+        expect(findIssueType(TAXONOMY, 'Pothole').subtypes).toEqual([]);
+    });
+
+    it('prefers the subtype default severity over the type default', () => {
+        const water = findIssueType(TAXONOMY, 'Water Issue');
+
+        expect(defaultSeverity(water, 'Contaminated water')).toBe('Critical');
+        expect(defaultSeverity(water, 'Leak')).toBe('Medium');
+        expect(defaultSeverity(null, 'Leak')).toBeNull();
+    });
+
+    it('validates required, numeric range and picklist answers', () => {
+        const water = findIssueType(TAXONOMY, 'Water Issue');
+        const pothole = findIssueType(TAXONOMY, 'Pothole');
+
+        expect(validateDetails(water, { pipeDiameterMm: '150' })).toEqual({});
+        expect(validateDetails(water, { pipeDiameterMm: '5' })).toEqual({
+            pipeDiameterMm: 'Pipe diameter (mm) must be at least 10.'
+        });
+        expect(validateDetails(water, { pipeDiameterMm: 'wide' }).pipeDiameterMm).toBe('Pipe diameter (mm) must be a number.');
+        expect(validateDetails(pothole, { approximateSize: 'Huge' })).toEqual({
+            approximateSize: 'Please choose a valid option for Approximate size.',
+            roadName: 'Road name is required.'
+        });
+    });
+
+    it('keeps only answers for the chosen type, typed for storage', () => {
+        const water = findIssueType(TAXONOMY, 'Water Issue');
+
+        expect(cleanDetails(water, { pipeDiameterMm: '150', supplyAffected: false, roadName: 'CG Road' })).toEqual({
+            pipeDiameterMm: 150
+        });
+    });
+
+    it('builds template rows with the current answers', () => {
+        const rows = detailFieldRows(findIssueType(TAXONOMY, 'Water Issue'), { supplyAffected: true });
+
+        expect(rows.map((row) => row.key)).toEqual(['pipeDiameterMm', 'supplyAffected']);
+        expect(rows[0].isNumber).toBe(true);
+        expect(rows[0].value).toBeNull();
+        expect(rows[1].checked).toBe(true);
+    });
+
+    it('shows translated option labels but keeps the stored option values', () => {
+        const pothole = normalizeTaxonomy([
+            {
+                value: 'Pothole',
+                label: 'गड्ढा',
+                fields: [
+                    {
+                        key: 'approximateSize',
+                        label: 'अनुमानित आकार',
+                        dataType: 'Picklist',
+                        options: ['Small', 'Large'],
+                        optionLabels: ['छोटा', 'बड़ा']
+                    }
+                ]
+            }
+        ])[0];
+
+        expect(detailFieldRows(pothole)[0].options).toEqual([
+            { label: 'छोटा', value: 'Small' },
+            { label: 'बड़ा', value: 'Large' }
+        ]);
+        expect(validateDetails(pothole, { approximateSize: 'Large' })).toEqual({});
+        expect(detailFieldRows(findIssueType(TAXONOMY, 'Pothole'))[0].options[0]).toEqual({ label: 'Small', value: 'Small' });
+    });
+
+    it('shows translated type and subtype names for stored values', () => {
+        const waterIssue = findIssueType(TAXONOMY, 'Water Issue');
+
+        expect(subtypeLabel(waterIssue, 'Leak')).toBe('रिसाव');
+        expect(subtypeLabel(waterIssue, 'Frozen pipe')).toBe('Frozen pipe');
+        expect(issueTypeLabel(TAXONOMY, 'Pothole')).toBe('Pothole');
+        expect(issueTypeLabel(TAXONOMY, 'Graffiti')).toBe('Graffiti');
+        expect(issueTypeLabel(TAXONOMY, '')).toBe('');
+    });
+});
@@ -0,0 +1,154 @@
+// issueTaxonomy.js - Issue types, dependent subtypes and type-specific questions served by IssueTaxonomyController
+import REQUIRED from '@salesforce/label/c.Issue_Validation_Required';
+import NOT_A_NUMBER from '@salesforce/label/c.Issue_Validation_Number';
+import BELOW_MIN from '@salesforce/label/c.Issue_Validation_Min';
+import ABOVE_MAX from '@salesforce/label/c.Issue_Validation_Max';
+import INVALID_OPTION from '@salesforce/label/c.Issue_Validation_Option';
+import { formatLabel } from 'c/civicI18n';
+
+// Used until the server taxonomy loads, or when it cannot be reached (e.g. offline)
+export const FALLBACK_TAXONOMY = [
+    'Pothole',
+    'Water Issue',
+    'Waste Management',
+    'Streetlight',
+    'Traffic Signal',
+    'Drainage',
+    'Parks & Recreation',
+    'Noise Complaint',
+    'Other'
+].map((value) => ({ value, label: value, defaultSeverity: 'Medium', subtypes: [], fields: [] }));
+
+export function normalizeTaxonomy(types) {
+    if (!Array.isArray(types) || types.length === 0) {
+        return FALLBACK_TAXONOMY;
+    }
+    return types.map((type) => ({
+        ...type,
+        subtypes: type.subtypes || [],
+        fields: (type.fields || []).map((field) => ({
+            ...field,
+            options: field.options || [],
+            // Answers are stored as the option value; optionLabels holds what the user sees
+            optionLabels: field.optionLabels || field.options || []
+        }))
+    }));
+}
+
+export function findIssueType(taxonomy, value) {
+    return taxonomy.find((type) => type.value === value) || null;
+}
+
+// Display names in the user's language; values the taxonomy does not know are shown as stored
+export function issueTypeLabel(taxonomy, value) {
+    const type = findIssueType(taxonomy, value);
+    return type ? type.label : value || '';
+}
+
+export function subtypeLabel(issueType, value) {
+    const subtype = issueType ? issueType.subtypes.find((candidate) => candidate.value === value) : null;
+    return subtype ? subtype.label : value || '';
+}
+
+export function issueTypeOptions(taxonomy) {
+    return taxonomy.map((type) => ({ label: type.label, value: type.value }));
+}
+
+export function subtypeOptions(issueType) {
+    return issueType ? issueType.subtypes.map((subtype) => ({ label: subtype.label, value: subtype.value })) : [];
+}
+
+export function defaultSeverity(issueType, subtypeValue) {
+    if (!issueType) {
+        return null;
+    }
+    const subtype = issueType.subtypes.find((candidate) => candidate.value === subtypeValue);
+    return (subtype && subtype.defaultSeverity) || issueType.defaultSeverity || null;
+}
+
+function isBlank(value) {
+    return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+}
+
+// Mirrors DetailField.validate in IssueTaxonomyController; returns a message or null
+export function validateDetail(field, value) {
+    const empty = field.dataType === 'Checkbox' ? value !== true : isBlank(value);
+    if (empty) {
+        return field.required ? formatLabel(REQUIRED, field.label) : null;
+    }
+
+    if (field.dataType === 'Number') {
+        const number = Number(value);
+        if (Number.isNaN(number)) {
+            return formatLabel(NOT_A_NUMBER, field.label);
+        }
+        if (field.minValue !== null && field.minValue !== undefined && number < field.minValue) {
+            return formatLabel(BELOW_MIN, field.label, field.minValue);
+        }
+        if (field.maxValue !== null && field.maxValue !== undefined && number > field.maxValue) {
+            return formatLabel(ABOVE_MAX, field.label, field.maxValue);
+        }
+    } else if (field.dataType === 'Picklist' && !field.options.includes(value)) {
+        return formatLabel(INVALID_OPTION, field.label);
+    }
+    return null;
+}
+
+// Returns { fieldKey: message } for every answer that fails validation
+export function validateDetails(issueType, details = {}) {
+    const errors = {};
+    if (!issueType) {
+        return errors;
+    }
+    issueType.fields.forEach((field) => {
+        const message = validateDetail(field, details[field.key]);
+        if (message) {
+            errors[field.key] = message;
+        }
+    });
+    return errors;
+}
+
+// Keeps only answers to the chosen type's questions, with numbers and checkboxes typed
+export function cleanDetails(issueType, details = {}) {
+    const cleaned = {};
+    if (!issueType) {
+        return cleaned;
+    }
+    issueType.fields.forEach((field) => {
+        const value = details[field.key];
+        if (field.dataType === 'Checkbox') {
+            if (value === true) {
+                cleaned[field.key] = true;
+            }
+        } else if (!isBlank(value)) {
+            cleaned[field.key] = field.dataType === 'Number' ? Number(value) : value;
+        }
+    });
+    return cleaned;
+}
+
+// View models for rendering the questions in a template
+export function detailFieldRows(issueType, details = {}) {
+    if (!issueType) {
+        return [];
+    }
+    return issueType.fields.map((field) => {
+        const value = details[field.key];
+        return {
+            key: field.key,
+            label: field.label,
+            helpText: field.helpText,
+            required: !!field.required,
+            min: field.minValue,
+            max: field.maxValue,
+            value: value === undefined ? null : value,
+            checked: value === true,
+            options: field.options.map((option, index) => ({ label: field.optionLabels[index] || option, value: option })),
+            isText: field.dataType === 'Text',
+            isNumber: field.dataType === 'Number',
+            isPicklist: field.dataType === 'Picklist',
+            isCheckbox: field.dataType === 'Checkbox'
+        };
+    });
+}
@@ -0,0 +1,58 @@
+import { createElement } from '@lwc/engine-dom';
+import LanguageSwitcher from 'c/languageSwitcher';
+import { goToLanguage } from 'c/civicI18n';
+
+jest.mock('c/civicI18n', () => ({ ...jest.requireActual('c/civicI18n'), goToLanguage: jest.fn() }));
+
+function createSwitcher() {
+    const element = createElement('c-language-switcher', { is: LanguageSwitcher });
+    document.body.appendChild(element);
+    return element;
+}
+
+describe('c-language-switcher', () => {
+    afterEach(() => {
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+        window.localStorage.clear();
+        window.history.replaceState({}, '', '/');
+        jest.clearAllMocks();
+    });
+
+    it('offers every translated language and shows the current one', () => {
+        const element = createSwitcher();
+        const combobox = element.shadowRoot.querySelector('.language-switcher');
+
+        expect(combobox.options.map((option) => option.value)).toEqual(['en_US', 'hi', 'gu']);
+        expect(combobox.value).toBe('en_US');
+        expect(goToLanguage).not.toHaveBeenCalled();
+    });
+
+    it('remembers the choice and reloads the page in that language', () => {
+        const element = createSwitcher();
+        const combobox = element.shadowRoot.querySelector('.language-switcher');
+
+        combobox.dispatchEvent(new CustomEvent('change', { detail: { value: 'gu' } }));
+
+        expect(window.localStorage.getItem('civicLanguage')).toBe('gu');
+        expect(goToLanguage).toHaveBeenCalledWith('gu');
+    });
+
+    it('switches to the remembered language on a later visit', () => {
+        window.localStorage.setItem('civicLanguage', 'hi');
+
+        createSwitcher();
+
+        expect(goToLanguage).toHaveBeenCalledWith('hi', { replace: true });
+    });
+
+    it('keeps the language named in the link', () => {
+        window.localStorage.setItem('civicLanguage', 'hi');
+        window.history.replaceState({}, '', '/track?language=en_US');
+
+        createSwitcher();
+
+        expect(goToLanguage).not.toHaveBeenCalled();
+    });
+});
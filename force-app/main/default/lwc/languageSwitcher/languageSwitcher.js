@@ -0,0 +1,34 @@
+// languageSwitcher.js - Site language picker; the choice is remembered on this device and applied on later visits
+import { LightningElement } from 'lwc';
+import LANGUAGE_LABEL from '@salesforce/label/c.Civic_Language';
+import {
+    LANGUAGES,
+    LANGUAGE_PARAM,
+    currentLanguage,
+    preferredLanguage,
+    rememberLanguage,
+    goToLanguage
+} from 'c/civicI18n';
+
+export default class LanguageSwitcher extends LightningElement {
+    label = LANGUAGE_LABEL;
+    languages = LANGUAGES;
+    value = currentLanguage();
+
+    // A remembered choice is applied unless the link itself names a language
+    connectedCallback() {
+        const preferred = preferredLanguage();
+        const requested = new URL(window.location.href).searchParams.get(LANGUAGE_PARAM);
+        if (preferred && preferred !== this.value && !requested) {
+            goToLanguage(preferred, { replace: true });
+        }
+    }
+
+    handleChange(event) {
+        const language = event.detail.value;
+        rememberLanguage(language);
+        if (language !== this.value) {
+            goToLanguage(language);
+        }
+    }
+}
@@ -0,0 +1,84 @@
+import {
+    buildGeometry,
+    drawModeFor,
+    geometryVertices,
+    geometryCentroid,
+    stretchLengthMeters,
+    formatLength,
+    describeGeometry,
+    parseGeometry
+} from 'c/locationGeometry';
+
+// Along CG Road, Navrangpura: roughly 1.26 km south then east around a bend
+const ROAD = [
+    [23.0395, 72.5580],
+    [23.0300, 72.5590],
+    [23.0300, 72.5610]
+];
+
+const BLOCK = [
+    [23.03, 72.55],
+    [23.03, 72.57],
+    [23.05, 72.57],
+    [23.05, 72.55]
+];
+
+describe('c-location-geometry', () => {
+    it('builds GeoJSON lines and closed polygons once there are enough vertices', () => {
+        expect(buildGeometry('line', ROAD.slice(0, 1))).toBeNull();
+        expect(buildGeometry('area', BLOCK.slice(0, 2))).toBeNull();
+        expect(buildGeometry('point', ROAD)).toBeNull();
+
+        const line = buildGeometry('line', ROAD);
+        expect(line).toEqual({ type: 'LineString', coordinates: [[72.558, 23.0395], [72.559, 23.03], [72.561, 23.03]] });
+
+        const area = buildGeometry('area', BLOCK);
+        expect(area.type).toBe('Polygon');
+        expect(area.coordinates[0]).toHaveLength(5);
+        expect(area.coordinates[0][4]).toEqual(area.coordinates[0][0]);
+    });
+
+    it('round-trips vertices and draw modes', () => {
+        const area = buildGeometry('area', BLOCK);
+
+        expect(geometryVertices(area)).toEqual(BLOCK);
+        expect(drawModeFor(area)).toBe('area');
+        expect(drawModeFor(buildGeometry('line', ROAD))).toBe('line');
+        expect(drawModeFor(null)).toBe('point');
+    });
+
+    it('measures the stretch length of a line only', () => {
+        const length = stretchLengthMeters(buildGeometry('line', ROAD));
+
+        expect(length).toBeGreaterThan(1250);
+        expect(length).toBeLessThan(1280);
+        expect(stretchLengthMeters(buildGeometry('area', BLOCK))).toBeNull();
+        expect(formatLength(850.4)).toBe('850 m');
+        expect(formatLength(1270)).toBe('1.27 km');
+        expect(describeGeometry(buildGeometry('area', BLOCK))).toBe('Area (4 points)');
+    });
+
+    it('places a line centroid halfway along the road and an area centroid at its middle', () => {
+        const lineCenter = geometryCentroid(buildGeometry('line', [[23.03, 72.55], [23.03, 72.57]]));
+        const areaCenter = geometryCentroid(buildGeometry('area', BLOCK));
+
+        expect(lineCenter.latitude).toBeCloseTo(23.03, 6);
+        expect(lineCenter.longitude).toBeCloseTo(72.56, 6);
+        expect(areaCenter.latitude).toBeCloseTo(23.04, 6);
+        expect(areaCenter.longitude).toBeCloseTo(72.56, 6);
+
+        // The midpoint of a bent road lies on the road itself, on its first leg here
+        const bent = geometryCentroid(buildGeometry('line', ROAD));
+        expect(bent.longitude).toBeGreaterThan(72.558);
+        expect(bent.longitude).toBeLessThan(72.559);
+    });
+
+    it('treats unreadable stored values as no shape', () => {
+        const line = buildGeometry('line', ROAD);
+
+        expect(parseGeometry(JSON.stringify(line))).toEqual(line);
+        expect(parseGeometry('{not json')).toBeNull();
+        expect(parseGeometry('{"type":"Point","coordinates":[72.5,23]}')).toBeNull();
+        expect(parseGeometry(null)).toBeNull();
+    });
+});
@@ -0,0 +1,163 @@
+// locationGeometry.js - Line and area shapes drawn in the location picker, stored as GeoJSON (mirrors GeoUtils.summarizeGeometry)
+
+export const EARTH_RADIUS_METERS = 6371000;
+
+// GeoUtils.MAX_GEOMETRY_POSITIONS allows one more for the closing position of an area
+export const MAX_VERTICES = 200;
+
+export const DRAW_MODES = [
+    { label: 'Point', value: 'point' },
+    { label: 'Line', value: 'line' },
+    { label: 'Area', value: 'area' }
+];
+
+const GEOMETRY_TYPES = { line: 'LineString', area: 'Polygon' };
+const MIN_VERTICES = { line: 2, area: 3 };
+
+function toRadians(degrees) {
+    return (degrees * Math.PI) / 180;
+}
+
+// Great-circle (haversine) distance between two [lon, lat] positions in meters
+export function distanceMeters([lon1, lat1], [lon2, lat2]) {
+    const dLat = toRadians(lat2 - lat1);
+    const dLon = toRadians(lon2 - lon1);
+    const a =
+        Math.sin(dLat / 2) ** 2 + Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+    return EARTH_RADIUS_METERS * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+export function lineLengthMeters(positions) {
+    let length = 0;
+    for (let i = 1; i < positions.length; i++) {
+        length += distanceMeters(positions[i - 1], positions[i]);
+    }
+    return length;
+}
+
+// vertices are [lat, lon] pairs as Leaflet reports them; null until the shape has enough points
+export function buildGeometry(mode, vertices) {
+    const type = GEOMETRY_TYPES[mode];
+    if (!type || !vertices || vertices.length < MIN_VERTICES[mode]) {
+        return null;
+    }
+    const positions = vertices.map(([lat, lon]) => [lon, lat]);
+    if (type === 'LineString') {
+        return { type, coordinates: positions };
+    }
+    return { type, coordinates: [[...positions, positions[0]]] };
+}
+
+export function drawModeFor(geometry) {
+    return Object.keys(GEOMETRY_TYPES).find((mode) => geometry && GEOMETRY_TYPES[mode] === geometry.type) || 'point';
+}
+
+// [lat, lon] vertices of a stored shape, without the closing position of a polygon ring
+export function geometryVertices(geometry) {
+    if (!geometry) {
+        return [];
+    }
+    const positions = geometry.type === 'Polygon' ? geometry.coordinates[0].slice(0, -1) : geometry.coordinates;
+    return positions.map(([lon, lat]) => [lat, lon]);
+}
+
+// Point halfway along the line, so the representative location lies on the road itself
+function lineMidpoint(positions) {
+    const half = lineLengthMeters(positions) / 2;
+    let travelled = 0;
+    for (let i = 1; i < positions.length; i++) {
+        const segment = distanceMeters(positions[i - 1], positions[i]);
+        if (segment > 0 && travelled + segment >= half) {
+            const fraction = (half - travelled) / segment;
+            const [lon1, lat1] = positions[i - 1];
+            const [lon2, lat2] = positions[i];
+            return [lon1 + (lon2 - lon1) * fraction, lat1 + (lat2 - lat1) * fraction];
+        }
+        travelled += segment;
+    }
+    return positions[0];
+}
+
+function averagePosition(positions) {
+    const sum = positions.reduce(([x, y], [lon, lat]) => [x + lon, y + lat], [0, 0]);
+    return [sum[0] / positions.length, sum[1] / positions.length];
+}
+
+// Area-weighted centroid of the outer ring; planar maths is fine at street scale
+function ringCentroid(ring) {
+    let area = 0;
+    let x = 0;
+    let y = 0;
+    for (let i = 0; i < ring.length - 1; i++) {
+        const [x0, y0] = ring[i];
+        const [x1, y1] = ring[i + 1];
+        const cross = x0 * y1 - x1 * y0;
+        area += cross;
+        x += (x0 + x1) * cross;
+        y += (y0 + y1) * cross;
+    }
+    if (Math.abs(area) < 1e-12) {
+        return averagePosition(ring.slice(0, -1));
+    }
+    return [x / (3 * area), y / (3 * area)];
+}
+
+// Returns { latitude, longitude } of the representative point, or null for an unknown shape
+export function geometryCentroid(geometry) {
+    if (!geometry) {
+        return null;
+    }
+    let position = null;
+    if (geometry.type === 'LineString') {
+        position = lineMidpoint(geometry.coordinates);
+    } else if (geometry.type === 'Polygon') {
+        position = ringCentroid(geometry.coordinates[0]);
+    }
+    return position ? { latitude: position[1], longitude: position[0] } : null;
+}
+
+// Length of a drawn road stretch; areas have no stretch length
+export function stretchLengthMeters(geometry) {
+    return geometry && geometry.type === 'LineString' ? Math.round(lineLengthMeters(geometry.coordinates)) : null;
+}
+
+export function formatLength(meters) {
+    if (meters === null || meters === undefined) {
+        return '';
+    }
+    return meters < 1000 ? `${Math.round(meters)} m` : `${(meters / 1000).toFixed(2)} km`;
+}
+
+// "Line, 1.25 km" / "Area (5 points)" for summaries
+export function describeGeometry(geometry, lengthMeters = stretchLengthMeters(geometry)) {
+    if (!geometry) {
+        return '';
+    }
+    if (geometry.type === 'LineString') {
+        return `Line, ${formatLength(lengthMeters)}`;
+    }
+    return `Area (${geometryVertices(geometry).length} points)`;
+}
+
+// Stored values arrive as JSON text from the Case; anything unreadable is treated as no shape
+export function parseGeometry(value) {
+    if (!value) {
+        return null;
+    }
+    if (typeof value === 'object') {
+        return value;
+    }
+    try {
+        const geometry = JSON.parse(value);
+        return geometry && drawModeFor(geometry) !== 'point' ? geometry : null;
+    } catch {
+        return null;
+    }
+}
+
+// Leaflet layer for a stored shape
+export function createGeometryLayer(L, geometry, style = {}) {
+    const latLngs = geometryVertices(geometry);
+    const options = { color: '#0176d3', weight: 5, ...style };
+    return geometry.type === 'Polygon' ? L.polygon(latLngs, { fillOpacity: 0.25, ...options }) : L.polyline(latLngs, options);
+}
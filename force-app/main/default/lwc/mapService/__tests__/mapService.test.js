@@ -0,0 +1,185 @@
+import {
+    DEFAULT_MAP_SETTINGS,
+    resolveMapSettings,
+    createGeocoder,
+    createMockGeocoder,
+    createGazetteerGeocoder,
+    searchPlaces,
+    escapeHtml
+} from 'c/mapService';
+
+const GAZETTEER = {
+    city: 'Ahmedabad',
+    entries: [
+        { name: 'Law Garden', kind: 'landmark', latitude: 23.0258, longitude: 72.5568 },
+        { name: 'Law Garden Road', kind: 'street', latitude: 23.025, longitude: 72.556 },
+        { name: 'C G Road', kind: 'street', latitude: 23.03, longitude: 72.559, aliases: ['CG Road'] },
+        { name: 'Maninagar Ward', kind: 'ward', latitude: 22.996, longitude: 72.603, aliases: ['Maninagar'] }
+    ]
+};
+
+describe('c-map-service', () => {
+    afterEach(() => {
+        delete global.fetch;
+    });
+
+    it('prefers component properties over custom metadata over defaults', () => {
+        const settings = resolveMapSettings(
+            { tileUrlTemplate: 'https://gis.example.gov/tiles/{z}/{x}/{y}.png', geocoderUrl: '' },
+            { tileAttribution: 'Municipal GIS', geocoderUrl: 'https://geo.example.gov', maxZoom: 18 }
+        );
+
+        expect(settings.tileUrlTemplate).toBe('https://gis.example.gov/tiles/{z}/{x}/{y}.png');
+        expect(settings.tileAttribution).toBe('Municipal GIS');
+        expect(settings.geocoderUrl).toBe('https://geo.example.gov');
+        expect(settings.maxZoom).toBe(18);
+        expect(settings.geocoderType).toBe(DEFAULT_MAP_SETTINGS.geocoderType);
+    });
+
+    it('escapes text for popup HTML', () => {
+        expect(escapeHtml('<b>"Tom" & Jerry\'s</b>')).toBe('&#60;b&#62;&#34;Tom&#34; &#38; Jerry&#39;s&#60;/b&#62;');
+        expect(escapeHtml(null)).toBe('');
+    });
+
+    it('answers reverse lookups from the nearest mock place', async () => {
+        const geocoder = createMockGeocoder();
+
+        const result = await geocoder.reverse(23.0065, 72.6005);
+
+        expect(result.address).toBe('Kankaria Lake, Maninagar, Ahmedabad');
+    });
+
+    it('calls the configured Nominatim-compatible server', async () => {
+        global.fetch = jest.fn(() =>
+            Promise.resolve({ json: () => Promise.resolve({ display_name: 'Ward 4, Ahmedabad' }) })
+        );
+        const geocoder = createGeocoder({ geocoderType: 'nominatim', geocoderUrl: 'https://geo.example.gov/' });
+
+        const result = await geocoder.reverse(23.02, 72.57);
+
+        expect(global.fetch).toHaveBeenCalledWith('https://geo.example.gov/reverse?lat=23.02&lon=72.57&format=json');
+        expect(result.address).toBe('Ward 4, Ahmedabad');
+    });
+
+    it('maps ArcGIS responses to an address', async () => {
+        global.fetch = jest.fn(() =>
+            Promise.resolve({ json: () => Promise.resolve({ address: { Match_addr: 'CG Road, Ahmedabad' } }) })
+        );
+        const geocoder = createGeocoder({ geocoderType: 'arcgis', geocoderUrl: 'https://gis.example.gov/GeocodeServer' });
+
+        const result = await geocoder.reverse(23.03, 72.56);
+
+        expect(global.fetch).toHaveBeenCalledWith(
+            'https://gis.example.gov/GeocodeServer/reverseGeocode?location=72.56,23.03&f=json'
+        );
+        expect(result.address).toBe('CG Road, Ahmedabad');
+    });
+
+    it('returns nothing when geocoding is disabled', async () => {
+        const geocoder = createGeocoder({ geocoderType: 'none' });
+
+        await expect(geocoder.reverse(23.02, 72.57)).resolves.toBeNull();
+    });
+
+    it('matches gazetteer entries by word prefixes and aliases', () => {
+        expect(searchPlaces(GAZETTEER.entries, 'law g').map((place) => place.label)).toEqual([
+            'Law Garden',
+            'Law Garden Road'
+        ]);
+        expect(searchPlaces(GAZETTEER.entries, 'garden law').map((place) => place.label)).toEqual([
+            'Law Garden',
+            'Law Garden Road'
+        ]);
+        expect(searchPlaces(GAZETTEER.entries, 'cg')[0].label).toBe('C G Road');
+        expect(searchPlaces(GAZETTEER.entries, 'mani')[0].kind).toBe('ward');
+        expect(searchPlaces(GAZETTEER.entries, 'satellite')).toEqual([]);
+        expect(searchPlaces(GAZETTEER.entries, '  ')).toEqual([]);
+    });
+
+    it('loads the gazetteer once and answers searches and reverse lookups from it', async () => {
+        const loadPlaces = jest.fn(() => Promise.resolve(GAZETTEER));
+        const geocoder = createGazetteerGeocoder(loadPlaces);
+
+        const results = await geocoder.search('maninagar');
+        const reverse = await geocoder.reverse(23.0257, 72.5567);
+
+        expect(results[0]).toEqual({
+            label: 'Maninagar Ward',
+            address: 'Maninagar Ward, Ahmedabad',
+            kind: 'ward',
+            latitude: 22.996,
+            longitude: 72.603
+        });
+        expect(reverse.address).toBe('Law Garden, Ahmedabad');
+        expect(loadPlaces).toHaveBeenCalledTimes(1);
+    });
+
+    it('fetches the gazetteer from the configured URL', async () => {
+        global.fetch = jest.fn(() => Promise.resolve({ json: () => Promise.resolve(GAZETTEER) }));
+        const geocoder = createGeocoder({ geocoderType: 'gazetteer', geocoderUrl: 'https://data.example.gov/gazetteer.json' });
+
+        const results = await geocoder.search('cg road');
+
+        expect(global.fetch).toHaveBeenCalledWith('https://data.example.gov/gazetteer.json');
+        expect(results[0].address).toBe('C G Road, Ahmedabad');
+    });
+
+    it('searches a Nominatim-compatible server', async () => {
+        global.fetch = jest.fn(() =>
+            Promise.resolve({
+                json: () => Promise.resolve([{ display_name: 'Relief Road, Ahmedabad', lat: '23.026', lon: '72.586', type: 'street' }])
+            })
+        );
+        const geocoder = createGeocoder({ geocoderType: 'nominatim', geocoderUrl: 'https://geo.example.gov' });
+
+        const results = await geocoder.search('relief road');
+
+        expect(global.fetch).toHaveBeenCalledWith('https://geo.example.gov/search?q=relief%20road&format=json&limit=5');
+        expect(results).toEqual([
+            { label: 'Relief Road, Ahmedabad', address: 'Relief Road, Ahmedabad', kind: 'street', latitude: 23.026, longitude: 72.586 }
+        ]);
+    });
+
+    it('searches an ArcGIS geocode server', async () => {
+        global.fetch = jest.fn(() =>
+            Promise.resolve({
+                json: () =>
+                    Promise.resolve({
+                        candidates: [{ address: 'Ashram Road, Ahmedabad', location: { x: 72.57, y: 23.037 }, attributes: { Addr_type: 'StreetName' } }]
+                    })
+            })
+        );
+        const geocoder = createGeocoder({ geocoderType: 'arcgis', geocoderUrl: 'https://gis.example.gov/GeocodeServer' });
+
+        const results = await geocoder.search('ashram');
+
+        expect(global.fetch.mock.calls[0][0]).toContain('/findAddressCandidates?SingleLine=ashram');
+        expect(results[0]).toMatchObject({ label: 'Ashram Road, Ahmedabad', latitude: 23.037, longitude: 72.57 });
+    });
+
+    it('uses the bundled gazetteer by default, like the Default metadata record', () => {
+        expect(DEFAULT_MAP_SETTINGS).toEqual({
+            tileUrlTemplate: 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
+            tileAttribution: '© OpenStreetMap contributors',
+            maxZoom: 19,
+            geocoderType: 'gazetteer',
+            geocoderUrl: ''
+        });
+        expect(createGeocoder(DEFAULT_MAP_SETTINGS).type).toBe('gazetteer');
+    });
+
+    it('falls back to the public Nominatim server when Nominatim is chosen without a URL', async () => {
+        global.fetch = jest.fn(() => Promise.resolve({ json: () => Promise.resolve({}) }));
+
+        await createGeocoder({ geocoderType: 'nominatim' }).reverse(23.02, 72.57);
+
+        expect(global.fetch.mock.calls[0][0]).toMatch(/^https:\/\/nominatim\.openstreetmap\.org\/reverse/);
+    });
+
+    it('keeps search as you type off the public Nominatim server', () => {
+        expect(createGeocoder({ geocoderType: 'nominatim' }).autocomplete).toBe(false);
+        expect(createGeocoder({ geocoderType: 'nominatim', geocoderUrl: 'https://nominatim.openstreetmap.org/' }).autocomplete).toBe(false);
+        expect(createGeocoder({ geocoderType: 'nominatim', geocoderUrl: 'https://geo.example.gov' }).autocomplete).toBe(true);
+        expect(createGeocoder({ geocoderType: 'gazetteer' }).autocomplete).toBe(true);
+    });
+});
@@ -0,0 +1,265 @@
+// mapService.js - Bundled Leaflet loader plus pluggable tile and geocoder providers
+import { loadScript, loadStyle } from 'lightning/platformResourceLoader';
+import LEAFLET from '@salesforce/resourceUrl/leaflet';
+import GAZETTEER from '@salesforce/resourceUrl/civicGazetteer';
+
+const NOMINATIM_URL = 'https://nominatim.openstreetmap.org';
+
+// Same as the Default Map_Provider_Setting__mdt record, for when it cannot be read. geocoderUrl is
+// left empty so the gazetteer uses the bundled civicGazetteer resource.
+export const DEFAULT_MAP_SETTINGS = {
+    tileUrlTemplate: 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
+    tileAttribution: '© OpenStreetMap contributors',
+    maxZoom: 19,
+    geocoderType: 'gazetteer',
+    geocoderUrl: ''
+};
+
+let leafletPromise;
+
+// Loads Leaflet from the static resource once per page and resolves with window.L
+export function loadLeaflet(component) {
+    if (window.L) {
+        return Promise.resolve(window.L);
+    }
+    if (!leafletPromise) {
+        leafletPromise = Promise.all([
+            loadStyle(component, `${LEAFLET}/dist/leaflet.css`),
+            loadScript(component, `${LEAFLET}/dist/leaflet.js`)
+        ])
+            .then(() => {
+                window.L.Icon.Default.imagePath = `${LEAFLET}/dist/images/`;
+                return window.L;
+            })
+            .catch((error) => {
+                leafletPromise = null;
+                throw error;
+            });
+    }
+    return leafletPromise;
+}
+
+// Component properties win over custom metadata, which wins over the defaults
+export function resolveMapSettings(overrides, metadataSettings) {
+    const settings = { ...DEFAULT_MAP_SETTINGS };
+    [metadataSettings, overrides].forEach((source) => {
+        if (!source) return;
+        Object.keys(DEFAULT_MAP_SETTINGS).forEach((key) => {
+            if (source[key] !== undefined && source[key] !== null && source[key] !== '') {
+                settings[key] = source[key];
+            }
+        });
+    });
+    return settings;
+}
+
+export function createTileLayer(L, settings) {
+    return L.tileLayer(settings.tileUrlTemplate, {
+        attribution: settings.tileAttribution,
+        maxZoom: settings.maxZoom
+    });
+}
+
+// Record names, user names and free text end up in popup HTML
+export function escapeHtml(value) {
+    return String(value === null || value === undefined ? '' : value).replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+}
+
+// ---- Geocoder adapters ----
+// Every adapter exposes reverse(lat, lon) resolving to { address } or null,
+// search(query) resolving to a list of { label, address, kind, latitude, longitude }, and
+// autocomplete, false when search may only run on an explicit request rather than as the citizen types.
+
+export const SEARCH_RESULT_LIMIT = 5;
+
+function trimUrl(url) {
+    return (url || '').replace(/\/+$/, '');
+}
+
+function createNominatimGeocoder(baseUrl) {
+    const url = trimUrl(baseUrl || NOMINATIM_URL);
+    return {
+        type: 'nominatim',
+        // The public nominatim.openstreetmap.org server does not allow autocomplete traffic;
+        // point Geocoder_Url__c at a self-hosted instance or use the gazetteer adapter instead.
+        autocomplete: url !== NOMINATIM_URL,
+        async reverse(lat, lon) {
+            const response = await fetch(`${url}/reverse?lat=${lat}&lon=${lon}&format=json`);
+            const data = await response.json();
+            return data && data.display_name ? { address: data.display_name } : null;
+        },
+        async search(query) {
+            const response = await fetch(
+                `${url}/search?q=${encodeURIComponent(query)}&format=json&limit=${SEARCH_RESULT_LIMIT}`
+            );
+            const data = await response.json();
+            return (Array.isArray(data) ? data : []).map((place) => ({
+                label: place.display_name,
+                address: place.display_name,
+                kind: place.type || null,
+                latitude: Number(place.lat),
+                longitude: Number(place.lon)
+            }));
+        }
+    };
+}
+
+function createArcGisGeocoder(baseUrl) {
+    const url = trimUrl(baseUrl);
+    return {
+        type: 'arcgis',
+        autocomplete: true,
+        async reverse(lat, lon) {
+            const response = await fetch(`${url}/reverseGeocode?location=${lon},${lat}&f=json`);
+            const data = await response.json();
+            return data && data.address && data.address.Match_addr ? { address: data.address.Match_addr } : null;
+        },
+        async search(query) {
+            const response = await fetch(
+                `${url}/findAddressCandidates?SingleLine=${encodeURIComponent(query)}` +
+                    `&outFields=Addr_type&maxLocations=${SEARCH_RESULT_LIMIT}&f=json`
+            );
+            const data = await response.json();
+            return ((data && data.candidates) || []).map((candidate) => ({
+                label: candidate.address,
+                address: candidate.address,
+                kind: candidate.attributes ? candidate.attributes.Addr_type : null,
+                latitude: candidate.location.y,
+                longitude: candidate.location.x
+            }));
+        }
+    };
+}
+
+// ---- Local gazetteer ----
+// Entries are { name, kind, latitude, longitude, aliases? }; kind is e.g. ward, street or landmark.
+
+function normalizeText(text) {
+    return (text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+function nearestPlace(places, lat, lon) {
+    let nearest = null;
+    let nearestDistance = Infinity;
+    places.forEach((place) => {
+        const distance = (place.latitude - lat) ** 2 + (place.longitude - lon) ** 2;
+        if (distance < nearestDistance) {
+            nearest = place;
+            nearestDistance = distance;
+        }
+    });
+    return nearest;
+}
+
+// Every query word must start a word of the name or an alias; names that start with
+// the whole query rank first, e.g. "law g" finds "Law Garden" before "Law Garden Road"
+export function searchPlaces(places, query, limit = SEARCH_RESULT_LIMIT, city = null) {
+    const normalizedQuery = normalizeText(query);
+    const terms = normalizedQuery.split(' ').filter(Boolean);
+    if (terms.length === 0) {
+        return [];
+    }
+
+    const matches = [];
+    places.forEach((place) => {
+        let score = 0;
+        [place.name, ...(place.aliases || [])].map(normalizeText).forEach((name) => {
+            const words = name.split(' ');
+            if (terms.every((term) => words.some((word) => word.startsWith(term)))) {
+                score = Math.max(score, name.startsWith(normalizedQuery) ? 2 : 1);
+            }
+        });
+        if (score > 0) {
+            matches.push({ place, score });
+        }
+    });
+
+    return matches
+        .sort((a, b) => b.score - a.score || a.place.name.localeCompare(b.place.name))
+        .slice(0, limit)
+        .map(({ place }) => ({
+            label: place.name,
+            address: city ? `${place.name}, ${city}` : place.name,
+            kind: place.kind || null,
+            latitude: place.latitude,
+            longitude: place.longitude
+        }));
+}
+
+// loadPlaces resolves to { city, entries }; it is called once and the result reused
+export function createGazetteerGeocoder(loadPlaces) {
+    let gazetteerPromise;
+    const gazetteer = () => {
+        if (!gazetteerPromise) {
+            gazetteerPromise = loadPlaces().catch((error) => {
+                gazetteerPromise = null;
+                throw error;
+            });
+        }
+        return gazetteerPromise;
+    };
+
+    return {
+        type: 'gazetteer',
+        autocomplete: true,
+        async reverse(lat, lon) {
+            const { city, entries } = await gazetteer();
+            const nearest = nearestPlace(entries, lat, lon);
+            if (!nearest) {
+                return null;
+            }
+            return { address: city ? `${nearest.name}, ${city}` : nearest.name };
+        },
+        async search(query) {
+            const { city, entries } = await gazetteer();
+            return searchPlaces(entries, query, SEARCH_RESULT_LIMIT, city);
+        }
+    };
+}
+
+function fetchGazetteer(url) {
+    return () =>
+        fetch(url)
+            .then((response) => response.json())
+            .then((data) => ({ city: data.city || null, entries: data.entries || [] }));
+}
+
+// Offline geocoder for tests and demos; answers with the nearest known place
+export const MOCK_PLACES = [
+    { name: 'Manek Chowk, Old City, Ahmedabad', kind: 'landmark', latitude: 23.0225, longitude: 72.5714 },
+    { name: 'Sabarmati Riverfront, Ahmedabad', kind: 'landmark', latitude: 23.0339, longitude: 72.5772 },
+    { name: 'Law Garden, Navrangpura, Ahmedabad', kind: 'landmark', latitude: 23.0258, longitude: 72.5568 },
+    { name: 'Kankaria Lake, Maninagar, Ahmedabad', kind: 'landmark', latitude: 23.0063, longitude: 72.601 }
+];
+
+export function createMockGeocoder(places = MOCK_PLACES) {
+    return { ...createGazetteerGeocoder(() => Promise.resolve({ city: null, entries: places })), type: 'mock' };
+}
+
+function createDisabledGeocoder() {
+    return {
+        type: 'none',
+        autocomplete: false,
+        reverse() {
+            return Promise.resolve(null);
+        },
+        search() {
+            return Promise.resolve([]);
+        }
+    };
+}
+
+export function createGeocoder(settings) {
+    switch (settings && settings.geocoderType) {
+        case 'arcgis':
+            return createArcGisGeocoder(settings.geocoderUrl);
+        case 'gazetteer':
+            return createGazetteerGeocoder(fetchGazetteer(settings.geocoderUrl || GAZETTEER));
+        case 'mock':
+            return createMockGeocoder();
+        case 'none':
+            return createDisabledGeocoder();
+        default:
+            return createNominatimGeocoder(settings && settings.geocoderUrl);
+    }
+}
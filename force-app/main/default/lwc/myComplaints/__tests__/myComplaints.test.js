@@ -0,0 +1,189 @@
+import { createElement } from '@lwc/engine-dom';
+import MyComplaints from 'c/myComplaints';
+import getMyCases from '@salesforce/apex/CaseTrackingController.getMyCases';
+import getMyCaseDetails from '@salesforce/apex/CaseTrackingController.getMyCaseDetails';
+
+jest.mock(
+    '@salesforce/apex/CaseTrackingController.getMyCases',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/CaseTrackingController.getMyCaseDetails',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/IssueTaxonomyController.getIssueTaxonomy',
+    () => ({ default: jest.fn(() => Promise.resolve([{ value: 'Pothole', label: 'गड्ढा' }])) }),
+    { virtual: true }
+);
+
+const CASES = [
+    {
+        id: '500000000000001',
+        caseNumber: '00001001',
+        trackingNumber: 'CC251019-K7M35',
+        status: 'In Progress',
+        isClosed: false,
+        issueType: 'Pothole',
+        createdDate: '2025-10-19T10:30:00.000Z',
+        slaDate: '2025-10-21T10:30:00.000Z',
+        slaStatus: 'Overdue'
+    },
+    {
+        id: '500000000000002',
+        caseNumber: '00001002',
+        trackingNumber: null,
+        status: 'Closed',
+        isClosed: true,
+        issueType: 'Streetlight',
+        createdDate: '2025-10-01T10:30:00.000Z',
+        slaDate: null,
+        slaStatus: null
+    }
+];
+
+function page(overrides = {}) {
+    return { success: true, signedIn: true, cases: CASES, totalCount: 2, pageNumber: 1, pageSize: 10, ...overrides };
+}
+
+function flushPromises() {
+    // eslint-disable-next-line @lwc/lwc/no-async-operation
+    return new Promise((resolve) => setTimeout(resolve, 0));
+}
+
+async function createDashboard() {
+    const element = createElement('c-my-complaints', { is: MyComplaints });
+    document.body.appendChild(element);
+    await flushPromises();
+    return element;
+}
+
+function clickButton(element, label) {
+    Array.from(element.shadowRoot.querySelectorAll('lightning-button'))
+        .find((button) => button.label === label)
+        .click();
+}
+
+async function changeFilter(element, selector, value) {
+    element.shadowRoot.querySelector(selector).dispatchEvent(new CustomEvent('change', { detail: { value } }));
+    await flushPromises();
+}
+
+describe('c-my-complaints', () => {
+    afterEach(() => {
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+        jest.clearAllMocks();
+    });
+
+    it('asks guests to log in', async () => {
+        getMyCases.mockResolvedValue({ success: false, signedIn: false });
+        const element = await createDashboard();
+
+        expect(element.shadowRoot.querySelector('.login-required')).not.toBeNull();
+        expect(element.shadowRoot.querySelector('.filters')).toBeNull();
+    });
+
+    it('lists the citizen\'s complaints with their SLA standing', async () => {
+        getMyCases.mockResolvedValue(page());
+        const element = await createDashboard();
+
+        expect(getMyCases).toHaveBeenCalledWith({
+            status: null,
+            issueType: null,
+            fromDate: null,
+            toDate: null,
+            pageNumber: 1,
+            pageSize: 10
+        });
+        const rows = element.shadowRoot.querySelectorAll('.case-row');
+        expect(rows).toHaveLength(2);
+        expect(rows[0].querySelector('.open-case').label).toBe('CC251019-K7M35');
+        expect(rows[0].textContent).toContain('गड्ढा');
+        expect(rows[0].textContent).toMatch(/Oct 19, 2025/);
+        expect(rows[0].querySelector('.slds-badge').textContent).toBe('Overdue');
+        expect(rows[0].querySelector('.slds-badge').className).toContain('slds-theme_error');
+        // No tracking number and no SLA due date
+        expect(rows[1].querySelector('.open-case').label).toBe('Case 00001002');
+        expect(rows[1].querySelector('.slds-badge')).toBeNull();
+        expect(element.shadowRoot.querySelector('.case-count').textContent).toBe('2 complaints');
+    });
+
+    it('filters from the first page and clears the filters again', async () => {
+        getMyCases.mockResolvedValue(page());
+        const element = await createDashboard();
+
+        await changeFilter(element, '.status-filter', 'Open');
+        await changeFilter(element, '.issue-type-filter', 'Pothole');
+        await changeFilter(element, '.from-date-filter', '2025-10-01');
+
+        expect(getMyCases).toHaveBeenLastCalledWith({
+            status: 'Open',
+            issueType: 'Pothole',
+            fromDate: '2025-10-01',
+            toDate: null,
+            pageNumber: 1,
+            pageSize: 10
+        });
+
+        getMyCases.mockResolvedValue(page({ cases: [], totalCount: 0 }));
+        await changeFilter(element, '.to-date-filter', '2025-10-31');
+        expect(element.shadowRoot.querySelector('.empty-dashboard').textContent).toBe('No complaints match these filters.');
+
+        clickButton(element, 'Clear Filters');
+        await flushPromises();
+        expect(getMyCases).toHaveBeenLastCalledWith(expect.objectContaining({ status: null, issueType: null, fromDate: null, toDate: null }));
+        expect(element.shadowRoot.querySelector('.empty-dashboard').textContent).toBe('You have not filed any complaints yet.');
+    });
+
+    it('does not ask the server for a backwards date range', async () => {
+        getMyCases.mockResolvedValue(page());
+        const element = await createDashboard();
+        getMyCases.mockClear();
+
+        await changeFilter(element, '.from-date-filter', '2025-10-20');
+        getMyCases.mockClear();
+        await changeFilter(element, '.to-date-filter', '2025-10-01');
+
+        expect(getMyCases).not.toHaveBeenCalled();
+        expect(element.shadowRoot.querySelector('.dashboard-error').textContent).toContain('start date');
+    });
+
+    it('pages through the complaints', async () => {
+        getMyCases.mockResolvedValue(page({ totalCount: 25 }));
+        const element = await createDashboard();
+
+        expect(element.shadowRoot.querySelector('.page-text').textContent).toBe('Page 1 of 3');
+
+        getMyCases.mockResolvedValue(page({ totalCount: 25, pageNumber: 2 }));
+        clickButton(element, 'Next');
+        await flushPromises();
+
+        expect(getMyCases).toHaveBeenLastCalledWith(expect.objectContaining({ pageNumber: 2 }));
+        expect(element.shadowRoot.querySelector('.page-text').textContent).toBe('Page 2 of 3');
+    });
+
+    it('opens a complaint in the shared detail view and goes back to the list', async () => {
+        getMyCases.mockResolvedValue(page());
+        const caseData = { id: CASES[0].id, trackingNumber: 'CC251019-K7M35', status: 'In Progress', workOrders: [], actionLogs: [], photos: [] };
+        getMyCaseDetails.mockResolvedValue({ success: true, caseData });
+        const element = await createDashboard();
+
+        element.shadowRoot.querySelector('.open-case').click();
+        await flushPromises();
+
+        expect(getMyCaseDetails).toHaveBeenCalledWith({ caseId: '500000000000001' });
+        expect(element.shadowRoot.querySelector('c-case-details').caseData).toEqual(caseData);
+        expect(element.shadowRoot.querySelector('.case-row')).toBeNull();
+
+        clickButton(element, 'Back to My Complaints');
+        await flushPromises();
+
+        expect(element.shadowRoot.querySelector('c-case-details')).toBeNull();
+        expect(element.shadowRoot.querySelectorAll('.case-row')).toHaveLength(2);
+        expect(getMyCases).toHaveBeenCalledTimes(2);
+    });
+});
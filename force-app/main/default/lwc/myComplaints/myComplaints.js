@@ -0,0 +1,223 @@
+// myComplaints.js - Dashboard of the logged-in citizen's complaints with filters, SLA standing and the full detail of each
+import { LightningElement, track } from 'lwc';
+import getMyCases from '@salesforce/apex/CaseTrackingController.getMyCases';
+import getMyCaseDetails from '@salesforce/apex/CaseTrackingController.getMyCaseDetails';
+import getIssueTaxonomy from '@salesforce/apex/IssueTaxonomyController.getIssueTaxonomy';
+import { FALLBACK_TAXONOMY, normalizeTaxonomy, issueTypeOptions, issueTypeLabel } from 'c/issueTaxonomy';
+import { formatLabel, formatDate, formatDateTime, statusLabel } from 'c/civicI18n';
+import { LABELS } from 'c/myComplaintsLabels';
+
+export const PAGE_SIZE = 10;
+
+// Status filter values CaseTrackingController.getMyCases reads as every open or every closed status
+const STATUS_OPEN = 'Open';
+const STATUS_CLOSED = 'Closed';
+const STATUS_VALUES = ['New', 'Working', 'In Progress', 'Escalated'];
+
+// Keyed by CaseTrackingController's SLA_ values
+const SLA_STATES = {
+    'On Track': { label: LABELS.slaOnTrack, badge: 'slds-badge slds-theme_success' },
+    'Due Soon': { label: LABELS.slaDueSoon, badge: 'slds-badge slds-theme_warning' },
+    Overdue: { label: LABELS.slaOverdue, badge: 'slds-badge slds-theme_error' },
+    Met: { label: LABELS.slaMet, badge: 'slds-badge slds-badge_lightest' },
+    Missed: { label: LABELS.slaMissed, badge: 'slds-badge slds-badge_inverse' }
+};
+
+const EMPTY_FILTERS = { status: '', issueType: '', fromDate: '', toDate: '' };
+
+export default class MyComplaints extends LightningElement {
+    @track taxonomy = FALLBACK_TAXONOMY;
+    @track filters = { ...EMPTY_FILTERS };
+    @track cases = [];
+    @track totalCount = 0;
+    @track pageNumber = 1;
+    @track loading = false;
+    @track error = null;
+    // Null until the server has said whether someone is signed in
+    @track signedIn = null;
+    // CaseData of the complaint opened from the list
+    @track selectedCase = null;
+    @track detailLoading = false;
+    labels = LABELS;
+
+    connectedCallback() {
+        this.loadTaxonomy();
+        this.loadCases();
+    }
+
+    loadTaxonomy() {
+        getIssueTaxonomy()
+            .then((types) => {
+                this.taxonomy = normalizeTaxonomy(types);
+            })
+            .catch((error) => {
+                console.error('Issue types could not be loaded, using built-in list:', error);
+                this.taxonomy = FALLBACK_TAXONOMY;
+            });
+    }
+
+    async loadCases() {
+        const { status, issueType, fromDate, toDate } = this.filters;
+        if (fromDate && toDate && fromDate > toDate) {
+            this.error = LABELS.dateRange;
+            this.cases = [];
+            this.totalCount = 0;
+            return;
+        }
+
+        this.loading = true;
+        this.error = null;
+        try {
+            const result = await getMyCases({
+                status: status || null,
+                issueType: issueType || null,
+                fromDate: fromDate || null,
+                toDate: toDate || null,
+                pageNumber: this.pageNumber,
+                pageSize: PAGE_SIZE
+            });
+            this.signedIn = result.signedIn;
+            if (result.success) {
+                this.cases = result.cases || [];
+                this.totalCount = result.totalCount || 0;
+                this.pageNumber = result.pageNumber || 1;
+            } else {
+                this.cases = [];
+                this.totalCount = 0;
+                this.error = result.signedIn ? LABELS.loadFailed : null;
+            }
+        } catch (error) {
+            console.error('Complaints could not be loaded:', error);
+            this.error = LABELS.loadFailed;
+        } finally {
+            this.loading = false;
+        }
+    }
+
+    handleFilterChange(event) {
+        const field = event.target.dataset.field;
+        this.filters = { ...this.filters, [field]: event.detail.value || '' };
+        this.pageNumber = 1;
+        this.loadCases();
+    }
+
+    handleClearFilters() {
+        this.filters = { ...EMPTY_FILTERS };
+        this.pageNumber = 1;
+        this.loadCases();
+    }
+
+    handlePrevious() {
+        this.pageNumber -= 1;
+        this.loadCases();
+    }
+
+    handleNext() {
+        this.pageNumber += 1;
+        this.loadCases();
+    }
+
+    async handleOpenCase(event) {
+        const caseId = event.currentTarget.dataset.id;
+        this.detailLoading = true;
+        this.error = null;
+        try {
+            const result = await getMyCaseDetails({ caseId });
+            if (result.success) {
+                this.selectedCase = result.caseData;
+            } else {
+                this.error = LABELS.detailFailed;
+            }
+        } catch (error) {
+            console.error('Complaint could not be opened:', error);
+            this.error = LABELS.detailFailed;
+        } finally {
+            this.detailLoading = false;
+        }
+    }
+
+    // Back to the list as it was; it is reloaded in case the complaint moved on meanwhile
+    handleBack() {
+        this.selectedCase = null;
+        this.loadCases();
+    }
+
+    get isGuest() {
+        return this.signedIn === false;
+    }
+
+    get showList() {
+        return !!this.signedIn && !this.selectedCase;
+    }
+
+    get statusOptions() {
+        return [
+            { label: LABELS.allStatuses, value: '' },
+            { label: LABELS.openStatuses, value: STATUS_OPEN },
+            { label: LABELS.closedStatuses, value: STATUS_CLOSED },
+            ...STATUS_VALUES.map((value) => ({ label: statusLabel(value), value }))
+        ];
+    }
+
+    get issueTypeOptions() {
+        return [{ label: LABELS.allIssueTypes, value: '' }, ...issueTypeOptions(this.taxonomy)];
+    }
+
+    get hasFilters() {
+        return Object.values(this.filters).some((value) => !!value);
+    }
+
+    get rows() {
+        return this.cases.map((record) => {
+            const sla = SLA_STATES[record.slaStatus];
+            const displayNumber = record.trackingNumber || formatLabel(LABELS.caseNumber, record.caseNumber);
+            return {
+                ...record,
+                displayNumber,
+                viewTitle: formatLabel(LABELS.viewComplaint, displayNumber),
+                issueTypeText: issueTypeLabel(this.taxonomy, record.issueType),
+                statusText: statusLabel(record.status),
+                submittedText: formatDate(record.createdDate),
+                slaDateText: formatDateTime(record.slaDate),
+                slaLabel: sla ? sla.label : '',
+                slaClass: sla ? sla.badge : ''
+            };
+        });
+    }
+
+    get hasCases() {
+        return this.cases.length > 0;
+    }
+
+    get emptyText() {
+        return this.hasFilters ? LABELS.noMatches : LABELS.empty;
+    }
+
+    get showEmpty() {
+        return !this.loading && !this.error && !this.hasCases;
+    }
+
+    get countText() {
+        return this.totalCount === 1 ? LABELS.countOne : formatLabel(LABELS.countMany, this.totalCount);
+    }
+
+    get pageCount() {
+        return Math.max(1, Math.ceil(this.totalCount / PAGE_SIZE));
+    }
+
+    get pageText() {
+        return formatLabel(LABELS.pageOf, this.pageNumber, this.pageCount);
+    }
+
+    get hasPages() {
+        return this.pageCount > 1;
+    }
+
+    get previousDisabled() {
+        return this.loading || this.pageNumber <= 1;
+    }
+
+    get nextDisabled() {
+        return this.loading || this.pageNumber >= this.pageCount;
+    }
+}
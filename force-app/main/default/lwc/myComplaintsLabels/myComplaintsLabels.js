@@ -0,0 +1,102 @@
+// myComplaintsLabels.js - Custom labels for the myComplaints dashboard
+import TITLE from '@salesforce/label/c.My_Complaints_Title';
+import SUBTITLE from '@salesforce/label/c.My_Complaints_Subtitle';
+import STATUS from '@salesforce/label/c.My_Complaints_Status';
+import ISSUE_TYPE from '@salesforce/label/c.My_Complaints_Issue_Type';
+import FROM_DATE from '@salesforce/label/c.My_Complaints_From_Date';
+import TO_DATE from '@salesforce/label/c.My_Complaints_To_Date';
+import ALL_STATUSES from '@salesforce/label/c.My_Complaints_All_Statuses';
+import OPEN from '@salesforce/label/c.My_Complaints_Open';
+import CLOSED from '@salesforce/label/c.My_Complaints_Closed';
+import ALL_ISSUE_TYPES from '@salesforce/label/c.My_Complaints_All_Issue_Types';
+import CLEAR_FILTERS from '@salesforce/label/c.My_Complaints_Clear_Filters';
+import DATE_RANGE from '@salesforce/label/c.My_Complaints_Date_Range';
+import LOADING from '@salesforce/label/c.My_Complaints_Loading';
+import SIGN_IN from '@salesforce/label/c.My_Complaints_Sign_In';
+import EMPTY from '@salesforce/label/c.My_Complaints_Empty';
+import NO_MATCHES from '@salesforce/label/c.My_Complaints_No_Matches';
+import LOAD_FAILED from '@salesforce/label/c.My_Complaints_Load_Failed';
+import DETAIL_FAILED from '@salesforce/label/c.My_Complaints_Detail_Failed';
+import COUNT_ONE from '@salesforce/label/c.My_Complaints_Count_One';
+import COUNT_MANY from '@salesforce/label/c.My_Complaints_Count_Many';
+import PAGE_OF from '@salesforce/label/c.My_Complaints_Page_Of';
+import PREVIOUS from '@salesforce/label/c.My_Complaints_Previous';
+import NEXT from '@salesforce/label/c.My_Complaints_Next';
+import BACK from '@salesforce/label/c.My_Complaints_Back';
+import TRACKING_NUMBER from '@salesforce/label/c.My_Complaints_Tracking_Number';
+import SUBMITTED from '@salesforce/label/c.My_Complaints_Submitted';
+import SLA from '@salesforce/label/c.My_Complaints_SLA';
+import CASE_NUMBER from '@salesforce/label/c.My_Complaints_Case_Number';
+import VIEW from '@salesforce/label/c.My_Complaints_View';
+import SLA_ON_TRACK from '@salesforce/label/c.My_Complaints_SLA_On_Track';
+import SLA_DUE_SOON from '@salesforce/label/c.My_Complaints_SLA_Due_Soon';
+import SLA_OVERDUE from '@salesforce/label/c.My_Complaints_SLA_Overdue';
+import SLA_MET from '@salesforce/label/c.My_Complaints_SLA_Met';
+import SLA_MISSED from '@salesforce/label/c.My_Complaints_SLA_Missed';
+import CLAIM_TITLE from '@salesforce/label/c.My_Complaints_Claim_Title';
+import CLAIM_INTRO from '@salesforce/label/c.My_Complaints_Claim_Intro';
+import CLAIM_NO_EMAIL_NOTE from '@salesforce/label/c.My_Complaints_Claim_No_Email_Note';
+import CLAIM_LOGIN_REQUIRED from '@salesforce/label/c.My_Complaints_Claim_Login_Required';
+import CLAIM_PLACEHOLDER from '@salesforce/label/c.My_Complaints_Claim_Placeholder';
+import CLAIM_BUTTON from '@salesforce/label/c.My_Complaints_Claim_Button';
+import CLAIM_SUGGESTION from '@salesforce/label/c.My_Complaints_Claim_Suggestion';
+import CLAIM_CODE_SENT from '@salesforce/label/c.My_Complaints_Claim_Code_Sent';
+import CLAIM_CODE from '@salesforce/label/c.My_Complaints_Claim_Code';
+import CLAIM_CONFIRM from '@salesforce/label/c.My_Complaints_Claim_Confirm';
+import CLAIM_CODE_REQUIRED from '@salesforce/label/c.My_Complaints_Claim_Code_Required';
+import CLAIM_FAILED from '@salesforce/label/c.My_Complaints_Claim_Failed';
+import CLAIM_UNAVAILABLE from '@salesforce/label/c.My_Complaints_Claim_Unavailable';
+import CLAIM_LINKED from '@salesforce/label/c.My_Complaints_Claim_Linked';
+import CLAIMING from '@salesforce/label/c.My_Complaints_Claiming';
+
+export const LABELS = {
+    title: TITLE,
+    subtitle: SUBTITLE,
+    status: STATUS,
+    issueType: ISSUE_TYPE,
+    fromDate: FROM_DATE,
+    toDate: TO_DATE,
+    allStatuses: ALL_STATUSES,
+    openStatuses: OPEN,
+    closedStatuses: CLOSED,
+    allIssueTypes: ALL_ISSUE_TYPES,
+    clearFilters: CLEAR_FILTERS,
+    dateRange: DATE_RANGE,
+    loading: LOADING,
+    signInRequired: SIGN_IN,
+    empty: EMPTY,
+    noMatches: NO_MATCHES,
+    loadFailed: LOAD_FAILED,
+    detailFailed: DETAIL_FAILED,
+    countOne: COUNT_ONE,
+    countMany: COUNT_MANY,
+    pageOf: PAGE_OF,
+    previous: PREVIOUS,
+    next: NEXT,
+    back: BACK,
+    trackingNumber: TRACKING_NUMBER,
+    submitted: SUBMITTED,
+    sla: SLA,
+    caseNumber: CASE_NUMBER,
+    viewComplaint: VIEW,
+    slaOnTrack: SLA_ON_TRACK,
+    slaDueSoon: SLA_DUE_SOON,
+    slaOverdue: SLA_OVERDUE,
+    slaMet: SLA_MET,
+    slaMissed: SLA_MISSED,
+    claimTitle: CLAIM_TITLE,
+    claimIntro: CLAIM_INTRO,
+    claimNoEmailNote: CLAIM_NO_EMAIL_NOTE,
+    claimLoginRequired: CLAIM_LOGIN_REQUIRED,
+    claimPlaceholder: CLAIM_PLACEHOLDER,
+    claimButton: CLAIM_BUTTON,
+    claimSuggestion: CLAIM_SUGGESTION,
+    claimCodeSent: CLAIM_CODE_SENT,
+    claimCode: CLAIM_CODE,
+    claimConfirm: CLAIM_CONFIRM,
+    claimCodeRequired: CLAIM_CODE_REQUIRED,
+    claimFailed: CLAIM_FAILED,
+    claimUnavailable: CLAIM_UNAVAILABLE,
+    claimLinked: CLAIM_LINKED,
+    claiming: CLAIMING
+};
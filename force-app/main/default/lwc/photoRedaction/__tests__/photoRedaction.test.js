@@ -0,0 +1,121 @@
+import { decodeImage, canvasToBlob } from 'c/imageProcessor';
+import {
+    REDACTION_STYLES,
+    toImageFraction,
+    regionFromPoints,
+    toPixels,
+    paintRedactions,
+    redactImage
+} from 'c/photoRedaction';
+
+jest.mock('c/imageProcessor', () => ({
+    ...jest.requireActual('c/imageProcessor'),
+    decodeImage: jest.fn(),
+    canvasToBlob: jest.fn()
+}));
+
+function fakeContext(canvas) {
+    return {
+        canvas: canvas,
+        drawImage: jest.fn(),
+        fillRect: jest.fn(),
+        save: jest.fn(),
+        restore: jest.fn()
+    };
+}
+
+describe('c-photo-redaction', () => {
+    let contexts;
+
+    beforeEach(() => {
+        contexts = [];
+        jest.spyOn(HTMLCanvasElement.prototype, 'getContext').mockImplementation(function getContext() {
+            const context = fakeContext(this);
+            contexts.push(context);
+            return context;
+        });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        jest.clearAllMocks();
+    });
+
+    it('turns a drag into a box in photo fractions, whichever way it was drawn', () => {
+        const bounds = { left: 100, top: 50, width: 400, height: 200 };
+        const start = toImageFraction(500, 250, bounds);
+        const end = toImageFraction(300, 100, bounds);
+
+        expect(start).toEqual({ x: 1, y: 1 });
+        expect(toImageFraction(0, 900, bounds)).toEqual({ x: 0, y: 1 });
+        expect(regionFromPoints(start, end, REDACTION_STYLES.BLACKOUT)).toEqual({
+            x: 0.5,
+            y: 0.25,
+            width: 0.5,
+            height: 0.75,
+            style: 'blackout'
+        });
+        // A click is not a box
+        expect(regionFromPoints(start, { x: 0.995, y: 0.5 })).toBeNull();
+    });
+
+    it('covers every pixel a box touches', () => {
+        expect(toPixels({ x: 0.125, y: 0.25, width: 0.25, height: 0.5 }, 1000, 401)).toEqual({
+            x: 125,
+            y: 100,
+            width: 250,
+            height: 201
+        });
+        expect(toPixels({ x: 0.9, y: 0.9, width: 0.1, height: 0.1 }, 1000, 1000)).toEqual({
+            x: 900,
+            y: 900,
+            width: 100,
+            height: 100
+        });
+    });
+
+    it('fills black-out boxes and pixelates blurred ones', () => {
+        const canvas = document.createElement('canvas');
+        const context = fakeContext(canvas);
+
+        paintRedactions(
+            context,
+            [
+                { x: 0, y: 0, width: 0.5, height: 0.5, style: REDACTION_STYLES.BLACKOUT },
+                { x: 0.5, y: 0.5, width: 0.5, height: 0.5, style: REDACTION_STYLES.BLUR }
+            ],
+            600,
+            600
+        );
+
+        expect(context.fillRect).toHaveBeenCalledWith(0, 0, 300, 300);
+        // Shrunk to 6 blocks of 50px, then stretched back without smoothing
+        const shrink = contexts[0].drawImage.mock.calls[0];
+        expect(shrink).toEqual([canvas, 300, 300, 300, 300, 0, 0, 6, 6]);
+        expect(context.imageSmoothingEnabled).toBe(false);
+        expect(context.drawImage).toHaveBeenCalledWith(expect.any(HTMLCanvasElement), 0, 0, 6, 6, 300, 300, 300, 300);
+    });
+
+    it('re-encodes the photo as a JPEG with the boxes burnt in', async () => {
+        const close = jest.fn();
+        decodeImage.mockResolvedValue({ source: { width: 800, height: 600, close }, oriented: true });
+        canvasToBlob.mockResolvedValue(new Blob(['redacted'], { type: 'image/jpeg' }));
+        const photo = new File(['original'], 'street.png', { type: 'image/png', lastModified: 42 });
+
+        const redacted = await redactImage(photo, [{ x: 0.25, y: 0.5, width: 0.25, height: 0.1, style: 'blackout' }]);
+
+        expect(redacted.name).toBe('street.jpg');
+        expect(redacted.type).toBe('image/jpeg');
+        expect(redacted.size).toBe(8);
+        expect(close).toHaveBeenCalled();
+        expect(contexts[0].fillRect).toHaveBeenCalledWith(200, 300, 200, 60);
+        expect(canvasToBlob).toHaveBeenCalledWith(contexts[0].canvas, 'image/jpeg', 0.9);
+    });
+
+    it('fails rather than handing back the original', async () => {
+        decodeImage.mockRejectedValue(new Error('Image could not be decoded'));
+        const photo = new File(['original'], 'street.jpg', { type: 'image/jpeg' });
+
+        await expect(redactImage(photo, [])).rejects.toThrow('Image could not be decoded');
+    });
+});
@@ -0,0 +1,102 @@
+// photoRedaction.js - Blur and black-out boxes over faces, number plates and house numbers, burnt into photos before upload
+import { decodeImage, canvasToBlob, renameForType, isCompressibleImage } from 'c/imageProcessor';
+
+export const REDACTION_STYLES = {
+    BLUR: 'blur',
+    BLACKOUT: 'blackout'
+};
+
+// Boxes are kept as fractions of the photo so the preview and the full-size image share them
+export const MIN_REGION_SIZE = 0.01;
+
+// A blurred box is reduced to this many blocks across its shorter side; coarse enough that
+// faces and digits cannot be read back, and unlike canvas filters it works in every browser
+const PIXEL_BLOCKS = 6;
+const OUTPUT_TYPE = 'image/jpeg';
+const OUTPUT_QUALITY = 0.9;
+
+function clamp(value) {
+    return Math.min(1, Math.max(0, value));
+}
+
+export function isRedactableImage(file) {
+    return isCompressibleImage(file);
+}
+
+// Pointer position over the displayed photo as fractions of its width and height
+export function toImageFraction(clientX, clientY, bounds) {
+    return {
+        x: clamp((clientX - bounds.left) / bounds.width),
+        y: clamp((clientY - bounds.top) / bounds.height)
+    };
+}
+
+// Box spanned by two corners in any order; null for a click or a sliver that hides nothing
+export function regionFromPoints(start, end, style = REDACTION_STYLES.BLUR) {
+    const x = Math.min(start.x, end.x);
+    const y = Math.min(start.y, end.y);
+    const width = Math.abs(end.x - start.x);
+    const height = Math.abs(end.y - start.y);
+    if (width < MIN_REGION_SIZE || height < MIN_REGION_SIZE) {
+        return null;
+    }
+    return { x, y, width, height, style };
+}
+
+export function toPixels(region, width, height) {
+    const left = Math.floor(region.x * width);
+    const top = Math.floor(region.y * height);
+    return {
+        x: left,
+        y: top,
+        width: Math.max(1, Math.min(width, Math.ceil((region.x + region.width) * width)) - left),
+        height: Math.max(1, Math.min(height, Math.ceil((region.y + region.height) * height)) - top)
+    };
+}
+
+function pixelate(context, box) {
+    const block = Math.max(1, Math.ceil(Math.min(box.width, box.height) / PIXEL_BLOCKS));
+    const small = document.createElement('canvas');
+    small.width = Math.max(1, Math.ceil(box.width / block));
+    small.height = Math.max(1, Math.ceil(box.height / block));
+    small.getContext('2d').drawImage(context.canvas, box.x, box.y, box.width, box.height, 0, 0, small.width, small.height);
+
+    context.save();
+    context.imageSmoothingEnabled = false;
+    context.drawImage(small, 0, 0, small.width, small.height, box.x, box.y, box.width, box.height);
+    context.restore();
+}
+
+// Paints the boxes onto a canvas that already holds the photo at width x height
+export function paintRedactions(context, regions, width, height) {
+    regions.forEach((region) => {
+        const box = toPixels(region, width, height);
+        if (region.style === REDACTION_STYLES.BLACKOUT) {
+            context.fillStyle = '#000000';
+            context.fillRect(box.x, box.y, box.width, box.height);
+        } else {
+            pixelate(context, box);
+        }
+    });
+}
+
+// Returns a new JPEG with the boxes burnt into its pixels. Re-encoding also drops the EXIF block,
+// GPS position included. Failures are thrown: the original must never be uploaded in its place.
+export async function redactImage(file, regions) {
+    const { source } = await decodeImage(file);
+    const canvas = document.createElement('canvas');
+    canvas.width = source.width;
+    canvas.height = source.height;
+    const context = canvas.getContext('2d');
+    context.drawImage(source, 0, 0, canvas.width, canvas.height);
+    if (source.close) {
+        source.close();
+    }
+    paintRedactions(context, regions, canvas.width, canvas.height);
+
+    const blob = await canvasToBlob(canvas, OUTPUT_TYPE, OUTPUT_QUALITY);
+    return new File([blob], renameForType(file.name, OUTPUT_TYPE), {
+        type: OUTPUT_TYPE,
+        lastModified: file.lastModified
+    });
+}
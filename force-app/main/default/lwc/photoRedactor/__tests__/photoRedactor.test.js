@@ -0,0 +1,132 @@
+import { createElement } from '@lwc/engine-dom';
+import PhotoRedactor from 'c/photoRedactor';
+import { decodeImage } from 'c/imageProcessor';
+import { redactImage } from 'c/photoRedaction';
+
+jest.mock('c/imageProcessor', () => ({
+    ...jest.requireActual('c/imageProcessor'),
+    decodeImage: jest.fn()
+}));
+
+jest.mock('c/photoRedaction', () => ({
+    ...jest.requireActual('c/photoRedaction'),
+    redactImage: jest.fn()
+}));
+
+const PHOTO = new File(['original'], 'street.jpg', { type: 'image/jpeg' });
+
+function flushPromises() {
+    // eslint-disable-next-line @lwc/lwc/no-async-operation
+    return new Promise((resolve) => setTimeout(resolve, 0));
+}
+
+function fakeContext() {
+    return {
+        drawImage: jest.fn(),
+        fillRect: jest.fn(),
+        strokeRect: jest.fn(),
+        save: jest.fn(),
+        restore: jest.fn()
+    };
+}
+
+async function createRedactor() {
+    const element = createElement('c-photo-redactor', { is: PhotoRedactor });
+    element.file = PHOTO;
+    document.body.appendChild(element);
+    await flushPromises();
+    const canvas = element.shadowRoot.querySelector('.redaction-canvas');
+    canvas.getBoundingClientRect = () => ({ left: 0, top: 0, width: 400, height: 300 });
+    return element;
+}
+
+function drag(element, from, to) {
+    const canvas = element.shadowRoot.querySelector('.redaction-canvas');
+    canvas.dispatchEvent(new MouseEvent('pointerdown', { clientX: from[0], clientY: from[1] }));
+    canvas.dispatchEvent(new MouseEvent('pointermove', { clientX: to[0], clientY: to[1] }));
+    canvas.dispatchEvent(new MouseEvent('pointerup', { clientX: to[0], clientY: to[1] }));
+}
+
+function button(element, label) {
+    return Array.from(element.shadowRoot.querySelectorAll('lightning-button')).find((btn) => btn.label === label);
+}
+
+describe('c-photo-redactor', () => {
+    let context;
+
+    beforeEach(() => {
+        context = fakeContext();
+        jest.spyOn(HTMLCanvasElement.prototype, 'getContext').mockImplementation(() => context);
+        decodeImage.mockResolvedValue({ source: { width: 1600, height: 1200, close: jest.fn() }, oriented: true });
+    });
+
+    afterEach(() => {
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+        jest.restoreAllMocks();
+        jest.clearAllMocks();
+    });
+
+    it('previews the photo scaled to the dialog', async () => {
+        const element = await createRedactor();
+
+        const canvas = element.shadowRoot.querySelector('.redaction-canvas');
+        expect(canvas.width).toBe(720);
+        expect(canvas.height).toBe(540);
+        expect(button(element, 'Nothing to Hide').disabled).toBe(false);
+    });
+
+    it('blacks out the dragged boxes and hands back the redacted copy', async () => {
+        const redacted = new File(['redacted'], 'street.jpg', { type: 'image/jpeg' });
+        redactImage.mockResolvedValue(redacted);
+        const element = await createRedactor();
+        const handler = jest.fn();
+        element.addEventListener('redact', handler);
+
+        const style = element.shadowRoot.querySelector('.redaction-style');
+        style.dispatchEvent(new CustomEvent('change', { detail: { value: 'blackout' } }));
+        drag(element, [100, 150], [200, 75]);
+        drag(element, [10, 10], [11, 11]);
+        await flushPromises();
+
+        expect(element.shadowRoot.querySelector('.region-count').textContent).toBe('1 area hidden');
+        expect(context.fillRect).toHaveBeenCalledWith(180, 135, 180, 135);
+
+        button(element, 'Apply Redactions').click();
+        await flushPromises();
+
+        expect(redactImage).toHaveBeenCalledWith(PHOTO, [
+            { x: 0.25, y: 0.25, width: 0.25, height: 0.25, style: 'blackout' }
+        ]);
+        expect(handler.mock.calls[0][0].detail).toEqual({ file: redacted, regionCount: 1 });
+    });
+
+    it('undoes the last box', async () => {
+        const element = await createRedactor();
+
+        drag(element, [0, 0], [100, 100]);
+        drag(element, [200, 200], [300, 300]);
+        await flushPromises();
+        button(element, 'Undo Box').click();
+        await flushPromises();
+
+        expect(element.shadowRoot.querySelector('.region-count').textContent).toBe('1 area hidden');
+        button(element, 'Clear').click();
+        await flushPromises();
+        expect(button(element, 'Undo Box').disabled).toBe(true);
+    });
+
+    it('keeps the dialog open with an error when redaction fails', async () => {
+        redactImage.mockRejectedValue(new Error('Image could not be encoded'));
+        const element = await createRedactor();
+        const handler = jest.fn();
+        element.addEventListener('redact', handler);
+
+        button(element, 'Nothing to Hide').click();
+        await flushPromises();
+
+        expect(handler).not.toHaveBeenCalled();
+        expect(element.shadowRoot.querySelector('.redaction-error').textContent).toContain('could not be redacted');
+    });
+});
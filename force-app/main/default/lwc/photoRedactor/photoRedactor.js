@@ -0,0 +1,169 @@
+// photoRedactor.js - Modal editor for drawing blur and black-out boxes over one photo before it is uploaded
+import { LightningElement, api, track } from 'lwc';
+import { decodeImage } from 'c/imageProcessor';
+import { formatLabel } from 'c/civicI18n';
+import { LABELS } from 'c/complaintFormLabels';
+import {
+    REDACTION_STYLES,
+    toImageFraction,
+    regionFromPoints,
+    toPixels,
+    paintRedactions,
+    redactImage
+} from 'c/photoRedaction';
+
+const PREVIEW_MAX_WIDTH = 720;
+const OUTLINE_COLOR = '#ffb75d';
+
+export default class PhotoRedactor extends LightningElement {
+    @api file;
+
+    @track regions = [];
+    @track redactionStyle = REDACTION_STYLES.BLUR;
+    @track isSaving = false;
+    @track error = null;
+
+    labels = LABELS;
+    redactionStyles = [
+        { label: LABELS.redactorBlur, value: REDACTION_STYLES.BLUR },
+        { label: LABELS.redactorBlackOut, value: REDACTION_STYLES.BLACKOUT }
+    ];
+    image = null;
+    dragStart = null;
+    dragRegion = null;
+
+    connectedCallback() {
+        decodeImage(this.file)
+            .then(({ source }) => {
+                this.image = source;
+                this.renderPreview();
+            })
+            .catch((error) => {
+                console.error('Photo could not be opened for redaction:', error);
+                this.error = LABELS.redactorOpenFailed;
+            });
+    }
+
+    disconnectedCallback() {
+        if (this.image && this.image.close) {
+            this.image.close();
+        }
+    }
+
+    get fileName() {
+        return this.file ? this.file.name : '';
+    }
+
+    get cannotUndo() {
+        return this.regions.length === 0 || this.isSaving;
+    }
+
+    get cannotApply() {
+        return !this.image || this.isSaving;
+    }
+
+    // Confirming a photo with nothing to hide still re-encodes it, which strips its metadata
+    get applyLabel() {
+        return this.regions.length ? LABELS.redactorApply : LABELS.redactorNothingToHide;
+    }
+
+    get regionCountText() {
+        const count = this.regions.length;
+        return count === 1 ? LABELS.redactorOneArea : formatLabel(LABELS.redactorAreas, count);
+    }
+
+    handleStyleChange(event) {
+        this.redactionStyle = event.detail.value;
+    }
+
+    pointFor(event) {
+        const bounds = this.template.querySelector('.redaction-canvas').getBoundingClientRect();
+        return toImageFraction(event.clientX, event.clientY, bounds);
+    }
+
+    handlePointerDown(event) {
+        if (!this.image || this.isSaving) {
+            return;
+        }
+        event.preventDefault();
+        if (event.pointerId !== undefined && event.target.setPointerCapture) {
+            event.target.setPointerCapture(event.pointerId);
+        }
+        this.dragStart = this.pointFor(event);
+    }
+
+    handlePointerMove(event) {
+        if (!this.dragStart) {
+            return;
+        }
+        this.dragRegion = regionFromPoints(this.dragStart, this.pointFor(event), this.redactionStyle);
+        this.renderPreview();
+    }
+
+    handlePointerUp(event) {
+        if (!this.dragStart) {
+            return;
+        }
+        const region = regionFromPoints(this.dragStart, this.pointFor(event), this.redactionStyle);
+        this.dragStart = null;
+        this.dragRegion = null;
+        if (region) {
+            this.regions = [...this.regions, region];
+        }
+        this.renderPreview();
+    }
+
+    handleUndo() {
+        this.regions = this.regions.slice(0, -1);
+        this.renderPreview();
+    }
+
+    handleClear() {
+        this.regions = [];
+        this.renderPreview();
+    }
+
+    handleCancel() {
+        this.dispatchEvent(new CustomEvent('cancel'));
+    }
+
+    async handleApply() {
+        this.isSaving = true;
+        this.error = null;
+        try {
+            const redacted = await redactImage(this.file, this.regions);
+            this.dispatchEvent(
+                new CustomEvent('redact', { detail: { file: redacted, regionCount: this.regions.length } })
+            );
+        } catch (error) {
+            console.error('Photo redaction failed:', error);
+            this.error = LABELS.redactorFailed;
+        } finally {
+            this.isSaving = false;
+        }
+    }
+
+    // Draws the photo scaled to the dialog with the boxes applied as they will be uploaded
+    renderPreview() {
+        const canvas = this.template.querySelector('.redaction-canvas');
+        if (!canvas || !this.image) {
+            return;
+        }
+        const scale = Math.min(1, PREVIEW_MAX_WIDTH / this.image.width);
+        canvas.width = Math.round(this.image.width * scale);
+        canvas.height = Math.round(this.image.height * scale);
+
+        const context = canvas.getContext('2d');
+        const regions = this.dragRegion ? [...this.regions, this.dragRegion] : this.regions;
+        context.drawImage(this.image, 0, 0, canvas.width, canvas.height);
+        paintRedactions(context, regions, canvas.width, canvas.height);
+
+        // Outlines keep black-out boxes visible over dark parts of the photo
+        context.strokeStyle = OUTLINE_COLOR;
+        context.lineWidth = 2;
+        regions.forEach((region) => {
+            const box = toPixels(region, canvas.width, canvas.height);
+            context.strokeRect(box.x, box.y, box.width, box.height);
+        });
+    }
+}
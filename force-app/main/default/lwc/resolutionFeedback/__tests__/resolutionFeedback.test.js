@@ -0,0 +1,252 @@
+import { createElement } from '@lwc/engine-dom';
+import ResolutionFeedback from 'c/resolutionFeedback';
+import submitFeedback from '@salesforce/apex/ResolutionFeedbackController.submitFeedback';
+import reopenCase from '@salesforce/apex/ResolutionFeedbackController.reopenCase';
+import uploadFile from '@salesforce/apex/ComplaintFormController.uploadFile';
+
+jest.mock(
+    '@salesforce/apex/ResolutionFeedbackController.submitFeedback',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/ResolutionFeedbackController.reopenCase',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/ComplaintFormController.uploadFile',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+
+jest.mock('c/imageProcessor', () => ({
+    compressImage: jest.fn((file) => Promise.resolve(file)),
+    isCompressibleImage: jest.fn(() => true)
+}));
+
+const CLOSED_CASE = {
+    id: '500000000000001',
+    trackingNumber: 'CC251019-K7M35',
+    status: 'Closed',
+    isClosed: true,
+    closedDate: '2025-10-19T10:30:00.000Z',
+    reopenUntil: '2025-11-02T10:30:00.000Z',
+    canReopen: true,
+    feedbackGiven: false
+};
+
+const GRANT = '9f86d081884c7d659a2feaa0c55ad015';
+
+function flushPromises() {
+    // eslint-disable-next-line @lwc/lwc/no-async-operation
+    return new Promise((resolve) => setTimeout(resolve, 0));
+}
+
+function createPanel(caseData) {
+    const element = createElement('c-resolution-feedback', { is: ResolutionFeedback });
+    element.caseData = caseData;
+    document.body.appendChild(element);
+    return element;
+}
+
+function clickButton(element, label) {
+    Array.from(element.shadowRoot.querySelectorAll('lightning-button'))
+        .find((button) => button.label === label)
+        .click();
+}
+
+function change(element, selector, value) {
+    const input = element.shadowRoot.querySelector(selector);
+    input.value = value;
+    input.dispatchEvent(new CustomEvent('change', { detail: { value } }));
+}
+
+describe('c-resolution-feedback', () => {
+    afterEach(() => {
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+        jest.clearAllMocks();
+    });
+
+    it('stays hidden while the complaint is open', () => {
+        const element = createPanel({ ...CLOSED_CASE, status: 'In Progress', isClosed: false, canReopen: false });
+
+        expect(element.shadowRoot.querySelector('.resolution-feedback')).toBeNull();
+    });
+
+    it('asks for a rating before sending anything', async () => {
+        const element = createPanel(CLOSED_CASE);
+
+        expect(element.shadowRoot.querySelector('.feedback-form').textContent).toMatch(/closed on Oct 19, 2025/);
+        expect(element.shadowRoot.querySelector('.rating-input').options).toHaveLength(5);
+        clickButton(element, 'Submit Feedback');
+        await flushPromises();
+
+        expect(submitFeedback).not.toHaveBeenCalled();
+        expect(element.shadowRoot.querySelector('.feedback-error').textContent).toBe('Please choose a rating.');
+    });
+
+    it('sends the rating and uploads the photos for staff only', async () => {
+        submitFeedback.mockResolvedValue({ success: true, caseId: CLOSED_CASE.id, uploadGrant: GRANT });
+        uploadFile.mockResolvedValue(true);
+        const element = createPanel(CLOSED_CASE);
+        const updated = jest.fn();
+        element.addEventListener('updated', updated);
+
+        change(element, '.email-input', ' asha@example.com ');
+        change(element, '.rating-input', '4');
+        change(element, '.comment-input', 'Fixed within a day');
+        const photoInput = element.shadowRoot.querySelector('.photo-input');
+        photoInput.files = [new File([new Uint8Array(16)], 'after.jpg', { type: 'image/jpeg' })];
+        photoInput.dispatchEvent(new CustomEvent('change'));
+        // The photo is shrunk before the citizen gets to the button
+        await flushPromises();
+        clickButton(element, 'Submit Feedback');
+        // Reading the photo takes a few turns of the event loop
+        for (let i = 0; i < 5; i++) {
+            // eslint-disable-next-line no-await-in-loop
+            await flushPromises();
+        }
+
+        expect(submitFeedback).toHaveBeenCalledWith({
+            trackingToken: 'CC251019-K7M35',
+            email: 'asha@example.com',
+            rating: 4,
+            comment: 'Fixed within a day',
+            clientId: expect.stringMatching(/^[a-f0-9]{32}$/)
+        });
+        expect(uploadFile).toHaveBeenCalledWith(expect.objectContaining({
+            uploadGrant: GRANT,
+            fileName: 'after.jpg',
+            redacted: false
+        }));
+        expect(updated).toHaveBeenCalled();
+        expect(element.shadowRoot.querySelector('.feedback-form')).toBeNull();
+        expect(element.shadowRoot.querySelector('.feedback-thanks').textContent).toContain('Thank you');
+    });
+
+    it('turns away photos that are still too large once shrunk', async () => {
+        const element = createPanel(CLOSED_CASE);
+
+        const photoInput = element.shadowRoot.querySelector('.photo-input');
+        photoInput.files = [new File([new Uint8Array(5 * 1024 * 1024)], 'panorama.jpg', { type: 'image/jpeg' })];
+        photoInput.dispatchEvent(new CustomEvent('change'));
+        await flushPromises();
+
+        expect(element.shadowRoot.querySelector('.photo-list')).toBeNull();
+        expect(element.shadowRoot.querySelector('.feedback-error').textContent).toContain('panorama.jpg cannot be attached');
+    });
+
+    it('shows the thanks instead of the form once the closure is rated', () => {
+        const element = createPanel({ ...CLOSED_CASE, feedbackGiven: true });
+
+        expect(element.shadowRoot.querySelector('.feedback-form')).toBeNull();
+        expect(element.shadowRoot.querySelector('.feedback-thanks')).not.toBeNull();
+        expect(element.shadowRoot.querySelector('.reopen-form')).not.toBeNull();
+    });
+
+    it('reopens the complaint with the citizen\'s reason', async () => {
+        reopenCase.mockResolvedValue({ success: true, caseId: CLOSED_CASE.id, uploadGrant: GRANT });
+        const element = createPanel(CLOSED_CASE);
+        const updated = jest.fn();
+        element.addEventListener('updated', updated);
+
+        clickButton(element, 'Reopen Complaint');
+        await flushPromises();
+        expect(reopenCase).not.toHaveBeenCalled();
+        expect(element.shadowRoot.querySelector('.feedback-error').textContent).toBe('Please tell us what is still wrong.');
+
+        change(element, '.reason-input', 'The pothole is back after the rain');
+        clickButton(element, 'Reopen Complaint');
+        await flushPromises();
+        expect(reopenCase).not.toHaveBeenCalled();
+        expect(element.shadowRoot.querySelector('.feedback-error').textContent)
+            .toBe('Please enter the email address you filed the complaint with.');
+
+        change(element, '.email-input', 'asha@example.com');
+        clickButton(element, 'Reopen Complaint');
+        await flushPromises();
+
+        expect(reopenCase).toHaveBeenCalledWith({
+            trackingToken: 'CC251019-K7M35',
+            email: 'asha@example.com',
+            reason: 'The pothole is back after the rain',
+            clientId: expect.stringMatching(/^[a-f0-9]{32}$/)
+        });
+        expect(updated).toHaveBeenCalled();
+
+        // The page reloads the case, which is open again
+        element.caseData = { ...CLOSED_CASE, status: 'New', isClosed: false, canReopen: false, reopenUntil: null };
+        await flushPromises();
+        expect(element.shadowRoot.querySelector('.reopened-message')).not.toBeNull();
+        expect(element.shadowRoot.querySelector('.reopen-form')).toBeNull();
+    });
+
+    it('explains when the reopen window has passed', () => {
+        const element = createPanel({ ...CLOSED_CASE, canReopen: false });
+
+        expect(element.shadowRoot.querySelector('.reopen-form')).toBeNull();
+        expect(element.shadowRoot.querySelector('.reopen-expired')).not.toBeNull();
+    });
+
+    it('explains that an anonymous complaint without an email cannot be rated or reopened', () => {
+        const element = createPanel({ ...CLOSED_CASE, hasFilingEmail: false });
+
+        expect(element.shadowRoot.querySelector('.feedback-form')).toBeNull();
+        expect(element.shadowRoot.querySelector('.reopen-form')).toBeNull();
+        expect(element.shadowRoot.querySelector('.email-input')).toBeNull();
+        expect(element.shadowRoot.querySelector('.resolution-no-email').textContent).toBe(
+            'This complaint was reported anonymously without an email address, so it cannot be rated or reopened online. If the problem is back, please file a new complaint.'
+        );
+    });
+
+    it('still lets the signed-in citizen who filed it rate a complaint without an email', () => {
+        const element = createPanel({ ...CLOSED_CASE, hasFilingEmail: false, filedByCurrentUser: true });
+
+        expect(element.shadowRoot.querySelector('.feedback-form')).not.toBeNull();
+        expect(element.shadowRoot.querySelector('.resolution-no-email')).toBeNull();
+    });
+
+    it('reports a rating the server did not accept', async () => {
+        submitFeedback.mockResolvedValue({ success: false, errorMessage: 'Already rated' });
+        const element = createPanel(CLOSED_CASE);
+
+        change(element, '.email-input', 'asha@example.com');
+        change(element, '.rating-input', '2');
+        clickButton(element, 'Submit Feedback');
+        await flushPromises();
+
+        expect(element.shadowRoot.querySelector('.feedback-error').textContent).toBe(
+            'Your feedback could not be sent. Please try again.'
+        );
+        expect(element.shadowRoot.querySelector('.feedback-form')).not.toBeNull();
+    });
+
+    it('says when the email does not match the complaint', async () => {
+        submitFeedback.mockResolvedValue({ success: false, notMatched: true, errorMessage: 'No complaint' });
+        const element = createPanel(CLOSED_CASE);
+
+        change(element, '.email-input', 'someone@example.com');
+        change(element, '.rating-input', '2');
+        clickButton(element, 'Submit Feedback');
+        await flushPromises();
+
+        expect(element.shadowRoot.querySelector('.feedback-error').textContent).toBe(
+            'This email address does not match the complaint. Please use the one you filed it with.'
+        );
+    });
+
+    it('does not ask the signed-in citizen who filed the complaint for their email', async () => {
+        submitFeedback.mockResolvedValue({ success: true, caseId: CLOSED_CASE.id, uploadGrant: GRANT });
+        const element = createPanel({ ...CLOSED_CASE, filedByCurrentUser: true });
+
+        expect(element.shadowRoot.querySelector('.email-input')).toBeNull();
+        change(element, '.rating-input', '5');
+        clickButton(element, 'Submit Feedback');
+        await flushPromises();
+
+        expect(submitFeedback).toHaveBeenCalledWith(expect.objectContaining({ email: null, rating: 5 }));
+    });
+});
@@ -0,0 +1,233 @@
+// resolutionFeedback.js - Rating a resolved complaint and reopening it while the reopen window lasts.
+// Both need the email the complaint was filed with, unless the signed-in citizen filed it; an anonymous
+// complaint filed without a claim email has none, so the panel says it cannot be rated or reopened.
+import { LightningElement, api, track } from 'lwc';
+import submitFeedback from '@salesforce/apex/ResolutionFeedbackController.submitFeedback';
+import reopenCase from '@salesforce/apex/ResolutionFeedbackController.reopenCase';
+import { createUploadEntry, uploadAttachment, formatFileSize, MAX_DIRECT_UPLOAD_SIZE } from 'c/attachmentUploader';
+import { compressImage, isCompressibleImage } from 'c/imageProcessor';
+import { formatLabel, formatDate, formatDateTime } from 'c/civicI18n';
+import { getClientId } from 'c/clientIdentity';
+import { runSequentially } from 'c/sequentialTasks';
+import { LABELS } from 'c/caseTrackingLabels';
+
+export default class ResolutionFeedback extends LightningElement {
+    labels = LABELS;
+    ratingOptions = [1, 2, 3, 4, 5].map((value) => ({ label: LABELS[`rating${value}`], value: String(value) }));
+    @track email = '';
+    @track rating = '';
+    @track comment = '';
+    @track reason = '';
+    // Upload entries for the photos picked; sent as staff-only attachments once the rating is saved
+    @track photos = [];
+    @track error = null;
+    @track saving = false;
+    @track feedbackSent = false;
+    @track photosFailed = false;
+    @track reopened = false;
+    _caseData = null;
+
+    // CaseData as returned by CaseTrackingController
+    @api
+    get caseData() {
+        return this._caseData;
+    }
+    set caseData(value) {
+        if (!value || !this._caseData || value.id !== this._caseData.id) {
+            this.reset();
+        }
+        this._caseData = value;
+    }
+
+    reset() {
+        this.email = '';
+        this.rating = '';
+        this.comment = '';
+        this.reason = '';
+        this.photos = [];
+        this.error = null;
+        this.feedbackSent = false;
+        this.photosFailed = false;
+        this.reopened = false;
+    }
+
+    get isClosed() {
+        return !!this._caseData && this._caseData.isClosed === true;
+    }
+
+    get showPanel() {
+        return this.isClosed || this.reopened;
+    }
+
+    get showFeedbackForm() {
+        return this.isClosed && !this.cannotConfirmFiler && !this._caseData.feedbackGiven && !this.feedbackSent;
+    }
+
+    get showThanks() {
+        return this.isClosed && (this._caseData.feedbackGiven || this.feedbackSent);
+    }
+
+    get showReopenForm() {
+        return this.isClosed && !this.cannotConfirmFiler && this._caseData.canReopen === true;
+    }
+
+    get needsEmail() {
+        return !!this._caseData && this._caseData.filedByCurrentUser !== true;
+    }
+
+    get cannotConfirmFiler() {
+        return this.needsEmail && this._caseData.hasFilingEmail === false;
+    }
+
+    get showNoEmail() {
+        return this.isClosed && this.cannotConfirmFiler && !this._caseData.feedbackGiven;
+    }
+
+    get showEmail() {
+        return this.needsEmail && (this.showFeedbackForm || this.showReopenForm);
+    }
+
+    // Closed too long ago; nothing is shown when reopening is turned off altogether
+    get reopenExpired() {
+        return this.isClosed && !this.cannotConfirmFiler && !!this._caseData.reopenUntil && this._caseData.canReopen !== true;
+    }
+
+    get feedbackIntro() {
+        return formatLabel(LABELS.feedbackIntro, formatDate(this._caseData.closedDate));
+    }
+
+    get reopenIntro() {
+        return formatLabel(LABELS.reopenIntro, formatDateTime(this._caseData.reopenUntil));
+    }
+
+    get hasPhotos() {
+        return this.photos.length > 0;
+    }
+
+    handleEmailChange(event) {
+        this.email = event.target.value;
+        this.error = null;
+    }
+
+    handleRatingChange(event) {
+        this.rating = event.detail.value;
+        this.error = null;
+    }
+
+    handleCommentChange(event) {
+        this.comment = event.target.value;
+    }
+
+    handleReasonChange(event) {
+        this.reason = event.target.value;
+        this.error = null;
+    }
+
+    // Shrunk like the complaint form's photos. Never marked redacted, so only staff see them.
+    async handlePhotosChange(event) {
+        const files = Array.from(event.target.files || []);
+        const prepared = await runSequentially(files, (file) => (isCompressibleImage(file) ? compressImage(file) : file));
+        const photos = [];
+        const rejected = [];
+        prepared.forEach((file, index) => {
+            if (file.size <= MAX_DIRECT_UPLOAD_SIZE) {
+                photos.push(createUploadEntry(file, false));
+            } else {
+                rejected.push(files[index].name);
+            }
+        });
+        this.photos = photos;
+        this.error = rejected.length
+            ? formatLabel(LABELS.followUpFileRejected, rejected.join(', '), formatFileSize(MAX_DIRECT_UPLOAD_SIZE))
+            : null;
+    }
+
+    async handleSubmitFeedback() {
+        if (!this.rating) {
+            this.error = LABELS.ratingRequired;
+            return;
+        }
+        if (this.needsEmail && !this.email.trim()) {
+            this.error = LABELS.followUpEmailRequired;
+            return;
+        }
+        this.saving = true;
+        this.error = null;
+        try {
+            const result = await submitFeedback({
+                trackingToken: this._caseData.trackingNumber,
+                email: this.needsEmail ? this.email.trim() : null,
+                rating: Number(this.rating),
+                comment: this.comment,
+                clientId: getClientId()
+            });
+            if (!result.success) {
+                console.error('Resolution feedback rejected:', result.errorMessage);
+                this.error = result.notMatched ? LABELS.followUpNotMatched : LABELS.feedbackFailed;
+                return;
+            }
+            this.photosFailed = !(await this.uploadPhotos(result.uploadGrant));
+            this.feedbackSent = true;
+            this.notifyUpdated();
+        } catch (error) {
+            console.error('Resolution feedback failed:', error);
+            this.error = LABELS.feedbackFailed;
+        } finally {
+            this.saving = false;
+        }
+    }
+
+    // True when every photo was stored
+    async uploadPhotos(uploadGrant) {
+        const saved = await runSequentially(this.photos, (entry) =>
+            uploadAttachment(uploadGrant, entry).then(
+                () => true,
+                (error) => {
+                    console.error('Feedback photo upload failed:', error);
+                    return false;
+                }
+            )
+        );
+        this.photos = [];
+        return saved.every(Boolean);
+    }
+
+    async handleReopen() {
+        if (!this.reason.trim()) {
+            this.error = LABELS.reopenReasonRequired;
+            return;
+        }
+        if (this.needsEmail && !this.email.trim()) {
+            this.error = LABELS.followUpEmailRequired;
+            return;
+        }
+        this.saving = true;
+        this.error = null;
+        try {
+            const result = await reopenCase({
+                trackingToken: this._caseData.trackingNumber,
+                email: this.needsEmail ? this.email.trim() : null,
+                reason: this.reason,
+                clientId: getClientId()
+            });
+            if (!result.success) {
+                console.error('Reopening rejected:', result.errorMessage);
+                this.error = result.notMatched ? LABELS.followUpNotMatched : LABELS.reopenFailed;
+                return;
+            }
+            this.reopened = true;
+            this.reason = '';
+            this.notifyUpdated();
+        } catch (error) {
+            console.error('Reopening failed:', error);
+            this.error = LABELS.reopenFailed;
+        } finally {
+            this.saving = false;
+        }
+    }
+
+    // The page reloads the case so the new status and action log show up
+    notifyUpdated() {
+        this.dispatchEvent(new CustomEvent('updated'));
+    }
+}
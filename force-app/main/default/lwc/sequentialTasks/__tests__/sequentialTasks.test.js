@@ -0,0 +1,37 @@
+import { runSequentially, STOP } from 'c/sequentialTasks';
+
+describe('c-sequential-tasks', () => {
+    it('starts each task after the previous one has finished', async () => {
+        const events = [];
+        const results = await runSequentially([30, 10, 20], (delay, index) => {
+            events.push(`start ${index}`);
+            let pending = Promise.resolve();
+            for (let tick = 0; tick < delay; tick++) {
+                pending = pending.then(() => undefined);
+            }
+            return pending.then(() => {
+                events.push(`end ${index}`);
+                return delay * 2;
+            });
+        });
+
+        expect(results).toEqual([60, 20, 40]);
+        expect(events).toEqual(['start 0', 'end 0', 'start 1', 'end 1', 'start 2', 'end 2']);
+    });
+
+    it('skips the remaining items once a task returns STOP', async () => {
+        const task = jest.fn((item) => (item === 'b' ? STOP : item));
+
+        const results = await runSequentially(['a', 'b', 'c'], task);
+
+        expect(results).toEqual(['a']);
+        expect(task).toHaveBeenCalledTimes(2);
+    });
+
+    it('rejects with the first failure and does not run later tasks', async () => {
+        const task = jest.fn((item) => (item === 2 ? Promise.reject(new Error('offline')) : item));
+
+        await expect(runSequentially([1, 2, 3], task)).rejects.toThrow('offline');
+        expect(task).toHaveBeenCalledTimes(2);
+    });
+});
@@ -0,0 +1,29 @@
+// sequentialTasks.js - Runs asynchronous steps one after another, for work that must not overlap
+// (uploads sharing one connection, outbox entries that have to stay in order)
+
+// A task resolves to STOP to end the run without starting the remaining items
+export const STOP = Symbol('stop');
+
+// Calls task(item, index) for each item once the previous call has settled.
+// Resolves to the results in order; a rejected task rejects the run and skips the rest.
+export function runSequentially(items, task) {
+    const results = [];
+    return items
+        .reduce(
+            (previous, item, index) =>
+                previous.then((stopped) => {
+                    if (stopped) {
+                        return true;
+                    }
+                    return Promise.resolve(task(item, index)).then((result) => {
+                        if (result === STOP) {
+                            return true;
+                        }
+                        results.push(result);
+                        return false;
+                    });
+                }),
+            Promise.resolve(false)
+        )
+        .then(() => results);
+}
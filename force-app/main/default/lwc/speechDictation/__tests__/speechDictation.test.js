@@ -0,0 +1,106 @@
+import {
+    appendTranscript,
+    dictationErrorMessage,
+    createBrowserRecognizer,
+    createScriptedRecognizer,
+    createRecognizer
+} from 'c/speechDictation';
+
+// Stand-in for the browser's SpeechRecognition; tests drive its event handlers
+class FakeRecognition {
+    constructor() {
+        FakeRecognition.instance = this;
+        this.start = jest.fn();
+        this.stop = jest.fn(() => this.onend());
+    }
+}
+
+function resultEvent(resultIndex, results) {
+    return {
+        resultIndex,
+        results: results.map(([transcript, isFinal]) => Object.assign([{ transcript }], { isFinal }))
+    };
+}
+
+function flushPromises() {
+    // eslint-disable-next-line @lwc/lwc/no-async-operation
+    return new Promise((resolve) => setTimeout(resolve, 0));
+}
+
+describe('c-speech-dictation', () => {
+    it('appends dictated phrases after the typed text within the length limit', () => {
+        expect(appendTranscript('', '  streetlight is out ')).toBe('streetlight is out');
+        expect(appendTranscript('Near the school.', 'It flickers at night')).toBe('Near the school. It flickers at night');
+        expect(appendTranscript('Near the school.\n', 'Again')).toBe('Near the school.\nAgain');
+        expect(appendTranscript('Typed', '   ')).toBe('Typed');
+        expect(appendTranscript('12345', 'six seven', 10)).toBe('12345 six ');
+    });
+
+    it('streams interim and final results from the browser recognizer', () => {
+        const recognizer = createBrowserRecognizer({ webkitSpeechRecognition: FakeRecognition });
+        const onResult = jest.fn();
+        const onEnd = jest.fn();
+
+        recognizer.start({ language: 'gu-IN', onResult, onError: jest.fn(), onEnd });
+        const recognition = FakeRecognition.instance;
+        expect(recognizer.supported).toBe(true);
+        expect(recognition.lang).toBe('gu-IN');
+        expect(recognition.interimResults).toBe(true);
+        expect(recognition.start).toHaveBeenCalled();
+
+        recognition.onresult(resultEvent(0, [['water is', false]]));
+        recognition.onresult(resultEvent(0, [['water is leaking', true], [' from the', false]]));
+        recognizer.stop();
+
+        expect(onResult.mock.calls).toEqual([
+            ['water is', false],
+            ['water is leaking', true],
+            ['from the', false]
+        ]);
+        expect(onEnd).toHaveBeenCalledTimes(1);
+    });
+
+    it('reports failures in plain words but not a manual stop', () => {
+        const recognizer = createBrowserRecognizer({ SpeechRecognition: FakeRecognition });
+        const onError = jest.fn();
+
+        recognizer.start({ onResult: jest.fn(), onError, onEnd: jest.fn() });
+        FakeRecognition.instance.onerror({ error: 'aborted' });
+        FakeRecognition.instance.onerror({ error: 'not-allowed' });
+
+        expect(FakeRecognition.instance.lang).toBe('en-IN');
+        expect(onError.mock.calls).toEqual([[dictationErrorMessage('not-allowed')]]);
+        expect(dictationErrorMessage('something-new')).toContain('type your description instead');
+    });
+
+    it('falls back to an unsupported recognizer without the Web Speech API', () => {
+        const recognizer = createBrowserRecognizer({});
+        const onEnd = jest.fn();
+        const onError = jest.fn();
+
+        recognizer.start({ onResult: jest.fn(), onError, onEnd });
+
+        expect(recognizer.supported).toBe(false);
+        expect(onError).toHaveBeenCalledWith(expect.stringContaining('not available in this browser'));
+        expect(onEnd).toHaveBeenCalled();
+        expect(createRecognizer('none').supported).toBe(false);
+    });
+
+    it('plays back a script until it ends or is stopped', async () => {
+        const recognizer = createScriptedRecognizer([{ transcript: 'pot', isFinal: false }, 'pothole', { error: 'network' }, 'never heard']);
+        const onResult = jest.fn();
+        const onError = jest.fn();
+        const onEnd = jest.fn();
+
+        recognizer.start({ language: 'hi-IN', onResult, onError, onEnd });
+        await flushPromises();
+
+        expect(recognizer.starts).toEqual(['hi-IN']);
+        expect(onResult.mock.calls).toEqual([
+            ['pot', false],
+            ['pothole', true]
+        ]);
+        expect(onError).toHaveBeenCalledWith(dictationErrorMessage('network'));
+        expect(onEnd).toHaveBeenCalledTimes(1);
+    });
+});
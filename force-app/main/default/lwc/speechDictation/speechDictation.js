@@ -0,0 +1,159 @@
+// speechDictation.js - Pluggable speech recognizers for dictating complaint descriptions
+export const DEFAULT_DICTATION_LANGUAGE = 'en-IN';
+
+export const DICTATION_LANGUAGES = [
+    { label: 'English', value: 'en-IN' },
+    { label: 'हिन्दी (Hindi)', value: 'hi-IN' },
+    { label: 'ગુજરાતી (Gujarati)', value: 'gu-IN' }
+];
+
+const ERROR_MESSAGES = {
+    'not-allowed': 'Microphone access was blocked. You can type your description instead.',
+    'service-not-allowed': 'Microphone access was blocked. You can type your description instead.',
+    'audio-capture': 'No microphone was found. You can type your description instead.',
+    'no-speech': "We didn't hear anything. Tap the microphone and try again.",
+    network: 'Dictation needs an internet connection. You can type your description instead.',
+    'language-not-supported': 'Dictation is not available in this language on your device.'
+};
+
+export function dictationErrorMessage(code) {
+    return ERROR_MESSAGES[code] || 'Dictation stopped unexpectedly. You can type your description instead.';
+}
+
+// Adds dictated words after what is already there, never beyond maxLength
+export function appendTranscript(text, addition, maxLength = Infinity) {
+    const current = text || '';
+    const words = (addition || '').trim();
+    if (!words) {
+        return current;
+    }
+    const separator = current && !/\s$/.test(current) ? ' ' : '';
+    return (current + separator + words).substring(0, maxLength);
+}
+
+// Every recognizer has { type, supported, start(options), stop() }. start receives
+// { language, onResult(transcript, isFinal), onError(message), onEnd() }; onEnd always follows a start.
+
+// Web Speech API; Chrome, Edge and Safari still only ship the webkit-prefixed constructor
+export function createBrowserRecognizer(win = window) {
+    const Recognition = win.SpeechRecognition || win.webkitSpeechRecognition;
+    if (!Recognition) {
+        return createUnsupportedRecognizer();
+    }
+
+    let recognition = null;
+    return {
+        type: 'browser',
+        supported: true,
+        start({ language, onResult, onError, onEnd }) {
+            recognition = new Recognition();
+            recognition.lang = language || DEFAULT_DICTATION_LANGUAGE;
+            recognition.continuous = true;
+            recognition.interimResults = true;
+            recognition.onresult = (event) => {
+                let finalText = '';
+                let interimText = '';
+                for (let i = event.resultIndex; i < event.results.length; i++) {
+                    const result = event.results[i];
+                    if (result.isFinal) {
+                        finalText += result[0].transcript;
+                    } else {
+                        interimText += result[0].transcript;
+                    }
+                }
+                if (finalText.trim()) {
+                    onResult(finalText.trim(), true);
+                }
+                if (interimText.trim()) {
+                    onResult(interimText.trim(), false);
+                }
+            };
+            recognition.onerror = (event) => {
+                // Stopping by hand reports "aborted"; that is not a failure
+                if (event.error !== 'aborted') {
+                    onError(dictationErrorMessage(event.error));
+                }
+            };
+            recognition.onend = () => {
+                recognition = null;
+                onEnd();
+            };
+            try {
+                recognition.start();
+            } catch (error) {
+                console.error('Speech recognition could not start:', error);
+                recognition = null;
+                onError(dictationErrorMessage());
+                onEnd();
+            }
+        },
+        stop() {
+            if (recognition) {
+                recognition.stop();
+            }
+        }
+    };
+}
+
+export function createUnsupportedRecognizer() {
+    return {
+        type: 'none',
+        supported: false,
+        start({ onError, onEnd }) {
+            onError('Dictation is not available in this browser. You can type your description instead.');
+            onEnd();
+        },
+        stop() {}
+    };
+}
+
+// Plays back a script for tests and demos: strings are final phrases,
+// { transcript, isFinal } entries interim ones and { error } entries failures
+export function createScriptedRecognizer(script = []) {
+    let active = null;
+    const finish = () => {
+        if (active) {
+            const { onEnd } = active;
+            active = null;
+            onEnd();
+        }
+    };
+
+    return {
+        type: 'scripted',
+        supported: true,
+        starts: [],
+        start(options) {
+            active = options;
+            this.starts.push(options.language);
+            Promise.resolve().then(() => {
+                for (const step of script) {
+                    if (!active) {
+                        return;
+                    }
+                    if (typeof step === 'string') {
+                        active.onResult(step, true);
+                    } else if (step.error) {
+                        active.onError(dictationErrorMessage(step.error));
+                        break;
+                    } else {
+                        active.onResult(step.transcript, step.isFinal !== false);
+                    }
+                }
+                finish();
+            });
+        },
+        stop() {
+            finish();
+        }
+    };
+}
+
+export function createRecognizer(type) {
+    switch (type) {
+        case 'none':
+            return createUnsupportedRecognizer();
+        default:
+            return createBrowserRecognizer();
+    }
+}
@@ -0,0 +1,36 @@
+import { TOKEN_EXAMPLE, checkCharacter, isValidToken, validateToken } from 'c/trackingToken';
+
+describe('c-tracking-token', () => {
+    it('accepts current and legacy tracking numbers', () => {
+        expect(checkCharacter('251019K7M3')).toBe('5');
+        expect(isValidToken(TOKEN_EXAMPLE)).toBe(true);
+        expect(isValidToken('CC250825-0420')).toBe(true);
+        expect(isValidToken('CC251019-K7M36')).toBe(false);
+        expect(isValidToken('')).toBe(false);
+    });
+
+    it('fixes case and spacing silently', () => {
+        expect(validateToken(' cc251019-k7m35 ')).toEqual({
+            valid: true,
+            token: 'CC251019-K7M35',
+            suggestion: null,
+            message: null
+        });
+    });
+
+    it('suggests the intended number for look-alikes, a missing dash or swapped characters', () => {
+        expect(validateToken('CC251019-IOB4C').suggestion).toBe('CC251019-10B4C');
+        expect(validateToken('CC251019K7M35').suggestion).toBe('CC251019-K7M35');
+
+        const swapped = validateToken('CC251019-7KM35');
+        expect(swapped.valid).toBe(false);
+        expect(swapped.message).toBe("That tracking number doesn't look right. Did you mean CC251019-K7M35?");
+    });
+
+    it('explains the problem when no single fix is certain', () => {
+        expect(validateToken('CC251019-K7M36')).toEqual(
+            expect.objectContaining({ valid: false, suggestion: null, message: expect.stringContaining('mistyped') })
+        );
+        expect(validateToken('hello').message).toContain(TOKEN_EXAMPLE);
+    });
+});
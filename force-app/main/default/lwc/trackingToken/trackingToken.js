@@ -0,0 +1,92 @@
+// trackingToken.js - Tracking number format and check character (mirrors the TrackingToken Apex class)
+import DID_YOU_MEAN from '@salesforce/label/c.Tracking_Token_Did_You_Mean';
+import MISTYPED from '@salesforce/label/c.Tracking_Token_Mistyped';
+import FORMAT from '@salesforce/label/c.Tracking_Token_Format';
+import { formatLabel } from 'c/civicI18n';
+
+// Crockford base-32: no I, L, O or U, so look-alikes can be decoded rather than rejected
+const ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+const TOKEN_PATTERN = /^CC\d{6}-[0-9A-HJKMNP-TV-Z]{5}$/;
+// Numbers issued before check characters were introduced
+const LEGACY_PATTERN = /^CC\d{6}-\d{4}$/;
+
+export const TOKEN_EXAMPLE = 'CC251019-K7M35';
+
+// Luhn mod N over the date and random characters
+export function checkCharacter(payload) {
+    const n = ALPHABET.length;
+    let factor = 2;
+    let total = 0;
+    for (let i = payload.length - 1; i >= 0; i--) {
+        const addend = factor * ALPHABET.indexOf(payload[i]);
+        factor = factor === 2 ? 1 : 2;
+        total += Math.floor(addend / n) + (addend % n);
+    }
+    return ALPHABET[(n - (total % n)) % n];
+}
+
+export function isValidToken(token) {
+    if (!token) {
+        return false;
+    }
+    if (LEGACY_PATTERN.test(token)) {
+        return true;
+    }
+    return TOKEN_PATTERN.test(token) && checkCharacter(token.substring(2, 8) + token.substring(9, 13)) === token.slice(-1);
+}
+
+function correct(token) {
+    let corrected = token.replace(/_/g, '-');
+    if (corrected.startsWith('CC')) {
+        corrected = 'CC' + corrected.substring(2).replace(/O/g, '0').replace(/[IL]/g, '1');
+    }
+    if (!corrected.includes('-') && corrected.length === 13) {
+        corrected = `${corrected.substring(0, 8)}-${corrected.substring(8)}`;
+    }
+    return corrected;
+}
+
+// The only adjacent transposition that makes the check character match, if exactly one does
+function swappedNeighbour(token) {
+    let match = null;
+    for (let i = 2; i < token.length - 1; i++) {
+        const first = token[i];
+        const second = token[i + 1];
+        if (first !== '-' && second !== '-' && first !== second) {
+            const candidate = token.substring(0, i) + second + first + token.substring(i + 2);
+            if (isValidToken(candidate)) {
+                if (match) {
+                    return null;
+                }
+                match = candidate;
+            }
+        }
+    }
+    return match;
+}
+
+// Returns { valid, token, suggestion, message }; suggestions come from the format alone and are never looked up
+export function validateToken(input) {
+    const token = (input || '').replace(/\s/g, '').toUpperCase();
+    if (isValidToken(token)) {
+        return { valid: true, token, suggestion: null, message: null };
+    }
+
+    const corrected = correct(token);
+    let suggestion = null;
+    if (corrected !== token && isValidToken(corrected)) {
+        suggestion = corrected;
+    } else if (TOKEN_PATTERN.test(corrected)) {
+        suggestion = swappedNeighbour(corrected);
+    }
+
+    let message;
+    if (suggestion) {
+        message = formatLabel(DID_YOU_MEAN, suggestion);
+    } else if (TOKEN_PATTERN.test(corrected)) {
+        message = MISTYPED;
+    } else {
+        message = formatLabel(FORMAT, TOKEN_EXAMPLE);
+    }
+    return { valid: false, token: null, suggestion, message };
+}
@@ -0,0 +1,99 @@
+import { pointInPolygon, findWard, loadWardBoundaries } from 'c/wardLocator';
+
+const SQUARE = [
+    [
+        [72.55, 23.03],
+        [72.57, 23.03],
+        [72.57, 23.05],
+        [72.55, 23.05],
+        [72.55, 23.03]
+    ]
+];
+
+const HOLE = [
+    [72.585, 23.015],
+    [72.595, 23.015],
+    [72.595, 23.025],
+    [72.585, 23.025],
+    [72.585, 23.015]
+];
+
+const BOUNDARIES = {
+    type: 'FeatureCollection',
+    features: [
+        {
+            type: 'Feature',
+            properties: { ward: 'Navrangpura', wardNumber: 1, zone: 'West', department: 'West Zone Office' },
+            geometry: { type: 'Polygon', coordinates: SQUARE }
+        },
+        {
+            type: 'Feature',
+            properties: { ward: 'Khadia', wardNumber: 2, zone: 'Central', department: 'Central Zone Office' },
+            geometry: {
+                type: 'MultiPolygon',
+                coordinates: [
+                    [
+                        [
+                            [72.58, 23.01],
+                            [72.6, 23.01],
+                            [72.6, 23.03],
+                            [72.58, 23.03],
+                            [72.58, 23.01]
+                        ],
+                        HOLE
+                    ],
+                    [
+                        [
+                            [72.62, 23.01],
+                            [72.63, 23.01],
+                            [72.63, 23.02],
+                            [72.62, 23.01]
+                        ]
+                    ]
+                ]
+            }
+        }
+    ]
+};
+
+describe('c-ward-locator', () => {
+    afterEach(() => {
+        delete global.fetch;
+    });
+
+    it('tests points against the outer ring and its holes', () => {
+        expect(pointInPolygon(72.56, 23.04, SQUARE)).toBe(true);
+        expect(pointInPolygon(72.58, 23.04, SQUARE)).toBe(false);
+        expect(pointInPolygon(72.59, 23.02, [SQUARE[0], HOLE])).toBe(false);
+        expect(pointInPolygon(72.56, 23.04, [])).toBe(false);
+    });
+
+    it('returns the ward and department containing the point', () => {
+        expect(findWard(BOUNDARIES, 23.04, 72.56)).toEqual({
+            ward: 'Navrangpura',
+            wardNumber: 1,
+            zone: 'West',
+            department: 'West Zone Office'
+        });
+        expect(findWard(BOUNDARIES, 23.012, 72.628).ward).toBe('Khadia');
+        expect(findWard(BOUNDARIES, 23.02, 72.59)).toBeNull();
+        expect(findWard(BOUNDARIES, 23.3, 72.2)).toBeNull();
+        expect(findWard(null, 23.04, 72.56)).toBeNull();
+        expect(findWard(BOUNDARIES, null, null)).toBeNull();
+    });
+
+    it('fetches the boundaries once and retries after a failure', async () => {
+        global.fetch = jest.fn(() => Promise.reject(new Error('offline')));
+        await expect(loadWardBoundaries('/wards.json')).rejects.toThrow('offline');
+
+        global.fetch = jest.fn(() => Promise.resolve({ ok: false, status: 404 }));
+        await expect(loadWardBoundaries('/wards.json')).rejects.toThrow('404');
+
+        global.fetch = jest.fn(() => Promise.resolve({ ok: true, json: () => Promise.resolve(BOUNDARIES) }));
+        await expect(loadWardBoundaries('/wards.json')).resolves.toBe(BOUNDARIES);
+        await loadWardBoundaries('/wards.json');
+
+        expect(global.fetch).toHaveBeenCalledTimes(1);
+        expect(global.fetch).toHaveBeenCalledWith('/wards.json');
+    });
+});
@@ -0,0 +1,76 @@
+// wardLocator.js - Ward/jurisdiction lookup by point-in-polygon against the wardBoundaries GeoJSON
+import WARD_BOUNDARIES from '@salesforce/resourceUrl/wardBoundaries';
+
+// Ray casting; ring is a list of [lon, lat] positions as in GeoJSON
+function inRing(lon, lat, ring) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+        if (yi > lat !== yj > lat && lon < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+// First ring is the outer boundary, any further rings are holes
+export function pointInPolygon(lon, lat, rings) {
+    if (!rings.length || !inRing(lon, lat, rings[0])) {
+        return false;
+    }
+    return !rings.slice(1).some((hole) => inRing(lon, lat, hole));
+}
+
+function inGeometry(lon, lat, geometry) {
+    if (!geometry) {
+        return false;
+    }
+    if (geometry.type === 'Polygon') {
+        return pointInPolygon(lon, lat, geometry.coordinates);
+    }
+    if (geometry.type === 'MultiPolygon') {
+        return geometry.coordinates.some((polygon) => pointInPolygon(lon, lat, polygon));
+    }
+    return false;
+}
+
+// Returns { ward, wardNumber, zone, department } for the feature containing the point, or null
+export function findWard(boundaries, lat, lon) {
+    if (!boundaries || lat === null || lat === undefined || lon === null || lon === undefined) {
+        return null;
+    }
+    const feature = (boundaries.features || []).find((candidate) =>
+        inGeometry(Number(lon), Number(lat), candidate.geometry)
+    );
+    if (!feature) {
+        return null;
+    }
+    const properties = feature.properties || {};
+    return {
+        ward: properties.ward || null,
+        wardNumber: properties.wardNumber || null,
+        zone: properties.zone || null,
+        department: properties.department || null
+    };
+}
+
+// Fetched once per page; a failed load is retried on the next call
+let boundariesPromise;
+
+export function loadWardBoundaries(url = WARD_BOUNDARIES) {
+    if (!boundariesPromise) {
+        boundariesPromise = fetch(url)
+            .then((response) => {
+                if (!response.ok) {
+                    throw new Error(`Ward boundaries could not be loaded (${response.status})`);
+                }
+                return response.json();
+            })
+            .catch((error) => {
+                boundariesPromise = null;
+                throw error;
+            });
+    }
+    return boundariesPromise;
+}
@@ -0,0 +1,22 @@
+// customLabels.js - Resolves @salesforce/label imports in Jest to their English values from CustomLabels.labels-meta.xml
+const fs = require('fs');
+const path = require('path');
+
+const LABELS_FILE = path.join(__dirname, '../../main/default/labels/CustomLabels.labels-meta.xml');
+const ENTITIES = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&apos;': "'" };
+
+function decode(text) {
+    return text.replace(/&(amp|lt|gt|quot|apos);/g, (entity) => ENTITIES[entity]);
+}
+
+// jest.mock factories may only use variables prefixed with "mock"
+const mockLabels = {};
+const xml = fs.readFileSync(LABELS_FILE, 'utf8');
+for (const match of xml.matchAll(/<labels>([\s\S]*?)<\/labels>/g)) {
+    const name = /<fullName>(.*?)<\/fullName>/.exec(match[1])[1];
+    mockLabels[name] = decode(/<value>([\s\S]*?)<\/value>/.exec(match[1])[1]);
+}
+
+Object.keys(mockLabels).forEach((mockName) => {
+    jest.mock(`@salesforce/label/c.${mockName}`, () => ({ default: mockLabels[mockName] }), { virtual: true });
+});